@@ -0,0 +1,138 @@
+/**
+ * Test the accessory database cache.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const HttpClient = require('../lib/transport/ip/http-client').default;
+const IPAccessorySimulator = require('../lib/testing/ip-accessory-simulator').default;
+const AccessoryCache = require('../lib/storage/accessory-cache').default;
+
+const PIN = '031-45-154';
+
+const accessories = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 10,
+                    type: '00000043-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 11,
+                            type: '00000008-0000-1000-8000-0026BB765291',
+                            perms: ['pr', 'pw'],
+                            format: 'int',
+                            value: 50,
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+const valueOf = (database) => database.accessories[0].services[0].characteristics[0].value;
+
+describe('AccessoryCache', () => {
+    let simulator;
+    let client;
+    let cache;
+
+    beforeAll(async () => {
+        simulator = new IPAccessorySimulator({ accessories, pin: PIN });
+        const address = await simulator.start();
+
+        cache = new AccessoryCache();
+        client = new HttpClient(simulator.deviceId, address.address, address.port, null, {
+            accessoryCache: cache,
+        });
+        await client.pairSetup(PIN);
+    });
+
+    afterAll(async () => {
+        await client.close();
+        await simulator.stop();
+    });
+
+    it('serves the database from the cache until the configuration number changes', async () => {
+        const discovery = new EventEmitter();
+        const unwatch = cache.watch(discovery);
+        const service = { id: simulator.deviceId.toLowerCase(), 'c#': 1 };
+        discovery.emit('serviceUp', service);
+
+        expect(valueOf(await client.getAccessories())).toBe(50);
+        expect(cache.getEntry(simulator.deviceId)).toMatchObject({ transport: 'ip', configNumber: 1 });
+
+        simulator.setValue(1, 11, 60);
+        expect(valueOf(await client.getAccessories())).toBe(50);
+        expect(valueOf(await client.getAccessories(true))).toBe(60);
+
+        simulator.setValue(1, 11, 70);
+        discovery.emit('serviceChanged', { ...service, 'c#': 1 });
+        expect(valueOf(await client.getAccessories())).toBe(60);
+
+        discovery.emit('serviceChanged', { ...service, 'c#': 2 });
+        expect(cache.get(simulator.deviceId, 'ip')).toBeNull();
+        expect(valueOf(await client.getAccessories())).toBe(70);
+        expect(cache.getEntry(simulator.deviceId).configNumber).toBe(2);
+
+        unwatch();
+        expect(discovery.listenerCount('serviceChanged')).toBe(0);
+    });
+
+    it('drops databases with an unknown configuration number and keeps transports apart', () => {
+        const local = new AccessoryCache();
+        local.set('aa:bb:cc:dd:ee:ff', 'ble', accessories);
+        expect(local.get('AA:BB:CC:DD:EE:FF', 'ip')).toBeNull();
+        expect(local.get('AA:BB:CC:DD:EE:FF', 'ble')).toBe(accessories);
+        expect(local.updateConfigNumber('AA:BB:CC:DD:EE:FF', 'ip', 3)).toBe(false);
+
+        // the configuration might have changed since the database was read
+        expect(local.updateConfigNumber('AA:BB:CC:DD:EE:FF', 'ble', 5)).toBe(true);
+        expect(local.get('AA:BB:CC:DD:EE:FF', 'ble')).toBeNull();
+
+        local.set('AA:BB:CC:DD:EE:FF', 'ble', accessories, local.getConfigNumber('aa:bb:cc:dd:ee:ff', 'ble'));
+        expect(local.getEntry('aa:bb:cc:dd:ee:ff').configNumber).toBe(5);
+        expect(local.updateConfigNumber('AA:BB:CC:DD:EE:FF', 'ble', 5)).toBe(false);
+        expect(local.updateConfigNumber('AA:BB:CC:DD:EE:FF', 'ble', 6)).toBe(true);
+        expect(local.get('AA:BB:CC:DD:EE:FF', 'ble')).toBeNull();
+    });
+
+    it('does not cache a database read under another configuration number', () => {
+        const local = new AccessoryCache();
+        local.updateConfigNumber('AA:BB:CC:DD:EE:FF', 'ip', 1);
+        const configNumber = local.getConfigNumber('AA:BB:CC:DD:EE:FF', 'ip');
+
+        // changed while the database was read
+        local.updateConfigNumber('AA:BB:CC:DD:EE:FF', 'ip', 2);
+        local.set('AA:BB:CC:DD:EE:FF', 'ip', accessories, configNumber);
+        expect(local.getEntry('AA:BB:CC:DD:EE:FF')).toBeNull();
+    });
+
+    it('drops a database read before discovery after a restart', () => {
+        const local = new AccessoryCache();
+        local.set('AA:BB:CC:DD:EE:FF', 'ip', accessories);
+
+        const restored = AccessoryCache.deserialize(local.serialize());
+        expect(restored.updateConfigNumber('AA:BB:CC:DD:EE:FF', 'ip', 7)).toBe(true);
+        expect(restored.get('AA:BB:CC:DD:EE:FF', 'ip')).toBeNull();
+    });
+
+    it('survives serialization', () => {
+        const local = new AccessoryCache();
+        local.updateConfigNumber('AA:BB:CC:DD:EE:FF', 'ble', 4);
+        local.set(
+            'AA:BB:CC:DD:EE:FF',
+            'ble',
+            { accessories: [{ aid: 1, services: [{ iid: 1, type: '3E', characteristics: [] }] }] },
+            4,
+        );
+
+        const restored = AccessoryCache.deserialize(local.serialize());
+        expect(restored.getEntry('AA:BB:CC:DD:EE:FF')).toEqual(local.getEntry('AA:BB:CC:DD:EE:FF'));
+        expect(restored.updateConfigNumber('AA:BB:CC:DD:EE:FF', 'ble', 5)).toBe(true);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Test accessory database model.
+ */
+
+'use strict';
+
+const AccessoryDatabase = require('../lib/model/accessory-database').default;
+
+const raw = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 1,
+                    type: '3E',
+                    characteristics: [
+                        { iid: 2, type: '14', perms: ['pw'], format: 'bool' },
+                        { iid: 3, type: '23', perms: ['pr'], format: 'string', value: 'Desk Lamp' },
+                    ],
+                },
+                {
+                    iid: 10,
+                    type: '00000043-0000-1000-8000-0026BB765291',
+                    primary: true,
+                    linked: [20],
+                    characteristics: [
+                        { iid: 11, type: '25', perms: ['pr', 'pw', 'ev'], format: 'bool', value: false },
+                        {
+                            iid: 12,
+                            type: '00000008-0000-1000-8000-0026bb765291',
+                            perms: ['pr', 'pw'],
+                            format: 'int',
+                            minValue: 0,
+                            maxValue: 100,
+                            value: 50,
+                        },
+                    ],
+                },
+                {
+                    iid: 20,
+                    type: '49',
+                    characteristics: [{ iid: 21, type: '25', perms: ['pr', 'pw', 'ev'], format: 'bool', value: true }],
+                },
+            ],
+        },
+        {
+            aid: 2,
+            services: [
+                {
+                    iid: 10,
+                    type: '43',
+                    characteristics: [{ iid: 11, type: '25', perms: ['pr'], format: 'bool', value: true }],
+                },
+            ],
+        },
+    ],
+};
+
+describe('AccessoryDatabase', () => {
+    const db = new AccessoryDatabase(raw);
+
+    it('finds services by name and UUID', () => {
+        const accessory = db.getAccessory(1);
+        expect(accessory.name).toBe('Desk Lamp');
+        expect(accessory.getService('public.hap.service.lightbulb').iid).toBe(10);
+        expect(accessory.getService('43').iid).toBe(10);
+        expect(accessory.getService('00000043-0000-1000-8000-0026bb765291').iid).toBe(10);
+        expect(accessory.getService('public.hap.service.fan')).toBeNull();
+        expect(db.findServices('public.hap.service.lightbulb').map((s) => s.accessory.aid)).toEqual([1, 2]);
+    });
+
+    it('finds characteristics', () => {
+        const brightness = db
+            .getAccessory(1)
+            .getCharacteristic('public.hap.service.lightbulb', 'public.hap.characteristic.brightness');
+        expect(brightness.id).toBe('1.12');
+        expect(brightness.name).toBe('public.hap.characteristic.brightness');
+        expect(brightness.type).toBe('00000008-0000-1000-8000-0026BB765291');
+        expect(brightness.maxValue).toBe(100);
+        expect(brightness.service.name).toBe('public.hap.service.lightbulb');
+
+        expect(db.getCharacteristicById('2.11').value).toBe(true);
+        expect(db.getCharacteristicById('2.99')).toBeNull();
+        expect(db.findCharacteristics('public.hap.characteristic.on').map((c) => c.id)).toEqual([
+            '1.11',
+            '1.21',
+            '2.11',
+        ]);
+        expect(
+            db.findCharacteristics('public.hap.characteristic.on', 'public.hap.service.switch').map((c) => c.id),
+        ).toEqual(['1.21']);
+    });
+
+    it('resolves primary and linked services', () => {
+        const accessory = db.getAccessory(1);
+        expect(accessory.primaryService.iid).toBe(10);
+        expect(accessory.primaryService.linkedServices.map((s) => s.name)).toEqual(['public.hap.service.switch']);
+        expect(db.getAccessory(2).primaryService).toBeNull();
+    });
+
+    it('checks permissions', () => {
+        const identify = db.getCharacteristicById('1.2');
+        expect(identify.isWritable).toBe(true);
+        expect(identify.isReadable).toBe(false);
+        expect(identify.supportsEvents).toBe(false);
+        expect(db.getCharacteristicById('1.11').supportsEvents).toBe(true);
+        expect(db.getCharacteristicById('1.12').hasPermission('ev')).toBe(false);
+    });
+
+    it('updates values', () => {
+        const updated = db.updateValues([
+            { aid: 1, iid: 12, value: 80 },
+            { aid: 1, iid: 99, value: 1 },
+            { aid: 1, iid: 11, status: -70402 },
+        ]);
+        expect(updated.map((c) => c.id)).toEqual(['1.12']);
+        expect(db.getCharacteristicById('1.12').value).toBe(80);
+        expect(db.getCharacteristicById('1.11').value).toBe(false);
+    });
+});
@@ -0,0 +1,578 @@
+/**
+ * Test the BLE transport against a simulated HAP-BLE accessory.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const BLEDiscovery = require('../lib/transport/ble/ble-discovery').default;
+const GattClient = require('../lib/transport/ble/gatt-client').default;
+const { BLEController } = require('../lib/controller/hap-controller');
+const StateMirror = require('../lib/controller/state-mirror').default;
+const BLEAccessorySimulator = require('../lib/testing/ble-accessory-simulator').default;
+const { SimulatedBleBackend } = require('../lib/testing/simulated-ble');
+const { OperationTimeoutError } = require('../lib/model/error');
+const { PairMethods } = require('../lib/protocol/pairing-protocol');
+
+const PIN = '031-45-154';
+
+const uuid = (short) => `000000${short}-0000-1000-8000-0026BB765291`;
+
+const accessories = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 1,
+                    type: uuid('3E'),
+                    characteristics: [
+                        { iid: 2, type: uuid('14'), perms: ['pw'], format: 'bool' },
+                        { iid: 3, type: uuid('23'), perms: ['pr'], format: 'string', value: 'Simulated Lock' },
+                    ],
+                },
+                {
+                    iid: 10,
+                    type: uuid('43'),
+                    primary: true,
+                    characteristics: [
+                        { iid: 11, type: uuid('25'), perms: ['pr', 'pw', 'ev'], format: 'bool', value: false },
+                        {
+                            iid: 12,
+                            type: uuid('08'),
+                            perms: ['pr', 'pw', 'ev'],
+                            format: 'int',
+                            unit: 'percentage',
+                            minValue: 0,
+                            maxValue: 100,
+                            minStep: 1,
+                            value: 50,
+                        },
+                    ],
+                },
+                {
+                    iid: 20,
+                    type: uuid('45'),
+                    characteristics: [
+                        { iid: 21, type: uuid('1E'), perms: ['pr', 'pw', 'ev', 'tw'], format: 'uint8', value: 0 },
+                        { iid: 22, type: uuid('1D'), perms: ['pr', 'ev', 'ev-broadcast'], format: 'uint8', value: 0 },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+const brightness = () => ({ serviceUuid: uuid('43'), characteristicUuid: uuid('08'), iid: 12, format: 'int' });
+const lockTarget = () => ({ serviceUuid: uuid('45'), characteristicUuid: uuid('1E'), iid: 21, format: 'uint8' });
+const lockCurrent = () => ({ serviceUuid: uuid('45'), characteristicUuid: uuid('1D'), iid: 22, format: 'uint8' });
+
+/**
+ * Wait for an event.
+ *
+ * @param {EventEmitter} emitter - Emitter
+ * @param {string} event - Event name
+ * @param {function} filter - Only resolve for matching arguments
+ * @returns {Promise} Promise which resolves to the first argument of the event
+ */
+const waitFor = (emitter, event, filter = () => true) =>
+    new Promise((resolve) => {
+        const listener = (arg) => {
+            if (filter(arg)) {
+                emitter.removeListener(event, listener);
+                resolve(arg);
+            }
+        };
+        emitter.on(event, listener);
+    });
+
+describe('BLEAccessorySimulator', () => {
+    let backend;
+    let simulator;
+    let discovery;
+
+    beforeEach(async () => {
+        backend = new SimulatedBleBackend();
+        simulator = new BLEAccessorySimulator({ accessories, pin: PIN, category: 6, backend });
+        discovery = new BLEDiscovery(backend);
+    });
+
+    afterEach(async () => {
+        discovery.stop();
+        await simulator.stop();
+    });
+
+    it('is discovered by its advertisement', async () => {
+        await simulator.start();
+        const serviceUp = waitFor(discovery, 'serviceUp');
+        discovery.start();
+
+        const service = await serviceUp;
+        expect(service).toMatchObject({
+            id: simulator.deviceId.toLowerCase(),
+            name: 'Simulated Accessory',
+            ACID: 6,
+            GSN: 1,
+            CN: 1,
+            availableToPair: true,
+        });
+        expect(service.peripheral).toBe(simulator.peripheral);
+    });
+
+    it('pairs, reads and writes', async () => {
+        await simulator.start();
+        discovery.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+
+        const identify = waitFor(simulator, 'identify');
+        await client.identify();
+        await identify;
+
+        const paired = waitFor(discovery, 'serviceChanged', (s) => !s.availableToPair);
+        await client.pairSetup(PIN);
+        await paired;
+        expect(simulator.getPairings()).toHaveLength(1);
+        await expect(client.identify()).rejects.toThrow('Identify returned error status: 5');
+
+        const database = await client.getAccessories();
+        const lightbulb = database.accessories[0].services.find((s) => s.iid === 10);
+        expect(lightbulb.primary).toBe(true);
+        expect(lightbulb.characteristics.find((c) => c.iid === 12)).toMatchObject({
+            format: 'int',
+            unit: 'percentage',
+            minValue: 0,
+            maxValue: 100,
+            minStep: 1,
+            value: 50,
+            perms: expect.arrayContaining(['pr', 'pw', 'ev']),
+        });
+
+        await client.setCharacteristics([{ ...brightness(), value: 75 }]);
+        expect(simulator.getValue(1, 12)).toBe(75);
+        const res = await client.getCharacteristics([brightness()]);
+        expect(res.characteristics[0].value).toBe(75);
+
+        // the lock target state needs a timed write
+        const write = waitFor(simulator, 'write');
+        await client.setCharacteristics([{ ...lockTarget(), value: 1 }]);
+        expect(await write).toEqual({ aid: 1, iid: 21, value: 1 });
+
+        const pairings = await client.getPairings();
+        expect(pairings).toHaveLength(1);
+        expect(pairings[0].isAdmin).toBe(true);
+
+        await client.close();
+    });
+
+    it('reads the pairing method from the pairing features', async () => {
+        await simulator.start();
+        let client = new GattClient(simulator.deviceId, simulator.peripheral);
+        expect(await client.getPairingMethod()).toBe(PairMethods.PairSetup);
+        await simulator.stop();
+
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        simulator = new BLEAccessorySimulator({
+            accessories,
+            pin: PIN,
+            mfi: { certificate: Buffer.alloc(0), privateKey },
+        });
+        await simulator.start();
+        client = new GattClient(simulator.deviceId, simulator.peripheral);
+        expect(await client.getPairingMethod()).toBe(PairMethods.PairSetupWithAuth);
+    });
+
+    it('rejects writes refused by the accessory', async () => {
+        simulator = new BLEAccessorySimulator({ accessories, pin: PIN, onWrite: () => 6 });
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+        await client.pairSetup(PIN);
+        await client.getAccessories();
+
+        await expect(client.setCharacteristics([{ ...brightness(), value: 75 }])).rejects.toThrow(
+            'Write of 12 returned error status: 6',
+        );
+        expect(simulator.getValue(1, 12)).toBe(50);
+    });
+
+    it('uses timed writes for characteristics which require them', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+        await client.pairSetup(PIN);
+
+        // without the metadata the client does not know about the "tw" permission
+        await expect(client.setCharacteristics([{ ...lockTarget(), value: Buffer.from([1]) }])).rejects.toThrow(
+            'Write of 21 returned error status: 6',
+        );
+        expect(simulator.getValue(1, 21)).toBe(0);
+
+        await client.getAccessories();
+        await client.setCharacteristics([{ ...lockTarget(), value: 1 }]);
+        expect(simulator.getValue(1, 21)).toBe(1);
+    });
+
+    it('writes to the characteristic with the matching UUID', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+        await client.pairSetup(PIN);
+        await client.getAccessories();
+
+        const on = { serviceUuid: uuid('43'), characteristicUuid: uuid('25'), iid: 11, value: true };
+        await client.setCharacteristics([on, { ...brightness(), value: 75 }]);
+        expect(simulator.getValue(1, 11)).toBe(true);
+        expect(simulator.getValue(1, 12)).toBe(75);
+    });
+
+    it('reads the unit from the presentation format descriptor', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+        await client.pairSetup(PIN);
+
+        const res = await client.getCharacteristics([brightness(), lockTarget()], { meta: true });
+        expect(res.characteristics[0]).toMatchObject({ iid: 12, format: 'int', unit: 'percentage' });
+        expect(res.characteristics[1]).toMatchObject({ iid: 21, format: 'uint8', unit: 'unitless' });
+    });
+
+    it('validates writes against the metadata', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            validateWrites: { outOfRange: 'clamp' },
+        });
+        await client.pairSetup(PIN);
+        await client.getAccessories();
+
+        const on = { serviceUuid: uuid('43'), characteristicUuid: uuid('25'), iid: 11, value: 'on' };
+        const invalid = client.setCharacteristics([on]);
+        expect(invalid).toBeInstanceOf(Promise);
+        await expect(invalid).rejects.toThrow('on is not a boolean');
+        expect(simulator.getValue(1, 11)).toBe(false);
+
+        await client.setCharacteristics([{ ...brightness(), value: 120.4 }]);
+        expect(simulator.getValue(1, 12)).toBe(100);
+    });
+
+    it('emits the clamped values of controller writes', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            validateWrites: { outOfRange: 'clamp' },
+        });
+        await client.pairSetup(PIN);
+        const controller = new BLEController(client);
+        await controller.getAccessoryDatabase();
+
+        const write = waitFor(controller, 'write');
+        await controller.setCharacteristics({ 1.12: 120 });
+        expect(await write).toEqual({ characteristics: [{ id: '1.12', aid: 1, iid: 12, value: 100 }] });
+        expect(simulator.getValue(1, 12)).toBe(100);
+
+        await controller.close();
+    });
+
+    it('seeds a state mirror with the values read from the accessory', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+        await client.pairSetup(PIN);
+        // cached database, without the value of the name and with an outdated brightness
+        const cached = JSON.parse(JSON.stringify(accessories));
+        delete cached.accessories[0].services[0].characteristics[1].value;
+        const controller = new BLEController(client, cached);
+        simulator.setValue(1, 12, 80);
+
+        const mirror = new StateMirror(controller, { pollInterval: 0 });
+        await mirror.start();
+        expect(mirror.get('1.3')).toBe('Simulated Lock');
+        expect(mirror.get('1.11')).toBe(false);
+        expect(mirror.getState('1.12')).toMatchObject({ value: 80, source: 'seed' });
+
+        await mirror.stop();
+        await controller.close();
+    });
+
+    it('indicates changes to subscribed characteristics', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+        await client.pairSetup(PIN);
+
+        await client.subscribeCharacteristics([brightness()]);
+        const event = waitFor(client, 'event');
+        simulator.setValue(1, 12, 20);
+        expect((await event).characteristics[0]).toMatchObject({ iid: 12, value: 20 });
+
+        await client.unsubscribeCharacteristics();
+        await client.close();
+    });
+
+    it('queues indication reads on the persistent connection', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            usePersistentConnections: true,
+        });
+        await client.pairSetup(PIN);
+        await client.getAccessories();
+        await client.subscribeCharacteristics([brightness()]);
+
+        // the indication arrives between the requests of a timed write
+        simulator.delayResponses(50);
+        const order = [];
+        const event = waitFor(client, 'event').then((e) => order.push('event') && e);
+        const write = client.setCharacteristics([{ ...lockTarget(), value: 1 }]).then(() => order.push('write'));
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        simulator.setValue(1, 12, 20);
+
+        await write;
+        expect((await event).characteristics[0]).toMatchObject({ iid: 12, value: 20 });
+        expect(order).toEqual(['write', 'event']);
+        expect(simulator.getValue(1, 21)).toBe(1);
+        simulator.delayResponses(0);
+        expect((await client.getCharacteristics([brightness()])).characteristics[0].value).toBe(20);
+
+        await client.unsubscribeCharacteristics();
+        await client.close();
+    });
+
+    it('sends broadcast notifications while disconnected', async () => {
+        await simulator.start();
+        discovery.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+        discovery.on('broadcast', (notification) => client.handleBroadcast(notification));
+
+        await client.pairSetup(PIN);
+        await client.getAccessories();
+        await client.watchCharacteristics([lockCurrent()]);
+        expect(simulator.peripheral.state).toBe('disconnected');
+
+        const event = waitFor(client, 'event');
+        simulator.setValue(1, 22, 1);
+        expect(await event).toEqual({ characteristics: [{ aid: 1, iid: 22, value: 1 }] });
+        expect(simulator.gsn).toBe(2);
+    });
+
+    it('resumes the previous session', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+        await client.pairSetup(PIN);
+
+        const verified = [];
+        client.on('pair-verify', (event) => verified.push(event));
+        await client.getCharacteristics([brightness()]);
+        await client.getCharacteristics([brightness()]);
+        expect(verified).toEqual([{ resumed: false }, { resumed: true }]);
+    });
+
+    it('falls back to Pair-Verify when the accessory does not resume the session', async () => {
+        simulator = new BLEAccessorySimulator({ accessories, pin: PIN, supportsPairResume: false });
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral);
+        await client.pairSetup(PIN);
+
+        const verified = [];
+        client.on('pair-verify', (event) => verified.push(event));
+        await client.getCharacteristics([brightness()]);
+        const res = await client.getCharacteristics([brightness()]);
+        expect(res.characteristics[0].value).toBe(50);
+        expect(verified).toEqual([{ resumed: false }, { resumed: false }]);
+    });
+
+    it('waits out a busy accessory during Pair-Verify', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            pairVerifyRetry: { defaultDelay: 10 },
+        });
+        await client.pairSetup(PIN);
+
+        const retry = waitFor(client, 'pair-verify-retry');
+        simulator.rejectPairing('pair-verify', 7);
+        const res = await client.getCharacteristics([brightness()]);
+        expect(res.characteristics[0].value).toBe(50);
+        expect(await retry).toMatchObject({ attempt: 2, delay: 10 });
+
+        // a resumed session is rejected the same way
+        const resumeRetry = waitFor(client, 'pair-verify-retry');
+        simulator.rejectPairing('pair-verify', 3, 0);
+        await client.getCharacteristics([brightness()]);
+        expect(await resumeRetry).toMatchObject({ attempt: 2, delay: 0 });
+    });
+
+    it('stops waiting for the Pair-Verify retry when the operation times out', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            pairVerifyRetry: { defaultDelay: 10000 },
+        });
+        await client.pairSetup(PIN);
+
+        simulator.rejectPairing('pair-verify', 7);
+        const err = await client.getCharacteristics([brightness()], { timeout: 100 }).catch((e) => e);
+        expect(err).toBeInstanceOf(OperationTimeoutError);
+
+        // neither the operation queue nor the pairing queue is blocked by the aborted retry delay
+        const start = Date.now();
+        const res = await client.getCharacteristics([brightness()]);
+        expect(res.characteristics[0].value).toBe(50);
+        expect(Date.now() - start).toBeLessThan(2000);
+    });
+
+    it('never retries a failed authentication', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            pairVerifyRetry: { defaultDelay: 10 },
+            usePairResume: false,
+        });
+        await client.pairSetup(PIN);
+
+        const retry = jest.fn();
+        client.on('pair-verify-retry', retry);
+        simulator.rejectPairing('pair-verify', 2);
+        await expect(client.getCharacteristics([brightness()])).rejects.toThrow('M2: Error: 2');
+        expect(retry).not.toHaveBeenCalled();
+    });
+
+    it('reuses one verified persistent connection', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            usePersistentConnections: true,
+        });
+        await client.pairSetup(PIN);
+
+        const verified = jest.fn();
+        client.on('pair-verify', verified);
+        await client.getAccessories();
+        await client.getCharacteristics([brightness()]);
+        await client.setCharacteristics([{ ...brightness(), value: 75 }]);
+        expect(await client.getPairings()).toHaveLength(1);
+        expect(verified).toHaveBeenCalledTimes(1);
+        expect(simulator.peripheral.state).toBe('connected');
+
+        await client.close();
+    });
+
+    it('manages pairings with a single Pair-Verify', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            usePersistentConnections: true,
+        });
+        await client.pairSetup(PIN);
+
+        const verified = jest.fn();
+        client.on('pair-verify', verified);
+        const identifier = '11111111-1111-1111-1111-111111111111';
+        await client.addPairing(identifier, Buffer.alloc(32, 1), false);
+        expect(simulator.getPairings()).toHaveLength(2);
+        await client.removePairing(Buffer.from(identifier));
+        expect(simulator.getPairings()).toHaveLength(1);
+        expect(verified).toHaveBeenCalledTimes(1);
+
+        await client.close();
+    });
+
+    it('closes the idle persistent connection', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            usePersistentConnections: true,
+            persistentConnectionIdleTimeout: 50,
+        });
+        await client.pairSetup(PIN);
+
+        const disconnected = waitFor(simulator.peripheral, 'disconnect');
+        await client.getCharacteristics([brightness()]);
+        expect(simulator.peripheral.state).toBe('connected');
+        await disconnected;
+
+        // and stays open while characteristics are subscribed
+        await client.subscribeCharacteristics([brightness()]);
+        await new Promise((resolve) => setTimeout(resolve, 150));
+        expect(simulator.peripheral.state).toBe('connected');
+
+        const idle = waitFor(simulator.peripheral, 'disconnect');
+        await client.unsubscribeCharacteristics();
+        await idle;
+
+        await client.close();
+    });
+
+    it('verifies a new session after the persistent connection dropped', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            usePersistentConnections: true,
+        });
+        await client.pairSetup(PIN);
+
+        const verified = jest.fn();
+        client.on('pair-verify', verified);
+        await client.getCharacteristics([brightness()]);
+        simulator.disconnect();
+        const res = await client.getCharacteristics([brightness()]);
+        expect(res.characteristics[0].value).toBe(50);
+        expect(verified).toHaveBeenCalledTimes(2);
+
+        const disconnected = waitFor(simulator.peripheral, 'disconnect');
+        await client.closePersistentConnection();
+        await disconnected;
+        expect(simulator.peripheral.state).toBe('disconnected');
+
+        await client.getCharacteristics([brightness()]);
+        expect(verified).toHaveBeenCalledTimes(3);
+        await client.close();
+    });
+
+    it('drops the link when an operation times out', async () => {
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            usePersistentConnections: true,
+        });
+        await client.pairSetup(PIN);
+        await client.getAccessories();
+
+        simulator.delayResponses(300);
+        const disconnected = waitFor(simulator.peripheral, 'disconnect');
+        const err = await client.getCharacteristics([brightness()], { timeout: 50 }).catch((e) => e);
+        expect(err).toBeInstanceOf(OperationTimeoutError);
+        await disconnected;
+
+        simulator.delayResponses(0);
+        const res = await client.getCharacteristics([brightness()]);
+        expect(res.characteristics[0].value).toBe(50);
+
+        await client.close();
+    });
+
+    it('reassembles fragmented responses', async () => {
+        simulator = new BLEAccessorySimulator({ accessories, pin: PIN, fragmentSize: 20 });
+        await simulator.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            usePersistentConnections: true,
+        });
+
+        expect(await client.getPairingMethod()).toBe(PairMethods.PairSetup);
+        await client.pairSetup(PIN);
+        const database = await client.getAccessories();
+        const name = database.accessories[0].services[0].characteristics.find((c) => c.iid === 3);
+        expect(name.value).toBe('Simulated Lock');
+        expect(await client.getPairings()).toHaveLength(1);
+
+        // a new session is verified for the next read
+        await client.close();
+        const nameCharacteristic = { serviceUuid: uuid('3E'), characteristicUuid: uuid('23'), iid: 3 };
+        const res = await client.getCharacteristics([nameCharacteristic], { meta: true });
+        expect(res.characteristics[0]).toMatchObject({ iid: 3, format: 'string', value: 'Simulated Lock' });
+
+        await client.close();
+    });
+
+    it('drops the connection when the own pairing is removed', async () => {
+        await simulator.start();
+        discovery.start();
+        const client = new GattClient(simulator.deviceId, simulator.peripheral, null, {
+            usePersistentConnections: true,
+        });
+        await client.pairSetup(PIN);
+        await client.getAccessories();
+
+        const unpaired = waitFor(discovery, 'serviceChanged', (s) => s.availableToPair);
+        const disconnected = waitFor(simulator.peripheral, 'disconnect');
+        await client.removePairing(client.getLongTermData().iOSDevicePairingID);
+        await disconnected;
+        await unpaired;
+        expect(simulator.getPairings()).toHaveLength(0);
+
+        await client.close();
+    });
+});
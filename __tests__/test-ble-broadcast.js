@@ -0,0 +1,145 @@
+/**
+ * Test BLE broadcast notifications.
+ */
+
+'use strict';
+
+const GattClient = require('../lib/transport/ble/gatt-client').default;
+const {
+    decryptBroadcastNotification,
+    encryptBroadcastNotification,
+    parseBroadcastNotification,
+} = require('../lib/transport/ble/ble-broadcast');
+const { encodeObject } = require('../lib/model/tlv');
+
+const key = Buffer.alloc(32, 7);
+const advertisingIdentifier = Buffer.from('aabbccddeeff', 'hex');
+
+const pairingData = {
+    AccessoryPairingID: Buffer.from('AA:BB:CC:DD:EE:FF').toString('hex'),
+    AccessoryLTPK: '00'.repeat(32),
+    iOSDevicePairingID: Buffer.from('controller').toString('hex'),
+    iOSDeviceLTSK: '11'.repeat(64),
+    iOSDeviceLTPK: '11'.repeat(32),
+    BroadcastEncryptionKey: key.toString('hex'),
+};
+
+/**
+ * Build a notification for a uint8 value.
+ *
+ * @param {number} gsn - Global state number
+ * @param {number} iid - Instance ID
+ * @param {number} value - Value
+ * @param {Buffer} encryptionKey - Broadcast key
+ * @returns {Promise} Promise which resolves to the parsed notification.
+ */
+async function notification(gsn, iid, value, encryptionKey = key) {
+    const data = await encryptBroadcastNotification(
+        encryptionKey,
+        advertisingIdentifier,
+        gsn,
+        iid,
+        Buffer.from([value]),
+    );
+    return parseBroadcastNotification(data);
+}
+
+describe('BLE broadcast notifications', () => {
+    it('encrypts and decrypts notifications', async () => {
+        const parsed = await notification(12, 0x33, 42);
+        expect(parsed.id).toBe('aa:bb:cc:dd:ee:ff');
+
+        const decrypted = await decryptBroadcastNotification(parsed, key, 10);
+        expect(decrypted).toEqual({ gsn: 12, iid: 0x33, value: Buffer.from([42, 0, 0, 0, 0, 0, 0, 0]) });
+    });
+
+    it('ignores repeated and foreign notifications', async () => {
+        expect(await decryptBroadcastNotification(await notification(12, 0x33, 42), key, 12)).toBeNull();
+        expect(
+            await decryptBroadcastNotification(await notification(13, 0x33, 42, Buffer.alloc(32)), key, 12),
+        ).toBeNull();
+        expect(parseBroadcastNotification(Buffer.alloc(26))).toBeNull();
+    });
+
+    it('handles GSN wrap around', async () => {
+        const decrypted = await decryptBroadcastNotification(await notification(1, 0x33, 1), key, 0xfffe);
+        expect(decrypted.gsn).toBe(1);
+    });
+
+    it('encodes zero-length TLV items', () => {
+        const tlv = new Map([
+            [1, Buffer.alloc(0)],
+            [2, Buffer.alloc(0)],
+        ]);
+        expect(encodeObject(tlv)).toEqual(Buffer.from([1, 0, 2, 0]));
+    });
+});
+
+describe('GattClient change detection', () => {
+    let client;
+
+    beforeEach(() => {
+        client = new GattClient('AA:BB:CC:DD:EE:FF', {}, pairingData);
+        client.setAccessoryMetadata({
+            accessories: [
+                {
+                    aid: 1,
+                    services: [
+                        {
+                            iid: 0x30,
+                            type: '0000008A-0000-1000-8000-0026BB765291',
+                            characteristics: [
+                                { iid: 0x33, type: '00000011-0000-1000-8000-0026BB765291', format: 'uint8' },
+                            ],
+                        },
+                    ],
+                },
+            ],
+        });
+    });
+
+    it('keeps the broadcast key in the pairing data', () => {
+        expect(client.getLongTermData().BroadcastEncryptionKey).toBe(key.toString('hex'));
+    });
+
+    it('emits decrypted broadcasts as event', async () => {
+        const events = [];
+        client.on('event', (event) => events.push(event));
+
+        // GSN is not known yet
+        await client.handleBroadcast(await notification(5, 0x33, 21));
+        expect(events).toHaveLength(0);
+
+        await client.handleAdvertisement({ id: 'aa:bb:cc:dd:ee:ff', GSN: 4 });
+        await client.handleBroadcast(await notification(5, 0x33, 21));
+        await client.handleBroadcast(await notification(5, 0x33, 21));
+        expect(events).toEqual([{ characteristics: [{ aid: 1, iid: 0x33, value: 21 }] }]);
+    });
+
+    it('reads watched characteristics when the GSN changes', async () => {
+        const events = [];
+        client.on('event', (event) => events.push(event));
+        client.getCharacteristics = jest.fn().mockResolvedValue({ characteristics: [{ aid: 1, iid: 0x33, value: 3 }] });
+        await client.watchCharacteristics(
+            [
+                {
+                    serviceUuid: '0000008A-0000-1000-8000-0026BB765291',
+                    characteristicUuid: '00000011-0000-1000-8000-0026BB765291',
+                    iid: 0x33,
+                    format: 'uint8',
+                },
+            ],
+            { broadcast: false },
+        );
+
+        await client.handleAdvertisement({ id: 'aa:bb:cc:dd:ee:ff', GSN: 7 });
+        await client.handleAdvertisement({ id: 'aa:bb:cc:dd:ee:ff', GSN: 7 });
+        await client.handleAdvertisement({ id: '11:22:33:44:55:66', GSN: 9 });
+        expect(client.getCharacteristics).not.toHaveBeenCalled();
+
+        await client.handleAdvertisement({ id: 'aa:bb:cc:dd:ee:ff', GSN: 8 });
+        expect(client.getCharacteristics).toHaveBeenCalledTimes(1);
+        expect(client.getCharacteristics.mock.calls[0][0][0].iid).toBe(0x33);
+        expect(events).toEqual([{ characteristics: [{ aid: 1, iid: 0x33, value: 3 }] }]);
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Test the camera RTP stream management client against a simulated camera.
+ */
+
+'use strict';
+
+const HttpClient = require('../lib/transport/ip/http-client').default;
+const IPAccessorySimulator = require('../lib/testing/ip-accessory-simulator').default;
+const CameraStreamClient = require('../lib/transport/ip/camera-stream-client').default;
+const { SessionCommands } = require('../lib/transport/ip/camera-stream-client');
+const { CameraStreamBusyError, CameraStreamConfigurationError } = require('../lib/model/error');
+const { CharacteristicSchemas, decodeTlv, encodeTlv } = require('../lib/model/tlv-schema');
+
+const PIN = '031-45-154';
+
+const schema = (name) => CharacteristicSchemas[`public.hap.characteristic.${name}`];
+const tlv = (name, value) => encodeTlv(value, schema(name)).toString('base64');
+const uuid = (short) => `00000${short}-0000-1000-8000-0026BB765291`;
+
+const accessories = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 10,
+                    type: uuid('110'),
+                    characteristics: [
+                        {
+                            iid: 11,
+                            type: uuid('114'),
+                            perms: ['pr'],
+                            format: 'tlv8',
+                            value: tlv('supported-video-stream-configuration', {
+                                codecConfigurations: [
+                                    {
+                                        codecType: 0,
+                                        codecParameters: {
+                                            profiles: [0, 1],
+                                            levels: [0, 1, 2],
+                                            packetizationModes: [0],
+                                        },
+                                        attributes: [
+                                            { width: 1280, height: 720, frameRate: 30 },
+                                            { width: 640, height: 360, frameRate: 30 },
+                                        ],
+                                    },
+                                ],
+                            }),
+                        },
+                        {
+                            iid: 12,
+                            type: uuid('115'),
+                            perms: ['pr'],
+                            format: 'tlv8',
+                            value: tlv('supported-audio-configuration', {
+                                codecConfigurations: [
+                                    {
+                                        codecType: 3,
+                                        codecParameters: { channels: 1, bitRate: 0, sampleRates: [1, 2] },
+                                    },
+                                ],
+                                comfortNoiseSupport: 0,
+                            }),
+                        },
+                        {
+                            iid: 13,
+                            type: uuid('116'),
+                            perms: ['pr'],
+                            format: 'tlv8',
+                            value: tlv('supported-rtp-configuration', { srtpCryptoSuites: [0] }),
+                        },
+                        { iid: 14, type: uuid('118'), perms: ['pr', 'pw'], format: 'tlv8', value: '' },
+                        { iid: 15, type: uuid('117'), perms: ['pr', 'pw'], format: 'tlv8', value: '' },
+                        {
+                            iid: 16,
+                            type: uuid('120'),
+                            perms: ['pr', 'ev'],
+                            format: 'tlv8',
+                            value: tlv('streaming-status', { status: 0 }),
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+describe('CameraStreamClient', () => {
+    let simulator;
+    let client;
+    let busy;
+    const selected = [];
+
+    beforeAll(async () => {
+        simulator = new IPAccessorySimulator({
+            accessories,
+            pin: PIN,
+            onWrite: (aid, iid, value) => {
+                if (iid !== 15) {
+                    return 0;
+                }
+                const request = decodeTlv(value, schema('selected-rtp-stream-configuration'));
+                // the simulated camera only accepts 30 fps
+                return request.video && request.video.attributes.frameRate !== 30 ? -70410 : 0;
+            },
+        });
+        simulator.on('write', ({ iid, value }) => {
+            if (iid === 14) {
+                const request = decodeTlv(value, schema('setup-endpoints'));
+                simulator.setValue(
+                    1,
+                    14,
+                    tlv('setup-endpoints', {
+                        sessionId: request.sessionId,
+                        status: busy ? 1 : 0,
+                        address: { ipVersion: 0, ipAddress: '127.0.0.1', videoRtpPort: 50000, audioRtpPort: 50002 },
+                        videoSrtpParameters: request.videoSrtpParameters,
+                        audioSrtpParameters: request.audioSrtpParameters,
+                        videoSsrc: 1111,
+                        audioSsrc: 2222,
+                    }),
+                );
+            } else if (iid === 15) {
+                selected.push(decodeTlv(value, schema('selected-rtp-stream-configuration')));
+            }
+        });
+        const address = await simulator.start();
+
+        client = new HttpClient(simulator.deviceId, address.address, address.port);
+        await client.pairSetup(PIN);
+    });
+
+    afterAll(async () => {
+        await client.close();
+        await simulator.stop();
+    });
+
+    beforeEach(() => {
+        busy = false;
+        selected.length = 0;
+    });
+
+    it('reads the supported configuration', async () => {
+        const camera = new CameraStreamClient(client);
+        const supported = await camera.getSupportedConfiguration();
+        expect(supported.video.codecConfigurations[0].attributes).toHaveLength(2);
+        expect(supported.audio.codecConfigurations[0].codecParameters.sampleRates).toEqual([1, 2]);
+        expect(supported.rtp.srtpCryptoSuites).toEqual([0]);
+        expect(await camera.getStreamingStatus()).toBe(0);
+    });
+
+    it('starts, reconfigures and stops a stream', async () => {
+        const camera = new CameraStreamClient(client);
+        const session = await camera.startStream({
+            address: '127.0.0.1',
+            videoPort: 40000,
+            audioPort: 40002,
+            video: { width: 640, height: 360 },
+        });
+
+        expect(session.sessionId).toHaveLength(16);
+        expect(session.accessoryAddress).toEqual({
+            ipVersion: 0,
+            ipAddress: '127.0.0.1',
+            videoRtpPort: 50000,
+            audioRtpPort: 50002,
+        });
+        expect(session.video).toMatchObject({ width: 640, height: 360, frameRate: 30, accessorySsrc: 1111 });
+        expect(session.video.srtp.masterKey).toHaveLength(16);
+        expect(session.video.srtp.masterSalt).toHaveLength(14);
+        expect(session.audio).toMatchObject({ codecType: 3, sampleRate: 1, accessorySsrc: 2222 });
+
+        expect(selected[0].sessionControl).toEqual({ sessionId: session.sessionId, command: SessionCommands.Start });
+        expect(selected[0].video.rtpParameters.ssrc).toBe(session.video.ssrc);
+        expect(selected[0].audio.codecParameters.sampleRates).toEqual([1]);
+
+        const updated = await camera.reconfigureStream({ width: 1280, height: 720, maxBitrate: 800 });
+        expect(updated.video).toMatchObject({ width: 1280, height: 720, maxBitrate: 800 });
+        expect(selected[1].sessionControl.command).toBe(SessionCommands.Reconfigure);
+
+        await expect(camera.reconfigureStream({ frameRate: 15 })).rejects.toThrow(CameraStreamConfigurationError);
+        expect(camera.getActiveSession().video.frameRate).toBe(30);
+
+        await camera.stopStream();
+        expect(selected[selected.length - 1].sessionControl.command).toBe(SessionCommands.End);
+        expect(camera.getActiveSession()).toBeNull();
+    });
+
+    it('rejects unsupported configurations and busy cameras', async () => {
+        const camera = new CameraStreamClient(client);
+        const options = { address: '127.0.0.1', videoPort: 40000, audioPort: 40002 };
+
+        await expect(camera.startStream({ ...options, video: { width: 1920, height: 1080 } })).rejects.toThrow(
+            'Video resolution 1920x1080 is not supported by the camera',
+        );
+        await expect(camera.startStream({ ...options, audio: { codecType: 2 } })).rejects.toThrow(
+            CameraStreamConfigurationError,
+        );
+
+        busy = true;
+        await expect(camera.startStream({ ...options, audio: false })).rejects.toThrow(CameraStreamBusyError);
+        expect(selected).toHaveLength(0);
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Test the command-line tool against a simulated accessory.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const IPAccessorySimulator = require('../lib/testing/ip-accessory-simulator').default;
+const { run } = require('../lib/cli/hap-controller');
+
+const PIN = '031-45-154';
+
+const accessories = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 10,
+                    type: '00000043-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 11,
+                            type: '00000025-0000-1000-8000-0026BB765291',
+                            perms: ['pr', 'pw', 'ev'],
+                            format: 'bool',
+                            value: false,
+                        },
+                        {
+                            iid: 12,
+                            type: '00000008-0000-1000-8000-0026BB765291',
+                            perms: ['pr', 'pw', 'ev'],
+                            format: 'int',
+                            unit: 'percentage',
+                            value: 50,
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+describe('hap-controller CLI', () => {
+    let simulator;
+    let dir;
+    let common;
+
+    /**
+     * Run the tool and collect its output.
+     *
+     * @param {...string} args - Arguments
+     * @returns {Promise} Promise which resolves to code, stdout and stderr
+     */
+    const cli = async (...args) => {
+        const stdout = new PassThrough();
+        const stderr = new PassThrough();
+        const out = [];
+        const err = [];
+        stdout.on('data', (data) => out.push(data));
+        stderr.on('data', (data) => err.push(data));
+        const code = await run([...args, ...common], { stdout, stderr });
+        return { code, stdout: Buffer.concat(out).toString(), stderr: Buffer.concat(err).toString() };
+    };
+
+    beforeAll(async () => {
+        simulator = new IPAccessorySimulator({ accessories, pin: PIN });
+        const address = await simulator.start();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hap-controller-'));
+        common = [
+            '--address',
+            `${address.address}:${address.port}`,
+            '--store',
+            path.join(dir, 'pairings.json'),
+            '--passphrase',
+            'secret',
+        ];
+    });
+
+    afterAll(async () => {
+        await simulator.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('pairs, reads, writes and unpairs', async () => {
+        const id = simulator.deviceId;
+
+        expect((await cli('get', id, '1.12')).stderr).toContain(`Not paired with ${id}`);
+        expect(await cli('pair', id, PIN)).toMatchObject({ code: 0, stdout: `Paired with ${id}\n` });
+
+        const tree = await cli('accessories', id);
+        expect(tree.stdout).toContain('1.12 brightness [pr,pw,ev] int (percentage) = 50');
+        const json = await cli('accessories', id, '--json');
+        expect(JSON.parse(json.stdout).accessories[0].aid).toBe(1);
+
+        expect((await cli('set', id, '1.11=true', '1.12=75')).code).toBe(0);
+        expect(simulator.getValue(1, 12)).toBe(75);
+        expect((await cli('get', id, '1.11', '1.12')).stdout).toBe('1.11 = true\n1.12 = 75\n');
+        expect(JSON.parse((await cli('get', id, '1.12', '--json')).stdout)).toEqual([{ id: '1.12', value: 75 }]);
+
+        const pairings = JSON.parse((await cli('pairings', 'list', id, '--json')).stdout);
+        expect(pairings).toHaveLength(1);
+        expect(pairings[0].isAdmin).toBe(true);
+
+        expect((await cli('unpair', id)).code).toBe(0);
+        expect((await cli('get', id, '1.12')).code).toBe(1);
+    });
+
+    it('streams events as JSON lines', async () => {
+        const id = simulator.deviceId;
+        await cli('pair', id, PIN);
+
+        const watching = cli('watch', id, '1.12', '--duration', '500');
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        simulator.setValue(1, 12, 20);
+
+        const lines = (await watching).stdout.trim().split('\n').map(JSON.parse);
+        expect(lines).toEqual([expect.objectContaining({ id: '1.12', value: 20 })]);
+
+        await cli('unpair', id);
+    });
+
+    it('rejects invalid command lines', async () => {
+        expect((await cli('frobnicate')).code).toBe(2);
+        expect((await cli('set', 'AA:BB', 'novalue')).stderr).toContain('Invalid assignment "novalue"');
+        expect((await cli('get', '--unknown')).code).toBe(2);
+    });
+});
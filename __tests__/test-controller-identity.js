@@ -0,0 +1,157 @@
+/**
+ * Test controller identities shared across accessories.
+ */
+
+'use strict';
+
+const HttpClient = require('../lib/transport/ip/http-client').default;
+const IPAccessorySimulator = require('../lib/testing/ip-accessory-simulator').default;
+const ControllerIdentity = require('../lib/protocol/controller-identity').default;
+
+const PIN = '031-45-154';
+
+const accessories = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 1,
+                    type: '0000003E-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 2,
+                            type: '00000023-0000-1000-8000-0026BB765291',
+                            perms: ['pr'],
+                            format: 'string',
+                            value: 'Identity Test',
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+describe('ControllerIdentity', () => {
+    it('generates, exports and imports an identity', async () => {
+        const identity = await ControllerIdentity.generate('my-hub');
+        expect(identity.identifier).toBe('my-hub');
+        expect(identity.ltsk).toHaveLength(64);
+        expect(identity.publicKey).toEqual(identity.ltsk.subarray(32));
+
+        const imported = ControllerIdentity.fromData(identity.toData());
+        expect(imported.toData()).toEqual(identity.toData());
+        expect(imported.matches(identity.toData())).toBe(true);
+    });
+
+    it('rejects mismatching keys', async () => {
+        const identity = await ControllerIdentity.generate();
+        const other = await ControllerIdentity.generate();
+        expect(() => new ControllerIdentity(identity.pairingId, identity.ltsk, other.ltpk)).toThrow(
+            'Controller LTPK does not belong to the LTSK',
+        );
+    });
+
+    describe('with accessories', () => {
+        const simulators = [];
+        const addresses = [];
+
+        beforeAll(async () => {
+            for (let i = 0; i < 2; i++) {
+                const simulator = new IPAccessorySimulator({ accessories, pin: PIN });
+                addresses.push(await simulator.start());
+                simulators.push(simulator);
+            }
+        });
+
+        afterAll(async () => {
+            for (const simulator of simulators) {
+                await simulator.stop();
+            }
+        });
+
+        it('presents the same controller to all accessories', async () => {
+            const identity = await ControllerIdentity.generate();
+
+            const accessoryData = [];
+            for (let i = 0; i < 2; i++) {
+                const client = new HttpClient(simulators[i].deviceId, addresses[i].address, addresses[i].port, null, {
+                    identity,
+                });
+                await client.pairSetup(PIN);
+                const data = client.getLongTermData();
+                expect(identity.matches(data)).toBe(true);
+                accessoryData.push({ AccessoryPairingID: data.AccessoryPairingID, AccessoryLTPK: data.AccessoryLTPK });
+                await client.close();
+
+                expect(simulators[i].getPairings()).toEqual([
+                    { identifier: identity.identifier, publicKey: identity.publicKey, isAdmin: true },
+                ]);
+            }
+
+            // only the accessory part of the pairing data is needed together with the identity
+            const client = new HttpClient(
+                simulators[1].deviceId,
+                addresses[1].address,
+                addresses[1].port,
+                accessoryData[1],
+                { identity },
+            );
+            const res = await client.getCharacteristics(['1.2']);
+            expect(res.characteristics[0].value).toBe('Identity Test');
+            await client.close();
+
+            const other = await ControllerIdentity.generate();
+            expect(
+                () =>
+                    new HttpClient(
+                        simulators[1].deviceId,
+                        addresses[1].address,
+                        addresses[1].port,
+                        {
+                            ...accessoryData[1],
+                            ...identity.toData(),
+                        },
+                        { identity: other },
+                    ),
+            ).toThrow('Pairing data belongs to a different controller identity');
+        });
+
+        it('adds the identity to an accessory paired by another controller', async () => {
+            const identity = await ControllerIdentity.generate();
+            const simulator = new IPAccessorySimulator({ accessories, pin: PIN });
+            const address = await simulator.start();
+
+            try {
+                const admin = new HttpClient(simulator.deviceId, address.address, address.port);
+                await admin.pairSetup(PIN);
+                const accessoryData = admin.getLongTermData();
+
+                await admin.addPairing(identity.identifier, identity.publicKey, false);
+                expect(simulator.getPairings()).toContainEqual({
+                    identifier: identity.identifier,
+                    publicKey: identity.publicKey,
+                    isAdmin: false,
+                });
+                await admin.close();
+
+                const client = new HttpClient(
+                    simulator.deviceId,
+                    address.address,
+                    address.port,
+                    {
+                        AccessoryPairingID: accessoryData.AccessoryPairingID,
+                        AccessoryLTPK: accessoryData.AccessoryLTPK,
+                    },
+                    { identity },
+                );
+                const res = await client.getCharacteristics(['1.2']);
+                expect(res.characteristics[0].value).toBe('Identity Test');
+                await client.close();
+            } finally {
+                await simulator.stop();
+            }
+        });
+    });
+});
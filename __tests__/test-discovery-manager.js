@@ -0,0 +1,166 @@
+/**
+ * Test the combined IP/BLE discovery.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const net = require('net');
+const DiscoveryManager = require('../lib/controller/discovery-manager').default;
+
+/**
+ * Discovery source emitting the events given by the test.
+ */
+class FakeDiscovery extends EventEmitter {
+    start() {
+        this.started = true;
+    }
+
+    stop() {
+        this.started = false;
+    }
+}
+
+describe('DiscoveryManager', () => {
+    let server;
+    let port;
+    let ip;
+    let ble;
+    let manager;
+    let events;
+
+    const ipService = (data) => ({
+        name: 'Lamp',
+        id: 'AA:BB:CC:DD:EE:FF',
+        address: '127.0.0.2',
+        allAddresses: ['127.0.0.2', '127.0.0.1'],
+        port,
+        'c#': 1,
+        sf: 1,
+        ci: 5,
+        ...data,
+    });
+    const bleService = (data) => ({
+        name: 'Lamp',
+        DeviceID: 'aa:bb:cc:dd:ee:ff',
+        CN: 7,
+        SF: 1,
+        ACID: 5,
+        ...data,
+    });
+
+    beforeAll(async () => {
+        server = net.createServer((socket) => socket.destroy());
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        ip = new FakeDiscovery();
+        ble = new FakeDiscovery();
+        manager = new DiscoveryManager({ ip, ble, bleOfflineTimeout: 50, reachabilityTimeout: 500 });
+        events = [];
+        for (const event of [
+            'accessory-online',
+            'accessory-offline',
+            'config-changed',
+            'pairing-state-changed',
+            'address-changed',
+        ]) {
+            manager.on(event, (accessory, ...extra) => events.push([event, accessory.id, ...extra]));
+        }
+        manager.start();
+    });
+
+    afterEach(() => {
+        manager.stop();
+    });
+
+    it('merges transports and tracks changes', async () => {
+        expect(ip.started && ble.started).toBe(true);
+
+        ip.emit('serviceUp', ipService());
+        ble.emit('serviceUp', bleService());
+        await manager.flush();
+
+        const accessory = manager.get('aa:bb:cc:dd:ee:ff');
+        expect(accessory).toMatchObject({
+            id: 'AA:BB:CC:DD:EE:FF',
+            category: 5,
+            paired: false,
+            online: true,
+            address: '127.0.0.1',
+            port,
+            transports: ['ip', 'ble'],
+            configNumbers: { ip: 1, ble: 7 },
+        });
+        expect(events).toEqual([['accessory-online', 'AA:BB:CC:DD:EE:FF']]);
+
+        events = [];
+        ip.emit('serviceChanged', ipService({ 'c#': 2, sf: 0 }));
+        ble.emit('serviceChanged', bleService({ CN: 7, SF: 0 }));
+        await manager.flush();
+        expect(events).toEqual([
+            ['config-changed', 'AA:BB:CC:DD:EE:FF', 1, 'ip'],
+            ['pairing-state-changed', 'AA:BB:CC:DD:EE:FF'],
+        ]);
+        expect(accessory.paired).toBe(true);
+        expect(accessory.configNumbers).toEqual({ ip: 2, ble: 7 });
+
+        events = [];
+        ip.emit('serviceChanged', ipService({ 'c#': 2, sf: 0, address: '127.0.0.1', allAddresses: ['127.0.0.1'] }));
+        await manager.flush();
+        expect(events).toEqual([]);
+
+        const other = net.createServer();
+        await new Promise((resolve) => other.listen(0, '127.0.0.1', resolve));
+        const otherPort = other.address().port;
+        other.close();
+        ip.emit('serviceChanged', ipService({ 'c#': 2, sf: 0, port: otherPort }));
+        await manager.flush();
+        expect(events).toEqual([['address-changed', 'AA:BB:CC:DD:EE:FF']]);
+        expect(accessory.port).toBe(otherPort);
+    });
+
+    it('marks accessories offline when no transport sees them anymore', async () => {
+        ip.emit('serviceUp', ipService());
+        ble.emit('serviceUp', bleService());
+        await manager.flush();
+
+        ip.emit('serviceDown', ipService());
+        await manager.flush();
+        const accessory = manager.get('AA:BB:CC:DD:EE:FF');
+        expect(accessory.transports).toEqual(['ble']);
+        expect(accessory).not.toHaveProperty('ip');
+        expect(accessory).not.toHaveProperty('address');
+        expect(accessory).not.toHaveProperty('port');
+        expect(accessory.configNumbers).toEqual({ ip: 1, ble: 7 });
+        expect(events.map((e) => e[0])).toEqual(['accessory-online']);
+
+        ip.emit('serviceUp', ipService({ 'c#': 2, address: '127.0.0.1', allAddresses: ['127.0.0.1'] }));
+        await manager.flush();
+        expect(accessory).toMatchObject({ address: '127.0.0.1', port, transports: ['ble', 'ip'] });
+        expect(events.slice(1)).toEqual([
+            ['config-changed', 'AA:BB:CC:DD:EE:FF', 1, 'ip'],
+            ['address-changed', 'AA:BB:CC:DD:EE:FF'],
+        ]);
+        events = [];
+        ip.emit('serviceDown', ipService());
+        await manager.flush();
+
+        await new Promise((resolve) => setTimeout(resolve, 150));
+        await manager.flush();
+        expect(events.map((e) => e[0])).toEqual(['accessory-offline']);
+        expect(accessory.online).toBe(false);
+        expect(accessory).not.toHaveProperty('ble');
+        expect(manager.list()).toHaveLength(1);
+
+        ble.emit('serviceUp', bleService());
+        await manager.flush();
+        expect(events.map((e) => e[0])).toEqual(['accessory-offline', 'accessory-online']);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Test binary encoding of characteristic values.
+ */
+
+'use strict';
+
+const BigNumber = require('bignumber.js');
+const { decodeNumber, decodeValue, encodeValue, toJsonValue } = require('../lib/model/format-codec');
+
+const hex = (str) => Buffer.from(str.replace(/ /g, ''), 'hex');
+
+describe('Format codec', () => {
+    it.each([
+        ['bool', true, '01'],
+        ['bool', false, '00'],
+        ['uint8', 0xab, 'ab'],
+        ['uint16', 0x1234, '34 12'],
+        ['uint32', 0xfffffffe, 'fe ff ff ff'],
+        ['uint64', 0x100000001, '01 00 00 00 01 00 00 00'],
+        ['int', -2, 'fe ff ff ff'],
+        ['float', 21.5, '00 00 ac 41'],
+        ['string', 'Hallo ä', '48 61 6c 6c 6f 20 c3 a4'],
+        ['data', 'AQID', '01 02 03'],
+        ['tlv8', 'AQEA', '01 01 00'],
+    ])('round trips %s %p', (format, value, bytes) => {
+        expect(encodeValue(value, format)).toEqual(hex(bytes));
+        expect(decodeValue(hex(bytes), format)).toEqual(value);
+    });
+
+    it('keeps uint64 values beyond Number.MAX_SAFE_INTEGER', () => {
+        const max = hex('ff ff ff ff ff ff ff ff');
+        expect(decodeValue(max, 'uint64')).toEqual(new BigNumber('18446744073709551615'));
+        expect(encodeValue(new BigNumber('18446744073709551615'), 'uint64')).toEqual(max);
+        expect(encodeValue(BigInt('18446744073709551615'), 'uint64')).toEqual(max);
+        expect(encodeValue('9007199254740993', 'uint64')).toEqual(hex('01 00 00 00 00 00 20 00'));
+        expect(toJsonValue(BigInt('9007199254740993'))).toEqual(new BigNumber('9007199254740993'));
+    });
+
+    it('decodes short signed values and descriptors', () => {
+        expect(decodeValue(hex('ff'), 'int')).toBe(-1);
+        expect(decodeValue(hex('00 80'), 'int')).toBe(-32768);
+        expect(decodeNumber(hex('00 00 00 00 01 00 00 00'), 'uint64')).toBe(0x100000000);
+    });
+
+    it.each([
+        ['uint8', 256],
+        ['uint8', -1],
+        ['uint16', 1.5],
+        ['uint64', new BigNumber('18446744073709551616')],
+        ['int', 0x80000000],
+        ['float', 1e39],
+        ['float', NaN],
+        ['bool', 'yes'],
+        ['string', 5],
+        ['data', 'not base64!'],
+    ])('rejects %s %p', (format, value) => {
+        expect(() => encodeValue(value, format)).toThrow(`as ${format}`);
+    });
+
+    it('rejects too short buffers', () => {
+        expect(() => decodeValue(hex('01 02'), 'uint32')).toThrow('Can not decode 2 bytes as uint32');
+    });
+});
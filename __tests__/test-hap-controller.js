@@ -0,0 +1,118 @@
+/**
+ * Test the transport independent controller.
+ */
+
+'use strict';
+
+const e2p = require('event-to-promise');
+const { createController, IPController } = require('../lib/controller/hap-controller');
+const IPAccessorySimulator = require('../lib/testing/ip-accessory-simulator').default;
+
+const PIN = '031-45-154';
+
+const database = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 1,
+                    type: '0000003E-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 2,
+                            type: '00000023-0000-1000-8000-0026BB765291',
+                            perms: ['pr'],
+                            format: 'string',
+                            value: 'Outlet',
+                        },
+                    ],
+                },
+                {
+                    iid: 10,
+                    type: '00000047-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 11,
+                            type: '00000025-0000-1000-8000-0026BB765291',
+                            perms: ['pr', 'pw', 'ev'],
+                            format: 'bool',
+                            value: false,
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+describe('HapController', () => {
+    let simulator;
+    let service;
+    let controller;
+
+    beforeAll(async () => {
+        simulator = new IPAccessorySimulator({ accessories: database, pin: PIN });
+        const { address, port } = await simulator.start();
+
+        service = { id: simulator.deviceId, address, port, name: 'Outlet' };
+        controller = createController(service);
+        await controller.pairSetup(PIN);
+    });
+
+    afterAll(async () => {
+        await controller.close();
+        await simulator.stop();
+    });
+
+    it('creates an IP controller for IP services', () => {
+        expect(controller).toBeInstanceOf(IPController);
+        expect(controller.transport).toBe('ip');
+        expect(controller.deviceId).toBe(simulator.deviceId);
+    });
+
+    it('reads and writes characteristics by id', async () => {
+        expect(await controller.getCharacteristics(['1.2', '1.11'])).toEqual([
+            { id: '1.2', aid: 1, iid: 2, value: 'Outlet' },
+            { id: '1.11', aid: 1, iid: 11, value: false },
+        ]);
+
+        await controller.setCharacteristics({ 1.11: true });
+        expect(simulator.getValue(1, 11)).toBe(true);
+
+        await expect(controller.setCharacteristics({ 1.2: 'Lamp' })).rejects.toThrow('Set failed for 1.2 (-70404)');
+    });
+
+    it('emits the written values after validation', async () => {
+        const validating = createController(service, controller.getLongTermData(), {
+            ip: { validateWrites: true },
+        });
+        await validating.getAccessoryDatabase();
+
+        const write = e2p(validating, 'write');
+        await validating.setCharacteristics({ 1.11: 1 });
+        expect(await write).toEqual({ characteristics: [{ id: '1.11', aid: 1, iid: 11, value: true }] });
+        expect((await validating.getAccessoryDatabase()).getCharacteristicById('1.11').value).toBe(true);
+
+        await validating.close();
+    });
+
+    it('caches the accessory database', async () => {
+        const db = await controller.getAccessoryDatabase();
+        const on = db.getAccessory(1).getCharacteristic('public.hap.service.outlet', 'public.hap.characteristic.on');
+        expect(on.value).toBe(true);
+    });
+
+    it('emits normalized events', async () => {
+        await controller.subscribeCharacteristics(['1.11']);
+        expect(controller.getSubscribedCharacteristics()).toEqual(['1.11']);
+
+        const event = e2p(controller, 'event');
+        simulator.setValue(1, 11, false);
+        expect(await event).toEqual({ characteristics: [{ id: '1.11', aid: 1, iid: 11, value: false }] });
+        expect((await controller.getAccessoryDatabase()).getCharacteristicById('1.11').value).toBe(false);
+
+        await controller.unsubscribeCharacteristics(['1.11']);
+        expect(controller.getSubscribedCharacteristics()).toEqual([]);
+    });
+});
@@ -0,0 +1,470 @@
+/**
+ * Test HTTP client against the IP accessory simulator.
+ */
+
+'use strict';
+
+const net = require('net');
+const e2p = require('event-to-promise');
+const HttpClient = require('../lib/transport/ip/http-client').default;
+const IPAccessorySimulator = require('../lib/testing/ip-accessory-simulator').default;
+const PairingManagement = require('../lib/protocol/pairing-management');
+const {
+    default: HomekitControllerError,
+    PairingError,
+    PairingAuthenticationError,
+    PairingBackoffError,
+    PairingBusyError,
+    PairingUnavailableError,
+    OperationAbortedError,
+    OperationTimeoutError,
+} = require('../lib/model/error');
+
+const PIN = '031-45-154';
+
+const database = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 1,
+                    type: '0000003E-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        { iid: 2, type: '00000014-0000-1000-8000-0026BB765291', perms: ['pw'], format: 'bool' },
+                        {
+                            iid: 3,
+                            type: '00000023-0000-1000-8000-0026BB765291',
+                            perms: ['pr'],
+                            format: 'string',
+                            value: 'Simulated Light',
+                        },
+                    ],
+                },
+                {
+                    iid: 10,
+                    type: '00000043-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 11,
+                            type: '00000025-0000-1000-8000-0026BB765291',
+                            perms: ['pr', 'pw', 'ev'],
+                            format: 'bool',
+                            value: false,
+                        },
+                        {
+                            iid: 12,
+                            type: '00000008-0000-1000-8000-0026BB765291',
+                            perms: ['pr', 'pw', 'ev'],
+                            format: 'int',
+                            unit: 'percentage',
+                            minValue: 0,
+                            maxValue: 100,
+                            minStep: 1,
+                            value: 50,
+                        },
+                    ],
+                },
+                {
+                    iid: 30,
+                    type: '00000045-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 31,
+                            type: '0000001E-0000-1000-8000-0026BB765291',
+                            perms: ['pr', 'pw', 'ev', 'tw'],
+                            format: 'uint8',
+                            minValue: 0,
+                            maxValue: 1,
+                            value: 1,
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+/**
+ * Wait for an event with a timeout.
+ *
+ * @param {EventEmitter} emitter - Emitter to listen on
+ * @param {string} event - Event name
+ * @returns {Promise} Promise which resolves to the event data
+ */
+function waitFor(emitter, event) {
+    let timer;
+    return Promise.race([
+        e2p(emitter, event),
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timeout waiting for ${event}`)), 5000);
+        }),
+    ]).finally(() => clearTimeout(timer));
+}
+
+describe('HttpClient', () => {
+    let simulator;
+    let address;
+    let pairingData;
+    const clients = [];
+
+    const createClient = (options) => {
+        const client = new HttpClient(simulator.deviceId, address.address, address.port, pairingData, options);
+        clients.push(client);
+        return client;
+    };
+
+    beforeAll(async () => {
+        simulator = new IPAccessorySimulator({ accessories: database, pin: PIN });
+        address = await simulator.start();
+    });
+
+    afterEach(async () => {
+        for (const client of clients.splice(0)) {
+            await client.close();
+        }
+    });
+
+    afterAll(async () => {
+        await simulator.stop();
+    });
+
+    it('identifies an unpaired accessory', async () => {
+        const identified = waitFor(simulator, 'identify');
+        await createClient().identify();
+        await identified;
+    });
+
+    it('pairs with the accessory', async () => {
+        const client = createClient();
+        await client.pairSetup(PIN);
+        pairingData = client.getLongTermData();
+
+        expect(pairingData.AccessoryPairingID).toBe(Buffer.from(simulator.deviceId).toString('hex'));
+        expect(simulator.getPairings()).toHaveLength(1);
+        await expect(createClient().identify()).rejects.toThrow('Identify failed with status 400');
+    });
+
+    it('throws typed pairing errors', async () => {
+        const err = await createClient()
+            .pairSetup(PIN)
+            .catch((e) => e);
+        expect(err).toBeInstanceOf(PairingUnavailableError);
+        expect(err).toBeInstanceOf(PairingError);
+        expect(err.message).toBe('M2: Error: 6');
+        expect(err.errorCode).toBe(6);
+    });
+
+    it('reads the accessory database', async () => {
+        const accessories = await createClient().getAccessories();
+        expect(accessories.accessories[0].services).toHaveLength(3);
+    });
+
+    it('reads and writes characteristics', async () => {
+        const client = createClient({ usePersistentConnections: true });
+
+        let res = await client.getCharacteristics(['1.3', '1.12'], { meta: true });
+        expect(res.characteristics).toEqual([
+            { aid: 1, iid: 3, value: 'Simulated Light', format: 'string' },
+            { aid: 1, iid: 12, value: 50, format: 'int', unit: 'percentage', minValue: 0, maxValue: 100, minStep: 1 },
+        ]);
+
+        const written = waitFor(simulator, 'write');
+        await client.setCharacteristics({ 1.11: true });
+        expect(await written).toEqual({ aid: 1, iid: 11, value: true });
+        expect(simulator.getValue(1, 11)).toBe(true);
+
+        res = await client.getCharacteristics(['1.11']);
+        expect(res.characteristics[0].value).toBe(true);
+    });
+
+    it('reports per-characteristic errors', async () => {
+        const client = createClient();
+        const res = await client.setCharacteristics({ 1.3: 'x', 1.12: 10 });
+        expect(res.characteristics).toEqual([
+            { aid: 1, iid: 3, status: -70404 },
+            { aid: 1, iid: 12, status: 0 },
+        ]);
+    });
+
+    it('returns structured write results', async () => {
+        const client = createClient();
+        const results = await client.writeCharacteristics({ 1.12: 30, 1.3: 'x' }, { writeResponse: true });
+        expect(results).toEqual([
+            {
+                id: '1.12',
+                aid: expect.anything(),
+                iid: expect.anything(),
+                status: 0,
+                success: true,
+                writtenValue: 30,
+                value: 30,
+            },
+            {
+                id: '1.3',
+                aid: expect.anything(),
+                iid: expect.anything(),
+                status: -70404,
+                success: false,
+                writtenValue: 'x',
+                message: 'Cannot write to read only characteristic.',
+            },
+        ]);
+    });
+
+    it('uses timed writes', async () => {
+        const client = createClient({ usePersistentConnections: true });
+
+        let results = await client.writeCharacteristics({ 1.31: 0 });
+        expect(results[0].status).toBe(-70410);
+        expect(simulator.getValue(1, 31)).toBe(1);
+
+        results = await client.writeCharacteristics({ 1.31: 0 }, { timedWrite: true, ttl: 2000 });
+        expect(results[0].success).toBe(true);
+        expect(simulator.getValue(1, 31)).toBe(0);
+
+        await client.setCharacteristics({ 1.31: 1 }, { timedWrite: true });
+        expect(simulator.getValue(1, 31)).toBe(1);
+    });
+
+    it('validates writes against the metadata', async () => {
+        const client = createClient({ validateWrites: { outOfRange: 'clamp' } });
+        await client.getAccessories();
+
+        await expect(client.setCharacteristics({ 1.11: 'on' })).rejects.toThrow(
+            'Invalid value for public.hap.characteristic.on (1.11): on is not a boolean',
+        );
+        await client.setCharacteristics({ 1.12: 120.4 });
+        expect(simulator.getValue(1, 12)).toBe(100);
+    });
+
+    it('receives events', async () => {
+        const client = createClient();
+        await client.subscribeCharacteristics(['1.12']);
+
+        const event = waitFor(client, 'event');
+        simulator.setValue(1, 12, 75);
+        expect((await event).characteristics).toEqual([{ aid: 1, iid: 12, value: 75 }]);
+    });
+
+    it('resumes the previous session', async () => {
+        const client = createClient({ usePairResume: true });
+        let verified = waitFor(client, 'pair-verify');
+        await client.getCharacteristics(['1.3']);
+        expect(await verified).toEqual({ resumed: false });
+
+        verified = waitFor(client, 'pair-verify');
+        await client.getCharacteristics(['1.3']);
+        expect(await verified).toEqual({ resumed: true });
+    });
+
+    it('only uses Pair Resume when enabled', async () => {
+        const client = createClient();
+        const verified = [];
+        client.on('pair-verify', (event) => verified.push(event));
+        await client.getCharacteristics(['1.3']);
+        await client.getCharacteristics(['1.3']);
+        expect(verified).toEqual([{ resumed: false }, { resumed: false }]);
+    });
+
+    it('falls back to Pair-Verify when the accessory does not resume the session', async () => {
+        const noResume = new IPAccessorySimulator({ accessories: database, pin: PIN, supportsPairResume: false });
+        const { address: host, port } = await noResume.start();
+        try {
+            const client = new HttpClient(noResume.deviceId, host, port, null, { usePairResume: true });
+            clients.push(client);
+            await client.pairSetup(PIN);
+
+            const verified = [];
+            client.on('pair-verify', (event) => verified.push(event));
+            await client.getCharacteristics(['1.3']);
+            const res = await client.getCharacteristics(['1.3']);
+            expect(res.characteristics[0].value).toBe('Simulated Light');
+            expect(verified).toEqual([{ resumed: false }, { resumed: false }]);
+        } finally {
+            await noResume.stop();
+        }
+    });
+
+    it('reports the retry delay of pairing errors', async () => {
+        simulator.rejectPairing('pair-verify', 3, 30);
+        const err = await createClient()
+            .getCharacteristics(['1.3'])
+            .catch((e) => e);
+        expect(err).toBeInstanceOf(PairingBackoffError);
+        expect(err.message).toBe('M2: Error: 3, retry in 30s');
+        expect(err.retryDelay).toBe(30);
+
+        // longer than maxDelay, so it is not waited out
+        simulator.rejectPairing('pair-verify', 3, 30);
+        const client = createClient({ pairVerifyRetry: { maxDelay: 1000 } });
+        await expect(client.getCharacteristics(['1.3'])).rejects.toThrow(PairingBackoffError);
+    });
+
+    it('retries Pair-Verify after Busy and Backoff errors', async () => {
+        const client = createClient({ pairVerifyRetry: { defaultDelay: 10 } });
+        const retries = [];
+        client.on('pair-verify-retry', (info) => retries.push(info));
+
+        simulator.rejectPairing('pair-verify', 7);
+        simulator.rejectPairing('pair-verify', 3, 0);
+        const res = await client.getCharacteristics(['1.3']);
+        expect(res.characteristics[0].value).toBe('Simulated Light');
+
+        expect(retries.map((r) => [r.attempt, r.delay])).toEqual([
+            [2, 10],
+            [3, 0],
+        ]);
+        expect(retries[0].error).toBeInstanceOf(PairingBusyError);
+        expect(retries[1].error).toBeInstanceOf(PairingBackoffError);
+    });
+
+    it('stops waiting for the Pair-Verify retry when the operation times out', async () => {
+        const client = createClient({ pairVerifyRetry: { defaultDelay: 10000 } });
+        const retry = waitFor(client, 'pair-verify-retry');
+
+        simulator.rejectPairing('pair-verify', 7);
+        const err = await client.getCharacteristics(['1.3'], { timeout: 100 }).catch((e) => e);
+        expect(err).toBeInstanceOf(OperationTimeoutError);
+        expect(await retry).toMatchObject({ attempt: 2, delay: 10000 });
+
+        // the pairing queue is not blocked by the aborted retry delay
+        const start = Date.now();
+        const res = await client.getCharacteristics(['1.3']);
+        expect(res.characteristics[0].value).toBe('Simulated Light');
+        expect(Date.now() - start).toBeLessThan(2000);
+    });
+
+    it('never retries a failed authentication', async () => {
+        const client = createClient({ pairVerifyRetry: { defaultDelay: 10 } });
+        const retries = [];
+        client.on('pair-verify-retry', (info) => retries.push(info));
+
+        simulator.rejectPairing('pair-verify', 2);
+        await expect(client.getCharacteristics(['1.3'])).rejects.toThrow(PairingAuthenticationError);
+        expect(retries).toHaveLength(0);
+    });
+
+    it('resubscribes after the connection dropped', async () => {
+        const client = createClient({ autoResubscribe: { initialDelay: 10 } });
+        await client.subscribeCharacteristics(['1.11']);
+
+        const resubscribed = waitFor(client, 'resubscribed');
+        simulator.disconnectAll();
+        expect(await resubscribed).toEqual({ characteristics: ['1.11'], attempts: 1 });
+
+        const event = waitFor(client, 'event');
+        simulator.setValue(1, 11, false);
+        expect((await event).characteristics).toEqual([{ aid: 1, iid: 11, value: false }]);
+    });
+
+    it('gives up resubscribing after maxAttempts', async () => {
+        let reachable = true;
+        const client = createClient({
+            autoResubscribe: { initialDelay: 10, maxAttempts: 2 },
+            connectionFactory: async (host, port) => {
+                if (!reachable) {
+                    throw new Error('Accessory unreachable');
+                }
+                const socket = net.createConnection(port, host);
+                await e2p(socket, 'connect');
+                return socket;
+            },
+        });
+        await client.subscribeCharacteristics(['1.11']);
+
+        const attempts = [];
+        client.on('reconnecting', ({ attempt }) => attempts.push(attempt));
+        const gaveUp = waitFor(client, 'gave-up');
+        const disconnected = waitFor(client, 'event-disconnect');
+        reachable = false;
+        simulator.disconnectAll();
+
+        expect(await gaveUp).toEqual({ characteristics: ['1.11'], attempts: 2 });
+        expect(await disconnected).toEqual(['1.11']);
+        expect(attempts).toEqual([1, 2]);
+        expect(client.getSubscribedCharacteristics()).toEqual([]);
+    });
+
+    it('reads the current values after resubscribing with catchUp', async () => {
+        const client = createClient({ autoResubscribe: { initialDelay: 10, catchUp: true } });
+        await client.subscribeCharacteristics(['1.11']);
+
+        const resubscribed = waitFor(client, 'resubscribed');
+        simulator.disconnectAll();
+        // changed while the connection is down, so no event is sent for it
+        const value = !simulator.getValue(1, 11);
+        simulator.setValue(1, 11, value);
+        await resubscribed;
+
+        const event = waitFor(client, 'event');
+        expect((await event).characteristics).toEqual([{ aid: 1, iid: 11, value }]);
+    });
+
+    it('times out and aborts operations', async () => {
+        const client = createClient({ usePersistentConnections: true });
+        await client.getCharacteristics(['1.3']);
+
+        simulator.delayResponses(300);
+        const err = await client.getCharacteristics(['1.3'], { timeout: 50 }).catch((e) => e);
+        expect(err).toBeInstanceOf(OperationTimeoutError);
+        expect(err.timeout).toBe(50);
+
+        const controller = new AbortController();
+        const pending = client.getCharacteristics(['1.3'], { signal: controller.signal });
+        controller.abort('changed my mind');
+        const aborted = await pending.catch((e) => e);
+        expect(aborted).toBeInstanceOf(OperationAbortedError);
+        expect(aborted.reason).toBe('changed my mind');
+
+        // the session ended with the aborted request, the next operation verifies a new one
+        simulator.delayResponses(0);
+        const res = await client.getCharacteristics(['1.3']);
+        expect(res.characteristics[0].value).toBe('Simulated Light');
+    });
+
+    it('manages pairings', async () => {
+        const client = createClient();
+        const ownId = Buffer.from(pairingData.iOSDevicePairingID, 'hex').toString();
+
+        expect(await client.getPairings()).toEqual([
+            { identifier: ownId, publicKey: Buffer.from(pairingData.iOSDeviceLTPK, 'hex'), isAdmin: true },
+        ]);
+
+        await client.addPairing('11111111-2222-3333-4444-555555555555', Buffer.alloc(32, 1), false);
+        await client.addPairing('66666666-7777-8888-9999-000000000000', Buffer.alloc(32, 2), false);
+        expect((await client.getPairings()).map((p) => [p.identifier, p.isAdmin])).toEqual([
+            [ownId, true],
+            ['11111111-2222-3333-4444-555555555555', false],
+            ['66666666-7777-8888-9999-000000000000', false],
+        ]);
+
+        const unpaired = waitFor(simulator, 'unpaired');
+        await client.removePairing(Buffer.from('11111111-2222-3333-4444-555555555555'));
+        expect((await unpaired).identifier).toBe('11111111-2222-3333-4444-555555555555');
+
+        const removed = await PairingManagement.removeNonAdminPairings(client);
+        expect(removed.map((p) => p.identifier)).toEqual(['66666666-7777-8888-9999-000000000000']);
+        expect(simulator.getPairings()).toHaveLength(1);
+    });
+
+    it('transfers admin permissions', async () => {
+        const client = createClient();
+        expect(await PairingManagement.isAdmin(client)).toBe(true);
+
+        await client.addPairing('11111111-2222-3333-4444-555555555555', Buffer.alloc(32, 1), false);
+        await PairingManagement.transferAdmin(client, '11111111-2222-3333-4444-555555555555');
+
+        expect(simulator.getPairings().map((p) => p.isAdmin)).toEqual([false, true]);
+        expect(await PairingManagement.isAdmin(client)).toBe(false);
+        await expect(client.getPairings()).rejects.toThrow('M2: Error: 2');
+    });
+
+    it('only treats authentication errors as missing admin permissions', async () => {
+        const client = {
+            getLongTermData: () => pairingData,
+            listPairings: () => Promise.reject(new HomekitControllerError('List failed with status 2', 2)),
+        };
+        await expect(PairingManagement.isAdmin(client)).rejects.toThrow('List failed with status 2');
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Test custom streams and timeouts of HTTP connections.
+ */
+
+'use strict';
+
+const net = require('net');
+const { Duplex } = require('stream');
+const HttpClient = require('../lib/transport/ip/http-client').default;
+const HttpConnection = require('../lib/transport/ip/http-connection').default;
+const IPAccessorySimulator = require('../lib/testing/ip-accessory-simulator').default;
+const { ConnectionTimeoutError } = require('../lib/model/error');
+
+const PIN = '031-45-154';
+
+const accessories = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 10,
+                    type: '00000043-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 11,
+                            type: '00000008-0000-1000-8000-0026BB765291',
+                            perms: ['pr', 'pw', 'ev'],
+                            format: 'int',
+                            value: 50,
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+/**
+ * Plain duplex stream forwarding to a TCP socket, so the connection does not see a net.Socket.
+ */
+class ForwardingStream extends Duplex {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.bytes = 0;
+        socket.on('data', (data) => this.push(data));
+        socket.on('end', () => this.push(null));
+        socket.on('close', () => this.destroy());
+    }
+
+    _write(chunk, encoding, callback) {
+        this.bytes += chunk.length;
+        this.socket.write(chunk, callback);
+    }
+
+    _read() {
+        // data is pushed when it arrives
+    }
+
+    _final(callback) {
+        this.socket.end(callback);
+    }
+
+    _destroy(err, callback) {
+        this.socket.destroy();
+        callback(err);
+    }
+}
+
+/**
+ * Duplex stream which accepts requests but never responds.
+ */
+class SilentStream extends Duplex {
+    _write(chunk, encoding, callback) {
+        callback();
+    }
+
+    _read() {
+        // never any data
+    }
+}
+
+/**
+ * Silent stream which records the request lines written to it.
+ */
+class RecordingStream extends SilentStream {
+    constructor() {
+        super();
+        this.requests = [];
+    }
+
+    _write(chunk, encoding, callback) {
+        this.requests.push(chunk.toString().split('\r\n')[0]);
+        callback();
+    }
+}
+
+describe('HttpConnection', () => {
+    let simulator;
+    let address;
+
+    beforeAll(async () => {
+        simulator = new IPAccessorySimulator({ accessories, pin: PIN });
+        address = await simulator.start();
+    });
+
+    afterAll(async () => {
+        await simulator.stop();
+    });
+
+    it('runs pairing, requests and events over a custom stream', async () => {
+        const streams = [];
+        const client = new HttpClient(simulator.deviceId, 'accessory.invalid', 1234, null, {
+            connectionFactory: async (host, port) => {
+                expect([host, port]).toEqual(['accessory.invalid', 1234]);
+                const socket = net.createConnection(address.port, address.address);
+                await new Promise((resolve) => socket.once('connect', resolve));
+                const stream = new ForwardingStream(socket);
+                streams.push(stream);
+                return stream;
+            },
+        });
+
+        await client.pairSetup(PIN);
+        const res = await client.getCharacteristics(['1.11']);
+        expect(res.characteristics[0].value).toBe(50);
+
+        const events = [];
+        client.on('event', (event) => events.push(event));
+        await client.subscribeCharacteristics(['1.11']);
+        simulator.setValue(1, 11, 60);
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        expect(events[0].characteristics[0].value).toBe(60);
+
+        await client.unsubscribeCharacteristics();
+        await client.close();
+        expect(streams.length).toBeGreaterThan(1);
+        expect(streams.every((stream) => stream.bytes > 0)).toBe(true);
+    });
+
+    it('times out connecting', async () => {
+        const connection = new HttpConnection('127.0.0.1', 1, {
+            connectionFactory: () => new Promise(() => {}),
+            connectTimeout: 100,
+        });
+        await expect(connection.get('/accessories')).rejects.toThrow(ConnectionTimeoutError);
+    });
+
+    it('closes the connection when the device does not respond', async () => {
+        const connection = new HttpConnection('127.0.0.1', 1, {
+            connectionFactory: () => new SilentStream(),
+            idleTimeout: 100,
+        });
+        const disconnected = new Promise((resolve) => connection.once('disconnect', resolve));
+
+        await expect(connection.get('/accessories')).rejects.toThrow('No response from 127.0.0.1:1 within 100ms');
+        await disconnected;
+        expect(connection.isConnected()).toBe(false);
+
+        // the queue is not stalled, the next request opens a new stream
+        await expect(connection.get('/accessories')).rejects.toThrow(ConnectionTimeoutError);
+    });
+
+    it('fails requests when the connection closes', async () => {
+        const connection = new HttpConnection('127.0.0.1', 1, {
+            connectionFactory: () => {
+                const stream = new SilentStream();
+                setTimeout(() => stream.destroy(), 50);
+                return stream;
+            },
+        });
+        await expect(connection.get('/accessories')).rejects.toThrow('closed before a response was received');
+    });
+
+    it('removes aborted requests from the queue', async () => {
+        const streams = [];
+        const connection = new HttpConnection('127.0.0.1', 1, {
+            connectionFactory: () => {
+                const stream = new RecordingStream();
+                streams.push(stream);
+                return stream;
+            },
+        });
+
+        const running = new AbortController();
+        const queued = new AbortController();
+        const first = connection.get('/accessories', running.signal);
+        const second = connection.get('/characteristics?id=1.11', queued.signal);
+        queued.abort('changed my mind');
+        await expect(second).rejects.toBe('changed my mind');
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        running.abort(new Error('stop'));
+        await expect(first).rejects.toThrow('stop');
+
+        // the request was sent, so the stream is closed
+        expect(connection.isConnected()).toBe(false);
+        expect(streams).toHaveLength(1);
+        expect(streams[0].destroyed).toBe(true);
+        expect(streams[0].requests).toEqual(['GET /accessories HTTP/1.1']);
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Test pairing stores.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HttpClient = require('../lib/transport/ip/http-client').default;
+const IPAccessorySimulator = require('../lib/testing/ip-accessory-simulator').default;
+const { FilePairingStore, MemoryPairingStore } = require('../lib/storage/pairing-store');
+
+const PIN = '031-45-154';
+
+const pairingData = {
+    AccessoryPairingID: '41413a42423a4343',
+    AccessoryLTPK: '00'.repeat(32),
+    iOSDevicePairingID: '6964',
+    iOSDeviceLTSK: '11'.repeat(64),
+    iOSDeviceLTPK: '22'.repeat(32),
+};
+
+/**
+ * Write an encrypted pairing store file with the given scrypt parameters.
+ *
+ * @param {string} file - Path of the file
+ * @param {string} passphrase - Passphrase
+ * @param {Object} pairings - Pairings to store
+ * @param {Object} params - scrypt parameters
+ */
+function writeStoreFile(file, passphrase, pairings, params) {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: 256 * params.N * params.r });
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(pairings), 'utf-8'), cipher.final()]);
+    const content = {
+        schemaVersion: 1,
+        kdf: { name: 'scrypt', salt: salt.toString('base64'), ...params },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+    fs.writeFileSync(file, JSON.stringify(content));
+}
+
+describe('MemoryPairingStore', () => {
+    it('stores, lists and deletes pairings', async () => {
+        const store = new MemoryPairingStore();
+        expect(await store.get('AA:BB:CC')).toBeNull();
+
+        await store.set('aa:bb:cc', pairingData);
+        expect(await store.get('AA:BB:CC')).toEqual(pairingData);
+        expect(await store.list()).toEqual(['AA:BB:CC']);
+
+        await store.delete('AA:BB:CC');
+        expect(await store.list()).toEqual([]);
+    });
+});
+
+describe('FilePairingStore', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hap-controller-'));
+        file = path.join(dir, 'pairings.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('encrypts the pairings at rest', async () => {
+        await new FilePairingStore({ path: file, passphrase: 'secret' }).set('AA:BB:CC', pairingData);
+
+        const content = fs.readFileSync(file, 'utf-8');
+        expect(content).not.toContain(pairingData.iOSDeviceLTSK);
+        expect(JSON.parse(content)).toMatchObject({ schemaVersion: 1, cipher: 'aes-256-gcm', kdf: { name: 'scrypt' } });
+        expect(fs.readdirSync(dir)).toEqual(['pairings.json']);
+
+        const store = new FilePairingStore({ path: file, passphrase: 'secret' });
+        expect(await store.list()).toEqual(['AA:BB:CC']);
+        expect(await store.get('aa:bb:cc')).toEqual(pairingData);
+
+        await store.delete('AA:BB:CC');
+        expect(await new FilePairingStore({ path: file, passphrase: 'secret' }).list()).toEqual([]);
+    });
+
+    it('serializes concurrent writes', async () => {
+        const store = new FilePairingStore({ path: file, passphrase: 'secret' });
+        await Promise.all([store.set('A', pairingData), store.set('B', pairingData), store.set('C', pairingData)]);
+        expect(await new FilePairingStore({ path: file, passphrase: 'secret' }).list()).toEqual(['A', 'B', 'C']);
+    });
+
+    it('rejects a wrong passphrase', async () => {
+        await new FilePairingStore({ path: file, passphrase: 'secret' }).set('AA:BB:CC', pairingData);
+        await expect(new FilePairingStore({ path: file, passphrase: 'wrong' }).list()).rejects.toThrow(
+            'wrong passphrase',
+        );
+    });
+
+    it('keeps files with other scrypt parameters readable', async () => {
+        writeStoreFile(file, 'secret', { A: pairingData }, { N: 1024, r: 4, p: 2 });
+
+        const store = new FilePairingStore({ path: file, passphrase: 'secret' });
+        await store.set('B', pairingData);
+        expect(JSON.parse(fs.readFileSync(file, 'utf-8')).kdf).toMatchObject({ N: 1024, r: 4, p: 2 });
+
+        const reloaded = new FilePairingStore({ path: file, passphrase: 'secret' });
+        expect(await reloaded.list()).toEqual(['A', 'B']);
+        expect(await reloaded.get('B')).toEqual(pairingData);
+    });
+
+    it('rejects excessive scrypt parameters', async () => {
+        await new FilePairingStore({ path: file, passphrase: 'secret' }).set('AA:BB:CC', pairingData);
+        const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        content.kdf.N = 2 ** 30;
+        fs.writeFileSync(file, JSON.stringify(content));
+        await expect(new FilePairingStore({ path: file, passphrase: 'secret' }).list()).rejects.toThrow(
+            'unsupported kdf parameters',
+        );
+    });
+
+    it('rejects unknown schema versions', async () => {
+        await new FilePairingStore({ path: file, passphrase: 'secret' }).set('AA:BB:CC', pairingData);
+        const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        content.schemaVersion = 2;
+        fs.writeFileSync(file, JSON.stringify(content));
+        await expect(new FilePairingStore({ path: file, passphrase: 'secret' }).list()).rejects.toThrow(
+            'unsupported schema version 2',
+        );
+    });
+});
+
+describe('HttpClient with pairing store', () => {
+    let simulator;
+    let address;
+
+    beforeAll(async () => {
+        simulator = new IPAccessorySimulator({
+            accessories: { accessories: [{ aid: 1, services: [] }] },
+            pin: PIN,
+        });
+        address = await simulator.start();
+    });
+
+    afterAll(async () => {
+        await simulator.stop();
+    });
+
+    it('saves after pairing and deletes after removing the own pairing', async () => {
+        const store = new MemoryPairingStore();
+        const client = new HttpClient(simulator.deviceId, address.address, address.port, null, {
+            pairingStore: store,
+        });
+
+        await client.pairSetup(PIN);
+        expect(await store.get(simulator.deviceId)).toEqual(client.getLongTermData());
+
+        await client.removePairing(client.getLongTermData().iOSDevicePairingID);
+        expect(await store.list()).toEqual([]);
+        expect(simulator.getPairings()).toHaveLength(0);
+        await client.close();
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Test setup payloads and setup hashes.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const {
+    SetupPayloadFlags,
+    buildSetupUri,
+    computeSetupHash,
+    findAccessoriesForSetupPayload,
+    parseSetupUri,
+} = require('../lib/protocol/setup-payload');
+
+// Lightbulb (category 5), IP, setup code 031-45-154, setup ID 1A2B
+const uri = 'X-HM://00522H1VM1A2B';
+
+describe('Setup payload', () => {
+    it('parses and builds setup URIs', () => {
+        const payload = parseSetupUri(uri);
+        expect(payload).toEqual({
+            setupCode: '031-45-154',
+            category: 5,
+            flags: SetupPayloadFlags.SupportsIP,
+            version: 0,
+            setupId: '1A2B',
+        });
+        expect(buildSetupUri(payload)).toBe(uri);
+        expect(parseSetupUri('x-hm://00522h1vm1a2b')).toEqual(payload);
+    });
+
+    it('rejects invalid URIs', () => {
+        expect(() => parseSetupUri('X-HM://00522H1VM')).toThrow('Invalid setup URI');
+        expect(() => parseSetupUri('http://00522H1VM1A2B')).toThrow('Invalid setup URI');
+    });
+
+    it('finds the accessory by setup hash', () => {
+        const expected = crypto.createHash('sha512').update('1A2BAA:BB:CC:DD:EE:FF').digest().subarray(0, 4);
+        expect(computeSetupHash('1a2b', 'aa:bb:cc:dd:ee:ff')).toBe(expected.toString('base64'));
+
+        const services = [
+            { id: '11:22:33:44:55:66', sh: computeSetupHash('ZZZZ', '11:22:33:44:55:66') },
+            { id: 'AA:BB:CC:DD:EE:FF', sh: expected.toString('base64') },
+            { id: 'aa:bb:cc:dd:ee:ff', SH: expected.toString('base64') },
+            { id: '22:33:44:55:66:77' },
+        ];
+        expect(findAccessoriesForSetupPayload(services, uri)).toEqual([services[1], services[2]]);
+    });
+});
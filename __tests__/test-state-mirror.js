@@ -0,0 +1,168 @@
+/**
+ * Test the state mirror against a simulated accessory.
+ */
+
+'use strict';
+
+const e2p = require('event-to-promise');
+const { createController } = require('../lib/controller/hap-controller');
+const StateMirror = require('../lib/controller/state-mirror').default;
+const IPAccessorySimulator = require('../lib/testing/ip-accessory-simulator').default;
+
+const PIN = '031-45-154';
+
+const database = {
+    accessories: [
+        {
+            aid: 1,
+            services: [
+                {
+                    iid: 1,
+                    type: '0000003E-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 2,
+                            type: '00000023-0000-1000-8000-0026BB765291',
+                            perms: ['pr'],
+                            format: 'string',
+                            value: 'Outlet',
+                        },
+                        {
+                            iid: 3,
+                            type: '00000014-0000-1000-8000-0026BB765291',
+                            perms: ['pw'],
+                            format: 'bool',
+                        },
+                    ],
+                },
+                {
+                    iid: 10,
+                    type: '00000047-0000-1000-8000-0026BB765291',
+                    characteristics: [
+                        {
+                            iid: 11,
+                            type: '00000025-0000-1000-8000-0026BB765291',
+                            perms: ['pr', 'pw', 'ev'],
+                            format: 'bool',
+                            value: false,
+                        },
+                        {
+                            iid: 12,
+                            type: '00000026-0000-1000-8000-0026BB765291',
+                            perms: ['pr'],
+                            format: 'bool',
+                            value: true,
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+describe('StateMirror', () => {
+    let simulator;
+    let controller;
+    let mirror;
+
+    beforeAll(async () => {
+        simulator = new IPAccessorySimulator({ accessories: database, pin: PIN });
+        const { address, port } = await simulator.start();
+
+        controller = createController({ id: simulator.deviceId, address, port, name: 'Outlet' });
+        await controller.pairSetup(PIN);
+    });
+
+    beforeEach(async () => {
+        simulator.setValue(1, 11, false);
+        simulator.setValue(1, 12, true);
+        mirror = new StateMirror(controller, { pollInterval: 3600000, refresh: true });
+        await mirror.start();
+    });
+
+    afterEach(async () => {
+        await mirror.stop();
+    });
+
+    afterAll(async () => {
+        await controller.close();
+        await simulator.stop();
+    });
+
+    it('is seeded with all readable characteristics', () => {
+        expect(mirror.getAll().map((s) => s.id)).toEqual(['1.2', '1.11', '1.12']);
+        expect(mirror.get('1.2')).toBe('Outlet');
+        expect(mirror.getState('1.11')).toMatchObject({ aid: 1, iid: 11, value: false, source: 'seed' });
+        expect(mirror.getState('1.3')).toBeNull();
+        expect(controller.getSubscribedCharacteristics()).toEqual(['1.11']);
+    });
+
+    it('reads the current values instead of the cached ones', async () => {
+        await mirror.stop();
+        simulator.setValue(1, 11, true);
+        expect((await controller.getAccessoryDatabase()).getCharacteristicById('1.11').value).toBe(false);
+
+        mirror = new StateMirror(controller, { pollInterval: 3600000 });
+        await mirror.start();
+        expect(mirror.getState('1.11')).toMatchObject({ value: true, source: 'seed' });
+    });
+
+    it('emits changes from events', async () => {
+        const change = e2p(mirror, 'change');
+        simulator.setValue(1, 11, true);
+        expect(await change).toEqual({
+            id: '1.11',
+            aid: 1,
+            iid: 11,
+            oldValue: false,
+            newValue: true,
+            timestamp: expect.any(Number),
+            source: 'event',
+        });
+        expect(mirror.getState('1.11')).toMatchObject({ value: true, source: 'event' });
+    });
+
+    it('emits changes from own writes', async () => {
+        const change = e2p(mirror, 'change');
+        await controller.setCharacteristics({ 1.11: true });
+        expect(await change).toMatchObject({ id: '1.11', oldValue: false, newValue: true, source: 'write' });
+    });
+
+    it('polls characteristics without events', async () => {
+        const listener = jest.fn();
+        mirror.on('change', listener);
+
+        await mirror.poll();
+        expect(listener).not.toHaveBeenCalled();
+        expect(mirror.getState('1.12').source).toBe('poll');
+
+        simulator.setValue(1, 12, false);
+        await mirror.poll();
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith(
+            expect.objectContaining({ id: '1.12', oldValue: true, newValue: false, source: 'poll' }),
+        );
+    });
+
+    it('polls with the configured interval', async () => {
+        await mirror.stop();
+        mirror = new StateMirror(controller, { subscribe: false, pollInterval: (c) => (c.iid === 12 ? 20 : 0) });
+        await mirror.start();
+        expect(controller.getSubscribedCharacteristics()).toEqual([]);
+
+        const change = e2p(mirror, 'change');
+        simulator.setValue(1, 12, false);
+        expect(await change).toMatchObject({ id: '1.12', newValue: false, source: 'poll' });
+    });
+
+    it('unsubscribes when stopped', async () => {
+        await mirror.stop();
+        expect(controller.getSubscribedCharacteristics()).toEqual([]);
+
+        const listener = jest.fn();
+        mirror.on('change', listener);
+        await controller.setCharacteristics({ 1.11: true });
+        expect(listener).not.toHaveBeenCalled();
+        expect(mirror.get('1.11')).toBe(false);
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Test schema based TLV8 encoding.
+ */
+
+'use strict';
+
+const { decodeTlv, encodeTlv, getCharacteristicSchema } = require('../lib/model/tlv-schema');
+
+const hex = (str) => Buffer.from(str.replace(/ /g, ''), 'hex');
+
+describe('TLV schemas', () => {
+    it('round trips a supported video stream configuration', () => {
+        const schema = getCharacteristicSchema('114');
+        expect(schema).toBe(getCharacteristicSchema('public.hap.characteristic.supported-video-stream-configuration'));
+
+        const bytes = hex(
+            '01 2a' +
+                '01 01 00' +
+                '02 09 01 01 00 02 01 02 03 01 00' +
+                '03 0b 01 02 80 07 02 02 38 04 03 01 1e' +
+                '00 00' +
+                '03 0b 01 02 00 05 02 02 d0 02 03 01 1e',
+        );
+        const value = {
+            codecConfigurations: [
+                {
+                    codecType: 0,
+                    codecParameters: { profiles: [0], levels: [2], packetizationModes: [0] },
+                    attributes: [
+                        { width: 1920, height: 1080, frameRate: 30 },
+                        { width: 1280, height: 720, frameRate: 30 },
+                    ],
+                },
+            ],
+        };
+
+        expect(decodeTlv(bytes, schema)).toEqual(value);
+        expect(decodeTlv(bytes.toString('base64'), schema)).toEqual(value);
+        expect(encodeTlv(value, schema)).toEqual(bytes);
+    });
+
+    it('round trips lock management control point requests', () => {
+        const schema = getCharacteristicSchema('19');
+        expect(schema).toBe(getCharacteristicSchema('public.hap.characteristic.lock-management.control-point'));
+
+        const readLogs = hex('00 04 00 f1 53 65');
+        expect(decodeTlv(readLogs, schema)).toEqual({ readLogsFromTime: 1700000000 });
+        expect(encodeTlv({ readLogsFromTime: 1700000000 }, schema)).toEqual(readLogs);
+
+        const clearLogs = hex('02 00');
+        expect(decodeTlv(clearLogs, schema)).toEqual({ clearLogs: Buffer.alloc(0) });
+        expect(encodeTlv({ clearLogs: Buffer.alloc(0) }, schema)).toEqual(clearLogs);
+    });
+
+    it('round trips the supported target configuration with inline buttons', () => {
+        const schema = getCharacteristicSchema('123');
+        expect(schema).toBe(getCharacteristicSchema('public.hap.characteristic.supported-target-configuration'));
+
+        const bytes = hex(
+            '01 01 0a' +
+                '02 08 e8 03 00 00 00 00 00 00' +
+                '03 10 01 01 01 02 02 01 00 00 00 01 01 02 02 02 02 00' +
+                '04 01 01',
+        );
+        const value = {
+            maximumTargets: 10,
+            ticksPerSecond: 1000,
+            buttonConfiguration: {
+                buttons: [
+                    { buttonId: 1, buttonType: 1 },
+                    { buttonId: 2, buttonType: 2 },
+                ],
+            },
+            hardwareImplementation: 1,
+        };
+
+        expect(decodeTlv(bytes, schema)).toEqual(value);
+        expect(encodeTlv(value, schema)).toEqual(bytes);
+    });
+
+    it('round trips a target list', () => {
+        const schema = getCharacteristicSchema('124');
+        expect(schema).toBe(getCharacteristicSchema('public.hap.characteristic.target-list'));
+
+        const bytes = hex(
+            '01 01 01' +
+                '02 26 01 04 01 00 00 00 02 02 54 56 03 02 18 00' +
+                '04 0b 01 01 01 02 02 01 00 03 02 55 70' +
+                '00 00' +
+                '04 07 01 01 02 02 02 02 00',
+        );
+        const value = {
+            operation: 1,
+            targetConfigurations: [
+                {
+                    targetIdentifier: 1,
+                    targetName: 'TV',
+                    targetCategory: 24,
+                    buttonConfigurations: [
+                        { buttonId: 1, buttonType: 1, buttonName: 'Up' },
+                        { buttonId: 2, buttonType: 2 },
+                    ],
+                },
+            ],
+        };
+
+        expect(decodeTlv(bytes, schema)).toEqual(value);
+        expect(encodeTlv(value, schema)).toEqual(bytes);
+        expect(encodeTlv({ operation: 2 }, schema)).toEqual(hex('01 01 02'));
+    });
+
+    it('round trips camera recording configurations', () => {
+        const tlv = (tag, value) => Buffer.concat([Buffer.from([tag, value.length]), value]);
+
+        const recording = hex('01 04 a0 0f 00 00 02 08 03 00 00 00 00 00 00 00 03 0b 01 01 00 02 06 01 04 a0 0f 00 00');
+        const recordingValue = {
+            prebufferLength: 4000,
+            eventTriggerOptions: 3,
+            mediaContainerConfigurations: [{ containerType: 0, containerParameters: { fragmentLength: 4000 } }],
+        };
+        const video = hex('01 01 00 02 0b 01 01 00 00 00 01 01 01 02 01 02 03 0b 01 02 80 07 02 02 38 04 03 01 1e');
+        const videoValue = {
+            codecType: 0,
+            codecParameters: { profiles: [0, 1], levels: [2] },
+            attributes: [{ width: 1920, height: 1080, frameRate: 30 }],
+        };
+        const audio = hex('01 01 00 02 0e 01 01 01 02 01 00 03 01 03 00 00 03 01 04');
+        const audioValue = { codecType: 0, codecParameters: { channels: 1, bitRateModes: [0], sampleRates: [3, 4] } };
+
+        const cases = [
+            ['205', 'supported-camera-recording-configuration', recording, recordingValue],
+            ['206', 'supported-video-recording-configuration', tlv(1, video), { codecConfigurations: [videoValue] }],
+            ['207', 'supported-audio-recording-configuration', tlv(1, audio), { codecConfigurations: [audioValue] }],
+            [
+                '209',
+                'selected-camera-recording-configuration',
+                Buffer.concat([tlv(1, recording), tlv(2, tlv(1, video)), tlv(3, tlv(1, audio))]),
+                {
+                    recordingConfiguration: recordingValue,
+                    videoConfiguration: { codecConfiguration: videoValue },
+                    audioConfiguration: { codecConfiguration: audioValue },
+                },
+            ],
+        ];
+
+        for (const [uuid, name, bytes, value] of cases) {
+            const schema = getCharacteristicSchema(uuid);
+            expect(schema).toBe(getCharacteristicSchema(`public.hap.characteristic.${name}`));
+            expect(decodeTlv(bytes, schema)).toEqual(value);
+            expect(encodeTlv(value, schema)).toEqual(bytes);
+        }
+    });
+
+    it('handles fragments, optional fields and unknown tags', () => {
+        const schema = [
+            { name: 'name', tag: 1, type: 'string' },
+            { name: 'data', tag: 2, type: 'bytes', optional: true },
+            { name: 'offset', tag: 3, type: 'int', optional: true },
+        ];
+        const data = Buffer.alloc(300, 0xaa);
+
+        const encoded = encodeTlv({ name: 'x', data, offset: -2, ignored: true }, schema);
+        expect(encoded).toHaveLength(3 + 2 + 255 + 2 + 45 + 3);
+        expect(decodeTlv(encoded, schema)).toEqual({ name: 'x', data, offset: -2 });
+
+        expect(decodeTlv(hex('09 01 ff 01 01 79'), schema)).toEqual({ name: 'y' });
+    });
+
+    it('rejects invalid values', () => {
+        const schema = getCharacteristicSchema('public.hap.characteristic.streaming-status');
+        expect(() => encodeTlv({}, schema)).toThrow('Missing required field status');
+        expect(() => encodeTlv({ status: 256 }, schema)).toThrow('out of range');
+        expect(() => decodeTlv(hex('02 01 00'), schema)).toThrow('Missing required field status');
+        expect(() => decodeTlv(hex('01 05 00'), schema)).toThrow('Truncated TLV item');
+        expect(getCharacteristicSchema('public.hap.characteristic.on')).toBeNull();
+    });
+});
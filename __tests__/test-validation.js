@@ -0,0 +1,99 @@
+/**
+ * Test characteristic value validation.
+ */
+
+'use strict';
+
+const { validateCharacteristicValue } = require('../lib/model/validation');
+
+const brightness = {
+    aid: 1,
+    iid: 12,
+    type: '00000008-0000-1000-8000-0026BB765291',
+    perms: ['pr', 'pw', 'ev'],
+    format: 'int',
+    minValue: 0,
+    maxValue: 100,
+    minStep: 1,
+};
+
+const temperature = {
+    aid: 1,
+    iid: 13,
+    type: '00000035-0000-1000-8000-0026BB765291',
+    perms: ['pr', 'pw'],
+    format: 'float',
+    minValue: 10,
+    maxValue: 38,
+    minStep: 0.1,
+};
+
+const targetState = {
+    aid: 1,
+    iid: 14,
+    type: '00000033-0000-1000-8000-0026BB765291',
+    perms: ['pr', 'pw'],
+    format: 'uint8',
+    minValue: 0,
+    maxValue: 3,
+    'valid-values': [0, 1, 3],
+};
+
+describe('validateCharacteristicValue', () => {
+    it('accepts and coerces valid values', () => {
+        expect(validateCharacteristicValue(brightness, 50)).toBe(50);
+        expect(validateCharacteristicValue(brightness, '42')).toBe(42);
+        expect(validateCharacteristicValue(brightness, 42.6)).toBe(43);
+        expect(validateCharacteristicValue(temperature, 21.04)).toBe(21);
+        expect(validateCharacteristicValue(temperature, 21.26)).toBe(21.3);
+        expect(validateCharacteristicValue({ format: 'bool', perms: ['pw'] }, 1)).toBe(true);
+        expect(validateCharacteristicValue({ format: 'string', perms: ['pw'] }, 'Name')).toBe('Name');
+        expect(validateCharacteristicValue({ format: 'data', perms: ['pw'] }, 'AQID')).toBe('AQID');
+    });
+
+    it('rejects or clamps out of range values', () => {
+        expect(() => validateCharacteristicValue(brightness, 101)).toThrow(
+            'Invalid value for public.hap.characteristic.brightness (1.12): 101 is higher than the maximum 100',
+        );
+        expect(() => validateCharacteristicValue(brightness, -1)).toThrow('lower than the minimum 0');
+        expect(validateCharacteristicValue(brightness, 101, { outOfRange: 'clamp' })).toBe(100);
+        expect(validateCharacteristicValue(temperature, 5, { outOfRange: 'clamp' })).toBe(10);
+        expect(validateCharacteristicValue({ format: 'uint8', perms: ['pw'] }, 300, { outOfRange: 'clamp' })).toBe(255);
+    });
+
+    it('rejects values not matching the step size when rounding is disabled', () => {
+        expect(() => validateCharacteristicValue(temperature, 21.05, { roundToStep: false })).toThrow(
+            'is not a multiple of the step size 0.1',
+        );
+        expect(validateCharacteristicValue(temperature, 21.1, { roundToStep: false })).toBe(21.1);
+    });
+
+    it('checks valid values', () => {
+        expect(validateCharacteristicValue(targetState, 3)).toBe(3);
+        expect(() => validateCharacteristicValue(targetState, 2)).toThrow('2 is not one of the valid values 0, 1, 3');
+        expect(() =>
+            validateCharacteristicValue({ ...targetState, 'valid-values': [], 'valid-values-range': [1, 2] }, 3),
+        ).toThrow('outside of the valid range 1-2');
+    });
+
+    it('checks formats, lengths and permissions', () => {
+        expect(() => validateCharacteristicValue(brightness, 'bright')).toThrow('is not a valid int value');
+        expect(() => validateCharacteristicValue({ format: 'bool', perms: ['pw'] }, 'yes')).toThrow('is not a boolean');
+        expect(() => validateCharacteristicValue({ format: 'string', perms: ['pw'], maxLen: 3 }, 'long')).toThrow(
+            'string length 4 exceeds the maximum length 3',
+        );
+        expect(() => validateCharacteristicValue({ format: 'data', perms: ['pw'] }, 12)).toThrow('base64');
+
+        let error;
+        try {
+            validateCharacteristicValue({ ...brightness, perms: ['pr'] }, 50);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).toBe(
+            'Invalid value for public.hap.characteristic.brightness (1.12): characteristic is not writable',
+        );
+        expect(error.statusCode).toBe(-70404);
+        expect(error.body).toEqual({ aid: 1, iid: 12, value: 50, rule: 'perms' });
+    });
+});
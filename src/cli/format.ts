@@ -0,0 +1,120 @@
+/**
+ * Human readable output of the command-line tool.
+ */
+
+import { Accessories } from '../model/accessory';
+import { characteristicFromUuid } from '../model/characteristic';
+import { serviceFromUuid } from '../model/service';
+import { categoryFromId } from '../model/category';
+import { DiscoveredAccessory } from '../controller/discovery-manager';
+import { Pairing } from '../protocol/pairing-management';
+
+/**
+ * Shorten a service or characteristic name for display, e.g. "public.hap.service.lightbulb" to "lightbulb".
+ *
+ * @param {string} name - Full name
+ * @returns {string} Short name
+ */
+function shortName(name: string): string {
+    return name.replace(/^public\.hap\.(service|characteristic)\./, '');
+}
+
+/**
+ * Format a value for display.
+ *
+ * @param {unknown} value - Characteristic value
+ * @returns {string} Formatted value
+ */
+export function formatValue(value: unknown): string {
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Format rows as a table with aligned columns.
+ *
+ * @param {string[]} headers - Column headers
+ * @param {string[][]} rows - Table rows
+ * @returns {string} The table
+ */
+export function formatTable(headers: string[], rows: string[][]): string {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map((row) => row[i].length)));
+    return [headers, ...rows]
+        .map((row) =>
+            row
+                .map((cell, i) => cell.padEnd(widths[i]))
+                .join('  ')
+                .trimEnd(),
+        )
+        .join('\n');
+}
+
+/**
+ * Format an accessory database as tree of accessories, services and characteristics.
+ *
+ * @param {Accessories} accessories - Accessory database
+ * @returns {string} The tree
+ */
+export function formatAccessoryTree(accessories: Accessories): string {
+    const lines: string[] = [];
+    for (const accessory of accessories.accessories) {
+        lines.push(`Accessory ${accessory.aid}`);
+        for (const service of accessory.services) {
+            lines.push(`  ${shortName(serviceFromUuid(service.type))} (iid ${service.iid})`);
+            for (const characteristic of service.characteristics) {
+                let line = `    ${accessory.aid}.${characteristic.iid} ${shortName(
+                    characteristicFromUuid(characteristic.type!),
+                )}`;
+                line += ` [${(characteristic.perms || []).join(',')}]`;
+                if (characteristic.format) {
+                    line += ` ${characteristic.format}`;
+                }
+                if (characteristic.unit) {
+                    line += ` (${characteristic.unit})`;
+                }
+                if (Object.prototype.hasOwnProperty.call(characteristic, 'value')) {
+                    line += ` = ${formatValue(characteristic.value)}`;
+                }
+                lines.push(line);
+            }
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Format discovered accessories as table.
+ *
+ * @param {DiscoveredAccessory[]} accessories - Discovered accessories
+ * @returns {string} The table
+ */
+export function formatDiscoveredAccessories(accessories: DiscoveredAccessory[]): string {
+    return formatTable(
+        ['ID', 'NAME', 'CATEGORY', 'TRANSPORT', 'ADDRESS', 'PAIRED', 'ONLINE'],
+        accessories.map((accessory) => [
+            accessory.id,
+            accessory.name,
+            categoryFromId(accessory.category),
+            accessory.transports.join(',') || '-',
+            accessory.address ? `${accessory.address}:${accessory.port}` : '-',
+            accessory.paired ? 'yes' : 'no',
+            accessory.online ? 'yes' : 'no',
+        ]),
+    );
+}
+
+/**
+ * Format the pairings of a device as table.
+ *
+ * @param {Pairing[]} pairings - Pairings
+ * @returns {string} The table
+ */
+export function formatPairings(pairings: Pairing[]): string {
+    return formatTable(
+        ['IDENTIFIER', 'ADMIN', 'PUBLIC KEY'],
+        pairings.map((pairing) => [
+            pairing.identifier,
+            pairing.isAdmin ? 'yes' : 'no',
+            pairing.publicKey.toString('hex'),
+        ]),
+    );
+}
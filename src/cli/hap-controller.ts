@@ -0,0 +1,622 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool to discover, pair and control HAP devices.
+ */
+
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import Debug from 'debug';
+import DiscoveryManager, { DiscoveredAccessory, DiscoveryManagerOptions } from '../controller/discovery-manager';
+import { createController, HapController, HapCharacteristicValue } from '../controller/hap-controller';
+import HomekitControllerError from '../model/error';
+import { categoryFromId } from '../model/category';
+import { PairingData, PairMethods } from '../protocol/pairing-protocol';
+import { FilePairingStore } from '../storage/pairing-store';
+import { DiscoveryPairingFeatureFlags, HapServiceIp } from '../transport/ip/ip-discovery';
+import { HapServiceBle } from '../transport/ble/ble-discovery';
+import GattClient from '../transport/ble/gatt-client';
+import { formatAccessoryTree, formatDiscoveredAccessories, formatPairings, formatValue } from './format';
+
+const debug = Debug('hap-controller:cli');
+
+const Usage = `Usage: hap-controller <command> [options]
+
+Commands:
+  discover                          Show discovered devices (until Ctrl+C or --duration)
+  identify <id>                     Identify an unpaired device
+  pair <id> <pin>                   Pair with a device, the pin has the form XXX-XX-XXX
+  unpair <id>                       Remove our pairing from a device
+  pairings list <id>                List the pairings of a device
+  pairings add <id> <pairingId> <ltpk>
+                                    Add a pairing for another controller (ltpk as hex, --admin for admin rights)
+  pairings remove <id> <pairingId>  Remove a pairing from a device
+  accessories <id>                  Show the accessory database
+  get <id> <aid.iid>...             Read characteristics
+  set <id> <aid.iid>=<value>...     Write characteristics, values are parsed as JSON if possible
+  watch <id> <aid.iid>...           Subscribe to characteristics and print events as JSON lines
+
+Options:
+  --transport <ip|ble|all>  Transport to discover devices with (default: ip)
+  --address <host:port>     Connect to an IP device directly instead of discovering it
+  --timeout <ms>            Time to wait for a device to be discovered (default: 10000)
+  --duration <ms>           Stop "discover" and "watch" after this time
+  --store <file>            Pairing store (default: ~/.hap-controller/pairings.json or HAP_CONTROLLER_STORE)
+  --passphrase <secret>     Passphrase of the pairing store (default: HAP_CONTROLLER_PASSPHRASE)
+  --admin                   Give admin rights to a pairing added with "pairings add"
+  --json                    Print JSON instead of human readable output
+  -h, --help                Show this help
+`;
+
+/**
+ * Streams the tool writes to.
+ */
+export interface CliIo {
+    stdout: NodeJS.WritableStream & { isTTY?: boolean };
+    stderr: NodeJS.WritableStream;
+}
+
+interface CliOptions {
+    transport: 'ip' | 'ble' | 'all';
+    address?: string;
+    timeout: number;
+    duration?: number;
+    store: string;
+    passphrase?: string;
+    admin: boolean;
+    json: boolean;
+}
+
+/**
+ * Error in the command line, e.g. a missing argument.
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse a positive number option.
+ *
+ * @param {string} name - Option name
+ * @param {string} value - Option value
+ * @returns {number} The number
+ */
+function parseNumberOption(name: string, value: string): number {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new UsageError(`--${name} must be a positive number of milliseconds`);
+    }
+    return number;
+}
+
+/**
+ * Parse a value given on the command line, falling back to a string for non-JSON input.
+ *
+ * @param {string} value - Raw value
+ * @returns {unknown} Parsed value
+ */
+function parseValue(value: string): unknown {
+    try {
+        return JSON.parse(value);
+    } catch (_e) {
+        return value;
+    }
+}
+
+/**
+ * Reduce a discovered accessory to the fields which make sense in JSON output.
+ *
+ * @param {DiscoveredAccessory} accessory - Discovered accessory
+ * @returns {Object} Plain object
+ */
+function accessoryToJson(accessory: DiscoveredAccessory): Record<string, unknown> {
+    return {
+        id: accessory.id,
+        name: accessory.name,
+        category: categoryFromId(accessory.category),
+        configNumbers: accessory.configNumbers,
+        paired: accessory.paired,
+        online: accessory.online,
+        address: accessory.address,
+        port: accessory.port,
+        transports: accessory.transports,
+    };
+}
+
+/**
+ * Implementation of the commands.
+ */
+class Cli {
+    private options: CliOptions;
+
+    private io: CliIo;
+
+    /**
+     * Initialize the Cli object.
+     *
+     * @param {CliOptions} options - Parsed options
+     * @param {CliIo} io - Streams to write to
+     */
+    constructor(options: CliOptions, io: CliIo) {
+        this.options = options;
+        this.io = io;
+    }
+
+    /**
+     * Write a line to stdout.
+     *
+     * @param {string} text - Text to write
+     */
+    private _print(text: string): void {
+        this.io.stdout.write(`${text}\n`);
+    }
+
+    /**
+     * Write a value as JSON to stdout.
+     *
+     * @param {unknown} value - Value to write
+     * @param {boolean} pretty - Indent the output, otherwise a single line is written
+     */
+    private _printJson(value: unknown, pretty = true): void {
+        this._print(pretty ? JSON.stringify(value, null, 2) : JSON.stringify(value));
+    }
+
+    /**
+     * Get the pairing store.
+     *
+     * @returns {FilePairingStore} The store
+     */
+    private _getStore(): FilePairingStore {
+        if (!this.options.passphrase) {
+            throw new UsageError(
+                'A passphrase for the pairing store is required, use --passphrase or HAP_CONTROLLER_PASSPHRASE',
+            );
+        }
+        return new FilePairingStore({ path: this.options.store, passphrase: this.options.passphrase });
+    }
+
+    /**
+     * Wait until the user presses Ctrl+C or --duration elapsed.
+     *
+     * @returns {Promise} Promise which resolves when the command should end.
+     */
+    private _waitForEnd(): Promise<void> {
+        return new Promise((resolve) => {
+            let timer: NodeJS.Timeout | null = null;
+            const done = (): void => {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                process.removeListener('SIGINT', done);
+                resolve();
+            };
+            process.once('SIGINT', done);
+            if (this.options.duration) {
+                timer = setTimeout(done, this.options.duration);
+            }
+        });
+    }
+
+    /**
+     * Create a DiscoveryManager for the selected transports.
+     *
+     * @returns {DiscoveryManager} The manager
+     */
+    private _createDiscovery(): DiscoveryManager {
+        const options: DiscoveryManagerOptions = {};
+        if (this.options.transport === 'ip') {
+            options.ble = false;
+        } else if (this.options.transport === 'ble') {
+            options.ip = false;
+        }
+        return new DiscoveryManager(options);
+    }
+
+    /**
+     * Find a device, either with --address or by discovering it.
+     *
+     * @param {string} id - Device ID
+     * @returns {Promise} Promise which resolves to the discovered service.
+     */
+    private async _findService(id: string): Promise<HapServiceIp | HapServiceBle> {
+        if (this.options.address) {
+            const separator = this.options.address.lastIndexOf(':');
+            const port = Number(this.options.address.slice(separator + 1));
+            if (separator <= 0 || !Number.isInteger(port)) {
+                throw new UsageError('--address must have the form <host>:<port>');
+            }
+            const address = this.options.address.slice(0, separator).replace(/^\[(.*)\]$/, '$1');
+            return <HapServiceIp>(<unknown>{ id, name: id, address, allAddresses: [address], port, ff: 0 });
+        }
+
+        const manager = this._createDiscovery();
+        debug(`Searching for ${id}`);
+        return new Promise((resolve, reject) => {
+            const stop = (): void => {
+                clearTimeout(timer);
+                manager.removeListener('accessory-online', handleOnline);
+                manager.stop();
+            };
+            const handleOnline = (accessory: DiscoveredAccessory): void => {
+                if (accessory.id !== id.toUpperCase()) {
+                    return;
+                }
+                const service = accessory.ip || accessory.ble;
+                if (service) {
+                    stop();
+                    resolve(service);
+                }
+            };
+            const timer = setTimeout(() => {
+                stop();
+                reject(new HomekitControllerError(`Device ${id} not found within ${this.options.timeout}ms`));
+            }, this.options.timeout);
+
+            manager.on('accessory-online', handleOnline);
+            manager.start();
+        });
+    }
+
+    /**
+     * Create a controller for a device.
+     *
+     * @param {HapServiceIp|HapServiceBle} service - Discovered service
+     * @param {FilePairingStore?} store - Pairing store to update, not needed for identify
+     * @param {PairingData?} pairingData - Pairing data, not needed for pairing and identify
+     * @returns {HapController} The controller
+     */
+    private _createController(
+        service: HapServiceIp | HapServiceBle,
+        store?: FilePairingStore,
+        pairingData?: PairingData,
+    ): HapController {
+        return createController(service, pairingData, {
+            ip: { pairingStore: store, usePersistentConnections: true },
+            ble: { pairingStore: store, usePersistentConnections: true },
+        });
+    }
+
+    /**
+     * Find a paired device and create a controller for it.
+     *
+     * @param {string} id - Device ID
+     * @returns {Promise} Promise which resolves to the controller.
+     */
+    private async _connect(id: string): Promise<HapController> {
+        const store = this._getStore();
+        const pairingData = await store.get(id);
+        if (!pairingData) {
+            throw new HomekitControllerError(`Not paired with ${id}, use "hap-controller pair" first`);
+        }
+        return this._createController(await this._findService(id), store, pairingData);
+    }
+
+    /**
+     * Run an operation on a paired device and close the connections afterwards.
+     *
+     * @param {string} id - Device ID
+     * @param {function} operation - Operation to run
+     * @returns {Promise} Promise which resolves when the operation is done.
+     */
+    private async _withController(id: string, operation: (controller: HapController) => Promise<void>): Promise<void> {
+        const controller = await this._connect(id);
+        try {
+            await operation(controller);
+        } finally {
+            await controller.close();
+        }
+    }
+
+    /**
+     * Show discovered devices.
+     *
+     * @returns {Promise} Promise which resolves when the discovery ended.
+     */
+    async discover(): Promise<void> {
+        const manager = this._createDiscovery();
+        const render = (): void => {
+            if (this.io.stdout.isTTY) {
+                this.io.stdout.write('\x1b[2J\x1b[H');
+            }
+            this._print(formatDiscoveredAccessories(manager.list()));
+        };
+
+        for (const event of ['accessory-online', 'accessory-offline', 'config-changed', 'pairing-state-changed']) {
+            manager.on(event, (accessory: DiscoveredAccessory) => {
+                if (this.options.json) {
+                    this._printJson({ event, accessory: accessoryToJson(accessory) }, false);
+                } else if (this.io.stdout.isTTY) {
+                    render();
+                }
+            });
+        }
+
+        manager.start();
+        await this._waitForEnd();
+        manager.stop();
+
+        if (!this.options.json && !this.io.stdout.isTTY) {
+            render();
+        }
+    }
+
+    /**
+     * Identify an unpaired device.
+     *
+     * @param {string} id - Device ID
+     * @returns {Promise} Promise which resolves when the device identified itself.
+     */
+    async identify(id: string): Promise<void> {
+        const controller = this._createController(await this._findService(id));
+        try {
+            await controller.identify();
+        } finally {
+            await controller.close();
+        }
+    }
+
+    /**
+     * Pair with a device and save the pairing data in the store.
+     *
+     * @param {string} id - Device ID
+     * @param {string} pin - Setup code
+     * @returns {Promise} Promise which resolves when the device is paired.
+     */
+    async pair(id: string, pin: string): Promise<void> {
+        const store = this._getStore();
+        const service = await this._findService(id);
+        const controller = this._createController(service, store);
+        try {
+            let pairMethod = PairMethods.PairSetup;
+            if (controller.transport === 'ble') {
+                pairMethod = await (<GattClient>controller.client).getPairingMethod();
+            } else if (
+                (<HapServiceIp>service).ff & DiscoveryPairingFeatureFlags.SupportsAppleAuthenticationCoprocessor
+            ) {
+                pairMethod = PairMethods.PairSetupWithAuth;
+            }
+            await controller.pairSetup(pin, pairMethod);
+        } finally {
+            await controller.close();
+        }
+        this._print(`Paired with ${id}`);
+    }
+
+    /**
+     * Remove our own pairing from a device, which also deletes it from the store.
+     *
+     * @param {string} id - Device ID
+     * @returns {Promise} Promise which resolves when the pairing is removed.
+     */
+    async unpair(id: string): Promise<void> {
+        await this._withController(id, async (controller) => {
+            await controller.removePairing(controller.getLongTermData()!.iOSDevicePairingID);
+        });
+        this._print(`Removed pairing with ${id}`);
+    }
+
+    /**
+     * Manage the pairings of a device.
+     *
+     * @param {string} action - list, add or remove
+     * @param {string[]} args - Device ID and action arguments
+     * @returns {Promise} Promise which resolves when done.
+     */
+    async pairings(action: string, args: string[]): Promise<void> {
+        const [id, identifier, ltpk] = args;
+        if (action === 'list' && id) {
+            await this._withController(id, async (controller) => {
+                const pairings = await controller.getPairings();
+                if (this.options.json) {
+                    this._printJson(
+                        pairings.map((pairing) => ({ ...pairing, publicKey: pairing.publicKey.toString('hex') })),
+                    );
+                } else {
+                    this._print(formatPairings(pairings));
+                }
+            });
+        } else if (action === 'add' && ltpk) {
+            await this._withController(id, (controller) =>
+                controller.addPairing(identifier, Buffer.from(ltpk, 'hex'), this.options.admin),
+            );
+            this._print(`Added pairing ${identifier}`);
+        } else if (action === 'remove' && identifier) {
+            await this._withController(id, (controller) => controller.removePairing(identifier));
+            this._print(`Removed pairing ${identifier}`);
+        } else {
+            throw new UsageError('Usage: hap-controller pairings list|add|remove <id> [<pairingId> [<ltpk>]]');
+        }
+    }
+
+    /**
+     * Show the accessory database of a device.
+     *
+     * @param {string} id - Device ID
+     * @returns {Promise} Promise which resolves when done.
+     */
+    async accessories(id: string): Promise<void> {
+        await this._withController(id, async (controller) => {
+            const accessories = await controller.getAccessories();
+            if (this.options.json) {
+                this._printJson(accessories);
+            } else {
+                this._print(formatAccessoryTree(accessories));
+            }
+        });
+    }
+
+    /**
+     * Read characteristics.
+     *
+     * @param {string} id - Device ID
+     * @param {string[]} characteristics - Characteristic IDs in form "aid.iid"
+     * @returns {Promise} Promise which resolves when done.
+     */
+    async get(id: string, characteristics: string[]): Promise<void> {
+        await this._withController(id, async (controller) => {
+            const values = await controller.getCharacteristics(characteristics);
+            if (this.options.json) {
+                this._printJson(values.map(({ id, value }) => ({ id, value })));
+            } else {
+                values.forEach((entry) => this._print(`${entry.id} = ${formatValue(entry.value)}`));
+            }
+        });
+    }
+
+    /**
+     * Write characteristics.
+     *
+     * @param {string} id - Device ID
+     * @param {string[]} assignments - Values in form "aid.iid=value"
+     * @returns {Promise} Promise which resolves when done.
+     */
+    async set(id: string, assignments: string[]): Promise<void> {
+        const values: Record<string, unknown> = {};
+        for (const assignment of assignments) {
+            const separator = assignment.indexOf('=');
+            if (separator <= 0) {
+                throw new UsageError(`Invalid assignment "${assignment}", use <aid.iid>=<value>`);
+            }
+            values[assignment.slice(0, separator)] = parseValue(assignment.slice(separator + 1));
+        }
+
+        await this._withController(id, (controller) => controller.setCharacteristics(values));
+    }
+
+    /**
+     * Subscribe to characteristics and print the events as JSON lines.
+     *
+     * @param {string} id - Device ID
+     * @param {string[]} characteristics - Characteristic IDs in form "aid.iid"
+     * @returns {Promise} Promise which resolves when the watch ended.
+     */
+    async watch(id: string, characteristics: string[]): Promise<void> {
+        await this._withController(id, async (controller) => {
+            controller.on('event', (event: { characteristics: HapCharacteristicValue[] }) => {
+                const time = new Date().toISOString();
+                event.characteristics.forEach((entry) =>
+                    this._printJson({ time, id: entry.id, value: entry.value }, false),
+                );
+            });
+            controller.on('event-disconnect', () => {
+                this.io.stderr.write(`Connection to ${id} lost\n`);
+            });
+
+            await controller.subscribeCharacteristics(characteristics);
+            await this._waitForEnd();
+            await controller.unsubscribeCharacteristics();
+        });
+    }
+}
+
+/**
+ * Run the command-line tool.
+ *
+ * @param {string[]} argv - Arguments without the node binary and script
+ * @param {CliIo} io - Streams to write to
+ * @returns {Promise} Promise which resolves to the exit code.
+ */
+export async function run(argv: string[], io: CliIo = process): Promise<number> {
+    try {
+        const { values, positionals } = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                transport: { type: 'string', default: 'ip' },
+                address: { type: 'string' },
+                timeout: { type: 'string', default: '10000' },
+                duration: { type: 'string' },
+                store: { type: 'string' },
+                passphrase: { type: 'string' },
+                admin: { type: 'boolean', default: false },
+                json: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+
+        const [command, ...args] = positionals;
+        if (values.help || !command) {
+            io.stdout.write(Usage);
+            return values.help ? 0 : 2;
+        }
+
+        if (!['ip', 'ble', 'all'].includes(values.transport!)) {
+            throw new UsageError('--transport must be ip, ble or all');
+        }
+
+        const cli = new Cli(
+            {
+                transport: <CliOptions['transport']>values.transport,
+                address: values.address,
+                timeout: parseNumberOption('timeout', values.timeout!),
+                duration: values.duration ? parseNumberOption('duration', values.duration) : 0,
+                store:
+                    values.store ||
+                    process.env.HAP_CONTROLLER_STORE ||
+                    path.join(os.homedir(), '.hap-controller', 'pairings.json'),
+                passphrase: values.passphrase || process.env.HAP_CONTROLLER_PASSPHRASE,
+                admin: values.admin!,
+                json: values.json!,
+            },
+            io,
+        );
+
+        const needed: Record<string, number> = {
+            identify: 1,
+            pair: 2,
+            unpair: 1,
+            pairings: 2,
+            accessories: 1,
+            get: 2,
+            set: 2,
+            watch: 2,
+        };
+        if (command !== 'discover' && !(command in needed)) {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+        if (args.length < (needed[command] || 0)) {
+            throw new UsageError(`Missing arguments for "${command}"`);
+        }
+
+        switch (command) {
+            case 'discover':
+                await cli.discover();
+                break;
+            case 'identify':
+                await cli.identify(args[0]);
+                break;
+            case 'pair':
+                await cli.pair(args[0], args[1]);
+                break;
+            case 'unpair':
+                await cli.unpair(args[0]);
+                break;
+            case 'pairings':
+                await cli.pairings(args[0], args.slice(1));
+                break;
+            case 'accessories':
+                await cli.accessories(args[0]);
+                break;
+            case 'get':
+                await cli.get(args[0], args.slice(1));
+                break;
+            case 'set':
+                await cli.set(args[0], args.slice(1));
+                break;
+            case 'watch':
+                await cli.watch(args[0], args.slice(1));
+                break;
+        }
+        return 0;
+    } catch (err) {
+        if (err instanceof UsageError || (<NodeJS.ErrnoException>err).code?.startsWith('ERR_PARSE_ARGS')) {
+            io.stderr.write(`${(<Error>err).message}\n\n${Usage}`);
+            return 2;
+        }
+        io.stderr.write(`Error: ${(<Error>err).message}\n`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    // discovery and connections may keep handles open, so exit explicitly
+    run(process.argv.slice(2)).then((code) => process.exit(code));
+}
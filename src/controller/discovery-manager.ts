@@ -0,0 +1,465 @@
+/**
+ * Combined discovery of IP and BLE accessories, keyed by device ID.
+ */
+
+import { EventEmitter } from 'events';
+import net from 'net';
+import Debug from 'debug';
+import IPDiscovery, { DiscoveryPairingStatusFlags, HapServiceIp } from '../transport/ip/ip-discovery';
+import BLEDiscovery, { HapServiceBle } from '../transport/ble/ble-discovery';
+import { HapTransport } from './hap-controller';
+import { OpQueue } from '../utils/queue';
+
+const debug = Debug('hap-controller:discovery-manager');
+
+/**
+ * Discovery source, the transport discovery classes or anything emitting the same events.
+ */
+export interface DiscoverySource extends EventEmitter {
+    start(): void;
+    stop(): void;
+}
+
+export interface DiscoveryManagerOptions {
+    /**
+     * IP discovery to use, or false to disable IP. Default: a new IPDiscovery
+     */
+    ip?: DiscoverySource | false;
+
+    /**
+     * BLE discovery to use, or false to disable BLE. Default: a new BLEDiscovery
+     */
+    ble?: DiscoverySource | false;
+
+    /**
+     * Network interface to bind the default IPDiscovery to.
+     */
+    iface?: string;
+
+    /**
+     * Time in ms without advertisements after which a BLE accessory is considered offline.
+     * Default: 300000 (5 minutes)
+     */
+    bleOfflineTimeout?: number;
+
+    /**
+     * Set to false to use the first address of IP accessories instead of checking which one is reachable.
+     * Default: true
+     */
+    checkReachability?: boolean;
+
+    /**
+     * Timeout in ms for the reachability check of one address.
+     * Default: 2000
+     */
+    reachabilityTimeout?: number;
+}
+
+export interface DiscoveredAccessory {
+    /**
+     * Device ID, upper case, e.g. "AA:BB:CC:DD:EE:FF"
+     */
+    id: string;
+    name: string;
+    /**
+     * Accessory category, see Category
+     */
+    category: number;
+    /**
+     * Last configuration number reported per transport (c# for IP, CN for BLE). Both are counted independently,
+     * re-read the database of a transport when its number changes.
+     */
+    configNumbers: Partial<Record<HapTransport, number>>;
+    /**
+     * Whether the accessory is paired with a controller, from the status flags
+     */
+    paired: boolean;
+    /**
+     * Whether the accessory is currently seen on any transport
+     */
+    online: boolean;
+    /**
+     * Preferred (reachable) address for IP, only set while the accessory is seen on IP
+     */
+    address?: string;
+    port?: number;
+    /**
+     * Last IP service record, only set while the accessory is seen on IP
+     */
+    ip?: HapServiceIp;
+    /**
+     * Last BLE service record, only set while the accessory is seen on BLE
+     */
+    ble?: HapServiceBle;
+    /**
+     * Transports the accessory is currently seen on
+     */
+    transports: HapTransport[];
+}
+
+/**
+ * Data of an accessory received from one transport.
+ */
+interface AccessoryUpdate {
+    name: string;
+    category: number;
+    configNumber: number;
+    paired: boolean;
+    address?: string;
+    port?: number;
+    ip?: HapServiceIp;
+    ble?: HapServiceBle;
+}
+
+/**
+ * Check whether a TCP connection to an address can be opened.
+ *
+ * @param {string} address - IP address
+ * @param {number} port - Port
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise} Promise which resolves to true if the address is reachable.
+ */
+function isReachable(address: string, port: number, timeout: number): Promise<boolean> {
+    return new Promise((resolve) => {
+        const socket = net.connect({ host: address, port });
+        const done = (reachable: boolean): void => {
+            socket.destroy();
+            resolve(reachable);
+        };
+        socket.setTimeout(timeout, () => done(false));
+        socket.once('connect', () => done(true));
+        socket.once('error', () => done(false));
+    });
+}
+
+/**
+ * Merge IP and BLE discovery into one list of accessories.
+ *
+ * @fires DiscoveryManager#accessory-online
+ * @fires DiscoveryManager#accessory-offline
+ * @fires DiscoveryManager#config-changed
+ * @fires DiscoveryManager#pairing-state-changed
+ * @fires DiscoveryManager#address-changed
+ */
+export default class DiscoveryManager extends EventEmitter {
+    private ipDiscovery: DiscoverySource | null;
+
+    private bleDiscovery: DiscoverySource | null;
+
+    private bleOfflineTimeout: number;
+
+    private checkReachability: boolean;
+
+    private reachabilityTimeout: number;
+
+    private accessories = new Map<string, DiscoveredAccessory>();
+
+    private bleLastSeen = new Map<string, number>();
+
+    private bleTimer: NodeJS.Timeout | null = null;
+
+    private queue = new OpQueue();
+
+    private unsubscribers: (() => void)[] = [];
+
+    /**
+     * Initialize the DiscoveryManager object.
+     *
+     * @param {DiscoveryManagerOptions?} options - Options
+     */
+    constructor(options: DiscoveryManagerOptions = {}) {
+        super();
+        this.ipDiscovery = options.ip === false ? null : (options.ip ?? new IPDiscovery(options.iface));
+        this.bleDiscovery = options.ble === false ? null : (options.ble ?? new BLEDiscovery());
+        this.bleOfflineTimeout = options.bleOfflineTimeout ?? 300000;
+        this.checkReachability = options.checkReachability !== false;
+        this.reachabilityTimeout = options.reachabilityTimeout ?? 2000;
+    }
+
+    /**
+     * Start the discovery on all enabled transports.
+     */
+    start(): void {
+        this.stop();
+
+        if (this.ipDiscovery) {
+            const handleIp = (service: HapServiceIp): void => {
+                this.queue.queue(() => this._handleIpService(service));
+            };
+            const handleIpDown = (service: HapServiceIp): void => {
+                this.queue.queue(async () => this._removeTransport(service.id, 'ip'));
+            };
+            this._listen(this.ipDiscovery, 'serviceUp', handleIp);
+            this._listen(this.ipDiscovery, 'serviceChanged', handleIp);
+            this._listen(this.ipDiscovery, 'serviceDown', handleIpDown);
+            this.ipDiscovery.start();
+        }
+
+        if (this.bleDiscovery) {
+            const handleBle = (service: HapServiceBle): void => {
+                this.queue.queue(async () => this._handleBleService(service));
+            };
+            this._listen(this.bleDiscovery, 'serviceUp', handleBle);
+            this._listen(this.bleDiscovery, 'serviceChanged', handleBle);
+            this.bleDiscovery.start();
+
+            this.bleTimer = setInterval(
+                () => this.queue.queue(async () => this._checkBleTimeouts()),
+                Math.min(this.bleOfflineTimeout, 60000),
+            );
+            this.bleTimer.unref();
+        }
+    }
+
+    /**
+     * Stop the discovery. Known accessories are kept.
+     */
+    stop(): void {
+        if (this.unsubscribers.length) {
+            this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+            this.unsubscribers = [];
+            this.ipDiscovery?.stop();
+            this.bleDiscovery?.stop();
+        }
+
+        if (this.bleTimer) {
+            clearInterval(this.bleTimer);
+            this.bleTimer = null;
+        }
+    }
+
+    /**
+     * List all known accessories, including offline ones.
+     *
+     * @returns {DiscoveredAccessory[]} Known accessories
+     */
+    list(): DiscoveredAccessory[] {
+        return Array.from(this.accessories.values());
+    }
+
+    /**
+     * Get an accessory by its device ID.
+     *
+     * @param {string} id - Device ID
+     * @returns {DiscoveredAccessory|null} The accessory or null if unknown
+     */
+    get(id: string): DiscoveredAccessory | null {
+        return this.accessories.get(id.toUpperCase()) ?? null;
+    }
+
+    /**
+     * Wait until all discovery events received so far are processed.
+     *
+     * @returns {Promise} Promise which resolves when done
+     */
+    async flush(): Promise<void> {
+        // eslint-disable-next-line @typescript-eslint/no-empty-function
+        await this.queue.queue(async () => {});
+    }
+
+    /**
+     * Register a listener on a discovery source and remember it for stop().
+     *
+     * @param {DiscoverySource} source - Discovery source
+     * @param {string} event - Event name
+     * @param {function} listener - Listener
+     */
+    private _listen<T>(source: DiscoverySource, event: string, listener: (service: T) => void): void {
+        source.on(event, listener);
+        this.unsubscribers.push(() => source.removeListener(event, listener));
+    }
+
+    /**
+     * Choose the address to use for an IP accessory.
+     *
+     * @param {HapServiceIp} service - IP service record
+     * @returns {Promise} Promise which resolves to the preferred address.
+     */
+    private async _chooseAddress(service: HapServiceIp): Promise<string> {
+        const addresses = service.allAddresses?.length ? service.allAddresses : [service.address];
+        if (!this.checkReachability || addresses.length < 2) {
+            return addresses[0];
+        }
+
+        // IPv4 first, link-local IPv6 addresses last as they need a scope ID
+        const sorted = [...addresses].sort((a, b) => {
+            const rank = (address: string): number =>
+                net.isIPv4(address) ? 0 : address.toLowerCase().startsWith('fe80') ? 2 : 1;
+            return rank(a) - rank(b);
+        });
+        for (const address of sorted) {
+            if (await isReachable(address, service.port, this.reachabilityTimeout)) {
+                return address;
+            }
+            debug(`${service.id}: ${address}:${service.port} is not reachable`);
+        }
+        return addresses[0];
+    }
+
+    /**
+     * Handle a discovered or changed IP service.
+     *
+     * @param {HapServiceIp} service - IP service record
+     * @returns {Promise} Promise which resolves when done
+     */
+    private async _handleIpService(service: HapServiceIp): Promise<void> {
+        const id = service.id.toUpperCase();
+        const known = this.accessories.get(id);
+        const previous = known?.online && { address: known.address, port: known.port };
+        const address = await this._chooseAddress(service);
+
+        const accessory = this._update(id, 'ip', {
+            name: service.name,
+            category: service.ci,
+            configNumber: service['c#'],
+            paired: !(service.sf & DiscoveryPairingStatusFlags.AccessoryNotPaired),
+            address,
+            port: service.port,
+            ip: service,
+        });
+
+        // an accessory which stayed online via BLE gets its address back when it reappears on IP
+        if (previous && (previous.address !== address || previous.port !== service.port)) {
+            debug(`${id}: address changed to ${address}:${service.port}`);
+            /**
+             * The IP address or port of an accessory changed
+             *
+             * @event DiscoveryManager#address-changed
+             * @type DiscoveredAccessory
+             */
+            this.emit('address-changed', accessory);
+        }
+    }
+
+    /**
+     * Handle a discovered or changed BLE service.
+     *
+     * @param {HapServiceBle} service - BLE service record
+     */
+    private _handleBleService(service: HapServiceBle): void {
+        const id = service.DeviceID.toUpperCase();
+        this.bleLastSeen.set(id, Date.now());
+        this._update(id, 'ble', {
+            name: service.name,
+            category: service.ACID,
+            configNumber: service.CN,
+            paired: !(service.SF & DiscoveryPairingStatusFlags.AccessoryNotPaired),
+            ble: service,
+        });
+    }
+
+    /**
+     * Mark BLE accessories as offline which were not seen for too long.
+     */
+    private _checkBleTimeouts(): void {
+        const now = Date.now();
+        for (const [id, lastSeen] of this.bleLastSeen) {
+            if (now - lastSeen >= this.bleOfflineTimeout) {
+                this._removeTransport(id, 'ble');
+            }
+        }
+    }
+
+    /**
+     * Update an accessory with new data from one transport and emit the events.
+     *
+     * @param {string} id - Device ID
+     * @param {string} transport - Transport the data was received on
+     * @param {Object} data - New data
+     * @returns {DiscoveredAccessory} The updated accessory
+     */
+    private _update(id: string, transport: HapTransport, data: AccessoryUpdate): DiscoveredAccessory {
+        const { configNumber, ...rest } = data;
+        let accessory = this.accessories.get(id);
+        const previous = accessory && { ...accessory };
+
+        if (!accessory) {
+            accessory = { id, online: false, transports: [], configNumbers: {}, ...rest };
+            this.accessories.set(id, accessory);
+        } else {
+            Object.assign(accessory, rest);
+        }
+
+        if (!accessory.transports.includes(transport)) {
+            accessory.transports.push(transport);
+        }
+
+        if (!accessory.online) {
+            accessory.online = true;
+            debug(`${id}: online via ${transport}`);
+            /**
+             * An accessory was discovered or came back online
+             *
+             * @event DiscoveryManager#accessory-online
+             * @type DiscoveredAccessory
+             */
+            this.emit('accessory-online', accessory);
+        }
+
+        const previousConfigNumber = accessory.configNumbers[transport];
+        accessory.configNumbers[transport] = configNumber;
+
+        // eslint-disable-next-line no-undefined
+        if (previousConfigNumber !== undefined && previousConfigNumber !== configNumber) {
+            debug(`${id}: ${transport} configuration number changed ${previousConfigNumber} -> ${configNumber}`);
+            /**
+             * The configuration number of a transport changed, its accessory database needs to be read again.
+             * The previous number and the transport are passed as additional arguments.
+             *
+             * @event DiscoveryManager#config-changed
+             * @type DiscoveredAccessory
+             */
+            this.emit('config-changed', accessory, previousConfigNumber, transport);
+        }
+
+        if (previous && previous.paired !== accessory.paired) {
+            /**
+             * The accessory was paired or unpaired
+             *
+             * @event DiscoveryManager#pairing-state-changed
+             * @type DiscoveredAccessory
+             */
+            this.emit('pairing-state-changed', accessory);
+        }
+
+        return accessory;
+    }
+
+    /**
+     * Remove a transport from an accessory, and mark it offline if it was the last one.
+     *
+     * @param {string} id - Device ID
+     * @param {string} transport - Transport the accessory disappeared from
+     */
+    private _removeTransport(id: string, transport: HapTransport): void {
+        id = id.toUpperCase();
+        if (transport === 'ble') {
+            this.bleLastSeen.delete(id);
+        }
+
+        const accessory = this.accessories.get(id);
+        if (!accessory || !accessory.transports.includes(transport)) {
+            return;
+        }
+
+        accessory.transports = accessory.transports.filter((t) => t !== transport);
+        if (transport === 'ip') {
+            delete accessory.ip;
+            delete accessory.address;
+            delete accessory.port;
+        } else {
+            delete accessory.ble;
+        }
+        if (!accessory.transports.length && accessory.online) {
+            accessory.online = false;
+            debug(`${id}: offline`);
+            /**
+             * An accessory is not seen on any transport anymore
+             *
+             * @event DiscoveryManager#accessory-offline
+             * @type DiscoveredAccessory
+             */
+            this.emit('accessory-offline', accessory);
+        }
+    }
+}
@@ -0,0 +1,568 @@
+/**
+ * Transport independent controller on top of HttpClient and GattClient.
+ */
+
+import { EventEmitter } from 'events';
+import BigNumber from 'bignumber.js';
+import Debug from 'debug';
+import HttpClient, { HttpClientOptions } from '../transport/ip/http-client';
+import GattClient, { GattClientOptions } from '../transport/ble/gatt-client';
+import { HapServiceIp } from '../transport/ip/ip-discovery';
+import { HapServiceBle } from '../transport/ble/ble-discovery';
+import { AccessoryPairingData, PairingData, PairMethods } from '../protocol/pairing-protocol';
+import { Pairing } from '../protocol/pairing-management';
+import ControllerIdentity from '../protocol/controller-identity';
+import { Accessories } from '../model/accessory';
+import { CharacteristicObject } from '../model/characteristic';
+import AccessoryDatabase, { AccessoryCharacteristic } from '../model/accessory-database';
+import HomekitControllerError from '../model/error';
+import { TLV } from '../model/tlv';
+
+const debug = Debug('hap-controller:hap-controller');
+
+export type HapTransport = 'ip' | 'ble';
+
+export interface HapControllerOptions {
+    /**
+     * Options for the HttpClient, used for IP devices.
+     */
+    ip?: HttpClientOptions;
+
+    /**
+     * Options for the GattClient, used for BLE devices.
+     */
+    ble?: GattClientOptions;
+
+    /**
+     * Cached accessory database. If not given it is read from the device on first use.
+     */
+    accessories?: Accessories;
+
+    /**
+     * Controller identity used for both transports, overrides the identity in the ip/ble options.
+     */
+    identity?: ControllerIdentity;
+}
+
+export interface HapReadOptions {
+    meta?: boolean;
+    perms?: boolean;
+    type?: boolean;
+    ev?: boolean;
+}
+
+/**
+ * Characteristic value as returned by getCharacteristics() and emitted in "event".
+ */
+export interface HapCharacteristicValue extends CharacteristicObject {
+    /**
+     * Characteristic ID in form "aid.iid".
+     */
+    id: string;
+    aid: number;
+    iid: number;
+}
+
+export interface HapEvent {
+    characteristics: HapCharacteristicValue[];
+}
+
+/**
+ * Common interface of the IP and BLE controllers.
+ *
+ * Characteristics are always addressed by their ID in form "aid.iid".
+ *
+ * @fires HapController#event
+ * @fires HapController#event-disconnect
+ * @fires HapController#write
+ */
+export interface HapController extends EventEmitter {
+    readonly transport: HapTransport;
+    readonly deviceId: string;
+    readonly client: HttpClient | GattClient;
+
+    identify(): Promise<void>;
+    pairSetup(pin: string, pairMethod?: number, pairFlags?: number): Promise<void>;
+    getLongTermData(): PairingData | null;
+    listPairings(): Promise<TLV>;
+    getPairings(): Promise<Pairing[]>;
+    addPairing(identifier: string, ltpk: Buffer, isAdmin: boolean): Promise<void>;
+    removePairing(identifier: string | Buffer): Promise<void>;
+    getAccessories(refresh?: boolean): Promise<Accessories>;
+    getAccessoryDatabase(refresh?: boolean): Promise<AccessoryDatabase>;
+    getCharacteristics(characteristics: string[], options?: HapReadOptions): Promise<HapCharacteristicValue[]>;
+    setCharacteristics(characteristics: Record<string, unknown>): Promise<void>;
+    subscribeCharacteristics(characteristics: string[]): Promise<void>;
+    unsubscribeCharacteristics(characteristics?: string[]): Promise<void>;
+    getSubscribedCharacteristics(): string[];
+    close(): Promise<void>;
+}
+
+/**
+ * Convert a characteristic object from one of the clients to the normalized form.
+ *
+ * @param {Object} entry - Characteristic object with aid and iid
+ * @returns {HapCharacteristicValue} Normalized characteristic
+ */
+function normalizeEntry(entry: Record<string, unknown>): HapCharacteristicValue {
+    const aid = BigNumber.isBigNumber(entry.aid) ? (<BigNumber>entry.aid).toNumber() : Number(entry.aid ?? 1);
+    const iid = BigNumber.isBigNumber(entry.iid) ? (<BigNumber>entry.iid).toNumber() : Number(entry.iid);
+    const normalized: Record<string, unknown> = { ...entry, id: `${aid}.${iid}`, aid, iid };
+    delete normalized.serviceUuid;
+    return <HapCharacteristicValue>(<unknown>normalized);
+}
+
+/**
+ * Functionality shared by both controllers.
+ */
+abstract class BaseController<T extends HttpClient | GattClient> extends EventEmitter {
+    abstract readonly transport: HapTransport;
+
+    readonly client: T;
+
+    protected database: AccessoryDatabase | null = null;
+
+    /**
+     * Initialize the controller.
+     *
+     * @param {HttpClient|GattClient} client - Client to wrap
+     * @param {Accessories?} accessories - Cached accessory database
+     */
+    constructor(client: T, accessories?: Accessories) {
+        super();
+        this.client = client;
+        if (accessories) {
+            this._setDatabase(accessories);
+        }
+
+        (<EventEmitter>this.client).on('event', (event: { characteristics: Record<string, unknown>[] }) => {
+            const characteristics = (event.characteristics || []).map(normalizeEntry);
+            this.database?.updateValues(characteristics);
+            /**
+             * Event emitted with characteristic value changes.
+             *
+             * @event HapController#event
+             * @type HapEvent
+             */
+            this.emit('event', { characteristics });
+        });
+    }
+
+    /**
+     * ID of the device.
+     */
+    get deviceId(): string {
+        return this.client.deviceId;
+    }
+
+    /**
+     * Remember an accessory database and pass it on to the client.
+     *
+     * @param {Accessories} accessories - Accessory database
+     * @returns {AccessoryDatabase} The wrapped database
+     */
+    protected _setDatabase(accessories: Accessories): AccessoryDatabase {
+        this.database = new AccessoryDatabase(accessories);
+        this.client.setAccessoryMetadata(accessories);
+        return this.database;
+    }
+
+    /**
+     * Announce successfully written values.
+     *
+     * @param {Object} characteristics - Values sent to the accessory in form id -> value
+     */
+    protected _emitWrite(characteristics: Record<string, unknown>): void {
+        const ids = Object.keys(characteristics);
+        if (!ids.length) {
+            return;
+        }
+
+        const written = ids.map((id) => {
+            const [aid, iid] = id.split('.').map((part) => parseInt(part, 10));
+            return <HapCharacteristicValue>{ id, aid, iid, value: characteristics[id] };
+        });
+        this.database?.updateValues(written);
+        /**
+         * Event emitted after values were written by this controller.
+         *
+         * @event HapController#write
+         * @type HapEvent
+         */
+        this.emit('write', { characteristics: written });
+    }
+
+    /**
+     * Resolve a characteristic ID using the accessory database.
+     *
+     * @param {string} id - Characteristic ID in form "aid.iid"
+     * @returns {Promise} Promise which resolves to the characteristic.
+     */
+    protected async _resolve(id: string): Promise<AccessoryCharacteristic> {
+        const database = await this.getAccessoryDatabase();
+        const characteristic = database.getCharacteristicById(id);
+        if (!characteristic) {
+            throw new HomekitControllerError(`Unknown characteristic ${id}`, -70409);
+        }
+        return characteristic;
+    }
+
+    /**
+     * Run the identify routine on an unpaired device.
+     *
+     * @returns {Promise} Promise which resolves if identify succeeded.
+     */
+    identify(): Promise<void> {
+        return this.client.identify();
+    }
+
+    /**
+     * Pair with the device.
+     *
+     * @param {string} pin - Setup code in form XXX-XX-XXX
+     * @param {number} pairMethod - Method to use, see PairMethods
+     * @param {number} pairFlags - Flags to use, see PairingTypeFlags
+     * @returns {Promise} Promise which resolves when pairing is complete.
+     */
+    pairSetup(pin: string, pairMethod = PairMethods.PairSetupWithAuth, pairFlags = 0): Promise<void> {
+        return this.client.pairSetup(pin, pairMethod, pairFlags);
+    }
+
+    /**
+     * Get the data (keys) that needs to be stored long-term.
+     *
+     * @returns {PairingData} Object containing the keys that should be stored.
+     */
+    getLongTermData(): PairingData | null {
+        return this.client.getLongTermData();
+    }
+
+    /**
+     * List the pairings on the device as raw TLV.
+     *
+     * @returns {Promise} Promise which resolves to the TLV.
+     */
+    listPairings(): Promise<TLV> {
+        return this.client.listPairings();
+    }
+
+    /**
+     * List the pairings on the device.
+     *
+     * @returns {Promise} Promise which resolves to the list of pairings.
+     */
+    getPairings(): Promise<Pairing[]> {
+        return this.client.getPairings();
+    }
+
+    /**
+     * Add a pairing to the device.
+     *
+     * @param {string} identifier - Identifier of the new controller
+     * @param {Buffer} ltpk - Long-term public key of the new controller
+     * @param {boolean} isAdmin - Whether or not the new controller is an admin
+     * @returns {Promise} Promise which resolves when the process is complete.
+     */
+    addPairing(identifier: string, ltpk: Buffer, isAdmin: boolean): Promise<void> {
+        return this.client.addPairing(identifier, ltpk, isAdmin);
+    }
+
+    /**
+     * Remove a pairing from the device.
+     *
+     * @param {string|Buffer} identifier - Identifier of the controller to remove
+     * @returns {Promise} Promise which resolves when the process completes.
+     */
+    removePairing(identifier: string | Buffer): Promise<void> {
+        return this.client.removePairing(identifier);
+    }
+
+    /**
+     * Read the accessory database from the device (or the accessory cache of the client) and cache it.
+     *
+     * @param {boolean} refresh - Set to true to bypass the accessory cache of the client
+     * @returns {Promise} Promise which resolves to the JSON document.
+     */
+    async getAccessories(refresh = false): Promise<Accessories> {
+        const accessories = await this.client.getAccessories(refresh);
+        this._setDatabase(accessories);
+        return accessories;
+    }
+
+    /**
+     * Get the (cached) accessory database.
+     *
+     * @param {boolean} refresh - Set to true to read it from the device again
+     * @returns {Promise} Promise which resolves to the AccessoryDatabase.
+     */
+    async getAccessoryDatabase(refresh = false): Promise<AccessoryDatabase> {
+        if (!this.database || refresh) {
+            await this.getAccessories(refresh);
+        }
+        return this.database!;
+    }
+
+    /**
+     * Close all open connections to the device.
+     *
+     * @returns {Promise} Promise when done
+     */
+    close(): Promise<void> {
+        return this.client.close();
+    }
+}
+
+/**
+ * HapController for IP devices.
+ */
+export class IPController extends BaseController<HttpClient> implements HapController {
+    readonly transport = 'ip';
+
+    /**
+     * Initialize the controller.
+     *
+     * @param {HttpClient} client - Client to wrap
+     * @param {Accessories?} accessories - Cached accessory database
+     */
+    constructor(client: HttpClient, accessories?: Accessories) {
+        super(client, accessories);
+
+        this.client.on('event-disconnect', (characteristics: string[]) => {
+            /**
+             * Event emitted when the subscription connection got disconnected.
+             *
+             * @event HapController#event-disconnect
+             * @type {string[]} IDs of the characteristics which were subscribed
+             */
+            this.emit('event-disconnect', characteristics);
+        });
+    }
+
+    /**
+     * Read a set of characteristics.
+     *
+     * @param {string[]} characteristics - Characteristic IDs in form ["aid.iid", ...]
+     * @param {HapReadOptions?} options - Metadata to include
+     * @returns {Promise} Promise which resolves to the list of values.
+     */
+    async getCharacteristics(characteristics: string[], options?: HapReadOptions): Promise<HapCharacteristicValue[]> {
+        const res = await this.client.getCharacteristics(characteristics, options);
+        const entries = (<{ characteristics: Record<string, unknown>[] }>res).characteristics.map(normalizeEntry);
+        this.database?.updateValues(entries);
+        return entries;
+    }
+
+    /**
+     * Modify a set of characteristics.
+     *
+     * @param {Object} characteristics - Characteristic IDs to set in form id -> value
+     * @returns {Promise} Promise which resolves when all values are written.
+     */
+    async setCharacteristics(characteristics: Record<string, unknown>): Promise<void> {
+        const results = await this.client.writeCharacteristics(characteristics);
+        this._emitWrite(Object.fromEntries(results.filter((r) => r.success).map((r) => [r.id, r.writtenValue])));
+        const failed = results.filter((r) => !r.success);
+        if (failed.length) {
+            throw new HomekitControllerError(
+                `Set failed for ${failed.map((r) => `${r.id} (${r.status})`).join(', ')}`,
+                failed[0].status,
+                { characteristics: failed },
+            );
+        }
+    }
+
+    /**
+     * Subscribe to events for a set of characteristics.
+     *
+     * @param {string[]} characteristics - Characteristic IDs in form ["aid.iid", ...]
+     * @returns {Promise} Promise which resolves when subscribed.
+     */
+    async subscribeCharacteristics(characteristics: string[]): Promise<void> {
+        await this.client.subscribeCharacteristics(characteristics);
+    }
+
+    /**
+     * Unsubscribe from events for a set of characteristics.
+     *
+     * @param {string[]?} characteristics - Characteristic IDs in form ["aid.iid", ...], all if omitted
+     * @returns {Promise} Promise which resolves when unsubscribed.
+     */
+    async unsubscribeCharacteristics(characteristics?: string[]): Promise<void> {
+        await this.client.unsubscribeCharacteristics(characteristics);
+    }
+
+    /**
+     * Get the list of subscribed characteristics.
+     *
+     * @returns {string[]} Characteristic IDs in form ["aid.iid", ...]
+     */
+    getSubscribedCharacteristics(): string[] {
+        return this.client.getSubscribedCharacteristics().slice();
+    }
+}
+
+/**
+ * HapController for BLE devices.
+ *
+ * BLE addresses characteristics by service and characteristic UUID, these are
+ * resolved from the accessory database.
+ */
+export class BLEController extends BaseController<GattClient> implements HapController {
+    readonly transport = 'ble';
+
+    /**
+     * Initialize the controller.
+     *
+     * @param {GattClient} client - Client to wrap
+     * @param {Accessories?} accessories - Cached accessory database
+     */
+    constructor(client: GattClient, accessories?: Accessories) {
+        super(client, accessories);
+
+        this.client.on('event-disconnect', (characteristics: { iid: number }[]) => {
+            this.emit(
+                'event-disconnect',
+                characteristics.map((c) => `1.${c.iid}`),
+            );
+        });
+    }
+
+    /**
+     * Build the characteristic description used by GattClient.
+     *
+     * @param {string} id - Characteristic ID in form "aid.iid"
+     * @returns {Promise} Promise which resolves to {characteristicUuid, serviceUuid, iid, format}.
+     */
+    private async _gattCharacteristic(
+        id: string,
+    ): Promise<{ characteristicUuid: string; serviceUuid: string; iid: number; format: string }> {
+        const characteristic = await this._resolve(id);
+        return {
+            characteristicUuid: characteristic.type,
+            serviceUuid: characteristic.service.type,
+            iid: characteristic.iid,
+            format: characteristic.format || 'data',
+        };
+    }
+
+    /**
+     * Read a set of characteristics.
+     *
+     * @param {string[]} characteristics - Characteristic IDs in form ["aid.iid", ...]
+     * @param {HapReadOptions?} options - Metadata to include
+     * @returns {Promise} Promise which resolves to the list of values.
+     */
+    async getCharacteristics(characteristics: string[], options?: HapReadOptions): Promise<HapCharacteristicValue[]> {
+        const list = [];
+        for (const id of characteristics) {
+            list.push(await this._gattCharacteristic(id));
+        }
+
+        const res = await this.client.getCharacteristics(list, options);
+        const entries = res.characteristics.map((c) => normalizeEntry(<Record<string, unknown>>c));
+        this.database?.updateValues(entries);
+        return entries;
+    }
+
+    /**
+     * Modify a set of characteristics.
+     *
+     * @param {Object} characteristics - Characteristic IDs to set in form id -> value
+     * @returns {Promise} Promise which resolves when all values are written.
+     */
+    async setCharacteristics(characteristics: Record<string, unknown>): Promise<void> {
+        const list = [];
+        for (const id in characteristics) {
+            const { characteristicUuid, serviceUuid, iid } = await this._gattCharacteristic(id);
+            list.push({ characteristicUuid, serviceUuid, iid, value: characteristics[id] });
+        }
+
+        const written = await this.client.setCharacteristics(list);
+        this._emitWrite(Object.fromEntries(Object.keys(characteristics).map((id, index) => [id, written[index]])));
+    }
+
+    /**
+     * Subscribe to events for a set of characteristics.
+     *
+     * @param {string[]} characteristics - Characteristic IDs in form ["aid.iid", ...]
+     * @returns {Promise} Promise which resolves when subscribed.
+     */
+    async subscribeCharacteristics(characteristics: string[]): Promise<void> {
+        const list = [];
+        for (const id of characteristics) {
+            list.push(await this._gattCharacteristic(id));
+        }
+
+        await this.client.subscribeCharacteristics(list);
+    }
+
+    /**
+     * Unsubscribe from events for a set of characteristics.
+     *
+     * @param {string[]?} characteristics - Characteristic IDs in form ["aid.iid", ...], all if omitted
+     * @returns {Promise} Promise which resolves when unsubscribed.
+     */
+    async unsubscribeCharacteristics(characteristics?: string[]): Promise<void> {
+        if (!characteristics) {
+            await this.client.unsubscribeCharacteristics();
+            return;
+        }
+
+        const list = [];
+        for (const id of characteristics) {
+            const { characteristicUuid, serviceUuid } = await this._gattCharacteristic(id);
+            list.push({ characteristicUuid, serviceUuid });
+        }
+
+        await this.client.unsubscribeCharacteristics(list);
+    }
+
+    /**
+     * Get the list of subscribed characteristics.
+     *
+     * @returns {string[]} Characteristic IDs in form ["aid.iid", ...]
+     */
+    getSubscribedCharacteristics(): string[] {
+        return this.client.getSubscribedCharacteristics().map((c) => `1.${c.iid}`);
+    }
+}
+
+/**
+ * Check if a discovered service is a BLE device.
+ *
+ * @param {HapServiceIp|HapServiceBle} service - Discovered service
+ * @returns {boolean} true for BLE devices
+ */
+function isBleService(service: HapServiceIp | HapServiceBle): service is HapServiceBle {
+    return !!(<HapServiceBle>service).peripheral;
+}
+
+/**
+ * Create a controller for a device found by IPDiscovery or BLEDiscovery.
+ *
+ * @param {HapServiceIp|HapServiceBle} service - Discovered service
+ * @param {PairingData?} pairingData - Existing pairing data
+ * @param {HapControllerOptions?} options - Controller options
+ * @returns {HapController} The controller
+ */
+export function createController(
+    service: HapServiceIp | HapServiceBle,
+    pairingData?: PairingData | AccessoryPairingData,
+    options?: HapControllerOptions,
+): HapController {
+    if (isBleService(service)) {
+        debug(`${service.id} Create BLE controller`);
+        const client = new GattClient(service.id, service.peripheral, pairingData, {
+            ...options?.ble,
+            identity: options?.identity || options?.ble?.identity,
+        });
+        return new BLEController(client, options?.accessories);
+    }
+
+    debug(`${service.id} Create IP controller for ${service.address}:${service.port}`);
+    const client = new HttpClient(service.id, service.address, service.port, pairingData, {
+        ...options?.ip,
+        identity: options?.identity || options?.ip?.identity,
+    });
+    return new IPController(client, options?.accessories);
+}
@@ -0,0 +1,379 @@
+/**
+ * Local mirror of the current characteristic values of a paired accessory.
+ */
+
+import { EventEmitter } from 'events';
+import BigNumber from 'bignumber.js';
+import Debug from 'debug';
+import { HapCharacteristicValue, HapController, HapEvent } from './hap-controller';
+import AccessoryDatabase, { AccessoryCharacteristic } from '../model/accessory-database';
+
+const debug = Debug('hap-controller:state-mirror');
+
+export type StateSource = 'seed' | 'event' | 'write' | 'poll';
+
+export interface StateMirrorOptions {
+    /**
+     * Set to false to not subscribe to characteristics with the "ev" permission, they are
+     * polled like the other characteristics then.
+     * Default: true
+     */
+    subscribe?: boolean;
+
+    /**
+     * Poll interval in ms for readable characteristics without the "ev" permission, or a function
+     * returning the interval for a characteristic. Use 0 to not poll a characteristic.
+     * Default: 60000
+     */
+    pollInterval?: number | ((characteristic: AccessoryCharacteristic) => number);
+
+    /**
+     * Set to true to read the accessory database from the device when starting, instead of
+     * taking it from the accessory cache of the client. Without it the seeded values are read
+     * from the device after subscribing.
+     * Default: false
+     */
+    refresh?: boolean;
+}
+
+export interface CharacteristicState {
+    /**
+     * Characteristic ID in form "aid.iid"
+     */
+    id: string;
+    aid: number;
+    iid: number;
+    value: unknown;
+
+    /**
+     * Time of the last update in ms since epoch
+     */
+    timestamp: number;
+
+    /**
+     * Where the last update came from
+     */
+    source: StateSource;
+}
+
+export interface StateChange {
+    /**
+     * Characteristic ID in form "aid.iid"
+     */
+    id: string;
+    aid: number;
+    iid: number;
+    oldValue: unknown;
+    newValue: unknown;
+
+    /**
+     * Time of the change in ms since epoch
+     */
+    timestamp: number;
+    source: StateSource;
+}
+
+/**
+ * Compare two characteristic values.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} true if both are equal
+ */
+function valuesEqual(a: unknown, b: unknown): boolean {
+    if (a === b) {
+        return true;
+    }
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+        return a.equals(b);
+    }
+    if (BigNumber.isBigNumber(a) || BigNumber.isBigNumber(b)) {
+        return BigNumber(<BigNumber.Value>a).isEqualTo(<BigNumber.Value>b);
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return false;
+}
+
+/**
+ * Mirror of all readable characteristics of an accessory, seeded from the accessory database and
+ * one read of the device, and kept up to date from events, writes of the controller and polling.
+ *
+ * @fires StateMirror#change
+ * @fires StateMirror#poll-failed
+ */
+export default class StateMirror extends EventEmitter {
+    private controller: HapController;
+
+    private subscribe: boolean;
+
+    private pollInterval: number | ((characteristic: AccessoryCharacteristic) => number);
+
+    private refresh: boolean;
+
+    private database: AccessoryDatabase | null = null;
+
+    private states = new Map<string, CharacteristicState>();
+
+    private subscribed: string[] = [];
+
+    private pollGroups = new Map<number, { ids: string[]; timer: NodeJS.Timeout; running: boolean }>();
+
+    private unsubscribers: (() => void)[] = [];
+
+    /**
+     * Initialize the StateMirror object.
+     *
+     * @param {HapController} controller - Controller of the paired accessory
+     * @param {StateMirrorOptions?} options - Options
+     */
+    constructor(controller: HapController, options: StateMirrorOptions = {}) {
+        super();
+        this.controller = controller;
+        this.subscribe = options.subscribe !== false;
+        this.pollInterval = options.pollInterval ?? 60000;
+        this.refresh = options.refresh || false;
+    }
+
+    /**
+     * Seed the mirror from the accessory database, subscribe to the characteristics with events,
+     * read the current values and start polling the others.
+     *
+     * @returns {Promise} Promise which resolves when the mirror is up to date.
+     */
+    async start(): Promise<void> {
+        await this.stop();
+
+        this._listen('event', (event: HapEvent) => this._update(event.characteristics, 'event'));
+        this._listen('write', (event: HapEvent) => this._update(event.characteristics, 'write'));
+        this._listen('event-disconnect', (ids: string[]) => {
+            // the subscription is gone for good, poll these characteristics instead
+            debug(`${this.controller.deviceId} Subscription lost, polling ${ids.join(', ')}`);
+            this.subscribed = this.subscribed.filter((id) => !ids.includes(id));
+            const characteristics = ids.map((id) => this.database?.getCharacteristicById(id));
+            this._poll(<AccessoryCharacteristic[]>characteristics.filter((c) => c));
+        });
+
+        const database = (this.database = await this.controller.getAccessoryDatabase(this.refresh));
+        const readable = database.accessories.flatMap((a) => a.getAllCharacteristics()).filter((c) => c.isReadable);
+
+        const timestamp = Date.now();
+        for (const characteristic of readable) {
+            const { id, aid, iid, value } = characteristic;
+            this.states.set(id, { id, aid, iid, value, timestamp, source: 'seed' });
+        }
+
+        const withEvents = this.subscribe ? readable.filter((c) => c.supportsEvents) : [];
+        if (withEvents.length) {
+            const ids = withEvents.map((c) => c.id);
+            await this.controller.subscribeCharacteristics(ids);
+            this.subscribed = ids;
+        }
+
+        // cached databases may be outdated and BLE databases have no values at all, so only values
+        // just read with the database are trusted
+        // eslint-disable-next-line no-undefined
+        const hasValues = readable.every((c) => c.value !== undefined);
+        if (!this.refresh || !hasValues) {
+            const ids = readable.map((c) => c.id);
+            await this._read(ids, 'seed');
+        }
+
+        this._poll(readable.filter((c) => !withEvents.includes(c)));
+    }
+
+    /**
+     * Stop polling, unsubscribe the characteristics and stop listening to the controller.
+     * The last known values are kept.
+     *
+     * @returns {Promise} Promise which resolves when done.
+     */
+    async stop(): Promise<void> {
+        this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribers = [];
+
+        for (const group of this.pollGroups.values()) {
+            clearInterval(group.timer);
+        }
+        this.pollGroups.clear();
+
+        if (this.subscribed.length) {
+            const ids = this.subscribed;
+            this.subscribed = [];
+            await this.controller.unsubscribeCharacteristics(ids);
+        }
+    }
+
+    /**
+     * Get the current value of a characteristic.
+     *
+     * @param {string} id - Characteristic ID in form "aid.iid"
+     * @returns {*} Value, undefined if unknown
+     */
+    get(id: string): unknown {
+        return this.states.get(id)?.value;
+    }
+
+    /**
+     * Get the state of a characteristic.
+     *
+     * @param {string} id - Characteristic ID in form "aid.iid"
+     * @returns {CharacteristicState|null} State, null if unknown
+     */
+    getState(id: string): CharacteristicState | null {
+        const state = this.states.get(id);
+        return state ? { ...state } : null;
+    }
+
+    /**
+     * Get the states of all mirrored characteristics.
+     *
+     * @returns {CharacteristicState[]} States
+     */
+    getAll(): CharacteristicState[] {
+        return Array.from(this.states.values()).map((state) => ({ ...state }));
+    }
+
+    /**
+     * Read all polled characteristics now.
+     *
+     * @returns {Promise} Promise which resolves when all reads are done.
+     */
+    async poll(): Promise<void> {
+        for (const group of this.pollGroups.values()) {
+            await this._pollGroup(group);
+        }
+    }
+
+    /**
+     * Register a listener on the controller and remember it for stop().
+     *
+     * @param {string} event - Event name
+     * @param {function} listener - Listener
+     */
+    private _listen(event: string, listener: (...args: any[]) => void): void {
+        this.controller.on(event, listener);
+        this.unsubscribers.push(() => this.controller.removeListener(event, listener));
+    }
+
+    /**
+     * Add characteristics to the poll schedule, grouped by their interval.
+     *
+     * @param {AccessoryCharacteristic[]} characteristics - Characteristics to poll
+     */
+    private _poll(characteristics: AccessoryCharacteristic[]): void {
+        for (const characteristic of characteristics) {
+            const interval =
+                typeof this.pollInterval === 'function' ? this.pollInterval(characteristic) : this.pollInterval;
+            if (!interval) {
+                continue;
+            }
+
+            let group = this.pollGroups.get(interval);
+            if (!group) {
+                const timer = setInterval(() => this._pollGroup(group!), interval);
+                timer.unref();
+                group = { ids: [], timer, running: false };
+                this.pollGroups.set(interval, group);
+            }
+            if (!group.ids.includes(characteristic.id)) {
+                group.ids.push(characteristic.id);
+            }
+        }
+    }
+
+    /**
+     * Read the characteristics of a poll group.
+     *
+     * @param {Object} group - Poll group
+     * @returns {Promise} Promise which resolves when done.
+     */
+    private async _pollGroup(group: { ids: string[]; running: boolean }): Promise<void> {
+        if (group.running) {
+            return;
+        }
+        group.running = true;
+
+        try {
+            await this._read(group.ids, 'poll');
+        } finally {
+            group.running = false;
+        }
+    }
+
+    /**
+     * Read characteristics with one request per accessory and update the mirror.
+     *
+     * @param {string[]} ids - Characteristic IDs in form "aid.iid"
+     * @param {StateSource} source - Source of the read values
+     * @returns {Promise} Promise which resolves when all reads are done.
+     */
+    private async _read(ids: string[], source: StateSource): Promise<void> {
+        const byAccessory = new Map<number, string[]>();
+        for (const id of ids) {
+            const aid = this.states.get(id)!.aid;
+            byAccessory.set(aid, [...(byAccessory.get(aid) || []), id]);
+        }
+
+        for (const [aid, characteristics] of byAccessory) {
+            try {
+                this._update(await this.controller.getCharacteristics(characteristics), source);
+            } catch (err) {
+                debug(`${this.controller.deviceId} Reading accessory ${aid} failed: ${err}`);
+                /**
+                 * Event emitted when reading the characteristics of an accessory failed, when
+                 * starting or polling.
+                 *
+                 * @event StateMirror#poll-failed
+                 * @type {Object} { aid: number, characteristics: string[], error: Error }
+                 */
+                this.emit('poll-failed', { aid, characteristics, error: err });
+            }
+        }
+    }
+
+    /**
+     * Update the mirror with new values.
+     *
+     * @param {HapCharacteristicValue[]} characteristics - New values
+     * @param {StateSource} source - Where the values come from
+     */
+    private _update(characteristics: HapCharacteristicValue[], source: StateSource): void {
+        const timestamp = Date.now();
+        for (const entry of characteristics) {
+            const state = this.states.get(entry.id);
+            // eslint-disable-next-line no-undefined
+            if (!state || entry.value === undefined) {
+                continue;
+            }
+            if (source === 'seed' && state.source !== 'seed') {
+                // an event or write during the seed read is newer
+                continue;
+            }
+
+            const oldValue = state.value;
+            state.value = entry.value;
+            state.timestamp = timestamp;
+            state.source = source;
+
+            if (!valuesEqual(oldValue, entry.value)) {
+                /**
+                 * Event emitted when the value of a characteristic changed.
+                 *
+                 * @event StateMirror#change
+                 * @type StateChange
+                 */
+                this.emit('change', {
+                    id: state.id,
+                    aid: state.aid,
+                    iid: state.iid,
+                    oldValue,
+                    newValue: entry.value,
+                    timestamp,
+                    source,
+                });
+            }
+        }
+    }
+}
@@ -1,19 +1,74 @@
-import BLEDiscovery, { HapServiceBle } from './transport/ble/ble-discovery';
+import BLEDiscovery, { BleBackend, HapServiceBle } from './transport/ble/ble-discovery';
 import GattClient from './transport/ble/gatt-client';
 import HttpClient from './transport/ip/http-client';
-import { PairingData, PairingTypeFlags, PairMethods } from './protocol/pairing-protocol';
+import { ConnectionFactory, HttpConnectionOptions } from './transport/ip/http-connection';
+import { OperationOptions } from './utils/operation';
+import CameraStreamClient, * as CameraStream from './transport/ip/camera-stream-client';
+import { BLEController, createController, HapController, IPController } from './controller/hap-controller';
+import DiscoveryManager, { DiscoveredAccessory } from './controller/discovery-manager';
+import StateMirror, { CharacteristicState, StateChange, StateMirrorOptions } from './controller/state-mirror';
+import { AccessoryPairingData, PairingData, PairingTypeFlags, PairMethods } from './protocol/pairing-protocol';
+import ControllerIdentity, { ControllerIdentityData } from './protocol/controller-identity';
+import { PairingRetryInfo, PairingRetryOptions } from './protocol/pairing-retry';
+import * as MfiVerification from './protocol/mfi-verification';
+import { MfiVerificationOptions, MfiVerificationResult } from './protocol/mfi-verification';
 import IPDiscovery, { HapServiceIp } from './transport/ip/ip-discovery';
 import * as Category from './model/category';
+import AccessoryDatabase, { Accessory, AccessoryService, AccessoryCharacteristic } from './model/accessory-database';
 import * as Characteristic from './model/characteristic';
 import * as GattConstants from './transport/ble/gatt-constants';
 import * as GattUtils from './transport/ble/gatt-utils';
+import * as BLEBroadcast from './transport/ble/ble-broadcast';
+import * as FormatCodec from './model/format-codec';
 import * as HttpConstants from './transport/ip/http-constants';
 import * as Service from './model/service';
 import * as TLV from './model/tlv';
-import HomekitControllerError from './model/error';
+import * as TLVSchema from './model/tlv-schema';
+import * as Validation from './model/validation';
+import HomekitControllerError, {
+    CameraStreamError,
+    CameraStreamBusyError,
+    CameraStreamConfigurationError,
+    ConnectionTimeoutError,
+    MfiVerificationError,
+    OperationAbortedError,
+    OperationTimeoutError,
+    PairingError,
+    PairingAuthenticationError,
+    PairingBackoffError,
+    PairingBusyError,
+    PairingMaxPeersError,
+    PairingMaxTriesError,
+    PairingUnavailableError,
+    PairingUnknownError,
+} from './model/error';
+import * as PairingManagement from './protocol/pairing-management';
+import * as SetupPayload from './protocol/setup-payload';
+import IPAccessorySimulator from './testing/ip-accessory-simulator';
+import BLEAccessorySimulator from './testing/ble-accessory-simulator';
+import { SimulatedBleBackend, SimulatedPeripheral } from './testing/simulated-ble';
+import { FilePairingStore, MemoryPairingStore, PairingStore } from './storage/pairing-store';
+import AccessoryCache, { AccessoryCacheEntry } from './storage/accessory-cache';
 
 export {
+    BLEController,
+    createController,
+    HapController,
+    IPController,
+    DiscoveryManager,
+    DiscoveredAccessory,
+    StateMirror,
+    StateMirrorOptions,
+    StateChange,
+    CharacteristicState,
+    Accessory,
+    AccessoryCharacteristic,
+    AccessoryDatabase,
+    AccessoryService,
     BLEDiscovery,
+    BleBackend,
+    BLEBroadcast,
+    FormatCodec,
     HapServiceBle,
     Category,
     Characteristic,
@@ -21,13 +76,54 @@ export {
     GattConstants,
     GattUtils,
     HttpClient,
+    ConnectionFactory,
+    HttpConnectionOptions,
+    OperationOptions,
+    CameraStream,
+    CameraStreamClient,
     HttpConstants,
     IPDiscovery,
     HapServiceIp,
     Service,
     TLV,
+    TLVSchema,
+    Validation,
     PairMethods,
     PairingTypeFlags,
     PairingData,
+    AccessoryPairingData,
+    ControllerIdentity,
+    ControllerIdentityData,
+    PairingRetryInfo,
+    PairingRetryOptions,
+    MfiVerification,
+    MfiVerificationOptions,
+    MfiVerificationResult,
     HomekitControllerError,
+    CameraStreamError,
+    CameraStreamBusyError,
+    CameraStreamConfigurationError,
+    ConnectionTimeoutError,
+    MfiVerificationError,
+    OperationAbortedError,
+    OperationTimeoutError,
+    PairingError,
+    PairingAuthenticationError,
+    PairingBackoffError,
+    PairingBusyError,
+    PairingMaxPeersError,
+    PairingMaxTriesError,
+    PairingUnavailableError,
+    PairingUnknownError,
+    PairingManagement,
+    SetupPayload,
+    IPAccessorySimulator,
+    BLEAccessorySimulator,
+    SimulatedBleBackend,
+    SimulatedPeripheral,
+    FilePairingStore,
+    MemoryPairingStore,
+    PairingStore,
+    AccessoryCache,
+    AccessoryCacheEntry,
 };
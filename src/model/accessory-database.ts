@@ -0,0 +1,483 @@
+/**
+ * Object model for an accessory attribute database.
+ *
+ * Wraps the JSON returned by getAccessories() of HttpClient and GattClient.
+ */
+
+import { Accessories, AccessoryObject } from './accessory';
+import { ServiceObject, ensureServiceUuid, serviceFromUuid, uuidFromService } from './service';
+import {
+    CharacteristicObject,
+    characteristicFromUuid,
+    ensureCharacteristicUuid,
+    uuidFromCharacteristic,
+} from './characteristic';
+
+/**
+ * Check if a service type matches a service name or UUID.
+ *
+ * @param {string} type - Service type (UUID) from the database
+ * @param {string} nameOrUuid - Service name (e.g. public.hap.service.lightbulb), short or long UUID
+ * @returns {boolean} true if both describe the same service type
+ */
+function serviceTypeMatches(type: string, nameOrUuid: string): boolean {
+    return ensureServiceUuid(type) === ensureServiceUuid(uuidFromService(nameOrUuid));
+}
+
+/**
+ * Check if a characteristic type matches a characteristic name or UUID.
+ *
+ * @param {string} type - Characteristic type (UUID) from the database
+ * @param {string} nameOrUuid - Characteristic name (e.g. public.hap.characteristic.on), short or long UUID
+ * @returns {boolean} true if both describe the same characteristic type
+ */
+function characteristicTypeMatches(type: string, nameOrUuid: string): boolean {
+    return ensureCharacteristicUuid(type) === ensureCharacteristicUuid(uuidFromCharacteristic(nameOrUuid));
+}
+
+export class AccessoryCharacteristic {
+    /**
+     * Service this characteristic belongs to.
+     */
+    readonly service: AccessoryService;
+
+    /**
+     * Raw characteristic object from the database.
+     */
+    readonly raw: CharacteristicObject;
+
+    /**
+     * Initialize the AccessoryCharacteristic object.
+     *
+     * @param {AccessoryService} service - Parent service
+     * @param {CharacteristicObject} raw - Characteristic object from the database
+     */
+    constructor(service: AccessoryService, raw: CharacteristicObject) {
+        this.service = service;
+        this.raw = raw;
+    }
+
+    /**
+     * Accessory ID.
+     */
+    get aid(): number {
+        return this.service.accessory.aid;
+    }
+
+    /**
+     * Instance ID.
+     */
+    get iid(): number {
+        return this.raw.iid!;
+    }
+
+    /**
+     * ID in form "aid.iid", as used by getCharacteristics() and subscribeCharacteristics().
+     */
+    get id(): string {
+        return `${this.aid}.${this.iid}`;
+    }
+
+    /**
+     * Characteristic type as long UUID.
+     */
+    get type(): string {
+        return ensureCharacteristicUuid(this.raw.type || '');
+    }
+
+    /**
+     * Characteristic name (e.g. public.hap.characteristic.on), or the UUID if unknown.
+     */
+    get name(): string {
+        return characteristicFromUuid(this.type);
+    }
+
+    /**
+     * Last known value.
+     */
+    get value(): unknown {
+        return this.raw.value;
+    }
+
+    set value(value: unknown) {
+        this.raw.value = value;
+    }
+
+    get format(): string | undefined {
+        return this.raw.format;
+    }
+
+    get unit(): string | undefined {
+        return this.raw.unit;
+    }
+
+    get minValue(): number | undefined {
+        return this.raw.minValue;
+    }
+
+    get maxValue(): number | undefined {
+        return this.raw.maxValue;
+    }
+
+    get minStep(): number | undefined {
+        return this.raw.minStep;
+    }
+
+    get description(): string | undefined {
+        return this.raw.description;
+    }
+
+    get perms(): string[] {
+        return this.raw.perms || [];
+    }
+
+    /**
+     * Check if the characteristic has a permission.
+     *
+     * @param {string} perm - Permission, e.g. pr, pw, ev, aa, tw, hd, wr
+     * @returns {boolean} true if the permission is set
+     */
+    hasPermission(perm: string): boolean {
+        return this.perms.includes(perm);
+    }
+
+    /**
+     * Whether the characteristic supports paired reads (pr).
+     */
+    get isReadable(): boolean {
+        return this.hasPermission('pr');
+    }
+
+    /**
+     * Whether the characteristic supports paired writes (pw).
+     */
+    get isWritable(): boolean {
+        return this.hasPermission('pw');
+    }
+
+    /**
+     * Whether the characteristic supports event notifications (ev).
+     */
+    get supportsEvents(): boolean {
+        return this.hasPermission('ev');
+    }
+
+    /**
+     * Check if the characteristic is of the given type.
+     *
+     * @param {string} nameOrUuid - Characteristic name or UUID
+     * @returns {boolean} true if the type matches
+     */
+    is(nameOrUuid: string): boolean {
+        return characteristicTypeMatches(this.type, nameOrUuid);
+    }
+}
+
+export class AccessoryService {
+    /**
+     * Accessory this service belongs to.
+     */
+    readonly accessory: Accessory;
+
+    /**
+     * Raw service object from the database.
+     */
+    readonly raw: ServiceObject;
+
+    /**
+     * Characteristics of the service.
+     */
+    readonly characteristics: AccessoryCharacteristic[];
+
+    /**
+     * Initialize the AccessoryService object.
+     *
+     * @param {Accessory} accessory - Parent accessory
+     * @param {ServiceObject} raw - Service object from the database
+     */
+    constructor(accessory: Accessory, raw: ServiceObject) {
+        this.accessory = accessory;
+        this.raw = raw;
+        this.characteristics = (raw.characteristics || []).map((c) => new AccessoryCharacteristic(this, c));
+    }
+
+    /**
+     * Instance ID.
+     */
+    get iid(): number {
+        return this.raw.iid;
+    }
+
+    /**
+     * Service type as long UUID.
+     */
+    get type(): string {
+        return ensureServiceUuid(this.raw.type || '');
+    }
+
+    /**
+     * Service name (e.g. public.hap.service.lightbulb), or the UUID if unknown.
+     */
+    get name(): string {
+        return serviceFromUuid(this.type);
+    }
+
+    get isPrimary(): boolean {
+        return !!this.raw.primary;
+    }
+
+    get isHidden(): boolean {
+        return !!this.raw.hidden;
+    }
+
+    /**
+     * Services linked to this one, resolved from the "linked" instance IDs.
+     */
+    get linkedServices(): AccessoryService[] {
+        return (this.raw.linked || [])
+            .map((iid) => this.accessory.getServiceByIid(iid))
+            .filter((s): s is AccessoryService => !!s);
+    }
+
+    /**
+     * Check if the service is of the given type.
+     *
+     * @param {string} nameOrUuid - Service name or UUID
+     * @returns {boolean} true if the type matches
+     */
+    is(nameOrUuid: string): boolean {
+        return serviceTypeMatches(this.type, nameOrUuid);
+    }
+
+    /**
+     * Get the first characteristic of a type.
+     *
+     * @param {string} nameOrUuid - Characteristic name or UUID
+     * @returns {AccessoryCharacteristic|null} The characteristic or null if not found
+     */
+    getCharacteristic(nameOrUuid: string): AccessoryCharacteristic | null {
+        return this.characteristics.find((c) => c.is(nameOrUuid)) || null;
+    }
+
+    /**
+     * Get a characteristic by its instance ID.
+     *
+     * @param {number} iid - Instance ID
+     * @returns {AccessoryCharacteristic|null} The characteristic or null if not found
+     */
+    getCharacteristicByIid(iid: number): AccessoryCharacteristic | null {
+        return this.characteristics.find((c) => c.iid === iid) || null;
+    }
+}
+
+export class Accessory {
+    /**
+     * Raw accessory object from the database.
+     */
+    readonly raw: AccessoryObject;
+
+    /**
+     * Services of the accessory.
+     */
+    readonly services: AccessoryService[];
+
+    /**
+     * Initialize the Accessory object.
+     *
+     * @param {AccessoryObject} raw - Accessory object from the database
+     */
+    constructor(raw: AccessoryObject) {
+        this.raw = raw;
+        this.services = (raw.services || []).map((s) => new AccessoryService(this, s));
+    }
+
+    /**
+     * Accessory ID.
+     */
+    get aid(): number {
+        return this.raw.aid;
+    }
+
+    /**
+     * The primary service, if the accessory marked one.
+     */
+    get primaryService(): AccessoryService | null {
+        return this.services.find((s) => s.isPrimary) || null;
+    }
+
+    /**
+     * Value of the Name characteristic of the Accessory Information service.
+     */
+    get name(): string | null {
+        const name = this.getCharacteristic(
+            'public.hap.service.accessory-information',
+            'public.hap.characteristic.name',
+        );
+        return typeof name?.value === 'string' ? name.value : null;
+    }
+
+    /**
+     * Get the first service of a type.
+     *
+     * @param {string} nameOrUuid - Service name or UUID
+     * @returns {AccessoryService|null} The service or null if not found
+     */
+    getService(nameOrUuid: string): AccessoryService | null {
+        return this.services.find((s) => s.is(nameOrUuid)) || null;
+    }
+
+    /**
+     * Get all services of a type.
+     *
+     * @param {string} nameOrUuid - Service name or UUID
+     * @returns {AccessoryService[]} Matching services
+     */
+    getServices(nameOrUuid: string): AccessoryService[] {
+        return this.services.filter((s) => s.is(nameOrUuid));
+    }
+
+    /**
+     * Get a service by its instance ID.
+     *
+     * @param {number} iid - Instance ID
+     * @returns {AccessoryService|null} The service or null if not found
+     */
+    getServiceByIid(iid: number): AccessoryService | null {
+        return this.services.find((s) => s.iid === iid) || null;
+    }
+
+    /**
+     * Get a characteristic of a service.
+     *
+     * @param {string} service - Service name or UUID
+     * @param {string} characteristic - Characteristic name or UUID
+     * @returns {AccessoryCharacteristic|null} The characteristic or null if not found
+     */
+    getCharacteristic(service: string, characteristic: string): AccessoryCharacteristic | null {
+        for (const s of this.getServices(service)) {
+            const c = s.getCharacteristic(characteristic);
+            if (c) {
+                return c;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get a characteristic by its instance ID.
+     *
+     * @param {number} iid - Instance ID
+     * @returns {AccessoryCharacteristic|null} The characteristic or null if not found
+     */
+    getCharacteristicByIid(iid: number): AccessoryCharacteristic | null {
+        for (const s of this.services) {
+            const c = s.getCharacteristicByIid(iid);
+            if (c) {
+                return c;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get all characteristics of all services.
+     *
+     * @returns {AccessoryCharacteristic[]} All characteristics
+     */
+    getAllCharacteristics(): AccessoryCharacteristic[] {
+        return this.services.reduce((all: AccessoryCharacteristic[], s) => all.concat(s.characteristics), []);
+    }
+}
+
+export default class AccessoryDatabase {
+    /**
+     * Raw database as returned by getAccessories().
+     */
+    readonly raw: Accessories;
+
+    /**
+     * Accessories in the database. BLE devices always have exactly one accessory with aid 1.
+     */
+    readonly accessories: Accessory[];
+
+    /**
+     * Initialize the AccessoryDatabase object.
+     *
+     * @param {Accessories} raw - Database as returned by getAccessories() of HttpClient or GattClient
+     */
+    constructor(raw: Accessories) {
+        this.raw = raw;
+        this.accessories = (raw.accessories || []).map((a) => new Accessory(a));
+    }
+
+    /**
+     * Get an accessory by its ID.
+     *
+     * @param {number} aid - Accessory ID
+     * @returns {Accessory|null} The accessory or null if not found
+     */
+    getAccessory(aid: number): Accessory | null {
+        return this.accessories.find((a) => `${a.aid}` === `${aid}`) || null;
+    }
+
+    /**
+     * Get a characteristic by its ID.
+     *
+     * @param {string} id - ID in form "aid.iid"
+     * @returns {AccessoryCharacteristic|null} The characteristic or null if not found
+     */
+    getCharacteristicById(id: string): AccessoryCharacteristic | null {
+        const [aid, iid] = id.split('.').map((v) => parseInt(v.trim(), 10));
+        return this.getAccessory(aid)?.getCharacteristicByIid(iid) || null;
+    }
+
+    /**
+     * Find all services of a type across all accessories.
+     *
+     * @param {string} nameOrUuid - Service name or UUID
+     * @returns {AccessoryService[]} Matching services
+     */
+    findServices(nameOrUuid: string): AccessoryService[] {
+        return this.accessories.reduce((all: AccessoryService[], a) => all.concat(a.getServices(nameOrUuid)), []);
+    }
+
+    /**
+     * Find all characteristics of a type across all accessories, optionally only in services of a type.
+     *
+     * @param {string} characteristic - Characteristic name or UUID
+     * @param {string?} service - Service name or UUID
+     * @returns {AccessoryCharacteristic[]} Matching characteristics
+     */
+    findCharacteristics(characteristic: string, service?: string): AccessoryCharacteristic[] {
+        const result: AccessoryCharacteristic[] = [];
+        for (const accessory of this.accessories) {
+            for (const s of service ? accessory.getServices(service) : accessory.services) {
+                result.push(...s.characteristics.filter((c) => c.is(characteristic)));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Update the stored values from the result of getCharacteristics() or an "event".
+     *
+     * @param {Object[]} characteristics - List of objects with aid, iid and value
+     * @returns {AccessoryCharacteristic[]} The updated characteristics
+     */
+    updateValues(characteristics: { aid?: unknown; iid?: unknown; value?: unknown }[]): AccessoryCharacteristic[] {
+        const updated = [];
+        for (const entry of characteristics) {
+            // eslint-disable-next-line no-undefined
+            if (entry.value === undefined) {
+                continue;
+            }
+
+            const characteristic = this.getCharacteristicById(`${entry.aid}.${entry.iid}`);
+            if (characteristic) {
+                characteristic.value = entry.value;
+                updated.push(characteristic);
+            }
+        }
+        return updated;
+    }
+}
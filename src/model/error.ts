@@ -1,4 +1,5 @@
 import JSONBig from 'json-bigint';
+import type { MfiVerificationResult } from '../protocol/mfi-verification';
 
 class HomekitControllerError extends Error {
     public statusCode: number | undefined;
@@ -45,3 +46,206 @@ class HomekitControllerError extends Error {
 }
 
 export default HomekitControllerError;
+
+/**
+ * Error returned by the accessory during a pairing procedure (kTLVType_Error).
+ *
+ * The statusCode is the kTLVError code, see Table 5-5. If the accessory sent a
+ * kTLVType_RetryDelay item, retryDelay contains the delay in seconds.
+ */
+export class PairingError extends HomekitControllerError {
+    public retryDelay: number | undefined;
+
+    constructor(message: string, errorCode: number, retryDelay?: number) {
+        super(message, errorCode);
+        this.name = 'PairingError';
+        this.retryDelay = retryDelay;
+    }
+
+    get errorCode(): number {
+        return this.statusCode!;
+    }
+}
+
+/**
+ * Generic error to handle unexpected errors (kTLVError_Unknown).
+ */
+export class PairingUnknownError extends PairingError {
+    constructor(message: string, errorCode = 0x01, retryDelay?: number) {
+        super(message, errorCode, retryDelay);
+        this.name = 'PairingUnknownError';
+    }
+}
+
+/**
+ * Setup code or signature verification failed (kTLVError_Authentication).
+ */
+export class PairingAuthenticationError extends PairingError {
+    constructor(message: string, errorCode = 0x02, retryDelay?: number) {
+        super(message, errorCode, retryDelay);
+        this.name = 'PairingAuthenticationError';
+    }
+}
+
+/**
+ * Client must look at the retry delay TLV item and wait that many seconds before retrying (kTLVError_Backoff).
+ */
+export class PairingBackoffError extends PairingError {
+    constructor(message: string, errorCode = 0x03, retryDelay?: number) {
+        super(message, errorCode, retryDelay);
+        this.name = 'PairingBackoffError';
+    }
+}
+
+/**
+ * Server cannot accept any more pairings (kTLVError_MaxPeers).
+ */
+export class PairingMaxPeersError extends PairingError {
+    constructor(message: string, errorCode = 0x04, retryDelay?: number) {
+        super(message, errorCode, retryDelay);
+        this.name = 'PairingMaxPeersError';
+    }
+}
+
+/**
+ * Server reached its maximum number of authentication attempts (kTLVError_MaxTries).
+ */
+export class PairingMaxTriesError extends PairingError {
+    constructor(message: string, errorCode = 0x05, retryDelay?: number) {
+        super(message, errorCode, retryDelay);
+        this.name = 'PairingMaxTriesError';
+    }
+}
+
+/**
+ * Server pairing method is unavailable, e.g. the accessory is already paired (kTLVError_Unavailable).
+ */
+export class PairingUnavailableError extends PairingError {
+    constructor(message: string, errorCode = 0x06, retryDelay?: number) {
+        super(message, errorCode, retryDelay);
+        this.name = 'PairingUnavailableError';
+    }
+}
+
+/**
+ * Server is busy and cannot accept a pairing request at this time (kTLVError_Busy).
+ */
+export class PairingBusyError extends PairingError {
+    constructor(message: string, errorCode = 0x07, retryDelay?: number) {
+        super(message, errorCode, retryDelay);
+        this.name = 'PairingBusyError';
+    }
+}
+
+type PairingErrorClass = new (message: string, errorCode?: number, retryDelay?: number) => PairingError;
+
+const PairingErrorClasses: Record<number, PairingErrorClass> = {
+    0x01: PairingUnknownError,
+    0x02: PairingAuthenticationError,
+    0x03: PairingBackoffError,
+    0x04: PairingMaxPeersError,
+    0x05: PairingMaxTriesError,
+    0x06: PairingUnavailableError,
+    0x07: PairingBusyError,
+};
+
+/**
+ * Create the typed error for a kTLVError code.
+ *
+ * @param {string} message - Error message
+ * @param {number} errorCode - kTLVError code
+ * @param {number?} retryDelay - Retry delay in seconds, if sent by the accessory
+ * @returns {PairingError} Matching error, a plain PairingError for unknown codes
+ */
+export function pairingErrorFromCode(message: string, errorCode: number, retryDelay?: number): PairingError {
+    const ErrorClass = PairingErrorClasses[errorCode];
+    return ErrorClass
+        ? new ErrorClass(message, errorCode, retryDelay)
+        : new PairingError(message, errorCode, retryDelay);
+}
+
+/**
+ * The MFi certificate or proof sent by the accessory during Pair Setup could not be verified
+ * and the pairing was aborted before it was stored on the accessory.
+ */
+export class MfiVerificationError extends HomekitControllerError {
+    public result: MfiVerificationResult;
+
+    constructor(message: string, result: MfiVerificationResult) {
+        super(message);
+        this.name = 'MfiVerificationError';
+        this.result = result;
+    }
+}
+
+/**
+ * Error while negotiating or controlling a camera RTP stream.
+ *
+ * The statusCode is the HAP status code of a rejected write, or the status of the SetupEndpoints response.
+ */
+export class CameraStreamError extends HomekitControllerError {
+    constructor(message: string, statusCode?: number, body?: Record<string, unknown>) {
+        super(message, statusCode, body);
+        this.name = 'CameraStreamError';
+    }
+}
+
+/**
+ * The camera can not start another stream at this time (SetupEndpoints status "Busy").
+ */
+export class CameraStreamBusyError extends CameraStreamError {
+    constructor(message: string, statusCode = 1, body?: Record<string, unknown>) {
+        super(message, statusCode, body);
+        this.name = 'CameraStreamBusyError';
+    }
+}
+
+/**
+ * The requested stream configuration is not supported or was rejected by the camera.
+ */
+export class CameraStreamConfigurationError extends CameraStreamError {
+    constructor(message: string, statusCode?: number, body?: Record<string, unknown>) {
+        super(message, statusCode, body);
+        this.name = 'CameraStreamConfigurationError';
+    }
+}
+
+/**
+ * The connection to the device could not be established or the device stopped responding in time.
+ */
+export class ConnectionTimeoutError extends HomekitControllerError {
+    constructor(message: string) {
+        super(message);
+        this.name = 'ConnectionTimeoutError';
+    }
+}
+
+/**
+ * An operation did not finish within the timeout given in its options.
+ *
+ * A request which was already sent can not be completed later, so the connection it used is closed.
+ */
+export class OperationTimeoutError extends HomekitControllerError {
+    public timeout: number;
+
+    constructor(message: string, timeout: number) {
+        super(message);
+        this.name = 'OperationTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * An operation was aborted with the AbortSignal given in its options.
+ *
+ * A request which was already sent can not be completed later, so the connection it used is closed.
+ */
+export class OperationAbortedError extends HomekitControllerError {
+    public reason: unknown;
+
+    constructor(message: string, reason?: unknown) {
+        super(message);
+        this.name = 'OperationAbortedError';
+        this.reason = reason;
+    }
+}
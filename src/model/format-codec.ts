@@ -0,0 +1,234 @@
+/**
+ * Binary encoding of characteristic values for all HAP formats.
+ *
+ * See Chapter 6.3.3 and Table 7-51
+ */
+
+import BigNumber from 'bignumber.js';
+import HomekitControllerError from './error';
+
+/**
+ * Ranges of the integer formats.
+ */
+const IntegerFormats: Record<string, { bytes: number; min: bigint; max: bigint }> = {
+    uint8: { bytes: 1, min: BigInt(0), max: BigInt(0xff) },
+    uint16: { bytes: 2, min: BigInt(0), max: BigInt(0xffff) },
+    uint32: { bytes: 4, min: BigInt(0), max: BigInt(0xffffffff) },
+    uint64: { bytes: 8, min: BigInt(0), max: BigInt('18446744073709551615') },
+    int: { bytes: 4, min: BigInt(-0x80000000), max: BigInt(0x7fffffff) },
+};
+
+/**
+ * Largest finite 32-bit float.
+ */
+const MaxFloat32 = 3.4028234663852886e38;
+
+/**
+ * Build the error for a value which does not fit the format.
+ *
+ * @param {unknown} value - Rejected value
+ * @param {string} format - HAP format
+ * @param {string} reason - Description of the problem
+ * @returns {HomekitControllerError} The error
+ */
+function formatError(value: unknown, format: string, reason: string): HomekitControllerError {
+    return new HomekitControllerError(`Can not encode ${String(value)} as ${format}: ${reason}`, -70410, {
+        value,
+        format,
+    });
+}
+
+/**
+ * Convert a value to an integer.
+ *
+ * @param {unknown} value - Number, bigint, BigNumber, numeric string or boolean
+ * @param {string} format - HAP format, used in error messages
+ * @returns {bigint} The integer
+ */
+function toBigInt(value: unknown, format: string): bigint {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+
+    if (typeof value === 'boolean') {
+        return BigInt(value ? 1 : 0);
+    }
+
+    if (BigNumber.isBigNumber(value)) {
+        if (!value.isInteger()) {
+            throw formatError(value, format, 'not an integer');
+        }
+        return BigInt(value.toFixed());
+    }
+
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+        return BigInt(value.trim());
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isInteger(value)) {
+            throw formatError(value, format, 'not an integer');
+        }
+        return BigInt(value);
+    }
+
+    throw formatError(value, format, 'not a number');
+}
+
+/**
+ * Encode a value into its binary (little endian) representation.
+ *
+ * Integer values can be given as number, bigint, BigNumber or numeric string; data and tlv8 values
+ * as Buffer or base64 encoded string.
+ *
+ * @param {unknown} value - Value to encode
+ * @param {string} format - HAP format
+ * @returns {Buffer} Encoded value
+ * @throws {HomekitControllerError} If the value does not fit the format
+ */
+export function encodeValue(value: unknown, format: string): Buffer {
+    switch (format) {
+        case 'bool':
+            if (value === true || value === 1) {
+                return Buffer.from([1]);
+            }
+            if (value === false || value === 0) {
+                return Buffer.from([0]);
+            }
+            throw formatError(value, format, 'not a boolean');
+        case 'uint8':
+        case 'uint16':
+        case 'uint32':
+        case 'uint64':
+        case 'int': {
+            const { bytes, min, max } = IntegerFormats[format];
+            const int = toBigInt(value, format);
+            if (int < min || int > max) {
+                throw formatError(value, format, `out of range ${min}-${max}`);
+            }
+
+            if (format === 'int') {
+                const buf = Buffer.alloc(4);
+                buf.writeInt32LE(Number(int));
+                return buf;
+            }
+
+            const buf = Buffer.alloc(8);
+            buf.writeBigUInt64LE(int);
+            return Buffer.from(buf.subarray(0, bytes));
+        }
+        case 'float': {
+            const num = BigNumber.isBigNumber(value) ? value.toNumber() : value;
+            if (typeof num !== 'number' || !isFinite(num)) {
+                throw formatError(value, format, 'not a finite number');
+            }
+            if (Math.abs(num) > MaxFloat32) {
+                throw formatError(value, format, 'out of the 32-bit float range');
+            }
+            const buf = Buffer.alloc(4);
+            buf.writeFloatLE(num);
+            return buf;
+        }
+        case 'string':
+            if (typeof value !== 'string') {
+                throw formatError(value, format, 'not a string');
+            }
+            return Buffer.from(value, 'utf-8');
+        case 'data':
+        case 'tlv8':
+            if (Buffer.isBuffer(value)) {
+                return value;
+            }
+            if (typeof value === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+                return Buffer.from(value, 'base64');
+            }
+            throw formatError(value, format, 'not a Buffer or base64 encoded string');
+        default:
+            throw new Error(`Unknown format type: ${format}`);
+    }
+}
+
+/**
+ * Decode a value from its binary (little endian) representation.
+ *
+ * uint64 values above Number.MAX_SAFE_INTEGER are returned as BigNumber (like json-bigint
+ * does for IP), data and tlv8 values as base64 encoded string. The int format is decoded by
+ * the length of the buffer, so 8 and 16 bit signed values are also supported.
+ *
+ * @param {Buffer} buffer - Buffer to decode
+ * @param {string} format - HAP format
+ * @returns {unknown} Decoded value
+ * @throws {HomekitControllerError} If the buffer is too short for the format
+ */
+export function decodeValue(buffer: Buffer, format: string): unknown {
+    const minLength: Record<string, number> = { bool: 1, uint8: 1, uint16: 2, uint32: 4, uint64: 8, int: 1, float: 4 };
+    if (buffer.length < (minLength[format] ?? 0)) {
+        throw new HomekitControllerError(`Can not decode ${buffer.length} bytes as ${format}`, -70410, {
+            value: buffer.toString('hex'),
+            format,
+        });
+    }
+
+    switch (format) {
+        case 'bool':
+            return buffer.readUInt8(0) !== 0;
+        case 'uint8':
+            return buffer.readUInt8(0);
+        case 'uint16':
+            return buffer.readUInt16LE(0);
+        case 'uint32':
+            return buffer.readUInt32LE(0);
+        case 'uint64': {
+            const value = buffer.readBigUInt64LE(0);
+            if (value <= BigInt(Number.MAX_SAFE_INTEGER)) {
+                return Number(value);
+            }
+            return new BigNumber(value.toString());
+        }
+        case 'int':
+            if (buffer.length >= 4) {
+                return buffer.readInt32LE(0);
+            }
+            return buffer.length >= 2 ? buffer.readInt16LE(0) : buffer.readInt8(0);
+        case 'float':
+            return buffer.readFloatLE(0);
+        case 'string':
+            return buffer.toString('utf-8');
+        case 'data':
+        case 'tlv8':
+            return buffer.toString('base64');
+        default:
+            throw new Error(`Unknown format type: ${format}`);
+    }
+}
+
+/**
+ * Decode a numeric value, e.g. a valid range or step descriptor, always as number.
+ *
+ * @param {Buffer} buffer - Buffer to decode
+ * @param {string} format - HAP format
+ * @returns {number} Decoded value
+ */
+export function decodeNumber(buffer: Buffer, format: string): number {
+    const value = decodeValue(buffer, format);
+    return BigNumber.isBigNumber(value) ? value.toNumber() : Number(value);
+}
+
+/**
+ * Convert a value into the representation used in JSON requests to IP accessories: bigint
+ * values become BigNumber (serialized losslessly by json-bigint), Buffers base64 strings.
+ *
+ * @param {unknown} value - Value to convert
+ * @returns {unknown} Converted value
+ */
+export function toJsonValue(value: unknown): unknown {
+    if (typeof value === 'bigint') {
+        return new BigNumber(value.toString());
+    }
+
+    if (Buffer.isBuffer(value)) {
+        return value.toString('base64');
+    }
+
+    return value;
+}
@@ -0,0 +1,659 @@
+/**
+ * Declarative schemas for nested TLV8 values.
+ *
+ * See Chapter 12.1
+ */
+
+import BigNumber from 'bignumber.js';
+import HomekitControllerError from './error';
+import { decodeValue, encodeValue } from './format-codec';
+import { characteristicFromUuid } from './characteristic';
+
+export type TlvFieldType = 'uint' | 'int' | 'float' | 'bool' | 'string' | 'bytes' | 'nested' | 'list';
+
+export interface TlvField {
+    /**
+     * Property name in the decoded object
+     */
+    name: string;
+
+    /**
+     * TLV type (tag)
+     */
+    tag: number;
+
+    /**
+     * Type of the value. "list" fields are repeated items separated by an empty separator item.
+     */
+    type: TlvFieldType;
+
+    /**
+     * Whether the field can be missing
+     */
+    optional?: boolean;
+
+    /**
+     * Width in bytes of uint/int values. By default the smallest width fitting the value is used.
+     */
+    length?: number;
+
+    /**
+     * Schema of "nested" values and of the items of "list" fields with structured items
+     */
+    schema?: TlvSchema;
+
+    /**
+     * Type of the items of "list" fields with plain items
+     */
+    items?: Exclude<TlvFieldType, 'nested' | 'list'>;
+
+    /**
+     * Tag of the separator between list items. Default: 0x00
+     */
+    separator?: number;
+
+    /**
+     * Write the fields of structured list items directly into the enclosing value instead of wrapping every item
+     * in an item with the tag of the list. The tag of the field is not used then.
+     */
+    inline?: boolean;
+}
+
+export type TlvSchema = TlvField[];
+
+/**
+ * Default separator between list items.
+ */
+const DefaultSeparator = 0x00;
+
+interface TlvItem {
+    tag: number;
+    value: Buffer;
+}
+
+/**
+ * Build the error for a value which does not match the schema.
+ *
+ * @param {string} message - Description of the problem
+ * @param {string} field - Name of the field
+ * @returns {HomekitControllerError} The error
+ */
+function schemaError(message: string, field: string): HomekitControllerError {
+    return new HomekitControllerError(message, -70410, { field });
+}
+
+/**
+ * Split a buffer into its TLV items in order, joining fragments of values longer than 255 bytes.
+ *
+ * @param {Buffer} buffer - Buffer to split
+ * @returns {TlvItem[]} List of items
+ */
+function readItems(buffer: Buffer): TlvItem[] {
+    const items: TlvItem[] = [];
+    let position = 0;
+    let lastLength = 0;
+
+    while (position + 2 <= buffer.length) {
+        const tag = buffer.readUInt8(position);
+        const length = buffer.readUInt8(position + 1);
+        const value = buffer.subarray(position + 2, position + 2 + length);
+        if (value.length !== length) {
+            throw new HomekitControllerError(`Truncated TLV item for tag ${tag}`, -70410);
+        }
+
+        const last = items[items.length - 1];
+        if (last && last.tag === tag && lastLength === 255) {
+            last.value = Buffer.concat([last.value, value]);
+        } else {
+            items.push({ tag, value });
+        }
+
+        position += 2 + length;
+        lastLength = length;
+    }
+
+    return items;
+}
+
+/**
+ * Encode one TLV item, split into fragments of at most 255 bytes.
+ *
+ * @param {number} tag - TLV type
+ * @param {Buffer} value - Value
+ * @returns {Buffer} Encoded item
+ */
+function writeItem(tag: number, value: Buffer): Buffer {
+    const chunks = [];
+    let position = 0;
+    do {
+        const length = Math.min(value.length - position, 255);
+        chunks.push(Buffer.from([tag, length]), value.subarray(position, position + length));
+        position += length;
+    } while (position < value.length);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Decode a plain (not nested) value.
+ *
+ * @param {Buffer} buffer - Raw value
+ * @param {string} type - Field type
+ * @param {string} name - Field name, used in error messages
+ * @returns {unknown} Decoded value
+ */
+function decodePlain(buffer: Buffer, type: TlvFieldType, name: string): unknown {
+    switch (type) {
+        case 'uint':
+            if (buffer.length === 8) {
+                return decodeValue(buffer, 'uint64');
+            }
+            if (buffer.length < 1 || buffer.length > 6) {
+                throw schemaError(`Invalid length ${buffer.length} of uint field ${name}`, name);
+            }
+            return buffer.readUIntLE(0, buffer.length);
+        case 'int':
+            if (buffer.length < 1 || buffer.length > 6) {
+                throw schemaError(`Invalid length ${buffer.length} of int field ${name}`, name);
+            }
+            return buffer.readIntLE(0, buffer.length);
+        case 'float':
+            return decodeValue(buffer, 'float');
+        case 'bool':
+            return decodeValue(buffer, 'bool');
+        case 'string':
+            return buffer.toString('utf-8');
+        case 'bytes':
+            return Buffer.from(buffer);
+        default:
+            throw schemaError(`Unsupported type ${type} of field ${name}`, name);
+    }
+}
+
+/**
+ * Encode a plain (not nested) value.
+ *
+ * @param {unknown} value - Value to encode
+ * @param {string} type - Field type
+ * @param {TlvField} field - Field definition
+ * @returns {Buffer} Encoded value
+ */
+function encodePlain(value: unknown, type: TlvFieldType, field: TlvField): Buffer {
+    switch (type) {
+        case 'uint': {
+            const isNumeric = typeof value === 'number' || typeof value === 'bigint' || BigNumber.isBigNumber(value);
+            const big = new BigNumber(isNumeric ? String(value) : NaN);
+            if (!big.isInteger() || big.isNegative()) {
+                throw schemaError(`Value ${String(value)} of uint field ${field.name} is not a valid uint`, field.name);
+            }
+            const width = field.length ?? [1, 2, 4].find((w) => big.lt(new BigNumber(2).pow(w * 8))) ?? 8;
+            if (width === 8) {
+                return encodeValue(big, 'uint64');
+            }
+            if (big.gte(new BigNumber(2).pow(width * 8))) {
+                throw schemaError(`Value ${big.toFixed()} of uint field ${field.name} is out of range`, field.name);
+            }
+            const buf = Buffer.alloc(width);
+            buf.writeUIntLE(big.toNumber(), 0, width);
+            return buf;
+        }
+        case 'int': {
+            if (typeof value !== 'number' || !Number.isInteger(value)) {
+                throw schemaError(`Value of int field ${field.name} is not an integer`, field.name);
+            }
+            const width = field.length ?? [1, 2, 4].find((w) => Math.abs(value + 0.5) < 2 ** (w * 8 - 1)) ?? 6;
+            if (Math.abs(value + 0.5) >= 2 ** (width * 8 - 1)) {
+                throw schemaError(`Value ${value} of int field ${field.name} is out of range`, field.name);
+            }
+            const buf = Buffer.alloc(width);
+            buf.writeIntLE(value, 0, width);
+            return buf;
+        }
+        case 'float':
+            return encodeValue(value, 'float');
+        case 'bool':
+            return encodeValue(value, 'bool');
+        case 'string':
+            return encodeValue(value, 'string');
+        case 'bytes':
+            return encodeValue(value, 'data');
+        default:
+            throw schemaError(`Unsupported type ${type} of field ${field.name}`, field.name);
+    }
+}
+
+/**
+ * Split the items of an inline list into its entries at the separators.
+ *
+ * @param {TlvItem[]} items - Items of the enclosing value
+ * @param {TlvField} field - Definition of the inline list
+ * @returns {TlvItem[][]} Items of every entry
+ */
+function splitInlineItems(items: TlvItem[], field: TlvField): TlvItem[][] {
+    const separator = field.separator ?? DefaultSeparator;
+    const tags = field.schema!.map((f) => f.tag);
+    const entries: TlvItem[][] = [[]];
+
+    for (const item of items) {
+        if (item.tag === separator) {
+            entries.push([]);
+        } else if (tags.includes(item.tag)) {
+            entries[entries.length - 1].push(item);
+        }
+    }
+
+    return entries.filter((entry) => entry.length);
+}
+
+/**
+ * Decode the items of a TLV8 value into a plain object.
+ *
+ * @param {TlvItem[]} items - Items of the value
+ * @param {TlvSchema} schema - Schema of the value
+ * @returns {Object} Decoded object
+ */
+function decodeItems(items: TlvItem[], schema: TlvSchema): Record<string, unknown> {
+    const result: Record<string, unknown> = {};
+
+    for (const field of schema) {
+        if (field.type === 'list' && field.inline) {
+            const entries = splitInlineItems(items, field);
+            if (!entries.length && !field.optional) {
+                throw schemaError(`Missing required field ${field.name}`, field.name);
+            }
+            if (entries.length) {
+                result[field.name] = entries.map((entry) => decodeItems(entry, field.schema!));
+            }
+            continue;
+        }
+
+        const values = items.filter((item) => item.tag === field.tag).map((item) => item.value);
+
+        if (!values.length) {
+            if (!field.optional) {
+                throw schemaError(`Missing required field ${field.name} (tag ${field.tag})`, field.name);
+            }
+            continue;
+        }
+
+        if (field.type === 'list') {
+            result[field.name] = values.map((value) =>
+                field.schema ? decodeTlv(value, field.schema) : decodePlain(value, field.items!, field.name),
+            );
+        } else if (field.type === 'nested') {
+            result[field.name] = decodeTlv(values[0], field.schema!);
+        } else {
+            result[field.name] = decodePlain(values[0], field.type, field.name);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Decode a TLV8 value into a plain object.
+ *
+ * Items with tags which are not part of the schema (including list separators) are ignored.
+ *
+ * @param {Buffer|string} data - TLV8 value as Buffer or base64 encoded string
+ * @param {TlvSchema} schema - Schema of the value
+ * @returns {Object} Decoded object
+ * @throws {HomekitControllerError} If a required field is missing or has an invalid length
+ */
+export function decodeTlv(data: Buffer | string, schema: TlvSchema): Record<string, unknown> {
+    const buffer = typeof data === 'string' ? Buffer.from(data, 'base64') : data;
+    return decodeItems(readItems(buffer), schema);
+}
+
+/**
+ * Encode a plain object into a TLV8 value.
+ *
+ * Fields are written in schema order, properties which are not part of the schema are ignored.
+ *
+ * @param {Object} obj - Object to encode
+ * @param {TlvSchema} schema - Schema of the value
+ * @returns {Buffer} Encoded TLV8 value
+ * @throws {HomekitControllerError} If a required field is missing or a value does not fit its type
+ */
+export function encodeTlv(obj: Record<string, unknown>, schema: TlvSchema): Buffer {
+    const chunks: Buffer[] = [];
+
+    for (const field of schema) {
+        const value = obj[field.name];
+
+        // eslint-disable-next-line no-undefined
+        if (value === undefined || value === null) {
+            if (!field.optional) {
+                throw schemaError(`Missing required field ${field.name} (tag ${field.tag})`, field.name);
+            }
+            continue;
+        }
+
+        if (field.type === 'list') {
+            if (!Array.isArray(value)) {
+                throw schemaError(`Value of list field ${field.name} is not an array`, field.name);
+            }
+            value.forEach((item, idx) => {
+                if (idx > 0) {
+                    chunks.push(Buffer.from([field.separator ?? DefaultSeparator, 0]));
+                }
+                if (field.inline) {
+                    chunks.push(encodeTlv(item, field.schema!));
+                    return;
+                }
+                const encoded = field.schema ? encodeTlv(item, field.schema) : encodePlain(item, field.items!, field);
+                chunks.push(writeItem(field.tag, encoded));
+            });
+        } else if (field.type === 'nested') {
+            if (typeof value !== 'object') {
+                throw schemaError(`Value of nested field ${field.name} is not an object`, field.name);
+            }
+            chunks.push(writeItem(field.tag, encodeTlv(<Record<string, unknown>>value, field.schema!)));
+        } else {
+            chunks.push(writeItem(field.tag, encodePlain(value, field.type, field)));
+        }
+    }
+
+    return Buffer.concat(chunks);
+}
+
+const VideoCodecParameters: TlvSchema = [
+    { name: 'profiles', tag: 0x01, type: 'list', items: 'uint', optional: true },
+    { name: 'levels', tag: 0x02, type: 'list', items: 'uint', optional: true },
+    { name: 'packetizationModes', tag: 0x03, type: 'list', items: 'uint', optional: true },
+    { name: 'cvoEnabled', tag: 0x04, type: 'uint', optional: true },
+    { name: 'cvoId', tag: 0x05, type: 'uint', optional: true },
+];
+
+const VideoAttributes: TlvSchema = [
+    { name: 'width', tag: 0x01, type: 'uint', length: 2 },
+    { name: 'height', tag: 0x02, type: 'uint', length: 2 },
+    { name: 'frameRate', tag: 0x03, type: 'uint', length: 1 },
+];
+
+const AudioCodecParameters: TlvSchema = [
+    { name: 'channels', tag: 0x01, type: 'uint', length: 1 },
+    { name: 'bitRate', tag: 0x02, type: 'uint', length: 1 },
+    { name: 'sampleRates', tag: 0x03, type: 'list', items: 'uint' },
+    { name: 'rtpTime', tag: 0x04, type: 'uint', length: 1, optional: true },
+];
+
+const SrtpParameters: TlvSchema = [
+    { name: 'cryptoSuite', tag: 0x01, type: 'uint', length: 1 },
+    { name: 'masterKey', tag: 0x02, type: 'bytes' },
+    { name: 'masterSalt', tag: 0x03, type: 'bytes' },
+];
+
+const RtpParameters: TlvSchema = [
+    { name: 'payloadType', tag: 0x01, type: 'uint', length: 1 },
+    { name: 'ssrc', tag: 0x02, type: 'uint', length: 4 },
+    { name: 'maxBitrate', tag: 0x03, type: 'uint', length: 2 },
+    { name: 'minRtcpInterval', tag: 0x04, type: 'float' },
+    { name: 'maxMtu', tag: 0x05, type: 'uint', length: 2, optional: true },
+    { name: 'comfortNoisePayloadType', tag: 0x06, type: 'uint', length: 1, optional: true },
+];
+
+const ButtonConfiguration: TlvSchema = [
+    { name: 'buttonId', tag: 0x01, type: 'uint', length: 1 },
+    { name: 'buttonType', tag: 0x02, type: 'uint', length: 2 },
+    { name: 'buttonName', tag: 0x03, type: 'string', optional: true },
+];
+
+const TargetConfiguration: TlvSchema = [
+    { name: 'targetIdentifier', tag: 0x01, type: 'uint', length: 4 },
+    { name: 'targetName', tag: 0x02, type: 'string', optional: true },
+    { name: 'targetCategory', tag: 0x03, type: 'uint', length: 2, optional: true },
+    { name: 'buttonConfigurations', tag: 0x04, type: 'list', schema: ButtonConfiguration, optional: true },
+];
+
+const MediaContainerConfiguration: TlvSchema = [
+    { name: 'containerType', tag: 0x01, type: 'uint', length: 1 },
+    {
+        name: 'containerParameters',
+        tag: 0x02,
+        type: 'nested',
+        schema: [{ name: 'fragmentLength', tag: 0x01, type: 'uint', length: 4 }],
+    },
+];
+
+const CameraRecordingConfiguration: TlvSchema = [
+    { name: 'prebufferLength', tag: 0x01, type: 'uint', length: 4 },
+    { name: 'eventTriggerOptions', tag: 0x02, type: 'uint', length: 8 },
+    { name: 'mediaContainerConfigurations', tag: 0x03, type: 'list', schema: MediaContainerConfiguration },
+];
+
+const VideoRecordingCodecConfiguration: TlvSchema = [
+    { name: 'codecType', tag: 0x01, type: 'uint', length: 1 },
+    {
+        name: 'codecParameters',
+        tag: 0x02,
+        type: 'nested',
+        schema: [
+            { name: 'profiles', tag: 0x01, type: 'list', items: 'uint' },
+            { name: 'levels', tag: 0x02, type: 'list', items: 'uint' },
+            { name: 'bitRate', tag: 0x03, type: 'uint', length: 4, optional: true },
+            { name: 'iFrameInterval', tag: 0x04, type: 'uint', length: 4, optional: true },
+        ],
+    },
+    { name: 'attributes', tag: 0x03, type: 'list', schema: VideoAttributes },
+];
+
+const AudioRecordingCodecConfiguration: TlvSchema = [
+    { name: 'codecType', tag: 0x01, type: 'uint', length: 1 },
+    {
+        name: 'codecParameters',
+        tag: 0x02,
+        type: 'nested',
+        schema: [
+            { name: 'channels', tag: 0x01, type: 'uint', length: 1 },
+            { name: 'bitRateModes', tag: 0x02, type: 'list', items: 'uint' },
+            { name: 'sampleRates', tag: 0x03, type: 'list', items: 'uint' },
+            { name: 'maxAudioBitRate', tag: 0x04, type: 'uint', length: 4, optional: true },
+        ],
+    },
+];
+
+/**
+ * Schemas of TLV8 characteristics, keyed by characteristic name.
+ */
+export const CharacteristicSchemas: Record<string, TlvSchema> = {
+    'public.hap.characteristic.supported-video-stream-configuration': [
+        {
+            name: 'codecConfigurations',
+            tag: 0x01,
+            type: 'list',
+            schema: [
+                { name: 'codecType', tag: 0x01, type: 'uint', length: 1 },
+                { name: 'codecParameters', tag: 0x02, type: 'nested', schema: VideoCodecParameters },
+                { name: 'attributes', tag: 0x03, type: 'list', schema: VideoAttributes },
+            ],
+        },
+    ],
+    'public.hap.characteristic.supported-audio-configuration': [
+        {
+            name: 'codecConfigurations',
+            tag: 0x01,
+            type: 'list',
+            schema: [
+                { name: 'codecType', tag: 0x01, type: 'uint', length: 1 },
+                { name: 'codecParameters', tag: 0x02, type: 'nested', schema: AudioCodecParameters },
+            ],
+        },
+        { name: 'comfortNoiseSupport', tag: 0x02, type: 'uint', length: 1, optional: true },
+    ],
+    'public.hap.characteristic.supported-rtp-configuration': [
+        { name: 'srtpCryptoSuites', tag: 0x02, type: 'list', items: 'uint' },
+    ],
+    'public.hap.characteristic.selected-rtp-stream-configuration': [
+        {
+            name: 'sessionControl',
+            tag: 0x01,
+            type: 'nested',
+            schema: [
+                { name: 'sessionId', tag: 0x01, type: 'bytes' },
+                { name: 'command', tag: 0x02, type: 'uint', length: 1 },
+            ],
+        },
+        {
+            name: 'video',
+            tag: 0x02,
+            type: 'nested',
+            optional: true,
+            schema: [
+                { name: 'codecType', tag: 0x01, type: 'uint', length: 1 },
+                { name: 'codecParameters', tag: 0x02, type: 'nested', schema: VideoCodecParameters },
+                { name: 'attributes', tag: 0x03, type: 'nested', schema: VideoAttributes },
+                { name: 'rtpParameters', tag: 0x04, type: 'nested', schema: RtpParameters },
+            ],
+        },
+        {
+            name: 'audio',
+            tag: 0x03,
+            type: 'nested',
+            optional: true,
+            schema: [
+                { name: 'codecType', tag: 0x01, type: 'uint', length: 1 },
+                { name: 'codecParameters', tag: 0x02, type: 'nested', schema: AudioCodecParameters },
+                { name: 'rtpParameters', tag: 0x03, type: 'nested', schema: RtpParameters },
+                { name: 'comfortNoise', tag: 0x04, type: 'uint', length: 1 },
+            ],
+        },
+    ],
+    'public.hap.characteristic.setup-endpoints': [
+        { name: 'sessionId', tag: 0x01, type: 'bytes' },
+        { name: 'status', tag: 0x02, type: 'uint', length: 1, optional: true },
+        {
+            name: 'address',
+            tag: 0x03,
+            type: 'nested',
+            optional: true,
+            schema: [
+                { name: 'ipVersion', tag: 0x01, type: 'uint', length: 1 },
+                { name: 'ipAddress', tag: 0x02, type: 'string' },
+                { name: 'videoRtpPort', tag: 0x03, type: 'uint', length: 2 },
+                { name: 'audioRtpPort', tag: 0x04, type: 'uint', length: 2 },
+            ],
+        },
+        { name: 'videoSrtpParameters', tag: 0x04, type: 'nested', schema: SrtpParameters, optional: true },
+        { name: 'audioSrtpParameters', tag: 0x05, type: 'nested', schema: SrtpParameters, optional: true },
+        { name: 'videoSsrc', tag: 0x06, type: 'uint', length: 4, optional: true },
+        { name: 'audioSsrc', tag: 0x07, type: 'uint', length: 4, optional: true },
+    ],
+    'public.hap.characteristic.streaming-status': [{ name: 'status', tag: 0x01, type: 'uint', length: 1 }],
+    'public.hap.characteristic.selected-audio-stream-configuration': [
+        {
+            name: 'inputConfiguration',
+            tag: 0x01,
+            type: 'nested',
+            schema: [
+                { name: 'codecType', tag: 0x01, type: 'uint', length: 1 },
+                { name: 'codecParameters', tag: 0x02, type: 'nested', schema: AudioCodecParameters },
+            ],
+        },
+    ],
+    'public.hap.characteristic.supported-data-stream-transport-configuration': [
+        {
+            name: 'transportConfigurations',
+            tag: 0x01,
+            type: 'list',
+            schema: [{ name: 'transportType', tag: 0x01, type: 'uint', length: 1 }],
+        },
+    ],
+    'public.hap.characteristic.setup-data-stream-transport': [
+        { name: 'status', tag: 0x01, type: 'uint', length: 1, optional: true },
+        {
+            name: 'sessionParameters',
+            tag: 0x02,
+            type: 'nested',
+            optional: true,
+            schema: [{ name: 'tcpListeningPort', tag: 0x01, type: 'uint', length: 2 }],
+        },
+        { name: 'accessoryKeySalt', tag: 0x03, type: 'bytes', optional: true },
+    ],
+    'public.hap.characteristic.lock-management.control-point': [
+        { name: 'readLogsFromTime', tag: 0x00, type: 'uint', length: 4, optional: true },
+        { name: 'clearLogs', tag: 0x02, type: 'bytes', optional: true },
+        { name: 'setCurrentTime', tag: 0x03, type: 'uint', length: 4, optional: true },
+    ],
+    'public.hap.characteristic.supported-target-configuration': [
+        { name: 'maximumTargets', tag: 0x01, type: 'uint', length: 1 },
+        { name: 'ticksPerSecond', tag: 0x02, type: 'uint', length: 8 },
+        {
+            name: 'buttonConfiguration',
+            tag: 0x03,
+            type: 'nested',
+            schema: [
+                {
+                    name: 'buttons',
+                    tag: 0x01,
+                    type: 'list',
+                    inline: true,
+                    schema: [
+                        { name: 'buttonId', tag: 0x01, type: 'uint', length: 1 },
+                        { name: 'buttonType', tag: 0x02, type: 'uint', length: 2 },
+                    ],
+                },
+            ],
+        },
+        { name: 'hardwareImplementation', tag: 0x04, type: 'uint', length: 1, optional: true },
+    ],
+    'public.hap.characteristic.target-list': [
+        { name: 'operation', tag: 0x01, type: 'uint', length: 1 },
+        { name: 'targetConfigurations', tag: 0x02, type: 'list', schema: TargetConfiguration, optional: true },
+    ],
+    'public.hap.characteristic.supported-camera-recording-configuration': CameraRecordingConfiguration,
+    'public.hap.characteristic.supported-video-recording-configuration': [
+        { name: 'codecConfigurations', tag: 0x01, type: 'list', schema: VideoRecordingCodecConfiguration },
+    ],
+    'public.hap.characteristic.supported-audio-recording-configuration': [
+        { name: 'codecConfigurations', tag: 0x01, type: 'list', schema: AudioRecordingCodecConfiguration },
+    ],
+    'public.hap.characteristic.selected-camera-recording-configuration': [
+        { name: 'recordingConfiguration', tag: 0x01, type: 'nested', schema: CameraRecordingConfiguration },
+        {
+            name: 'videoConfiguration',
+            tag: 0x02,
+            type: 'nested',
+            schema: [
+                { name: 'codecConfiguration', tag: 0x01, type: 'nested', schema: VideoRecordingCodecConfiguration },
+            ],
+        },
+        {
+            name: 'audioConfiguration',
+            tag: 0x03,
+            type: 'nested',
+            schema: [
+                { name: 'codecConfiguration', tag: 0x01, type: 'nested', schema: AudioRecordingCodecConfiguration },
+            ],
+        },
+    ],
+    'public.hap.characteristic.thread.control-point': [
+        { name: 'operationType', tag: 0x01, type: 'uint', length: 1 },
+        {
+            name: 'networkCredentials',
+            tag: 0x02,
+            type: 'nested',
+            optional: true,
+            schema: [
+                { name: 'networkName', tag: 0x01, type: 'string' },
+                { name: 'channel', tag: 0x02, type: 'uint', length: 2 },
+                { name: 'panId', tag: 0x03, type: 'uint', length: 2 },
+                { name: 'extendedPanId', tag: 0x04, type: 'bytes' },
+                { name: 'networkKey', tag: 0x05, type: 'bytes' },
+            ],
+        },
+    ],
+};
+
+/**
+ * Get the schema of a TLV8 characteristic.
+ *
+ * @param {string} characteristic - Characteristic UUID, short UUID or name
+ * @returns {TlvSchema|null} The schema or null if none is known
+ */
+export function getCharacteristicSchema(characteristic: string): TlvSchema | null {
+    if (CharacteristicSchemas[characteristic]) {
+        return CharacteristicSchemas[characteristic];
+    }
+
+    return CharacteristicSchemas[characteristicFromUuid(characteristic)] ?? null;
+}
@@ -95,6 +95,12 @@ export function encodeObject(obj: TLV): Buffer {
 
         let valueIdx = 0;
         while (valueIdx < values.length) {
+            if (values[valueIdx].length === 0) {
+                // zero-length items are valid, e.g. flags in protocol configuration requests
+                debug(`Add 0 bytes for tag ${tag}`);
+                tlvs.push(Buffer.from([tag, 0]));
+            }
+
             let position = 0;
             while (values[valueIdx].length - position > 0) {
                 const length = Math.min(values[valueIdx].length - position, 255);
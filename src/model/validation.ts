@@ -0,0 +1,307 @@
+/**
+ * Validation of characteristic values against their metadata.
+ *
+ * See Chapter 6.3.3
+ */
+
+import BigNumber from 'bignumber.js';
+import { Accessories } from './accessory';
+import { CharacteristicObject, characteristicFromUuid } from './characteristic';
+import HomekitControllerError from './error';
+
+export interface ValidationOptions {
+    /**
+     * What to do with numeric values outside of minValue/maxValue: "reject" throws an error,
+     * "clamp" writes the nearest allowed value instead.
+     * Default: reject
+     */
+    outOfRange?: 'reject' | 'clamp';
+
+    /**
+     * Set to false to reject numeric values that are not a multiple of minStep instead of
+     * rounding them to the nearest step.
+     * Default: true
+     */
+    roundToStep?: boolean;
+}
+
+const DefaultValidationOptions: Required<ValidationOptions> = {
+    outOfRange: 'reject',
+    roundToStep: true,
+};
+
+/**
+ * Value ranges of the integer formats.
+ */
+const IntegerRanges: Record<string, [number, number]> = {
+    uint8: [0, 0xff],
+    uint16: [0, 0xffff],
+    uint32: [0, 0xffffffff],
+    uint64: [0, Number.MAX_SAFE_INTEGER],
+    int: [-0x80000000, 0x7fffffff],
+};
+
+/**
+ * Default maximum length of string values.
+ */
+const DefaultMaxLen = 64;
+
+/**
+ * Default maximum length of data values.
+ */
+const DefaultMaxDataLen = 2097152;
+
+/**
+ * Build the error for a value which broke a rule.
+ *
+ * @param {CharacteristicObject} characteristic - Characteristic which should be written
+ * @param {unknown} value - Rejected value
+ * @param {string} rule - Name of the rule which was broken
+ * @param {string} reason - Description of the problem
+ * @param {number} statusCode - HAP status code matching the problem
+ * @returns {HomekitControllerError} The error
+ */
+function validationError(
+    characteristic: CharacteristicObject,
+    value: unknown,
+    rule: string,
+    reason: string,
+    statusCode = -70410,
+): HomekitControllerError {
+    const name = characteristic.type ? characteristicFromUuid(characteristic.type) : 'characteristic';
+    const id = `${characteristic.aid ?? '?'}.${characteristic.iid ?? '?'}`;
+    return new HomekitControllerError(`Invalid value for ${name} (${id}): ${reason}`, statusCode, {
+        aid: characteristic.aid,
+        iid: characteristic.iid,
+        value,
+        rule,
+    });
+}
+
+/**
+ * Check a numeric value against minValue/maxValue/minStep and the valid values.
+ *
+ * @param {CharacteristicObject} characteristic - Characteristic metadata
+ * @param {number} value - Value to check
+ * @param {boolean} isInteger - Whether the format only allows integers
+ * @param {ValidationOptions} options - Validation options
+ * @returns {number} The value to write
+ */
+function validateNumber(
+    characteristic: CharacteristicObject,
+    value: number,
+    isInteger: boolean,
+    options: Required<ValidationOptions>,
+): number {
+    const format = characteristic.format!;
+    let min = characteristic.minValue;
+    let max = characteristic.maxValue;
+    if (IntegerRanges[format]) {
+        min = Math.max(min ?? IntegerRanges[format][0], IntegerRanges[format][0]);
+        max = Math.min(max ?? IntegerRanges[format][1], IntegerRanges[format][1]);
+    }
+
+    const step = characteristic.minStep;
+    if (step) {
+        const base = min ?? 0;
+        const steps = (value - base) / step;
+        const rounded = Math.round(steps);
+        if (Math.abs(steps - rounded) > 1e-9) {
+            if (!options.roundToStep) {
+                throw validationError(
+                    characteristic,
+                    value,
+                    'minStep',
+                    `${value} is not a multiple of the step size ${step}`,
+                );
+            }
+        }
+        // round the result to avoid float artifacts like 0.30000000000000004
+        value = parseFloat((base + rounded * step).toPrecision(12));
+    }
+
+    if (isInteger && !Number.isInteger(value)) {
+        if (!options.roundToStep) {
+            throw validationError(characteristic, value, 'format', `${value} is not an integer (${format})`);
+        }
+        value = Math.round(value);
+    }
+
+    // eslint-disable-next-line no-undefined
+    if (min !== undefined && value < min) {
+        if (options.outOfRange !== 'clamp') {
+            throw validationError(characteristic, value, 'minValue', `${value} is lower than the minimum ${min}`);
+        }
+        value = min;
+    }
+
+    // eslint-disable-next-line no-undefined
+    if (max !== undefined && value > max) {
+        if (options.outOfRange !== 'clamp') {
+            throw validationError(characteristic, value, 'maxValue', `${value} is higher than the maximum ${max}`);
+        }
+        value = max;
+    }
+
+    const validValues = characteristic['valid-values'];
+    if (validValues && validValues.length && !validValues.includes(value)) {
+        throw validationError(
+            characteristic,
+            value,
+            'valid-values',
+            `${value} is not one of the valid values ${validValues.join(', ')}`,
+        );
+    }
+
+    const validRange = characteristic['valid-values-range'];
+    if (validRange && validRange.length === 2 && (value < validRange[0] || value > validRange[1])) {
+        throw validationError(
+            characteristic,
+            value,
+            'valid-values-range',
+            `${value} is outside of the valid range ${validRange[0]}-${validRange[1]}`,
+        );
+    }
+
+    return value;
+}
+
+/**
+ * Validate a value before writing it to a characteristic, and coerce it to the
+ * characteristic format.
+ *
+ * Numeric values are rounded to minStep and checked (or clamped) against
+ * minValue/maxValue, strings against maxLen, data against maxDataLen.
+ * Characteristics without a known format are only checked for the pw permission.
+ *
+ * @param {CharacteristicObject} characteristic - Characteristic metadata, e.g. from getAccessories()
+ * @param {unknown} value - Value to write
+ * @param {ValidationOptions?} options - Validation options
+ * @returns {unknown} The value to write
+ * @throws {HomekitControllerError} If the value breaks one of the rules
+ */
+export function validateCharacteristicValue(
+    characteristic: CharacteristicObject,
+    value: unknown,
+    options?: ValidationOptions,
+): unknown {
+    const opts = Object.assign({}, DefaultValidationOptions, options);
+
+    if (characteristic.perms && !characteristic.perms.includes('pw')) {
+        throw validationError(characteristic, value, 'perms', 'characteristic is not writable', -70404);
+    }
+
+    // eslint-disable-next-line no-undefined
+    if (value === undefined || value === null) {
+        throw validationError(characteristic, value, 'format', 'no value given');
+    }
+
+    switch (characteristic.format) {
+        case 'bool':
+            if (typeof value === 'boolean') {
+                return value;
+            }
+            if (value === 0 || value === 1) {
+                return value === 1;
+            }
+            throw validationError(characteristic, value, 'format', `${value} is not a boolean`);
+        case 'uint8':
+        case 'uint16':
+        case 'uint32':
+        case 'uint64':
+        case 'int':
+        case 'float': {
+            if (typeof value === 'bigint') {
+                value = new BigNumber(value.toString());
+            }
+            if (BigNumber.isBigNumber(value)) {
+                if (characteristic.format !== 'uint64') {
+                    value = (<BigNumber>value).toNumber();
+                } else if ((<BigNumber>value).isInteger() && !(<BigNumber>value).isNegative()) {
+                    // uint64 values beyond Number.MAX_SAFE_INTEGER can not be range checked as number
+                    return value;
+                }
+            }
+            if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+                value = Number(value);
+            }
+            if (typeof value === 'boolean') {
+                value = value ? 1 : 0;
+            }
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw validationError(
+                    characteristic,
+                    value,
+                    'format',
+                    `${value} is not a valid ${characteristic.format} value`,
+                );
+            }
+            return validateNumber(characteristic, value, characteristic.format !== 'float', opts);
+        }
+        case 'string': {
+            if (typeof value !== 'string') {
+                throw validationError(characteristic, value, 'format', `${value} is not a string`);
+            }
+            const maxLen = characteristic.maxLen ?? DefaultMaxLen;
+            if (value.length > maxLen) {
+                throw validationError(
+                    characteristic,
+                    value,
+                    'maxLen',
+                    `string length ${value.length} exceeds the maximum length ${maxLen}`,
+                );
+            }
+            return value;
+        }
+        case 'data':
+        case 'tlv8': {
+            let length;
+            if (Buffer.isBuffer(value)) {
+                length = value.length;
+            } else if (typeof value === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+                length = Buffer.from(value, 'base64').length;
+            } else {
+                throw validationError(
+                    characteristic,
+                    value,
+                    'format',
+                    `value must be a Buffer or a base64 encoded string for format ${characteristic.format}`,
+                );
+            }
+            const maxDataLen = characteristic.maxDataLen ?? DefaultMaxDataLen;
+            if (length > maxDataLen) {
+                throw validationError(
+                    characteristic,
+                    value,
+                    'maxDataLen',
+                    `data length ${length} exceeds the maximum length ${maxDataLen}`,
+                );
+            }
+            return value;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Build a lookup map "aid.iid" -> characteristic metadata from an accessory database.
+ *
+ * @param {Accessories} accessories - Database as returned by getAccessories()
+ * @returns {Map} Map of characteristic ID to characteristic metadata (including aid)
+ */
+export function characteristicMetadataMap(accessories: Accessories): Map<string, CharacteristicObject> {
+    const map = new Map<string, CharacteristicObject>();
+    for (const accessory of accessories.accessories) {
+        for (const service of accessory.services) {
+            for (const characteristic of service.characteristics) {
+                map.set(`${accessory.aid}.${characteristic.iid}`, {
+                    ...characteristic,
+                    aid: accessory.aid,
+                    serviceUuid: service.type,
+                });
+            }
+        }
+    }
+    return map;
+}
@@ -0,0 +1,139 @@
+/**
+ * Long-term identity of a controller, shared by all accessories it is paired with.
+ *
+ * See Chapter 5.6.6.1
+ */
+
+import sodium from 'libsodium-wrappers';
+import { v4 as uuidv4 } from 'uuid';
+import HomekitControllerError from '../model/error';
+
+/**
+ * Serialized controller identity, using the same keys and hex encoding as PairingData.
+ */
+export interface ControllerIdentityData {
+    iOSDevicePairingID: string;
+    iOSDeviceLTSK: string;
+    iOSDeviceLTPK: string;
+}
+
+export default class ControllerIdentity {
+    /**
+     * Pairing identifier of the controller.
+     */
+    readonly pairingId: Buffer;
+
+    /**
+     * Ed25519 long-term secret key (64 bytes, seed followed by the public key).
+     */
+    readonly ltsk: Buffer;
+
+    /**
+     * Ed25519 long-term public key.
+     */
+    readonly ltpk: Buffer;
+
+    /**
+     * Create the ControllerIdentity object.
+     *
+     * @param {Buffer} pairingId - Pairing identifier
+     * @param {Buffer} ltsk - Long-term secret key
+     * @param {Buffer} ltpk - Long-term public key
+     */
+    constructor(pairingId: Buffer, ltsk: Buffer, ltpk: Buffer) {
+        if (!pairingId || pairingId.length === 0) {
+            throw new HomekitControllerError('Controller identity needs a pairing identifier');
+        }
+
+        if (!ltsk || ltsk.length !== 64) {
+            throw new HomekitControllerError(`Invalid controller LTSK length ${ltsk?.length}, expected 64`);
+        }
+
+        if (!ltpk || ltpk.length !== 32) {
+            throw new HomekitControllerError(`Invalid controller LTPK length ${ltpk?.length}, expected 32`);
+        }
+
+        if (!ltsk.subarray(32).equals(ltpk)) {
+            throw new HomekitControllerError('Controller LTPK does not belong to the LTSK');
+        }
+
+        this.pairingId = Buffer.from(pairingId);
+        this.ltsk = Buffer.from(ltsk);
+        this.ltpk = Buffer.from(ltpk);
+    }
+
+    /**
+     * Generate a new controller identity.
+     *
+     * @param {string?} identifier - Pairing identifier to use, a random UUID by default
+     * @returns {Promise} Promise which resolves to the new identity.
+     */
+    static async generate(identifier?: string): Promise<ControllerIdentity> {
+        await sodium.ready;
+
+        const key = sodium.crypto_sign_seed_keypair(sodium.randombytes_buf(32));
+        return new ControllerIdentity(
+            Buffer.from(identifier || uuidv4()),
+            Buffer.from(key.privateKey),
+            Buffer.from(key.publicKey),
+        );
+    }
+
+    /**
+     * Import a controller identity, e.g. one saved with toData() or the controller part of PairingData.
+     *
+     * @param {ControllerIdentityData} data - Serialized identity
+     * @returns {ControllerIdentity} The identity
+     */
+    static fromData(data: ControllerIdentityData): ControllerIdentity {
+        return new ControllerIdentity(
+            Buffer.from(data.iOSDevicePairingID, 'hex'),
+            Buffer.from(data.iOSDeviceLTSK, 'hex'),
+            Buffer.from(data.iOSDeviceLTPK, 'hex'),
+        );
+    }
+
+    /**
+     * Pairing identifier as string, as used by addPairing().
+     *
+     * @returns {string} Pairing identifier
+     */
+    get identifier(): string {
+        return this.pairingId.toString();
+    }
+
+    /**
+     * Long-term public key, as used by addPairing().
+     *
+     * @returns {Buffer} Public key
+     */
+    get publicKey(): Buffer {
+        return Buffer.from(this.ltpk);
+    }
+
+    /**
+     * Serialize the identity for storage.
+     *
+     * @returns {ControllerIdentityData} Serialized identity
+     */
+    toData(): ControllerIdentityData {
+        return {
+            iOSDevicePairingID: this.pairingId.toString('hex'),
+            iOSDeviceLTSK: this.ltsk.toString('hex'),
+            iOSDeviceLTPK: this.ltpk.toString('hex'),
+        };
+    }
+
+    /**
+     * Check if the identity matches the controller part of saved pairing data.
+     *
+     * @param {ControllerIdentityData} data - Serialized identity or pairing data
+     * @returns {boolean} true if pairing identifier and public key match
+     */
+    matches(data: Partial<ControllerIdentityData>): boolean {
+        return (
+            data.iOSDevicePairingID?.toLowerCase() === this.pairingId.toString('hex') &&
+            data.iOSDeviceLTPK?.toLowerCase() === this.ltpk.toString('hex')
+        );
+    }
+}
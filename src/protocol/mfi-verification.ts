@@ -0,0 +1,294 @@
+/**
+ * Verify the MFi authentication an accessory sends during Pair Setup with Auth.
+ */
+
+import crypto, { X509Certificate } from 'crypto';
+import { MfiVerificationError } from '../model/error';
+
+/**
+ * Certificate and proof of the accessory, see Pair Setup M4
+ */
+export interface MfiAuthenticationData {
+    /**
+     * MFi certificate of the accessory (kTLVType_Certificate), a DER encoded X.509 certificate
+     * or a PKCS#7 structure containing it
+     */
+    certificate: Buffer;
+
+    /**
+     * Proof of the authentication coprocessor (kTLVType_Signature)
+     */
+    signature: Buffer;
+
+    /**
+     * Challenge which was signed, derived from the SRP shared secret
+     */
+    challenge: Buffer;
+}
+
+export interface MfiVerificationResult {
+    /**
+     * true if the signature is valid and the certificate chains up to a trust anchor
+     */
+    valid: boolean;
+
+    /**
+     * true if the signature matches the public key of the certificate
+     */
+    signatureValid: boolean;
+
+    /**
+     * true if the certificate was issued by one of the trust anchors
+     */
+    trusted: boolean;
+
+    /**
+     * Certificate of the accessory, if it could be parsed
+     */
+    certificate: X509Certificate | null;
+
+    /**
+     * Reason why the verification failed
+     */
+    error?: string;
+}
+
+/**
+ * Function to verify the authentication data of an accessory.
+ */
+export type MfiVerifier = (
+    data: MfiAuthenticationData,
+    trustAnchors: X509Certificate[],
+) => MfiVerificationResult | Promise<MfiVerificationResult>;
+
+export interface MfiVerificationOptions {
+    /**
+     * Certificates (PEM or DER) the accessory certificate must be issued by, directly or
+     * through intermediates contained in the accessory certificate.
+     * Without trust anchors no certificate is trusted.
+     */
+    trustAnchors?: (string | Buffer | X509Certificate)[];
+
+    /**
+     * Function to use instead of the default verification, e.g. for other signature schemes
+     */
+    verifier?: MfiVerifier;
+
+    /**
+     * Set to true to abort the pairing before M5 if the verification failed, so the accessory
+     * does not store the pairing.
+     * Default: false
+     */
+    requireValid?: boolean;
+}
+
+const OidSignedData = '2a864886f70d010702';
+
+/**
+ * Read a DER element.
+ *
+ * @param {Buffer} data - DER data
+ * @param {number} offset - Offset of the element
+ * @returns {Object} Tag, start and end of the content and end of the element
+ */
+function readDerElement(data: Buffer, offset: number): { tag: number; start: number; end: number } {
+    const tag = data[offset];
+    let length = data[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        const bytes = length & 0x7f;
+        if (bytes === 0 || bytes > 4) {
+            throw new Error('Unsupported DER length');
+        }
+        length = data.readUIntBE(start, bytes);
+        start += bytes;
+    }
+
+    if (start + length > data.length) {
+        throw new Error('Truncated DER element');
+    }
+    return { tag, start, end: start + length };
+}
+
+/**
+ * Get the child elements of a constructed DER element.
+ *
+ * @param {Buffer} data - DER data
+ * @param {Object} parent - Element as returned by readDerElement()
+ * @returns {Object[]} Child elements
+ */
+function readDerChildren(
+    data: Buffer,
+    parent: { start: number; end: number },
+): { tag: number; offset: number; start: number; end: number }[] {
+    const children = [];
+    let offset = parent.start;
+    while (offset < parent.end) {
+        const child = readDerElement(data, offset);
+        children.push({ ...child, offset });
+        offset = child.end;
+    }
+    return children;
+}
+
+/**
+ * Parse the certificates from the kTLVType_Certificate item.
+ *
+ * Accessories send either a single DER encoded X.509 certificate or, like the
+ * Authentication Coprocessor 2.0, a PKCS#7 SignedData structure with the certificates.
+ *
+ * @param {Buffer} data - Certificate data
+ * @returns {X509Certificate[]} Contained certificates
+ */
+export function parseMfiCertificates(data: Buffer): X509Certificate[] {
+    const contentInfo = readDerElement(data, 0);
+    const [contentType, content] = readDerChildren(data, contentInfo);
+    if (
+        contentType?.tag !== 0x06 ||
+        data.subarray(contentType.start, contentType.end).toString('hex') !== OidSignedData
+    ) {
+        return [new X509Certificate(data)];
+    }
+
+    // [0] EXPLICIT SignedData
+    const signedData = readDerElement(data, content.start);
+    const certificates = readDerChildren(data, signedData).find((e) => e.tag === 0xa0);
+    if (!certificates) {
+        throw new Error('PKCS#7 structure contains no certificates');
+    }
+
+    return readDerChildren(data, certificates).map((e) => new X509Certificate(data.subarray(e.offset, e.end)));
+}
+
+/**
+ * Check the signature of the challenge with the public key of the certificate.
+ *
+ * ECDSA keys (Authentication Coprocessor 3.0) sign with SHA-256, RSA keys
+ * (Authentication Coprocessor 2.0) with SHA-1.
+ *
+ * @param {X509Certificate} certificate - Certificate of the accessory
+ * @param {Buffer} challenge - Signed challenge
+ * @param {Buffer} signature - Signature
+ * @returns {boolean} true if the signature is valid
+ */
+function verifySignature(certificate: X509Certificate, challenge: Buffer, signature: Buffer): boolean {
+    const key = certificate.publicKey;
+    switch (key.asymmetricKeyType) {
+        case 'ec':
+            return crypto.verify(
+                'sha256',
+                challenge,
+                { key, dsaEncoding: signature.length === 64 ? 'ieee-p1363' : 'der' },
+                signature,
+            );
+        case 'rsa':
+            return crypto.verify('sha1', challenge, key, signature);
+        default:
+            throw new Error(`Unsupported key type ${key.asymmetricKeyType}`);
+    }
+}
+
+/**
+ * Check whether a certificate chains up to one of the trust anchors.
+ *
+ * @param {X509Certificate} certificate - Certificate of the accessory
+ * @param {X509Certificate[]} intermediates - Other certificates sent by the accessory
+ * @param {X509Certificate[]} trustAnchors - Trusted certificates
+ * @returns {boolean} true if trusted
+ */
+function isTrusted(
+    certificate: X509Certificate,
+    intermediates: X509Certificate[],
+    trustAnchors: X509Certificate[],
+): boolean {
+    const issuedBy = (cert: X509Certificate, issuer: X509Certificate): boolean =>
+        cert.checkIssued(issuer) && cert.verify(issuer.publicKey);
+
+    let current = certificate;
+    for (let depth = 0; depth <= intermediates.length; depth++) {
+        if (trustAnchors.some((a) => a.fingerprint256 === current.fingerprint256 || issuedBy(current, a))) {
+            return true;
+        }
+
+        const next = intermediates.find((c) => c !== current && issuedBy(current, c));
+        if (!next) {
+            break;
+        }
+        current = next;
+    }
+    return false;
+}
+
+/**
+ * Default verification of the MFi authentication data.
+ *
+ * @param {MfiAuthenticationData} data - Authentication data of the accessory
+ * @param {X509Certificate[]} trustAnchors - Trusted certificates
+ * @returns {MfiVerificationResult} Result
+ */
+export function verifyMfiAuthentication(
+    data: MfiAuthenticationData,
+    trustAnchors: X509Certificate[] = [],
+): MfiVerificationResult {
+    let certificates: X509Certificate[];
+    try {
+        certificates = parseMfiCertificates(data.certificate);
+    } catch (err) {
+        return { valid: false, signatureValid: false, trusted: false, certificate: null, error: `${err}` };
+    }
+
+    // the accessory certificate is the one which did not issue any of the others
+    const certificate =
+        certificates.find((c) => !certificates.some((o) => o !== c && o.checkIssued(c))) || certificates[0];
+    const intermediates = certificates.filter((c) => c !== certificate);
+
+    let signatureValid: boolean;
+    try {
+        signatureValid = verifySignature(certificate, data.challenge, data.signature);
+    } catch (err) {
+        return { valid: false, signatureValid: false, trusted: false, certificate, error: `${err}` };
+    }
+
+    const trusted = isTrusted(certificate, intermediates, trustAnchors);
+    const result: MfiVerificationResult = { valid: signatureValid && trusted, signatureValid, trusted, certificate };
+    if (!signatureValid) {
+        result.error = 'Signature does not match the certificate';
+    } else if (!trusted) {
+        result.error = 'Certificate is not issued by a trust anchor';
+    }
+    return result;
+}
+
+/**
+ * Verify the authentication data received in Pair Setup M4 according to the options.
+ *
+ * @param {MfiAuthenticationData|null} data - Authentication data, null if the accessory sent none
+ * @param {MfiVerificationOptions} options - Verification options
+ * @returns {Promise} Promise which resolves to the result.
+ * @throws {MfiVerificationError} If the verification failed and options.requireValid is set
+ */
+export async function runMfiVerification(
+    data: MfiAuthenticationData | null,
+    options: MfiVerificationOptions = {},
+): Promise<MfiVerificationResult> {
+    let result: MfiVerificationResult;
+    if (!data) {
+        result = {
+            valid: false,
+            signatureValid: false,
+            trusted: false,
+            certificate: null,
+            error: 'Accessory did not send an MFi certificate',
+        };
+    } else {
+        const trustAnchors = (options.trustAnchors || []).map((a) =>
+            a instanceof X509Certificate ? a : new X509Certificate(a),
+        );
+        result = await (options.verifier || verifyMfiAuthentication)(data, trustAnchors);
+    }
+
+    if (options.requireValid && !result.valid) {
+        throw new MfiVerificationError(`MFi verification failed: ${result.error || 'invalid'}`, result);
+    }
+    return result;
+}
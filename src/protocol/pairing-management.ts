@@ -0,0 +1,188 @@
+/**
+ * Helpers for managing the pairings of an accessory.
+ *
+ * See Chapters 5.10 - 5.12
+ */
+
+import { TLV } from '../model/tlv';
+import HomekitControllerError, { PairingAuthenticationError } from '../model/error';
+import PairingProtocol, { PairingData, Types } from './pairing-protocol';
+
+export interface Pairing {
+    /**
+     * Pairing identifier of the controller.
+     */
+    identifier: string;
+
+    /**
+     * Long-term public key of the controller.
+     */
+    publicKey: Buffer;
+
+    /**
+     * Whether the controller has admin permissions.
+     */
+    isAdmin: boolean;
+}
+
+/**
+ * Pairing management methods shared by HttpClient and GattClient.
+ */
+export interface PairingManagementClient {
+    listPairings(): Promise<TLV>;
+    addPairing(identifier: string, ltpk: Buffer, isAdmin: boolean): Promise<void>;
+    removePairing(identifier: string | Buffer): Promise<void>;
+    getLongTermData(): PairingData | null;
+}
+
+export interface TransferAdminOptions {
+    /**
+     * Long-term public key of the new admin. Only needed if the controller is not paired yet.
+     */
+    publicKey?: Buffer;
+
+    /**
+     * Set to true to remove our own pairing afterwards instead of keeping it as a regular user.
+     * Default: false
+     */
+    removeOwnPairing?: boolean;
+}
+
+/**
+ * Make sure a TLV value is a list.
+ *
+ * @param {Buffer|Buffer[]|undefined} value - TLV value
+ * @returns {Buffer[]} List of values
+ */
+function asList(value: Buffer | Buffer[] | undefined): Buffer[] {
+    if (!value) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Parse the result of listPairings() into a list of pairings.
+ *
+ * @param {TLV} tlv - TLV as returned by listPairings()
+ * @returns {Pairing[]} List of pairings
+ */
+export function parsePairings(tlv: TLV): Pairing[] {
+    const identifiers = asList(tlv.get(Types.kTLVType_Identifier));
+    const publicKeys = asList(tlv.get(Types.kTLVType_PublicKey));
+    const permissions = asList(tlv.get(Types.kTLVType_Permissions));
+
+    if (identifiers.length !== publicKeys.length || identifiers.length !== permissions.length) {
+        throw new Error(
+            `Invalid pairings list: ${identifiers.length} identifiers, ${publicKeys.length} public keys, ` +
+                `${permissions.length} permissions`,
+        );
+    }
+
+    return identifiers.map((identifier, idx) => ({
+        identifier: identifier.toString(),
+        publicKey: publicKeys[idx],
+        isAdmin: permissions[idx].length > 0 && (permissions[idx].readUInt8(0) & 0x01) === 0x01,
+    }));
+}
+
+/**
+ * Get the pairing identifier of our own controller.
+ *
+ * @param {PairingManagementClient} client - Paired client
+ * @returns {string} Pairing identifier
+ */
+function ownIdentifier(client: PairingManagementClient): string {
+    const data = client.getLongTermData();
+    if (!data) {
+        throw new HomekitControllerError('Client is not paired');
+    }
+    return PairingProtocol.bufferFromHex(data.iOSDevicePairingID).toString();
+}
+
+/**
+ * Get the parsed list of pairings.
+ *
+ * @param {PairingManagementClient} client - Paired client with admin permissions
+ * @returns {Promise} Promise which resolves to the list of pairings.
+ */
+export async function getPairings(client: PairingManagementClient): Promise<Pairing[]> {
+    return parsePairings(await client.listPairings());
+}
+
+/**
+ * Check if our own controller still holds admin permissions.
+ *
+ * An accessory only returns the pairings list to admins, so an authentication error
+ * means the controller is no admin (anymore).
+ *
+ * @param {PairingManagementClient} client - Paired client
+ * @returns {Promise} Promise which resolves to true if the controller is an admin.
+ */
+export async function isAdmin(client: PairingManagementClient): Promise<boolean> {
+    const identifier = ownIdentifier(client);
+    let pairings;
+    try {
+        pairings = await getPairings(client);
+    } catch (err) {
+        if (err instanceof PairingAuthenticationError) {
+            return false;
+        }
+        throw err;
+    }
+    return !!pairings.find((p) => p.identifier === identifier)?.isAdmin;
+}
+
+/**
+ * Remove all pairings without admin permissions.
+ *
+ * @param {PairingManagementClient} client - Paired client with admin permissions
+ * @returns {Promise} Promise which resolves to the list of removed pairings.
+ */
+export async function removeNonAdminPairings(client: PairingManagementClient): Promise<Pairing[]> {
+    const removed = [];
+    for (const pairing of await getPairings(client)) {
+        if (!pairing.isAdmin) {
+            await client.removePairing(Buffer.from(pairing.identifier));
+            removed.push(pairing);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Give admin permissions to another controller and drop them from our own controller.
+ *
+ * The other controller is added (or upgraded) as admin first, then our own pairing is
+ * downgraded to a regular user or removed.
+ *
+ * @param {PairingManagementClient} client - Paired client with admin permissions
+ * @param {string} identifier - Pairing identifier of the new admin
+ * @param {TransferAdminOptions?} options - Transfer options
+ * @returns {Promise} Promise which resolves when the transfer is done.
+ */
+export async function transferAdmin(
+    client: PairingManagementClient,
+    identifier: string,
+    options?: TransferAdminOptions,
+): Promise<void> {
+    const ownId = ownIdentifier(client);
+    if (identifier === ownId) {
+        throw new HomekitControllerError('Can not transfer admin permissions to the own controller');
+    }
+
+    const pairings = await getPairings(client);
+    const publicKey = options?.publicKey || pairings.find((p) => p.identifier === identifier)?.publicKey;
+    if (!publicKey) {
+        throw new HomekitControllerError(`Unknown controller ${identifier}, a public key is needed to add it`);
+    }
+
+    await client.addPairing(identifier, publicKey, true);
+
+    if (options?.removeOwnPairing) {
+        await client.removePairing(Buffer.from(ownId));
+    } else {
+        const own = client.getLongTermData()!;
+        await client.addPairing(ownId, PairingProtocol.bufferFromHex(own.iOSDeviceLTPK), false);
+    }
+}
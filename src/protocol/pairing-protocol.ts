@@ -7,7 +7,9 @@ import sodium from 'libsodium-wrappers';
 import { v4 as uuidv4 } from 'uuid';
 import { SRP, SrpClient } from 'fast-srp-hap';
 import HKDF from 'node-hkdf-sync';
-import HomekitControllerError from '../model/error';
+import HomekitControllerError, { pairingErrorFromCode } from '../model/error';
+import ControllerIdentity, { ControllerIdentityData } from './controller-identity';
+import { MfiAuthenticationData } from './mfi-verification';
 
 const Steps = {
     M1: 1,
@@ -87,12 +89,47 @@ export interface SessionKeys {
     ControllerToAccessoryKey: Buffer;
 }
 
-export interface PairingData {
+/**
+ * Per-accessory part of the pairing data.
+ */
+export interface AccessoryPairingData {
     AccessoryPairingID: string;
     AccessoryLTPK: string;
-    iOSDevicePairingID: string;
-    iOSDeviceLTSK: string;
-    iOSDeviceLTPK: string;
+}
+
+export interface PairingData extends AccessoryPairingData, ControllerIdentityData {
+    /**
+     * Key to decrypt broadcast notifications of BLE accessories, if set up
+     */
+    BroadcastEncryptionKey?: string;
+}
+
+/**
+ * Throw the typed pairing error if the TLV contains an error.
+ *
+ * The retry delay of a kTLVError_Backoff or kTLVError_Busy error is added to the error.
+ *
+ * @param {TLV} tlv - Decoded response
+ * @param {string} step - Name of the step, used in the error message
+ * @throws {PairingError} If the response contains kTLVType_Error
+ */
+function throwIfTLVError(tlv: TLV, step: string): void {
+    if (tlv.has(Types.kTLVType_Error)) {
+        const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
+        let retryDelay: number | undefined;
+        const retryDelayBuffer = tlv.get(Types.kTLVType_RetryDelay);
+        if (retryDelayBuffer?.length) {
+            // integer with variable length, little endian
+            retryDelay = retryDelayBuffer.readUIntLE(0, Math.min(retryDelayBuffer.length, 6));
+        }
+
+        let message = `${step}: Error: ${errorCode}`;
+        // eslint-disable-next-line no-undefined
+        if (retryDelay !== undefined) {
+            message += `, retry in ${retryDelay}s`;
+        }
+        throw pairingErrorFromCode(message, errorCode, retryDelay);
+    }
 }
 
 export default class PairingProtocol {
@@ -110,6 +147,7 @@ export default class PairingProtocol {
         sessionKey: Buffer | null;
         pairMethod: number | null;
         pairTypeFlags: number | null;
+        mfiAuthentication: MfiAuthenticationData | null;
     };
 
     private pairVerify: {
@@ -128,12 +166,19 @@ export default class PairingProtocol {
 
     private srpClient: SrpClient | null;
 
+    private identity: ControllerIdentity | null;
+
+    private broadcastEncryptionKey: Buffer | null;
+
     /**
      * Create the PairingProtocol object.
      *
-     * @param {Object?} pairingData - Optional saved pairing data
+     * @param {Object?} pairingData - Optional saved pairing data, the controller part can be omitted
+     *                                if an identity is given
+     * @param {ControllerIdentity?} identity - Optional controller identity to use instead of
+     *                                         generating a new one during pair setup
      */
-    constructor(pairingData?: PairingData) {
+    constructor(pairingData?: PairingData | AccessoryPairingData, identity?: ControllerIdentity) {
         this.AccessoryPairingID = null;
         if (pairingData?.AccessoryPairingID) {
             this.AccessoryPairingID = PairingProtocol.bufferFromHex(pairingData.AccessoryPairingID);
@@ -144,19 +189,32 @@ export default class PairingProtocol {
             this.AccessoryLTPK = PairingProtocol.bufferFromHex(pairingData.AccessoryLTPK);
         }
 
-        this.iOSDevicePairingID = null;
-        if (pairingData?.iOSDevicePairingID) {
-            this.iOSDevicePairingID = PairingProtocol.bufferFromHex(pairingData.iOSDevicePairingID);
+        const controllerData = <Partial<ControllerIdentityData> | undefined>pairingData;
+        this.identity = identity || null;
+        if (identity && controllerData?.iOSDevicePairingID && !identity.matches(controllerData)) {
+            throw new HomekitControllerError('Pairing data belongs to a different controller identity');
+        }
+
+        this.iOSDevicePairingID = identity ? Buffer.from(identity.pairingId) : null;
+        if (controllerData?.iOSDevicePairingID) {
+            this.iOSDevicePairingID = PairingProtocol.bufferFromHex(controllerData.iOSDevicePairingID);
+        }
+
+        this.iOSDeviceLTSK = identity ? Buffer.from(identity.ltsk) : null;
+        if (controllerData?.iOSDeviceLTSK) {
+            this.iOSDeviceLTSK = PairingProtocol.bufferFromHex(controllerData.iOSDeviceLTSK);
         }
 
-        this.iOSDeviceLTSK = null;
-        if (pairingData?.iOSDeviceLTSK) {
-            this.iOSDeviceLTSK = PairingProtocol.bufferFromHex(pairingData.iOSDeviceLTSK);
+        this.iOSDeviceLTPK = identity ? Buffer.from(identity.ltpk) : null;
+        if (controllerData?.iOSDeviceLTPK) {
+            this.iOSDeviceLTPK = PairingProtocol.bufferFromHex(controllerData.iOSDeviceLTPK);
         }
 
-        this.iOSDeviceLTPK = null;
-        if (pairingData?.iOSDeviceLTPK) {
-            this.iOSDeviceLTPK = PairingProtocol.bufferFromHex(pairingData.iOSDeviceLTPK);
+        this.broadcastEncryptionKey = null;
+        if ((<PairingData | undefined>pairingData)?.BroadcastEncryptionKey) {
+            this.broadcastEncryptionKey = PairingProtocol.bufferFromHex(
+                (<PairingData>pairingData).BroadcastEncryptionKey!,
+            );
         }
 
         this.srpClient = null;
@@ -165,6 +223,7 @@ export default class PairingProtocol {
             sessionKey: null,
             pairMethod: null,
             pairTypeFlags: 0,
+            mfiAuthentication: null,
         };
 
         this.pairVerify = {
@@ -288,10 +347,7 @@ export default class PairingProtocol {
             throw new Error('M2: Empty TLV');
         }
 
-        if (tlv.has(Types.kTLVType_Error)) {
-            const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
-            throw new HomekitControllerError(`M2: Error: ${errorCode}`, errorCode);
-        }
+        throwIfTLVError(tlv, 'M2');
 
         if (!tlv.has(Types.kTLVType_State)) {
             throw new Error('M2: Missing state');
@@ -356,10 +412,7 @@ export default class PairingProtocol {
             throw new Error('M4: Empty TLV');
         }
 
-        if (tlv.has(Types.kTLVType_Error)) {
-            const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
-            throw new HomekitControllerError(`M4: Error: ${errorCode}`, errorCode);
-        }
+        throwIfTLVError(tlv, 'M4');
 
         if (!tlv.has(Types.kTLVType_State)) {
             throw new Error('M4: Missing state');
@@ -380,9 +433,63 @@ export default class PairingProtocol {
             throw new Error(`M4: Proof verification failed: ${e}`);
         }
 
+        this.pairSetup.mfiAuthentication = null;
+        if (tlv.has(Types.kTLVType_EncryptedData)) {
+            // Pair Setup with Auth: the accessory proves that it is MFi certified
+            await sodium.ready;
+
+            const sharedSecret = this.srpClient!.computeK();
+            const hkdf1 = new HKDF('sha512', 'Pair-Setup-Encrypt-Salt', sharedSecret);
+            const sessionKey = hkdf1.derive('Pair-Setup-Encrypt-Info', 32);
+
+            let subTlv: TLV;
+            try {
+                subTlv = decodeBuffer(
+                    Buffer.from(
+                        sodium.crypto_aead_chacha20poly1305_ietf_decrypt(
+                            null,
+                            tlv.get(Types.kTLVType_EncryptedData)!,
+                            null,
+                            Buffer.concat([Buffer.from([0, 0, 0, 0]), Buffer.from('PS-Msg04')]),
+                            sessionKey,
+                        ),
+                    ),
+                );
+            } catch (_e) {
+                throw new Error('M4: Decryption of sub-TLV failed');
+            }
+
+            if (subTlv.has(Types.kTLVType_Certificate) && subTlv.has(Types.kTLVType_Signature)) {
+                const hkdf2 = new HKDF('sha512', 'MFi-Pair-Setup-Salt', sharedSecret);
+                this.pairSetup.mfiAuthentication = {
+                    certificate: subTlv.get(Types.kTLVType_Certificate)!,
+                    signature: subTlv.get(Types.kTLVType_Signature)!,
+                    challenge: hkdf2.derive('MFi-Pair-Setup-Info', 32),
+                };
+            }
+        }
+
         return tlv;
     }
 
+    /**
+     * Return info if the current pairSetup process uses Pair Setup with Auth
+     *
+     * @returns {boolean} Boolean indicating if the accessory has to prove that it is MFi certified
+     */
+    isPairSetupWithAuth(): boolean {
+        return this.pairSetup.pairMethod === PairMethods.PairSetupWithAuth;
+    }
+
+    /**
+     * Get the MFi certificate and proof the accessory sent in M4 of Pair Setup with Auth.
+     *
+     * @returns {MfiAuthenticationData|null} Authentication data, null if the accessory sent none
+     */
+    getMfiAuthentication(): MfiAuthenticationData | null {
+        return this.pairSetup.mfiAuthentication;
+    }
+
     /**
      * Build step 5 of the pair setup process.
      *
@@ -395,16 +502,22 @@ export default class PairingProtocol {
 
         await sodium.ready;
 
-        const seed = Buffer.from(sodium.randombytes_buf(32));
+        if (this.identity) {
+            this.iOSDeviceLTSK = Buffer.from(this.identity.ltsk);
+            this.iOSDeviceLTPK = Buffer.from(this.identity.ltpk);
+            this.iOSDevicePairingID = Buffer.from(this.identity.pairingId);
+        } else {
+            const seed = Buffer.from(sodium.randombytes_buf(32));
 
-        const key = sodium.crypto_sign_seed_keypair(seed);
-        this.iOSDeviceLTSK = Buffer.from(key.privateKey);
-        this.iOSDeviceLTPK = Buffer.from(key.publicKey);
+            const key = sodium.crypto_sign_seed_keypair(seed);
+            this.iOSDeviceLTSK = Buffer.from(key.privateKey);
+            this.iOSDeviceLTPK = Buffer.from(key.publicKey);
+            this.iOSDevicePairingID = Buffer.from(uuidv4());
+        }
 
         const hkdf1 = new HKDF('sha512', 'Pair-Setup-Controller-Sign-Salt', this.srpClient!.computeK());
         const iOSDeviceX = hkdf1.derive('Pair-Setup-Controller-Sign-Info', 32);
 
-        this.iOSDevicePairingID = Buffer.from(uuidv4());
         const iOSDeviceInfo = Buffer.concat([iOSDeviceX, this.iOSDevicePairingID, this.iOSDeviceLTPK!]);
         const iOSDeviceSignature = Buffer.from(sodium.crypto_sign_detached(iOSDeviceInfo, this.iOSDeviceLTSK!));
 
@@ -458,10 +571,7 @@ export default class PairingProtocol {
             throw new Error('M6: Empty TLV');
         }
 
-        if (tlv.has(Types.kTLVType_Error)) {
-            const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
-            throw new HomekitControllerError(`M6: Error: ${errorCode}`, errorCode);
-        }
+        throwIfTLVError(tlv, 'M6');
 
         if (!tlv.has(Types.kTLVType_State)) {
             throw new Error('M6: Missing state');
@@ -563,10 +673,7 @@ export default class PairingProtocol {
             throw new Error('M2: Empty TLV');
         }
 
-        if (tlv.has(Types.kTLVType_Error)) {
-            const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
-            throw new HomekitControllerError(`M2: Error: ${errorCode}`, errorCode);
-        }
+        throwIfTLVError(tlv, 'M2');
 
         if (!tlv.has(Types.kTLVType_State)) {
             throw new Error('M2: Missing state');
@@ -713,10 +820,7 @@ export default class PairingProtocol {
             throw new Error('M4: Empty TLV');
         }
 
-        if (tlv.has(Types.kTLVType_Error)) {
-            const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
-            throw new HomekitControllerError(`M4: Error: ${errorCode}`, errorCode);
-        }
+        throwIfTLVError(tlv, 'M4');
 
         if (!tlv.has(Types.kTLVType_State)) {
             throw new Error('M4: Missing state');
@@ -787,10 +891,7 @@ export default class PairingProtocol {
             throw new Error('M2: Empty TLV');
         }
 
-        if (tlv.has(Types.kTLVType_Error)) {
-            const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
-            throw new HomekitControllerError(`M2: Error: ${errorCode}`, errorCode);
-        }
+        throwIfTLVError(tlv, 'M2');
 
         if (!tlv.has(Types.kTLVType_State)) {
             throw new Error('M2: Missing state');
@@ -832,10 +933,7 @@ export default class PairingProtocol {
             throw new Error('M2: Empty TLV');
         }
 
-        if (tlv.has(Types.kTLVType_Error)) {
-            const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
-            throw new HomekitControllerError(`M2: Error: ${errorCode}`, errorCode);
-        }
+        throwIfTLVError(tlv, 'M2');
 
         if (!tlv.has(Types.kTLVType_State)) {
             throw new Error('M2: Missing state');
@@ -875,10 +973,7 @@ export default class PairingProtocol {
             throw new Error('M2: Empty TLV');
         }
 
-        if (tlv.has(Types.kTLVType_Error)) {
-            const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
-            throw new HomekitControllerError(`M2: Error: ${errorCode}`, errorCode);
-        }
+        throwIfTLVError(tlv, 'M2');
 
         if (!tlv.has(Types.kTLVType_State)) {
             throw new Error('M2: Missing state');
@@ -963,10 +1058,7 @@ export default class PairingProtocol {
             throw new Error('M2: Empty TLV');
         }
 
-        if (tlv.has(Types.kTLVType_Error)) {
-            const errorCode = tlv.get(Types.kTLVType_Error)!.readUInt8(0);
-            throw new HomekitControllerError(`M2: Error: ${errorCode}`, errorCode);
-        }
+        throwIfTLVError(tlv, 'M2');
 
         if (!tlv.has(Types.kTLVType_State)) {
             throw new Error('M2: Missing state');
@@ -1016,6 +1108,44 @@ export default class PairingProtocol {
         return tlv;
     }
 
+    /**
+     * Derive the broadcast encryption key from the current pair verify session.
+     *
+     * See Chapter 7.4.7.3
+     *
+     * @returns {Buffer} The broadcast encryption key
+     */
+    deriveBroadcastEncryptionKey(): Buffer {
+        if (!this.pairVerify.sharedSecret) {
+            throw new Error('Shared secret not yet established');
+        }
+
+        if (!this.iOSDeviceLTPK) {
+            throw new Error('Controller LTPK not known');
+        }
+
+        const hkdf = new HKDF('sha512', this.iOSDeviceLTPK, this.pairVerify.sharedSecret);
+        return hkdf.derive('Broadcast-Encryption-Key', 32);
+    }
+
+    /**
+     * Set the broadcast encryption key which is stored with the long-term data.
+     *
+     * @param {Buffer|null} key - Broadcast encryption key
+     */
+    setBroadcastEncryptionKey(key: Buffer | null): void {
+        this.broadcastEncryptionKey = key;
+    }
+
+    /**
+     * Get the broadcast encryption key.
+     *
+     * @returns {Buffer|null} Broadcast encryption key, if set up
+     */
+    getBroadcastEncryptionKey(): Buffer | null {
+        return this.broadcastEncryptionKey;
+    }
+
     /**
      * Get the data (keys) that needs to be stored long-term.
      *
@@ -1032,12 +1162,16 @@ export default class PairingProtocol {
             return null;
         }
 
-        return {
+        const data: PairingData = {
             AccessoryPairingID: PairingProtocol.bufferToHex(this.AccessoryPairingID),
             AccessoryLTPK: PairingProtocol.bufferToHex(this.AccessoryLTPK),
             iOSDevicePairingID: PairingProtocol.bufferToHex(this.iOSDevicePairingID),
             iOSDeviceLTSK: PairingProtocol.bufferToHex(this.iOSDeviceLTSK),
             iOSDeviceLTPK: PairingProtocol.bufferToHex(this.iOSDeviceLTPK),
         };
+        if (this.broadcastEncryptionKey) {
+            data.BroadcastEncryptionKey = PairingProtocol.bufferToHex(this.broadcastEncryptionKey);
+        }
+        return data;
     }
 }
@@ -0,0 +1,126 @@
+/**
+ * Retry policy for pairing procedures rejected with kTLVError_Backoff or kTLVError_Busy.
+ */
+
+import { PairingBackoffError, PairingBusyError } from '../model/error';
+
+export interface PairingRetryOptions {
+    /**
+     * Maximum number of attempts, including the first one.
+     * Default: 3
+     */
+    maxAttempts?: number;
+
+    /**
+     * Delay in ms to wait when the accessory did not send a retry delay.
+     * Default: 5000
+     */
+    defaultDelay?: number;
+
+    /**
+     * Longest delay in ms the client waits. If the accessory asks for a longer delay
+     * the error is thrown instead.
+     * Default: 60000
+     */
+    maxDelay?: number;
+}
+
+export interface PairingRetryInfo {
+    /**
+     * Number of the upcoming attempt, starting with 2
+     */
+    attempt: number;
+
+    /**
+     * Delay in ms before the attempt
+     */
+    delay: number;
+
+    /**
+     * Error of the previous attempt
+     */
+    error: PairingBackoffError | PairingBusyError;
+}
+
+export const DefaultPairingRetryOptions: Required<PairingRetryOptions> = {
+    maxAttempts: 3,
+    defaultDelay: 5000,
+    maxDelay: 60000,
+};
+
+/**
+ * Get the delay to wait before retrying after an error.
+ *
+ * Only kTLVError_Backoff and kTLVError_Busy are retried. Every other error, especially
+ * kTLVError_Authentication, counts against the accessory's maximum number of tries.
+ *
+ * @param {Error} err - Error of the failed attempt
+ * @param {PairingRetryOptions} options - Retry options
+ * @returns {number|null} Delay in ms, or null if the error should not be retried
+ */
+export function getPairingRetryDelay(err: unknown, options: Required<PairingRetryOptions>): number | null {
+    if (!(err instanceof PairingBackoffError) && !(err instanceof PairingBusyError)) {
+        return null;
+    }
+
+    // eslint-disable-next-line no-undefined
+    const delay = err.retryDelay !== undefined ? err.retryDelay * 1000 : options.defaultDelay;
+    return delay <= options.maxDelay ? delay : null;
+}
+
+/**
+ * Wait for the retry delay.
+ *
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal?} signal - Signal to stop waiting
+ * @returns {Promise} Promise which resolves after the delay, or rejects with the abort reason.
+ */
+function waitForRetry(delay: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+        const onAbort = (): void => {
+            clearTimeout(timer);
+            reject(signal!.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run a pairing procedure and retry it as long as the accessory answers with
+ * kTLVError_Backoff or kTLVError_Busy, waiting the requested retry delay in between.
+ *
+ * @param {function} op - Procedure to run, is called again for each attempt
+ * @param {PairingRetryOptions} options - Retry options
+ * @param {function?} onRetry - Called before waiting for the next attempt
+ * @param {AbortSignal?} signal - Signal to stop retrying, the wait and the next attempt are
+ *                                rejected with its reason then
+ * @returns {Promise} Promise which resolves to the result of the first successful attempt.
+ */
+export async function retryPairing<T>(
+    op: () => Promise<T>,
+    options: Required<PairingRetryOptions>,
+    onRetry?: (info: PairingRetryInfo) => void,
+    signal?: AbortSignal,
+): Promise<T> {
+    for (let attempt = 1; ; attempt++) {
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+
+        try {
+            return await op();
+        } catch (err) {
+            const delay = getPairingRetryDelay(err, options);
+            if (delay === null || attempt >= options.maxAttempts || signal?.aborted) {
+                throw err;
+            }
+
+            onRetry?.({ attempt: attempt + 1, delay, error: <PairingBackoffError | PairingBusyError>err });
+            await waitForRetry(delay, signal);
+        }
+    }
+}
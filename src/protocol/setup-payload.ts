@@ -0,0 +1,133 @@
+/**
+ * Setup payloads (X-HM:// URIs from QR codes and NFC tags) and setup hashes.
+ */
+
+import crypto from 'crypto';
+import HomekitControllerError from '../model/error';
+import { HapServiceIp } from '../transport/ip/ip-discovery';
+import { HapServiceBle } from '../transport/ble/ble-discovery';
+
+/**
+ * Flags of a setup payload.
+ */
+export const SetupPayloadFlags = {
+    SupportsNFC: 0x01,
+    SupportsIP: 0x02,
+    SupportsBLE: 0x04,
+    SupportsWAC: 0x08,
+};
+
+export interface SetupPayload {
+    /**
+     * Setup code in the format XXX-XX-XXX, as used for pairSetup()
+     */
+    setupCode: string;
+    /**
+     * Accessory category, see Category
+     */
+    category: number;
+    /**
+     * Flags, see SetupPayloadFlags
+     */
+    flags: number;
+    /**
+     * Setup ID, 4 alphanumeric characters. Used to find the accessory via the setup hash.
+     */
+    setupId: string;
+    /**
+     * Version of the payload
+     */
+    version: number;
+}
+
+const UriPrefix = 'X-HM://';
+
+/**
+ * Decode a setup URI as contained in the QR code or NFC tag of an accessory.
+ *
+ * @param {string} uri - Setup URI, e.g. "X-HM://0023ISYWYABCD"
+ * @returns {SetupPayload} Decoded payload
+ * @throws {HomekitControllerError} If the URI is invalid
+ */
+export function parseSetupUri(uri: string): SetupPayload {
+    const match = /^X-HM:\/\/([0-9A-Z]{9})([0-9A-Z]{4})$/i.exec(uri.trim());
+    if (!match) {
+        throw new HomekitControllerError(`Invalid setup URI: ${uri}`);
+    }
+
+    const value = parseInt(match[1], 36);
+    const setupCode = (value % 2 ** 27).toString().padStart(8, '0');
+
+    return {
+        setupCode: `${setupCode.substr(0, 3)}-${setupCode.substr(3, 2)}-${setupCode.substr(5, 3)}`,
+        flags: Math.floor(value / 2 ** 27) % 2 ** 4,
+        category: Math.floor(value / 2 ** 31) % 2 ** 8,
+        version: Math.floor(value / 2 ** 43) % 2 ** 3,
+        setupId: match[2].toUpperCase(),
+    };
+}
+
+/**
+ * Encode a setup payload into a setup URI.
+ *
+ * @param {SetupPayload} payload - Payload to encode
+ * @returns {string} Setup URI
+ */
+export function buildSetupUri(payload: SetupPayload): string {
+    if (!/^\d{3}-\d{2}-\d{3}$/.test(payload.setupCode) || !/^[0-9A-Z]{4}$/i.test(payload.setupId)) {
+        throw new HomekitControllerError('Invalid setup code or setup ID');
+    }
+
+    const value =
+        (payload.version % 2 ** 3) * 2 ** 43 +
+        (payload.category % 2 ** 8) * 2 ** 31 +
+        (payload.flags % 2 ** 4) * 2 ** 27 +
+        parseInt(payload.setupCode.replace(/-/g, ''), 10);
+
+    return `${UriPrefix}${value.toString(36).toUpperCase().padStart(9, '0')}${payload.setupId.toUpperCase()}`;
+}
+
+/**
+ * Compute the setup hash an accessory advertises: the first 4 bytes of the SHA-512 hash of the
+ * setup ID and the device ID.
+ *
+ * @param {string} setupId - Setup ID from the setup payload
+ * @param {string} deviceId - Device ID of the accessory, e.g. "AA:BB:CC:DD:EE:FF"
+ * @returns {string} Base64 encoded setup hash, as in the "sh" TXT record
+ */
+export function computeSetupHash(setupId: string, deviceId: string): string {
+    return crypto
+        .createHash('sha512')
+        .update(`${setupId.toUpperCase()}${deviceId.toUpperCase()}`)
+        .digest()
+        .subarray(0, 4)
+        .toString('base64');
+}
+
+/**
+ * Check whether a discovered accessory belongs to a setup payload.
+ *
+ * @param {HapServiceIp|HapServiceBle} service - Discovered accessory
+ * @param {SetupPayload|string} payload - Setup payload or setup URI
+ * @returns {boolean} True if the accessory advertises the setup hash of the payload
+ */
+export function matchesSetupPayload(service: HapServiceIp | HapServiceBle, payload: SetupPayload | string): boolean {
+    const setupId = typeof payload === 'string' ? parseSetupUri(payload).setupId : payload.setupId;
+    const setupHash = (<HapServiceIp>service).sh ?? (<HapServiceBle>service).SH;
+    return !!setupHash && setupHash === computeSetupHash(setupId, service.id);
+}
+
+/**
+ * Find the discovered accessories belonging to a setup payload.
+ *
+ * @param {Array} services - Discovered accessories, e.g. from IPDiscovery.list()
+ * @param {SetupPayload|string} payload - Setup payload or setup URI
+ * @returns {Array} Matching accessories
+ */
+export function findAccessoriesForSetupPayload<T extends HapServiceIp | HapServiceBle>(
+    services: T[],
+    payload: SetupPayload | string,
+): T[] {
+    const parsed = typeof payload === 'string' ? parseSetupUri(payload) : payload;
+    return services.filter((service) => matchesSetupPayload(service, parsed));
+}
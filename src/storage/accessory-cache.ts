@@ -0,0 +1,229 @@
+/**
+ * Cache for accessory attribute databases, keyed by accessory id and configuration number.
+ */
+
+import { EventEmitter } from 'events';
+import Debug from 'debug';
+import JSONBig from 'json-bigint';
+import { Accessories } from '../model/accessory';
+import type { HapTransport } from '../controller/hap-controller';
+import type { DiscoveredAccessory } from '../controller/discovery-manager';
+import type { HapServiceIp } from '../transport/ip/ip-discovery';
+import type { HapServiceBle } from '../transport/ble/ble-discovery';
+
+const debug = Debug('hap-controller:accessory-cache');
+
+export interface AccessoryCacheEntry {
+    /**
+     * Transport the database was read with, the configuration numbers of IP and BLE are independent
+     */
+    transport: HapTransport;
+
+    /**
+     * Configuration number (c# for IP, CN for BLE) the database belongs to, null if it was unknown
+     */
+    configNumber: number | null;
+
+    /**
+     * Accessory database as returned by getAccessories()
+     */
+    accessories: Accessories;
+}
+
+/**
+ * Normalize an accessory id, so "aa:bb:.." and "AA:BB:.." address the same entry.
+ *
+ * @param {string} id - Accessory id
+ * @returns {string} Normalized id
+ */
+function normalizeId(id: string): string {
+    return id.toUpperCase();
+}
+
+export default class AccessoryCache {
+    private entries = new Map<string, AccessoryCacheEntry>();
+
+    private configNumbers = new Map<string, number>();
+
+    /**
+     * Initialize the AccessoryCache object.
+     *
+     * @param {Object?} entries - Entries to start with, e.g. from toJSON() of an earlier cache
+     */
+    constructor(entries?: Record<string, AccessoryCacheEntry>) {
+        for (const [id, entry] of Object.entries(entries || {})) {
+            this.entries.set(normalizeId(id), entry);
+        }
+    }
+
+    /**
+     * Restore a cache from serialize().
+     *
+     * @param {string} data - Serialized cache
+     * @returns {AccessoryCache} The cache
+     */
+    static deserialize(data: string): AccessoryCache {
+        return new AccessoryCache(JSONBig.parse(data));
+    }
+
+    /**
+     * Serialize the cache, keeping 64-bit values which are not safe as number.
+     *
+     * @returns {string} Serialized cache
+     */
+    serialize(): string {
+        return JSONBig.stringify(this.toJSON());
+    }
+
+    /**
+     * Get all entries, keyed by accessory id.
+     *
+     * @returns {Object} Entries
+     */
+    toJSON(): Record<string, AccessoryCacheEntry> {
+        return Object.fromEntries(this.entries);
+    }
+
+    /**
+     * Get the cached database of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @param {string} transport - Transport the database is needed for
+     * @returns {Accessories|null} The database or null if there is no valid entry
+     */
+    get(id: string, transport: HapTransport): Accessories | null {
+        const entry = this.entries.get(normalizeId(id));
+        return entry && entry.transport === transport ? entry.accessories : null;
+    }
+
+    /**
+     * Store the database of an accessory.
+     *
+     * The database is only stored for the configuration number it was read under. When another
+     * one was reported while it was read, it is not stored at all.
+     *
+     * @param {string} id - Accessory id
+     * @param {string} transport - Transport the database was read with
+     * @param {Accessories} accessories - Accessory database
+     * @param {number|null} configNumber - Configuration number as returned by getConfigNumber() before
+     *                      the database was read, null if unknown
+     */
+    set(id: string, transport: HapTransport, accessories: Accessories, configNumber: number | null = null): void {
+        id = normalizeId(id);
+        if (configNumber !== null && configNumber !== this.getConfigNumber(id, transport)) {
+            debug(`${id}: configuration number changed while reading the database, not caching it`);
+            return;
+        }
+
+        this.entries.set(id, { transport, configNumber, accessories });
+    }
+
+    /**
+     * Get the last reported configuration number of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @param {string} transport - Transport the number was seen on
+     * @returns {number|null} Configuration number, null if none was reported yet
+     */
+    getConfigNumber(id: string, transport: HapTransport): number | null {
+        return this.configNumbers.get(`${normalizeId(id)}/${transport}`) ?? null;
+    }
+
+    /**
+     * Get the entry of an accessory, e.g. to store it together with the pairing data.
+     *
+     * @param {string} id - Accessory id
+     * @returns {AccessoryCacheEntry|null} The entry or null if there is none
+     */
+    getEntry(id: string): AccessoryCacheEntry | null {
+        return this.entries.get(normalizeId(id)) ?? null;
+    }
+
+    /**
+     * Set the entry of an accessory, e.g. one stored together with the pairing data.
+     *
+     * @param {string} id - Accessory id
+     * @param {AccessoryCacheEntry} entry - Entry
+     */
+    setEntry(id: string, entry: AccessoryCacheEntry): void {
+        this.entries.set(normalizeId(id), entry);
+    }
+
+    /**
+     * Drop the cached database of an accessory.
+     *
+     * @param {string} id - Accessory id
+     */
+    invalidate(id: string): void {
+        this.entries.delete(normalizeId(id));
+    }
+
+    /**
+     * Report the current configuration number of an accessory, as seen in discovery. A cached
+     * database of another configuration number is dropped, and so is one stored without a known
+     * configuration number, as the configuration might have changed since it was read.
+     *
+     * @param {string} id - Accessory id
+     * @param {string} transport - Transport the number was seen on
+     * @param {number} configNumber - Configuration number (c# for IP, CN for BLE)
+     * @returns {boolean} True if the cached database was dropped
+     */
+    updateConfigNumber(id: string, transport: HapTransport, configNumber: number): boolean {
+        id = normalizeId(id);
+        this.configNumbers.set(`${id}/${transport}`, configNumber);
+
+        const entry = this.entries.get(id);
+        if (!entry || entry.transport !== transport) {
+            return false;
+        }
+
+        if (entry.configNumber === null) {
+            debug(`${id}: configuration number of the database is unknown, dropping database`);
+            this.entries.delete(id);
+            return true;
+        }
+
+        if (entry.configNumber !== configNumber) {
+            debug(`${id}: configuration number changed ${entry.configNumber} -> ${configNumber}, dropping database`);
+            this.entries.delete(id);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Follow the configuration numbers reported by a DiscoveryManager, IPDiscovery or BLEDiscovery.
+     *
+     * @param {EventEmitter} discovery - Discovery object
+     * @returns {function} Function to stop following
+     */
+    watch(discovery: EventEmitter): () => void {
+        const handleAccessory = (accessory: DiscoveredAccessory): void => {
+            if (accessory.ip) {
+                this.updateConfigNumber(accessory.id, 'ip', accessory.ip['c#']);
+            }
+            if (accessory.ble) {
+                this.updateConfigNumber(accessory.id, 'ble', accessory.ble.CN);
+            }
+        };
+        const handleService = (service: HapServiceIp | HapServiceBle): void => {
+            if ('DeviceID' in service) {
+                this.updateConfigNumber(service.DeviceID, 'ble', service.CN);
+            } else {
+                this.updateConfigNumber(service.id, 'ip', service['c#']);
+            }
+        };
+
+        discovery.on('accessory-online', handleAccessory);
+        discovery.on('config-changed', handleAccessory);
+        discovery.on('serviceUp', handleService);
+        discovery.on('serviceChanged', handleService);
+        return () => {
+            discovery.removeListener('accessory-online', handleAccessory);
+            discovery.removeListener('config-changed', handleAccessory);
+            discovery.removeListener('serviceUp', handleService);
+            discovery.removeListener('serviceChanged', handleService);
+        };
+    }
+}
@@ -0,0 +1,383 @@
+/**
+ * Storage for the long-term pairing data of accessories.
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import Debug from 'debug';
+import { PairingData } from '../protocol/pairing-protocol';
+import HomekitControllerError from '../model/error';
+import { OpQueue } from '../utils/queue';
+
+const debug = Debug('hap-controller:pairing-store');
+
+/**
+ * Store for pairing data, keyed by the accessory id (device ID).
+ */
+export interface PairingStore {
+    /**
+     * Get the pairing data of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @returns {Promise} Promise which resolves to the pairing data or null if not paired.
+     */
+    get(id: string): Promise<PairingData | null>;
+
+    /**
+     * Store the pairing data of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @param {PairingData} data - Pairing data
+     * @returns {Promise} Promise which resolves when the data is stored.
+     */
+    set(id: string, data: PairingData): Promise<void>;
+
+    /**
+     * Delete the pairing data of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @returns {Promise} Promise which resolves when the data is deleted.
+     */
+    delete(id: string): Promise<void>;
+
+    /**
+     * List the ids of all stored accessories.
+     *
+     * @returns {Promise} Promise which resolves to the list of ids.
+     */
+    list(): Promise<string[]>;
+}
+
+/**
+ * Normalize an accessory id, so "aa:bb:.." and "AA:BB:.." address the same entry.
+ *
+ * @param {string} id - Accessory id
+ * @returns {string} Normalized id
+ */
+function normalizeId(id: string): string {
+    return id.toUpperCase();
+}
+
+/**
+ * Pairing store which keeps the data in memory only.
+ */
+export class MemoryPairingStore implements PairingStore {
+    private data = new Map<string, PairingData>();
+
+    /**
+     * Get the pairing data of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @returns {Promise} Promise which resolves to the pairing data or null if not paired.
+     */
+    async get(id: string): Promise<PairingData | null> {
+        const data = this.data.get(normalizeId(id));
+        return data ? { ...data } : null;
+    }
+
+    /**
+     * Store the pairing data of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @param {PairingData} data - Pairing data
+     * @returns {Promise} Promise which resolves when the data is stored.
+     */
+    async set(id: string, data: PairingData): Promise<void> {
+        this.data.set(normalizeId(id), { ...data });
+    }
+
+    /**
+     * Delete the pairing data of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @returns {Promise} Promise which resolves when the data is deleted.
+     */
+    async delete(id: string): Promise<void> {
+        this.data.delete(normalizeId(id));
+    }
+
+    /**
+     * List the ids of all stored accessories.
+     *
+     * @returns {Promise} Promise which resolves to the list of ids.
+     */
+    async list(): Promise<string[]> {
+        return Array.from(this.data.keys());
+    }
+}
+
+export interface FilePairingStoreOptions {
+    /**
+     * Path of the file.
+     */
+    path: string;
+
+    /**
+     * Passphrase used to derive the encryption key.
+     */
+    passphrase: string;
+}
+
+/**
+ * Current version of the file format.
+ */
+export const PairingStoreSchemaVersion = 1;
+
+interface PairingStoreFile {
+    schemaVersion: number;
+    kdf: { name: 'scrypt'; salt: string; N: number; r: number; p: number };
+    cipher: 'aes-256-gcm';
+    iv: string;
+    tag: string;
+    data: string;
+}
+
+interface ScryptParameters {
+    N: number;
+    r: number;
+    p: number;
+}
+
+const ScryptParams: ScryptParameters = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Upper bounds for the scrypt parameters read from a file, scrypt needs 128 * N * r bytes
+ * of memory and its time grows with N * r * p.
+ */
+const ScryptLimits: ScryptParameters = { N: 1 << 20, r: 16, p: 16 };
+const ScryptMaxMemory = 256 * 1024 * 1024;
+
+/**
+ * Check the scrypt parameters of a file, so a tampered file can not exhaust the memory.
+ *
+ * @param {Object} params - scrypt parameters
+ * @returns {boolean} true if the parameters are supported
+ */
+function isValidScryptParams(params: ScryptParameters): boolean {
+    const { N, r, p } = params;
+    return (
+        Number.isInteger(N) &&
+        Number.isInteger(r) &&
+        Number.isInteger(p) &&
+        N > 1 &&
+        (N & (N - 1)) === 0 &&
+        N <= ScryptLimits.N &&
+        r >= 1 &&
+        r <= ScryptLimits.r &&
+        p >= 1 &&
+        p <= ScryptLimits.p &&
+        128 * N * r <= ScryptMaxMemory
+    );
+}
+
+/**
+ * Pairing store which keeps the data in a file.
+ *
+ * The content is encrypted with AES-256-GCM using a key derived from a passphrase
+ * with scrypt. Each write goes to a temporary file first which is then renamed,
+ * so the file is never left half written.
+ */
+export class FilePairingStore implements PairingStore {
+    private path: string;
+
+    private passphrase: string;
+
+    private queue = new OpQueue();
+
+    private cache: Record<string, PairingData> | null = null;
+
+    private key: { salt: Buffer; params: ScryptParameters; key: Buffer } | null = null;
+
+    /**
+     * Initialize the FilePairingStore object.
+     *
+     * @param {FilePairingStoreOptions} options - Store options
+     */
+    constructor(options: FilePairingStoreOptions) {
+        if (!options?.path) {
+            throw new Error('A path is required for the pairing store');
+        }
+
+        if (!options.passphrase) {
+            throw new Error('A passphrase is required for the pairing store');
+        }
+
+        this.path = options.path;
+        this.passphrase = options.passphrase;
+    }
+
+    /**
+     * Derive the encryption key. The last key is cached together with the salt and the
+     * parameters it was derived with.
+     *
+     * @param {Buffer} salt - Salt
+     * @param {Object} params - scrypt parameters
+     * @returns {Promise} Promise which resolves to the key.
+     */
+    private async _deriveKey(salt: Buffer, params: ScryptParameters): Promise<Buffer> {
+        const { N, r, p } = params;
+        if (
+            this.key &&
+            this.key.salt.equals(salt) &&
+            this.key.params.N === N &&
+            this.key.params.r === r &&
+            this.key.params.p === p
+        ) {
+            return this.key.key;
+        }
+
+        const key = await new Promise<Buffer>((resolve, reject) => {
+            crypto.scrypt(this.passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r }, (err, key) =>
+                err ? reject(err) : resolve(key),
+            );
+        });
+        this.key = { salt, params: { N, r, p }, key };
+        return key;
+    }
+
+    /**
+     * Read and decrypt the file.
+     *
+     * @returns {Promise} Promise which resolves to the stored pairings.
+     */
+    private async _load(): Promise<Record<string, PairingData>> {
+        if (this.cache) {
+            return this.cache;
+        }
+
+        let content;
+        try {
+            content = await fs.readFile(this.path, 'utf-8');
+        } catch (err) {
+            if ((<NodeJS.ErrnoException>err).code === 'ENOENT') {
+                this.cache = {};
+                return this.cache;
+            }
+            throw err;
+        }
+
+        let file: PairingStoreFile;
+        try {
+            file = JSON.parse(content);
+        } catch (err) {
+            throw new HomekitControllerError(`Pairing store ${this.path} is corrupt: ${err}`);
+        }
+
+        if (file.schemaVersion !== PairingStoreSchemaVersion) {
+            throw new HomekitControllerError(
+                `Pairing store ${this.path} has unsupported schema version ${file.schemaVersion}`,
+            );
+        }
+
+        if (file.kdf?.name !== 'scrypt' || !isValidScryptParams(file.kdf)) {
+            throw new HomekitControllerError(`Pairing store ${this.path} has unsupported kdf parameters`);
+        }
+
+        const key = await this._deriveKey(Buffer.from(file.kdf.salt, 'base64'), file.kdf);
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+            const data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+            this.cache = JSON.parse(data.toString('utf-8'));
+        } catch (_e) {
+            throw new HomekitControllerError(`Unable to decrypt pairing store ${this.path}, wrong passphrase?`);
+        }
+
+        return this.cache!;
+    }
+
+    /**
+     * Encrypt and write the file atomically.
+     *
+     * @param {Object} pairings - Pairings to store
+     * @returns {Promise} Promise which resolves when the file is written.
+     */
+    private async _save(pairings: Record<string, PairingData>): Promise<void> {
+        // keep the salt and parameters of a loaded file, so the key does not need to be derived again
+        const salt = this.key?.salt || crypto.randomBytes(16);
+        const params = this.key?.params || ScryptParams;
+        const key = await this._deriveKey(salt, params);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(pairings), 'utf-8'), cipher.final()]);
+
+        const file: PairingStoreFile = {
+            schemaVersion: PairingStoreSchemaVersion,
+            kdf: { name: 'scrypt', salt: salt.toString('base64'), ...params },
+            cipher: 'aes-256-gcm',
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+        };
+
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+        const tmpPath = `${this.path}.${process.pid}.tmp`;
+        const handle = await fs.open(tmpPath, 'w', 0o600);
+        try {
+            await handle.writeFile(JSON.stringify(file, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tmpPath, this.path);
+
+        this.cache = pairings;
+        debug(`Stored ${Object.keys(pairings).length} pairings in ${this.path}`);
+    }
+
+    /**
+     * Get the pairing data of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @returns {Promise} Promise which resolves to the pairing data or null if not paired.
+     */
+    get(id: string): Promise<PairingData | null> {
+        return this.queue.queue(async () => {
+            const data = (await this._load())[normalizeId(id)];
+            return data ? { ...data } : null;
+        });
+    }
+
+    /**
+     * Store the pairing data of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @param {PairingData} data - Pairing data
+     * @returns {Promise} Promise which resolves when the data is stored.
+     */
+    set(id: string, data: PairingData): Promise<void> {
+        return this.queue.queue(async () => {
+            const pairings = { ...(await this._load()) };
+            pairings[normalizeId(id)] = { ...data };
+            await this._save(pairings);
+        });
+    }
+
+    /**
+     * Delete the pairing data of an accessory.
+     *
+     * @param {string} id - Accessory id
+     * @returns {Promise} Promise which resolves when the data is deleted.
+     */
+    delete(id: string): Promise<void> {
+        return this.queue.queue(async () => {
+            const pairings = { ...(await this._load()) };
+            if (!pairings[normalizeId(id)]) {
+                return;
+            }
+            delete pairings[normalizeId(id)];
+            await this._save(pairings);
+        });
+    }
+
+    /**
+     * List the ids of all stored accessories.
+     *
+     * @returns {Promise} Promise which resolves to the list of ids.
+     */
+    list(): Promise<string[]> {
+        return this.queue.queue(async () => Object.keys(await this._load()));
+    }
+}
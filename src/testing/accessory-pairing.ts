@@ -0,0 +1,721 @@
+/**
+ * Accessory side of the pairing procedures, shared by the accessory simulators.
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import sodium from 'libsodium-wrappers';
+import { SRP, SrpServer } from 'fast-srp-hap';
+import HKDF from 'node-hkdf-sync';
+import { decodeBuffer, encodeObject, TLV } from '../model/tlv';
+import { ErrorCodes, Types } from '../protocol/pairing-protocol';
+
+/**
+ * See Table 5-3
+ */
+const Methods = {
+    PairSetupWithAuth: 1,
+    AddPairing: 3,
+    RemovePairing: 4,
+    ListPairings: 5,
+    PairResume: 6,
+};
+
+export interface SimulatorPairing {
+    identifier: string;
+    publicKey: Buffer;
+    isAdmin: boolean;
+}
+
+/**
+ * MFi certificate and key used to answer Pair Setup with Auth.
+ */
+export interface SimulatorMfiAuthentication {
+    /**
+     * Certificate sent as kTLVType_Certificate, DER encoded X.509 or PKCS#7
+     */
+    certificate: Buffer;
+
+    /**
+     * Private key of the certificate to sign the challenge with, EC keys sign with SHA-256 and RSA keys with SHA-1
+     */
+    privateKey: crypto.KeyLike;
+}
+
+export type SimulatorPairingProcedure = 'pair-setup' | 'pair-verify';
+
+export interface SimulatorSessionKeys {
+    accessoryToController: Buffer;
+    controllerToAccessory: Buffer;
+}
+
+/**
+ * Pairing state of one controller connection.
+ */
+export interface PairingSession {
+    /**
+     * Pairing identifier of the verified controller
+     */
+    controllerId: string | null;
+
+    /**
+     * Shared secret of the verified session
+     */
+    sharedSecret: Buffer | null;
+
+    /**
+     * Session keys to use once the response to the current request was sent
+     */
+    nextSessionKeys: SimulatorSessionKeys | null;
+
+    srpServer: SrpServer | null;
+
+    /**
+     * Method of the running Pair Setup
+     */
+    pairSetupMethod: number | null;
+
+    pairVerify: {
+        privateKey: Buffer;
+        publicKey: Buffer;
+        controllerPublicKey: Buffer;
+        sharedSecret: Buffer;
+        sessionKey: Buffer;
+    } | null;
+}
+
+/**
+ * Derive a key with HKDF-SHA-512.
+ *
+ * @param {Buffer|string} salt - Salt
+ * @param {Buffer} ikm - Input key material
+ * @param {string} info - Info
+ * @param {number} size - Size of the derived key
+ * @returns {Buffer} Derived key
+ */
+export function hkdf(salt: Buffer | string, ikm: Buffer, info: string, size = 32): Buffer {
+    return new HKDF('sha512', salt, ikm).derive(info, size);
+}
+
+/**
+ * Generate a random device ID.
+ *
+ * @returns {string} Device ID, formatted as XX:XX:XX:XX:XX:XX
+ */
+export function randomDeviceId(): string {
+    return Array.from({ length: 6 }, () =>
+        Math.floor(Math.random() * 256)
+            .toString(16)
+            .padStart(2, '0')
+            .toUpperCase(),
+    ).join(':');
+}
+
+/**
+ * Build the 12 byte nonce used by the pairing procedures.
+ *
+ * @param {string} label - 8 character nonce label, e.g. PV-Msg02
+ * @returns {Buffer} Nonce
+ */
+function pairingNonce(label: string): Buffer {
+    return Buffer.concat([Buffer.from([0, 0, 0, 0]), Buffer.from(label)]);
+}
+
+/**
+ * Pairings, long-term keys and resumable sessions of a simulated accessory. The handlers take the
+ * decoded pairing TLV of a request and return the encoded TLV of the response.
+ *
+ * @fires AccessoryPairing#paired
+ * @fires AccessoryPairing#unpaired
+ */
+export default class AccessoryPairing extends EventEmitter {
+    private deviceId: string;
+
+    private pin: string;
+
+    private supportsPairResume: boolean;
+
+    private mfi: SimulatorMfiAuthentication | null;
+
+    private pairings = new Map<string, SimulatorPairing>();
+
+    private sessions = new Map<string, { sharedSecret: Buffer; controllerId: string }>();
+
+    private accessoryLTSK: Buffer | null = null;
+
+    private accessoryLTPK: Buffer | null = null;
+
+    private injectedErrors: { procedure: SimulatorPairingProcedure; errorCode: number; retryDelay?: number }[] = [];
+
+    /**
+     * Initialize the AccessoryPairing object.
+     *
+     * @param {string} deviceId - Device ID of the accessory, used as accessory pairing identifier
+     * @param {string} pin - Setup code, formatted as XXX-XX-XXX
+     * @param {boolean} supportsPairResume - Whether Pair Resume requests are accepted
+     * @param {SimulatorMfiAuthentication?} mfi - Certificate and key to answer Pair Setup with Auth with
+     */
+    constructor(deviceId: string, pin: string, supportsPairResume: boolean, mfi?: SimulatorMfiAuthentication) {
+        super();
+        this.deviceId = deviceId;
+        this.pin = pin;
+        this.supportsPairResume = supportsPairResume;
+        this.mfi = mfi || null;
+    }
+
+    /**
+     * Generate the long-term keys of the accessory, if not done yet.
+     *
+     * @returns {Promise} Promise which resolves when the keys are available.
+     */
+    async init(): Promise<void> {
+        await sodium.ready;
+
+        if (!this.accessoryLTSK) {
+            const key = sodium.crypto_sign_seed_keypair(sodium.randombytes_buf(32));
+            this.accessoryLTSK = Buffer.from(key.privateKey);
+            this.accessoryLTPK = Buffer.from(key.publicKey);
+        }
+    }
+
+    /**
+     * Create the pairing state for a new connection.
+     *
+     * @returns {PairingSession} Pairing state
+     */
+    static createSession(): PairingSession {
+        return {
+            controllerId: null,
+            sharedSecret: null,
+            nextSessionKeys: null,
+            srpServer: null,
+            pairSetupMethod: null,
+            pairVerify: null,
+        };
+    }
+
+    /**
+     * Check whether any controller is paired.
+     *
+     * @returns {boolean} true if paired
+     */
+    isPaired(): boolean {
+        return this.pairings.size > 0;
+    }
+
+    /**
+     * Get the list of paired controllers.
+     *
+     * @returns {SimulatorPairing[]} Paired controllers
+     */
+    getPairings(): SimulatorPairing[] {
+        return Array.from(this.pairings.values());
+    }
+
+    /**
+     * Get a paired controller.
+     *
+     * @param {string} identifier - Pairing identifier of the controller
+     * @returns {SimulatorPairing|null} The pairing, if known
+     */
+    getPairing(identifier: string): SimulatorPairing | null {
+        return this.pairings.get(identifier) || null;
+    }
+
+    /**
+     * Answer the next M1 of a pairing procedure with an error, e.g. to simulate an
+     * accessory which is busy or asks the controller to back off. Calls are queued.
+     *
+     * @param {SimulatorPairingProcedure} procedure - 'pair-setup' or 'pair-verify'
+     * @param {number} errorCode - kTLVError code
+     * @param {number?} retryDelay - Retry delay in seconds to send with the error
+     */
+    rejectNext(procedure: SimulatorPairingProcedure, errorCode: number, retryDelay?: number): void {
+        this.injectedErrors.push({ procedure, errorCode, retryDelay });
+    }
+
+    /**
+     * Take the next injected error for a procedure.
+     *
+     * @param {SimulatorPairingProcedure} procedure - 'pair-setup' or 'pair-verify'
+     * @returns {Buffer|null} Encoded M2 error response, if an error was injected
+     */
+    private _injectedError(procedure: SimulatorPairingProcedure): Buffer | null {
+        const index = this.injectedErrors.findIndex((e) => e.procedure === procedure);
+        if (index < 0) {
+            return null;
+        }
+
+        const [{ errorCode, retryDelay }] = this.injectedErrors.splice(index, 1);
+        return AccessoryPairing.tlvError(2, errorCode, retryDelay);
+    }
+
+    /**
+     * Build a TLV error response.
+     *
+     * @param {number} state - State of the response
+     * @param {number} errorCode - kTLVError code
+     * @param {number?} retryDelay - Retry delay in seconds
+     * @returns {Buffer} Encoded TLV
+     */
+    static tlvError(state: number, errorCode: number, retryDelay?: number): Buffer {
+        const data = new Map();
+        data.set(Types.kTLVType_State, Buffer.from([state]));
+        data.set(Types.kTLVType_Error, Buffer.from([errorCode]));
+        // eslint-disable-next-line no-undefined
+        if (retryDelay !== undefined) {
+            const delay = Buffer.alloc(2);
+            delay.writeUInt16LE(retryDelay);
+            data.set(Types.kTLVType_RetryDelay, delay);
+        }
+        return encodeObject(data);
+    }
+
+    /**
+     * Handle the pair setup procedure.
+     *
+     * @param {PairingSession} session - Pairing state of the connection
+     * @param {TLV} tlv - Request TLV
+     * @returns {Promise} Promise which resolves to the encoded response TLV.
+     */
+    async handlePairSetup(session: PairingSession, tlv: TLV): Promise<Buffer> {
+        const state = tlv.get(Types.kTLVType_State)?.readUInt8(0);
+
+        switch (state) {
+            case 1: {
+                const injected = this._injectedError('pair-setup');
+                if (injected) {
+                    return injected;
+                }
+
+                if (this.pairings.size) {
+                    return AccessoryPairing.tlvError(2, ErrorCodes.kTLVError_Unavailable);
+                }
+
+                session.pairSetupMethod = tlv.get(Types.kTLVType_Method)?.readUInt8(0) ?? null;
+                const salt = await SRP.genKey(16);
+                const key = await SRP.genKey(32);
+                session.srpServer = new SrpServer(
+                    SRP.params.hap,
+                    salt,
+                    Buffer.from('Pair-Setup'),
+                    Buffer.from(this.pin),
+                    key,
+                );
+
+                const data = new Map();
+                data.set(Types.kTLVType_State, Buffer.from([2]));
+                data.set(Types.kTLVType_Salt, salt);
+                data.set(Types.kTLVType_PublicKey, session.srpServer.computeB());
+                return encodeObject(data);
+            }
+            case 3: {
+                const srpServer = session.srpServer;
+                if (!srpServer) {
+                    return AccessoryPairing.tlvError(4, ErrorCodes.kTLVError_Unknown);
+                }
+
+                try {
+                    srpServer.setA(tlv.get(Types.kTLVType_PublicKey)!);
+                    srpServer.checkM1(tlv.get(Types.kTLVType_Proof)!);
+                } catch (_e) {
+                    session.srpServer = null;
+                    return AccessoryPairing.tlvError(4, ErrorCodes.kTLVError_Authentication);
+                }
+
+                const data = new Map();
+                data.set(Types.kTLVType_State, Buffer.from([4]));
+                data.set(Types.kTLVType_Proof, srpServer.computeM2());
+                if (this.mfi && session.pairSetupMethod === Methods.PairSetupWithAuth) {
+                    data.set(Types.kTLVType_EncryptedData, this._buildMfiProof(srpServer.computeK()));
+                }
+                return encodeObject(data);
+            }
+            case 5: {
+                const srpServer = session.srpServer;
+                if (!srpServer) {
+                    return AccessoryPairing.tlvError(6, ErrorCodes.kTLVError_Unknown);
+                }
+                session.srpServer = null;
+
+                const sharedSecret = srpServer.computeK();
+                const sessionKey = hkdf('Pair-Setup-Encrypt-Salt', sharedSecret, 'Pair-Setup-Encrypt-Info');
+
+                let subTlv;
+                try {
+                    subTlv = decodeBuffer(
+                        Buffer.from(
+                            sodium.crypto_aead_chacha20poly1305_ietf_decrypt(
+                                null,
+                                tlv.get(Types.kTLVType_EncryptedData)!,
+                                null,
+                                pairingNonce('PS-Msg05'),
+                                sessionKey,
+                            ),
+                        ),
+                    );
+                } catch (_e) {
+                    return AccessoryPairing.tlvError(6, ErrorCodes.kTLVError_Authentication);
+                }
+
+                const identifier = subTlv.get(Types.kTLVType_Identifier)!;
+                const publicKey = subTlv.get(Types.kTLVType_PublicKey)!;
+                const signature = subTlv.get(Types.kTLVType_Signature)!;
+                const controllerX = hkdf(
+                    'Pair-Setup-Controller-Sign-Salt',
+                    sharedSecret,
+                    'Pair-Setup-Controller-Sign-Info',
+                );
+                const controllerInfo = Buffer.concat([controllerX, identifier, publicKey]);
+                if (!sodium.crypto_sign_verify_detached(signature, controllerInfo, publicKey)) {
+                    return AccessoryPairing.tlvError(6, ErrorCodes.kTLVError_Authentication);
+                }
+
+                const accessoryX = hkdf(
+                    'Pair-Setup-Accessory-Sign-Salt',
+                    sharedSecret,
+                    'Pair-Setup-Accessory-Sign-Info',
+                );
+                const accessoryPairingId = Buffer.from(this.deviceId);
+                const accessoryInfo = Buffer.concat([accessoryX, accessoryPairingId, this.accessoryLTPK!]);
+
+                const responseData = new Map();
+                responseData.set(Types.kTLVType_Identifier, accessoryPairingId);
+                responseData.set(Types.kTLVType_PublicKey, this.accessoryLTPK!);
+                responseData.set(
+                    Types.kTLVType_Signature,
+                    Buffer.from(sodium.crypto_sign_detached(accessoryInfo, this.accessoryLTSK!)),
+                );
+
+                const encryptedData = Buffer.from(
+                    sodium.crypto_aead_chacha20poly1305_ietf_encrypt(
+                        encodeObject(responseData),
+                        null,
+                        null,
+                        pairingNonce('PS-Msg06'),
+                        sessionKey,
+                    ),
+                );
+
+                this._addPairing(identifier.toString(), publicKey, true);
+
+                const data = new Map();
+                data.set(Types.kTLVType_State, Buffer.from([6]));
+                data.set(Types.kTLVType_EncryptedData, encryptedData);
+                return encodeObject(data);
+            }
+        }
+
+        return AccessoryPairing.tlvError((state || 0) + 1, ErrorCodes.kTLVError_Unknown);
+    }
+
+    /**
+     * Sign the MFi challenge and build the encrypted sub-TLV of M4.
+     *
+     * @param {Buffer} sharedSecret - SRP shared secret
+     * @returns {Buffer} Encrypted sub-TLV
+     */
+    private _buildMfiProof(sharedSecret: Buffer): Buffer {
+        const { certificate } = this.mfi!;
+        const privateKey =
+            this.mfi!.privateKey instanceof crypto.KeyObject
+                ? this.mfi!.privateKey
+                : crypto.createPrivateKey(this.mfi!.privateKey);
+        const challenge = hkdf('MFi-Pair-Setup-Salt', sharedSecret, 'MFi-Pair-Setup-Info');
+        const keyType = privateKey.asymmetricKeyType;
+
+        const subData = new Map();
+        subData.set(
+            Types.kTLVType_Signature,
+            crypto.sign(keyType === 'rsa' ? 'sha1' : 'sha256', challenge, privateKey),
+        );
+        subData.set(Types.kTLVType_Certificate, certificate);
+
+        const sessionKey = hkdf('Pair-Setup-Encrypt-Salt', sharedSecret, 'Pair-Setup-Encrypt-Info');
+        return Buffer.from(
+            sodium.crypto_aead_chacha20poly1305_ietf_encrypt(
+                encodeObject(subData),
+                null,
+                null,
+                pairingNonce('PS-Msg04'),
+                sessionKey,
+            ),
+        );
+    }
+
+    /**
+     * Handle the pair verify and pair resume procedures.
+     *
+     * @param {PairingSession} session - Pairing state of the connection
+     * @param {TLV} tlv - Request TLV
+     * @returns {Buffer} Encoded response TLV
+     */
+    handlePairVerify(session: PairingSession, tlv: TLV): Buffer {
+        const state = tlv.get(Types.kTLVType_State)?.readUInt8(0);
+
+        if (state === 1) {
+            const injected = this._injectedError('pair-verify');
+            if (injected) {
+                return injected;
+            }
+
+            const controllerPublicKey = tlv.get(Types.kTLVType_PublicKey)!;
+            const method = tlv.get(Types.kTLVType_Method)?.readUInt8(0);
+
+            if (method === Methods.PairResume && this.supportsPairResume) {
+                const reply = this._handlePairResume(session, tlv, controllerPublicKey);
+                if (reply) {
+                    return reply;
+                }
+            }
+
+            // Unknown sessions are answered with a normal Pair-Verify M2
+            const privateKey = Buffer.from(sodium.randombytes_buf(32));
+            const publicKey = Buffer.from(sodium.crypto_scalarmult_base(privateKey));
+            const sharedSecret = Buffer.from(sodium.crypto_scalarmult(privateKey, controllerPublicKey));
+            const sessionKey = hkdf('Pair-Verify-Encrypt-Salt', sharedSecret, 'Pair-Verify-Encrypt-Info');
+            session.pairVerify = { privateKey, publicKey, controllerPublicKey, sharedSecret, sessionKey };
+
+            const accessoryPairingId = Buffer.from(this.deviceId);
+            const accessoryInfo = Buffer.concat([publicKey, accessoryPairingId, controllerPublicKey]);
+
+            const subData = new Map();
+            subData.set(Types.kTLVType_Identifier, accessoryPairingId);
+            subData.set(
+                Types.kTLVType_Signature,
+                Buffer.from(sodium.crypto_sign_detached(accessoryInfo, this.accessoryLTSK!)),
+            );
+
+            const data = new Map();
+            data.set(Types.kTLVType_State, Buffer.from([2]));
+            data.set(Types.kTLVType_PublicKey, publicKey);
+            data.set(
+                Types.kTLVType_EncryptedData,
+                Buffer.from(
+                    sodium.crypto_aead_chacha20poly1305_ietf_encrypt(
+                        encodeObject(subData),
+                        null,
+                        null,
+                        pairingNonce('PV-Msg02'),
+                        sessionKey,
+                    ),
+                ),
+            );
+            return encodeObject(data);
+        }
+
+        if (state === 3 && session.pairVerify) {
+            const { publicKey, controllerPublicKey, sharedSecret, sessionKey } = session.pairVerify;
+            session.pairVerify = null;
+
+            let subTlv;
+            try {
+                subTlv = decodeBuffer(
+                    Buffer.from(
+                        sodium.crypto_aead_chacha20poly1305_ietf_decrypt(
+                            null,
+                            tlv.get(Types.kTLVType_EncryptedData)!,
+                            null,
+                            pairingNonce('PV-Msg03'),
+                            sessionKey,
+                        ),
+                    ),
+                );
+            } catch (_e) {
+                return AccessoryPairing.tlvError(4, ErrorCodes.kTLVError_Authentication);
+            }
+
+            const identifier = subTlv.get(Types.kTLVType_Identifier)!;
+            const pairing = this.pairings.get(identifier.toString());
+            if (!pairing) {
+                return AccessoryPairing.tlvError(4, ErrorCodes.kTLVError_Authentication);
+            }
+
+            const controllerInfo = Buffer.concat([controllerPublicKey, identifier, publicKey]);
+            const signature = subTlv.get(Types.kTLVType_Signature)!;
+            if (!sodium.crypto_sign_verify_detached(signature, controllerInfo, pairing.publicKey)) {
+                return AccessoryPairing.tlvError(4, ErrorCodes.kTLVError_Authentication);
+            }
+
+            const sessionId = hkdf('Pair-Verify-Resume-Salt', sharedSecret, 'Pair-Verify-Resume-Info', 8);
+            this.sessions.set(sessionId.toString('hex'), { sharedSecret, controllerId: pairing.identifier });
+            this._startSession(session, sharedSecret, pairing.identifier);
+
+            const data = new Map();
+            data.set(Types.kTLVType_State, Buffer.from([4]));
+            return encodeObject(data);
+        }
+
+        return AccessoryPairing.tlvError((state || 0) + 1, ErrorCodes.kTLVError_Unknown);
+    }
+
+    /**
+     * Try to resume a session.
+     *
+     * @param {PairingSession} session - Pairing state of the connection
+     * @param {TLV} tlv - Request TLV
+     * @param {Buffer} controllerPublicKey - Ephemeral public key of the controller
+     * @returns {Buffer|null} Encoded response TLV or null if the session can not be resumed
+     */
+    private _handlePairResume(session: PairingSession, tlv: TLV, controllerPublicKey: Buffer): Buffer | null {
+        const sessionId = tlv.get(Types.kTLVType_SessionID);
+        const resumable = sessionId && this.sessions.get(sessionId.toString('hex'));
+        if (!sessionId || !resumable || !this.pairings.has(resumable.controllerId)) {
+            return null;
+        }
+
+        const { sharedSecret, controllerId } = resumable;
+
+        const requestKey = hkdf(
+            Buffer.concat([controllerPublicKey, sessionId]),
+            sharedSecret,
+            'Pair-Resume-Request-Info',
+        );
+        try {
+            sodium.crypto_aead_chacha20poly1305_ietf_decrypt(
+                null,
+                tlv.get(Types.kTLVType_EncryptedData)!,
+                null,
+                pairingNonce('PR-Msg01'),
+                requestKey,
+            );
+        } catch (_e) {
+            return null;
+        }
+
+        this.sessions.delete(sessionId.toString('hex'));
+
+        const newSessionId = Buffer.from(sodium.randombytes_buf(8));
+        const salt = Buffer.concat([controllerPublicKey, newSessionId]);
+        const responseKey = hkdf(salt, sharedSecret, 'Pair-Resume-Response-Info');
+        const newSharedSecret = hkdf(salt, sharedSecret, 'Pair-Resume-Shared-Secret-Info');
+        this.sessions.set(newSessionId.toString('hex'), { sharedSecret: newSharedSecret, controllerId });
+
+        const data = new Map();
+        data.set(Types.kTLVType_State, Buffer.from([2]));
+        data.set(Types.kTLVType_Method, Buffer.from([Methods.PairResume]));
+        data.set(Types.kTLVType_SessionID, newSessionId);
+        data.set(
+            Types.kTLVType_EncryptedData,
+            Buffer.from(
+                sodium.crypto_aead_chacha20poly1305_ietf_encrypt(
+                    Buffer.alloc(0),
+                    null,
+                    null,
+                    pairingNonce('PR-Msg02'),
+                    responseKey,
+                ),
+            ),
+        );
+
+        this._startSession(session, newSharedSecret, controllerId);
+        return encodeObject(data);
+    }
+
+    /**
+     * Prepare the session keys, they are used for all data sent after the current response.
+     *
+     * @param {PairingSession} session - Pairing state of the connection
+     * @param {Buffer} sharedSecret - Shared secret of the session
+     * @param {string} controllerId - Pairing identifier of the controller
+     */
+    private _startSession(session: PairingSession, sharedSecret: Buffer, controllerId: string): void {
+        session.controllerId = controllerId;
+        session.sharedSecret = sharedSecret;
+        session.nextSessionKeys = {
+            accessoryToController: hkdf('Control-Salt', sharedSecret, 'Control-Read-Encryption-Key'),
+            controllerToAccessory: hkdf('Control-Salt', sharedSecret, 'Control-Write-Encryption-Key'),
+        };
+    }
+
+    /**
+     * Add or update a pairing.
+     *
+     * @param {string} identifier - Pairing identifier of the controller
+     * @param {Buffer} publicKey - Long-term public key of the controller
+     * @param {boolean} isAdmin - Whether the controller has admin permissions
+     */
+    private _addPairing(identifier: string, publicKey: Buffer, isAdmin: boolean): void {
+        this.pairings.set(identifier, { identifier, publicKey, isAdmin });
+        /**
+         * A controller was paired.
+         *
+         * @event AccessoryPairing#paired
+         * @type SimulatorPairing
+         */
+        this.emit('paired', this.pairings.get(identifier));
+    }
+
+    /**
+     * Handle the pairing management requests.
+     *
+     * @param {PairingSession} session - Pairing state of the connection
+     * @param {TLV} tlv - Request TLV
+     * @returns {Buffer} Encoded response TLV
+     */
+    handlePairings(session: PairingSession, tlv: TLV): Buffer {
+        const method = tlv.get(Types.kTLVType_Method)?.readUInt8(0);
+        const controller = session.controllerId ? this.pairings.get(session.controllerId) : null;
+        if (!controller?.isAdmin) {
+            return AccessoryPairing.tlvError(2, ErrorCodes.kTLVError_Authentication);
+        }
+
+        const ok = (): Buffer => {
+            const data = new Map();
+            data.set(Types.kTLVType_State, Buffer.from([2]));
+            return encodeObject(data);
+        };
+
+        switch (method) {
+            case Methods.AddPairing: {
+                const identifier = tlv.get(Types.kTLVType_Identifier)!.toString();
+                const publicKey = tlv.get(Types.kTLVType_PublicKey)!;
+                const isAdmin = !!(tlv.get(Types.kTLVType_Permissions)?.readUInt8(0) || 0);
+                const existing = this.pairings.get(identifier);
+                if (existing && !existing.publicKey.equals(publicKey)) {
+                    return AccessoryPairing.tlvError(2, ErrorCodes.kTLVError_Unknown);
+                }
+
+                this._addPairing(identifier, publicKey, isAdmin);
+                return ok();
+            }
+            case Methods.RemovePairing: {
+                const identifier = tlv.get(Types.kTLVType_Identifier)!.toString();
+                const pairing = this.pairings.get(identifier);
+                this.pairings.delete(identifier);
+                if (pairing) {
+                    /**
+                     * A controller was unpaired. Connections of this controller need to be closed.
+                     *
+                     * @event AccessoryPairing#unpaired
+                     * @type SimulatorPairing
+                     */
+                    this.emit('unpaired', pairing);
+                }
+                return ok();
+            }
+            case Methods.ListPairings: {
+                const parts: Buffer[] = [];
+                const state = new Map();
+                state.set(Types.kTLVType_State, Buffer.from([2]));
+                parts.push(encodeObject(state));
+
+                Array.from(this.pairings.values()).forEach((pairing, idx) => {
+                    if (idx > 0) {
+                        parts.push(Buffer.from([Types.kTLVType_Separator, 0]));
+                    }
+
+                    const data = new Map();
+                    data.set(Types.kTLVType_Identifier, Buffer.from(pairing.identifier));
+                    data.set(Types.kTLVType_PublicKey, pairing.publicKey);
+                    data.set(Types.kTLVType_Permissions, Buffer.from([pairing.isAdmin ? 1 : 0]));
+                    parts.push(encodeObject(data));
+                });
+
+                return Buffer.concat(parts);
+            }
+        }
+
+        return AccessoryPairing.tlvError(2, ErrorCodes.kTLVError_Unknown);
+    }
+}
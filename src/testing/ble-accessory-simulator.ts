@@ -0,0 +1,1183 @@
+/**
+ * In-process HAP-over-BLE accessory on a simulated peripheral, used to test the controller side
+ * without Bluetooth hardware.
+ */
+
+import { EventEmitter } from 'events';
+import sodium from 'libsodium-wrappers';
+import Debug from 'debug';
+import { decodeBuffer, encodeObject, TLV } from '../model/tlv';
+import { Accessories } from '../model/accessory';
+import { CharacteristicObject, ensureCharacteristicUuid, uuidFromCharacteristic } from '../model/characteristic';
+import { ensureServiceUuid, ServiceObject, uuidFromService } from '../model/service';
+import { decodeValue, encodeValue } from '../model/format-codec';
+import * as GattConstants from '../transport/ble/gatt-constants';
+import { uuidToNobleUuid } from '../transport/ble/gatt-utils';
+import { encryptBroadcastNotification, nextGsn } from '../transport/ble/ble-broadcast';
+import { DiscoveryPairingStatusFlags } from '../transport/ble/ble-discovery';
+import AccessoryPairing, {
+    hkdf,
+    PairingSession,
+    randomDeviceId,
+    SimulatorMfiAuthentication,
+    SimulatorPairing,
+    SimulatorPairingProcedure,
+    SimulatorSessionKeys,
+} from './accessory-pairing';
+import { SimulatedBleBackend, SimulatedCharacteristic, SimulatedPeripheral } from './simulated-ble';
+
+const debug = Debug('hap-controller:ble-accessory-simulator');
+
+/**
+ * See Table 6-26
+ */
+const Status = {
+    Success: 0,
+    UnsupportedPdu: 1,
+    InvalidInstanceId: 4,
+    InsufficientAuthentication: 5,
+    InvalidRequest: 6,
+};
+
+/**
+ * Opcodes of requests which carry a body.
+ */
+const BodyOpcodes = [
+    GattConstants.Opcodes['HAP-Characteristic-Write'],
+    GattConstants.Opcodes['HAP-Characteristic-Timed-Write'],
+    GattConstants.Opcodes['HAP-Characteristic-Configuration'],
+    GattConstants.Opcodes['HAP-Protocol-Configuration'],
+];
+
+const PairSetupUuid = uuidFromCharacteristic('public.hap.characteristic.pairing.pair-setup');
+const PairVerifyUuid = uuidFromCharacteristic('public.hap.characteristic.pairing.pair-verify');
+const PairingFeaturesUuid = uuidFromCharacteristic('public.hap.characteristic.pairing.features');
+const PairingsUuid = uuidFromCharacteristic('public.hap.characteristic.pairing.pairings');
+const IdentifyUuid = uuidFromCharacteristic('public.hap.characteristic.identify');
+
+export interface BLEAccessorySimulatorOptions {
+    /**
+     * Accessory attribute database served by the simulator. HAP-BLE accessories are no bridges, so
+     * only the accessory with aid 1 is used. Characteristic values are taken as initial values and
+     * updated on writes. The perms "ev-disconnected" and "ev-broadcast" enable the matching
+     * notification properties, "ev" alone means connected and disconnected events.
+     */
+    accessories: Accessories;
+
+    /**
+     * Setup code, formatted as XXX-XX-XXX.
+     * Default: 031-45-154
+     */
+    pin?: string;
+
+    /**
+     * Device ID of the accessory, formatted as XX:XX:XX:XX:XX:XX. It is also used as Bluetooth
+     * address of the peripheral.
+     * Default: a random ID
+     */
+    deviceId?: string;
+
+    /**
+     * Advertised local name.
+     * Default: Simulated Accessory
+     */
+    name?: string;
+
+    /**
+     * Accessory category identifier.
+     * Default: 1 (Other)
+     */
+    category?: number;
+
+    /**
+     * Configuration number.
+     * Default: 1
+     */
+    configNumber?: number;
+
+    /**
+     * Set to false to reject Pair Resume requests, so a full Pair-Verify is needed for each connection.
+     * Default: true
+     */
+    supportsPairResume?: boolean;
+
+    /**
+     * MFi certificate and private key to answer Pair Setup with Auth with, so the accessory
+     * looks like an MFi certified one.
+     */
+    mfi?: SimulatorMfiAuthentication;
+
+    /**
+     * Maximum size of a response fragment, use a small value to test the reassembly of fragments.
+     * Default: 512
+     */
+    fragmentSize?: number;
+
+    /**
+     * Called before a value is written. Return a HAP-BLE status code other than 0 to reject the write,
+     * e.g. 6 for an invalid request.
+     */
+    onWrite?: (aid: number, iid: number, value: unknown) => number | void;
+
+    /**
+     * Simulated central the accessory advertises to.
+     * Default: none, the peripheral can still be connected directly
+     */
+    backend?: SimulatedBleBackend;
+}
+
+export { SimulatorPairing };
+
+/**
+ * A GATT characteristic which HAP requests can be written to: either a HAP characteristic or the
+ * service signature characteristic of a service.
+ */
+interface GattTarget {
+    iid: number;
+    service: ServiceObject;
+    characteristic: CharacteristicObject | null;
+    gatt: SimulatedCharacteristic | null;
+}
+
+interface HapResponse {
+    status: number;
+    body?: TLV;
+}
+
+/**
+ * State of the connection to the central.
+ */
+class SimulatorLink implements PairingSession {
+    sessionKeys: SimulatorSessionKeys | null = null;
+
+    nextSessionKeys: SimulatorSessionKeys | null = null;
+
+    a2cCounter = 0;
+
+    c2aCounter = 0;
+
+    controllerId: string | null = null;
+
+    sharedSecret: Buffer | null = null;
+
+    srpServer: PairingSession['srpServer'] = null;
+
+    pairSetupMethod: number | null = null;
+
+    pairVerify: PairingSession['pairVerify'] = null;
+
+    requests = new Map<GattTarget, Buffer>();
+
+    responses = new Map<GattTarget, Buffer[]>();
+
+    pairingResponses = new Map<GattTarget, Buffer>();
+
+    timedWrite: { iid: number; body: TLV; expires: number } | null = null;
+
+    gsnIncremented = false;
+
+    closing = false;
+}
+
+/**
+ * Software HAP accessory speaking HAP over BLE on a SimulatedPeripheral. Pass `peripheral` to the
+ * GattClient, or a SimulatedBleBackend to the BLEDiscovery to find it by its advertisements.
+ *
+ * @fires BLEAccessorySimulator#identify
+ * @fires BLEAccessorySimulator#write
+ * @fires BLEAccessorySimulator#paired
+ * @fires BLEAccessorySimulator#unpaired
+ */
+export default class BLEAccessorySimulator extends EventEmitter {
+    deviceId: string;
+
+    peripheral: SimulatedPeripheral;
+
+    private backend: SimulatedBleBackend | null;
+
+    private database: Accessories;
+
+    private services: ServiceObject[];
+
+    private protocolInformationService: ServiceObject;
+
+    private targets: GattTarget[] = [];
+
+    private pairing: AccessoryPairing;
+
+    private onWrite: BLEAccessorySimulatorOptions['onWrite'];
+
+    private responseDelay = 0;
+
+    private category: number;
+
+    private configNumber: number;
+
+    private fragmentSize: number;
+
+    private advertisingIdentifier: Buffer;
+
+    private link: SimulatorLink | null = null;
+
+    private currentGsn = 1;
+
+    private broadcastKey: Buffer | null = null;
+
+    private broadcastIids = new Set<number>();
+
+    private advertising: Promise<void> = Promise.resolve();
+
+    private started = false;
+
+    /**
+     * Initialize the BLEAccessorySimulator object.
+     *
+     * @param {BLEAccessorySimulatorOptions} options - Simulator options
+     */
+    constructor(options: BLEAccessorySimulatorOptions) {
+        super();
+        this.database = JSON.parse(JSON.stringify(options.accessories));
+        this.database.accessories = this.database.accessories.filter((a) => a.aid === 1);
+        if (!this.database.accessories.length) {
+            throw new Error('The accessory database needs an accessory with aid 1');
+        }
+
+        this.deviceId = options.deviceId || randomDeviceId();
+        this.advertisingIdentifier = Buffer.from(this.deviceId.replace(/:/g, ''), 'hex');
+        this.backend = options.backend || null;
+        this.onWrite = options.onWrite;
+        this.category = options.category || 1;
+        this.configNumber = options.configNumber || 1;
+        this.fragmentSize = Math.max(options.fragmentSize || 512, 8);
+
+        this.pairing = new AccessoryPairing(
+            this.deviceId,
+            options.pin || '031-45-154',
+            options.supportsPairResume !== false,
+            options.mfi,
+        );
+        this.pairing.on('paired', (pairing: SimulatorPairing) => {
+            this._advertise();
+            /**
+             * A controller was paired.
+             *
+             * @event BLEAccessorySimulator#paired
+             * @type SimulatorPairing
+             */
+            this.emit('paired', pairing);
+        });
+        this.pairing.on('unpaired', (pairing: SimulatorPairing) => {
+            // the link is closed once the response was read
+            if (this.link?.controllerId === pairing.identifier) {
+                this.link.closing = true;
+            }
+            if (!this.pairing.isPaired()) {
+                this.broadcastKey = null;
+                this.broadcastIids.clear();
+            }
+            this._advertise();
+
+            /**
+             * A controller was unpaired.
+             *
+             * @event BLEAccessorySimulator#unpaired
+             * @type SimulatorPairing
+             */
+            this.emit('unpaired', pairing);
+        });
+
+        const services = this.database.accessories[0].services;
+        let nextIid = 0;
+        for (const service of services) {
+            nextIid = Math.max(nextIid, service.iid, ...service.characteristics.map((c) => c.iid || 0));
+        }
+        const iid = (): number => ++nextIid;
+
+        const pairingService: ServiceObject = {
+            iid: iid(),
+            type: uuidFromService('public.hap.service.pairing'),
+            characteristics: [
+                { iid: iid(), type: PairSetupUuid, perms: ['pr', 'pw'], format: 'tlv8' },
+                { iid: iid(), type: PairVerifyUuid, perms: ['pr', 'pw'], format: 'tlv8' },
+                {
+                    iid: iid(),
+                    type: PairingFeaturesUuid,
+                    perms: ['pr'],
+                    format: 'uint8',
+                    // supports Apple Authentication Coprocessor
+                    value: options.mfi ? 0x01 : 0,
+                },
+                { iid: iid(), type: PairingsUuid, perms: ['pr', 'pw'], format: 'tlv8' },
+            ],
+        };
+        this.protocolInformationService = {
+            iid: iid(),
+            type: uuidFromService('public.hap.service.protocol.information.service'),
+            characteristics: [
+                {
+                    iid: iid(),
+                    type: uuidFromCharacteristic('public.hap.characteristic.version'),
+                    perms: ['pr'],
+                    format: 'string',
+                    value: '2.2.0',
+                },
+            ],
+        };
+        this.services = [...services, pairingService, this.protocolInformationService];
+
+        this.peripheral = new SimulatedPeripheral(this.deviceId, options.name || 'Simulated Accessory');
+        this._buildGattDatabase(iid);
+        this.peripheral.on('connect', () => {
+            debug('Central connected');
+            this.link = new SimulatorLink();
+        });
+        this.peripheral.on('disconnect', () => {
+            debug('Central disconnected');
+            this.link = null;
+            this._advertise();
+        });
+    }
+
+    /**
+     * Generate the accessory keys and start advertising.
+     *
+     * @returns {Promise} Promise which resolves when the accessory is ready.
+     */
+    async start(): Promise<void> {
+        await sodium.ready;
+        await this.pairing.init();
+        this.started = true;
+        this._advertise();
+        this.backend?.addPeripheral(this.peripheral);
+        await this.advertising;
+    }
+
+    /**
+     * Drop the connection and stop advertising.
+     *
+     * @returns {Promise} Promise which resolves when the accessory is stopped.
+     */
+    async stop(): Promise<void> {
+        this.started = false;
+        this.peripheral.disconnect();
+        this.backend?.removePeripheral(this.peripheral);
+        await this.advertising;
+    }
+
+    /**
+     * Drop the connection to the central, e.g. to simulate a link loss.
+     */
+    disconnect(): void {
+        this.peripheral.disconnect();
+    }
+
+    /**
+     * Get the current global state number.
+     *
+     * @returns {number} GSN
+     */
+    get gsn(): number {
+        return this.currentGsn;
+    }
+
+    /**
+     * Answer the next M1 of a pairing procedure with an error, e.g. kTLVError_Busy or
+     * kTLVError_Backoff with a retry delay. Calls are queued.
+     *
+     * @param {SimulatorPairingProcedure} procedure - 'pair-setup' or 'pair-verify'
+     * @param {number} errorCode - kTLVError code
+     * @param {number?} retryDelay - Retry delay in seconds to send with the error
+     */
+    rejectPairing(procedure: SimulatorPairingProcedure, errorCode: number, retryDelay?: number): void {
+        this.pairing.rejectNext(procedure, errorCode, retryDelay);
+    }
+
+    /**
+     * Delay the handling of all following requests, e.g. to simulate an accessory which does
+     * not respond. Requests of links dropped in the meantime are discarded.
+     *
+     * @param {number} delay - Delay in ms, 0 to respond right away again
+     */
+    delayResponses(delay: number): void {
+        this.responseDelay = delay;
+    }
+
+    /**
+     * Get the list of paired controllers.
+     *
+     * @returns {SimulatorPairing[]} Paired controllers
+     */
+    getPairings(): SimulatorPairing[] {
+        return this.pairing.getPairings();
+    }
+
+    /**
+     * Get the current value of a characteristic.
+     *
+     * @param {number} aid - Accessory ID, always 1
+     * @param {number} iid - Characteristic instance ID
+     * @returns {*} Current value
+     */
+    getValue(aid: number, iid: number): unknown {
+        return aid === 1 ? this._findTarget(iid)?.characteristic?.value : null;
+    }
+
+    /**
+     * Change the value of a characteristic from the accessory side and notify the controller: by
+     * an indication while connected, by a broadcast notification if enabled and by a new GSN in the
+     * advertisement otherwise.
+     *
+     * @param {number} aid - Accessory ID, always 1
+     * @param {number} iid - Characteristic instance ID
+     * @param {*} value - New value
+     */
+    setValue(aid: number, iid: number, value: unknown): void {
+        const target = aid === 1 ? this._findTarget(iid) : null;
+        if (!target?.characteristic) {
+            throw new Error(`Unknown characteristic ${aid}.${iid}`);
+        }
+
+        target.characteristic.value = value;
+        this._valueChanged(target, false);
+    }
+
+    /**
+     * Change the configuration number, e.g. to simulate a firmware update.
+     *
+     * @param {number} configNumber - New configuration number, 1-255
+     */
+    setConfigNumber(configNumber: number): void {
+        this.configNumber = configNumber;
+        this._advertise();
+    }
+
+    /**
+     * Wait until all pending advertisements are sent.
+     *
+     * @returns {Promise} Promise which resolves when the advertisements are sent.
+     */
+    flush(): Promise<void> {
+        return this.advertising;
+    }
+
+    /**
+     * Create the GATT services, characteristics and descriptors.
+     *
+     * @param {function} iid - Allocates a new instance ID
+     */
+    private _buildGattDatabase(iid: () => number): void {
+        const serviceInstanceIdUuid = uuidToNobleUuid(GattConstants.ServiceInstanceIdUuid);
+        const characteristicInstanceIdUuid = uuidToNobleUuid(GattConstants.CharacteristicInstanceIdUuid);
+
+        const addTarget = (gattService: ReturnType<SimulatedPeripheral['addService']>, target: GattTarget): void => {
+            const uuid = target.characteristic ? target.characteristic.type! : GattConstants.ServiceSignatureUuid;
+            const properties = ['read', 'write'];
+            if (target.characteristic?.perms?.includes('ev')) {
+                properties.push('indicate');
+            }
+
+            const instanceId = Buffer.alloc(2);
+            instanceId.writeUInt16LE(target.iid);
+            target.gatt = this.peripheral.addCharacteristic(
+                gattService,
+                uuidToNobleUuid(ensureCharacteristicUuid(uuid)),
+                properties,
+                {
+                    read: () => this._handleRead(target),
+                    write: (data) => this._handleWrite(target, data),
+                },
+            );
+            target.gatt.addDescriptor(characteristicInstanceIdUuid, instanceId);
+            this.targets.push(target);
+        };
+
+        for (const service of this.services) {
+            const gattService = this.peripheral.addService(uuidToNobleUuid(ensureServiceUuid(service.type)));
+
+            const serviceInstanceId = Buffer.alloc(2);
+            serviceInstanceId.writeUInt16LE(service.iid);
+            this.peripheral.addCharacteristic(gattService, serviceInstanceIdUuid, ['read'], {
+                read: () => serviceInstanceId,
+            });
+
+            for (const characteristic of service.characteristics) {
+                addTarget(gattService, { iid: characteristic.iid!, service, characteristic, gatt: null });
+            }
+
+            addTarget(gattService, { iid: iid(), service, characteristic: null, gatt: null });
+        }
+    }
+
+    /**
+     * Find the target of a HAP characteristic.
+     *
+     * @param {number} iid - Characteristic instance ID
+     * @returns {GattTarget|undefined} Target
+     */
+    private _findTarget(iid: number): GattTarget | undefined {
+        return this.targets.find((t) => t.characteristic && t.iid === iid);
+    }
+
+    /**
+     * Handle a GATT write: collect the request fragments, then handle the request and prepare the
+     * response fragments for the following reads.
+     *
+     * The GattConnection splits encrypted requests into frames without continuation headers, so
+     * the frames are joined until the PDU is complete.
+     *
+     * @param {GattTarget} target - Written characteristic
+     * @param {Buffer} data - Written data
+     * @returns {Promise} Promise which resolves when the write was handled.
+     */
+    private async _handleWrite(target: GattTarget, data: Buffer): Promise<void> {
+        const link = this.link!;
+
+        if (link.sessionKeys) {
+            const nonce = Buffer.alloc(12);
+            nonce.writeUInt32LE(link.c2aCounter++, 4);
+            try {
+                data = Buffer.from(
+                    sodium.crypto_aead_chacha20poly1305_ietf_decrypt(
+                        null,
+                        data,
+                        null,
+                        nonce,
+                        link.sessionKeys.controllerToAccessory,
+                    ),
+                );
+            } catch (err) {
+                debug('Dropping connection: could not decrypt request');
+                this.peripheral.disconnect();
+                throw new Error('Could not decrypt request');
+            }
+        }
+
+        const pdu = Buffer.concat([link.requests.get(target) || Buffer.alloc(0), data]);
+        if (!BLEAccessorySimulator._isComplete(pdu)) {
+            link.requests.set(target, pdu);
+            return;
+        }
+        link.requests.delete(target);
+
+        if (this.responseDelay) {
+            await new Promise((resolve) => setTimeout(resolve, this.responseDelay));
+            if (this.link !== link) {
+                debug(`Link dropped, discarding request ${pdu.toString('hex')}`);
+                return;
+            }
+        }
+
+        const tid = pdu.readUInt8(2);
+        let response: HapResponse;
+        try {
+            response = await this._handleRequest(link, target, pdu);
+        } catch (err) {
+            debug(`Error while handling request ${pdu.toString('hex')}: ${err}`);
+            response = { status: Status.InvalidRequest };
+        }
+
+        link.responses.set(target, this._buildResponse(link, tid, response));
+
+        if (link.nextSessionKeys) {
+            link.sessionKeys = link.nextSessionKeys;
+            link.nextSessionKeys = null;
+            link.a2cCounter = 0;
+            link.c2aCounter = 0;
+        }
+    }
+
+    /**
+     * Handle a GATT read by returning the next response fragment.
+     *
+     * @param {GattTarget} target - Read characteristic
+     * @returns {Buffer} Response fragment, empty if no response is pending
+     */
+    private _handleRead(target: GattTarget): Buffer {
+        const link = this.link!;
+        const fragments = link.responses.get(target);
+        if (!fragments?.length) {
+            return Buffer.alloc(0);
+        }
+
+        const fragment = fragments.shift()!;
+        if (!fragments.length && link.closing) {
+            // our own pairing was removed, so the session is not valid anymore
+            setImmediate(() => this.peripheral.disconnect());
+        }
+        return fragment;
+    }
+
+    /**
+     * Check if a request PDU is complete.
+     *
+     * @param {Buffer} pdu - Request PDU
+     * @returns {boolean} true if complete
+     */
+    private static _isComplete(pdu: Buffer): boolean {
+        if (pdu.length < 5) {
+            return false;
+        }
+
+        if (!BodyOpcodes.includes(pdu.readUInt8(1))) {
+            return true;
+        }
+
+        return pdu.length >= 7 && pdu.length >= 7 + pdu.readUInt16LE(5);
+    }
+
+    /**
+     * Build the response PDU, split it into fragments and encrypt them if a session is established.
+     *
+     * @param {SimulatorLink} link - Connection state
+     * @param {number} tid - Transaction ID of the request
+     * @param {HapResponse} response - Status and body
+     * @returns {Buffer[]} Response fragments
+     */
+    private _buildResponse(link: SimulatorLink, tid: number, response: HapResponse): Buffer[] {
+        let pdu = Buffer.from([0x02, tid, response.status]);
+        if (response.body) {
+            const body = encodeObject(response.body);
+            const length = Buffer.alloc(2);
+            length.writeUInt16LE(body.length);
+            pdu = Buffer.concat([pdu, length, body]);
+        }
+
+        const fragments = [pdu.slice(0, this.fragmentSize)];
+        for (let position = this.fragmentSize; position < pdu.length; position += this.fragmentSize - 2) {
+            fragments.push(
+                Buffer.concat([Buffer.from([0x82, tid]), pdu.slice(position, position + this.fragmentSize - 2)]),
+            );
+        }
+
+        if (!link.sessionKeys) {
+            return fragments;
+        }
+
+        return fragments.map((fragment) => {
+            const nonce = Buffer.alloc(12);
+            nonce.writeUInt32LE(link.a2cCounter++, 4);
+            return Buffer.from(
+                sodium.crypto_aead_chacha20poly1305_ietf_encrypt(
+                    fragment,
+                    null,
+                    null,
+                    nonce,
+                    link.sessionKeys!.accessoryToController,
+                ),
+            );
+        });
+    }
+
+    /**
+     * Check if a request is allowed without a secure session.
+     *
+     * @param {number} opcode - Opcode of the request
+     * @param {GattTarget} target - Addressed characteristic
+     * @returns {boolean} true if allowed
+     */
+    private _isAllowedWithoutSession(opcode: number, target: GattTarget): boolean {
+        if (
+            opcode === GattConstants.Opcodes['HAP-Characteristic-Signature-Read'] ||
+            opcode === GattConstants.Opcodes['HAP-Service-Signature-Read']
+        ) {
+            return true;
+        }
+
+        const type = target.characteristic ? ensureCharacteristicUuid(target.characteristic.type!) : null;
+        if (type === PairSetupUuid || type === PairVerifyUuid) {
+            return true;
+        }
+
+        if (type === PairingFeaturesUuid) {
+            return opcode === GattConstants.Opcodes['HAP-Characteristic-Read'];
+        }
+
+        return type === IdentifyUuid && !this.pairing.isPaired();
+    }
+
+    /**
+     * Dispatch a request to its handler.
+     *
+     * @param {SimulatorLink} link - Connection state
+     * @param {GattTarget} target - Addressed characteristic
+     * @param {Buffer} pdu - Complete request PDU
+     * @returns {Promise} Promise which resolves to the response.
+     */
+    private async _handleRequest(link: SimulatorLink, target: GattTarget, pdu: Buffer): Promise<HapResponse> {
+        const opcode = pdu.readUInt8(1);
+        const iid = pdu.readUInt16LE(3);
+        const body = pdu.length > 7 ? decodeBuffer(pdu.slice(7, 7 + pdu.readUInt16LE(5))) : new Map();
+        debug(`Request ${opcode} for ${iid} (${pdu.length} bytes)`);
+
+        if (!link.sessionKeys && !this._isAllowedWithoutSession(opcode, target)) {
+            return { status: Status.InsufficientAuthentication };
+        }
+
+        switch (opcode) {
+            case GattConstants.Opcodes['HAP-Service-Signature-Read']:
+                if (target.characteristic || iid !== target.service.iid) {
+                    return { status: Status.InvalidInstanceId };
+                }
+                return this._handleServiceSignatureRead(target.service);
+            case GattConstants.Opcodes['HAP-Protocol-Configuration']:
+                if (target.characteristic || iid !== target.service.iid) {
+                    return { status: Status.InvalidInstanceId };
+                }
+                if (target.service !== this.protocolInformationService) {
+                    return { status: Status.InvalidRequest };
+                }
+                return this._handleProtocolConfiguration(link, body);
+        }
+
+        const characteristic = target.characteristic;
+        if (!characteristic) {
+            return { status: Status.UnsupportedPdu };
+        }
+
+        if (iid !== target.iid) {
+            return { status: Status.InvalidInstanceId };
+        }
+
+        const type = ensureCharacteristicUuid(characteristic.type!);
+        const isPairing = type === PairSetupUuid || type === PairVerifyUuid || type === PairingsUuid;
+
+        switch (opcode) {
+            case GattConstants.Opcodes['HAP-Characteristic-Signature-Read']:
+                return this._handleCharacteristicSignatureRead(target);
+            case GattConstants.Opcodes['HAP-Characteristic-Read']:
+                if (isPairing) {
+                    const response = link.pairingResponses.get(target);
+                    link.pairingResponses.delete(target);
+                    return response ? BLEAccessorySimulator._value(response) : { status: Status.InvalidRequest };
+                }
+                return this._handleCharacteristicRead(characteristic);
+            case GattConstants.Opcodes['HAP-Characteristic-Write']:
+                if (isPairing) {
+                    return this._handlePairingWrite(link, target, type, body);
+                }
+                if (!characteristic.perms?.includes('pw') || characteristic.perms.includes('tw')) {
+                    return { status: Status.InvalidRequest };
+                }
+                return this._writeValue(target, body);
+            case GattConstants.Opcodes['HAP-Characteristic-Timed-Write']: {
+                const ttl = body.get(GattConstants.Types['HAP-Param-TTL']);
+                if (
+                    !characteristic.perms?.includes('pw') ||
+                    !ttl ||
+                    !body.has(GattConstants.Types['HAP-Param-Value'])
+                ) {
+                    return { status: Status.InvalidRequest };
+                }
+
+                link.timedWrite = { iid, body, expires: Date.now() + ttl.readUInt8(0) * 100 };
+                return { status: Status.Success };
+            }
+            case GattConstants.Opcodes['HAP-Characteristic-Execute-Write']: {
+                const timedWrite = link.timedWrite;
+                link.timedWrite = null;
+                if (!timedWrite || timedWrite.iid !== iid || timedWrite.expires < Date.now()) {
+                    return { status: Status.InvalidRequest };
+                }
+                return this._writeValue(target, timedWrite.body);
+            }
+            case GattConstants.Opcodes['HAP-Characteristic-Configuration']:
+                return this._handleCharacteristicConfiguration(target, body);
+        }
+
+        return { status: Status.UnsupportedPdu };
+    }
+
+    /**
+     * Build a response with a value.
+     *
+     * @param {Buffer} value - Value
+     * @returns {HapResponse} Response
+     */
+    private static _value(value: Buffer): HapResponse {
+        const body = new Map();
+        body.set(GattConstants.Types['HAP-Param-Value'], value);
+        return { status: Status.Success, body };
+    }
+
+    /**
+     * Get the HAP characteristic properties of a characteristic.
+     *
+     * @param {CharacteristicObject} characteristic - Characteristic
+     * @returns {number} Properties, see Table 6-35
+     */
+    private static _properties(characteristic: CharacteristicObject): number {
+        const perms = characteristic.perms || [];
+        const type = ensureCharacteristicUuid(characteristic.type!);
+        if (type === PairSetupUuid || type === PairVerifyUuid || type === PairingFeaturesUuid) {
+            // readable and writable without a secure session
+            return perms.includes('pw') ? 0x0003 : 0x0001;
+        }
+
+        let properties = 0;
+        const bits: Record<string, number> = { aa: 0x0004, tw: 0x0008, pr: 0x0010, pw: 0x0020, hd: 0x0040 };
+        for (const perm of perms) {
+            properties |= bits[perm] || 0;
+        }
+
+        if (perms.includes('ev')) {
+            properties |= 0x0080;
+            if (perms.includes('ev-disconnected') || !perms.includes('ev-broadcast')) {
+                properties |= 0x0100;
+            }
+            if (perms.includes('ev-broadcast')) {
+                properties |= 0x0200;
+            }
+        }
+        return properties;
+    }
+
+    /**
+     * Encode a UUID as 128 bit little endian value.
+     *
+     * @param {string} uuid - UUID
+     * @returns {Buffer} Encoded UUID
+     */
+    private static _uuidBuffer(uuid: string): Buffer {
+        return Buffer.from(uuid.replace(/-/g, ''), 'hex').reverse();
+    }
+
+    /**
+     * Handle a characteristic signature read request.
+     *
+     * @param {GattTarget} target - Addressed characteristic
+     * @returns {HapResponse} Response
+     */
+    private _handleCharacteristicSignatureRead(target: GattTarget): HapResponse {
+        const characteristic = target.characteristic!;
+        const body = new Map();
+        const serviceInstanceId = Buffer.alloc(2);
+        serviceInstanceId.writeUInt16LE(target.service.iid);
+        const properties = Buffer.alloc(2);
+        properties.writeUInt16LE(BLEAccessorySimulator._properties(characteristic));
+
+        body.set(
+            GattConstants.Types['HAP-Param-Characteristic-Type'],
+            BLEAccessorySimulator._uuidBuffer(ensureCharacteristicUuid(characteristic.type!)),
+        );
+        body.set(GattConstants.Types['HAP-Param-Service-Instance-ID'], serviceInstanceId);
+        body.set(
+            GattConstants.Types['HAP-Param-Service-Type'],
+            BLEAccessorySimulator._uuidBuffer(ensureServiceUuid(target.service.type)),
+        );
+        body.set(GattConstants.Types['HAP-Param-HAP-Characteristic-Properties-Descriptor'], properties);
+
+        if (characteristic.description) {
+            body.set(
+                GattConstants.Types['HAP-Param-GATT-User-Description-Descriptor'],
+                Buffer.from(characteristic.description),
+            );
+        }
+
+        const format = characteristic.format || 'data';
+        const presentationFormat = Buffer.alloc(7);
+        for (const [sigFormat, hapFormat] of GattConstants.BTSigToHapFormat) {
+            if (hapFormat === format) {
+                presentationFormat.writeUInt8(sigFormat, 0);
+            }
+        }
+        presentationFormat.writeUInt16LE(0x2700, 2);
+        for (const [sigUnit, hapUnit] of GattConstants.BTSigToHapUnit) {
+            if (hapUnit === characteristic.unit) {
+                presentationFormat.writeUInt16LE(sigUnit, 2);
+            }
+        }
+        presentationFormat.writeUInt8(1, 4);
+        body.set(GattConstants.Types['HAP-Param-GATT-Presentation-Format-Descriptor'], presentationFormat);
+
+        if (typeof characteristic.minValue === 'number' && typeof characteristic.maxValue === 'number') {
+            body.set(
+                GattConstants.Types['HAP-Param-GATT-Valid-Range'],
+                Buffer.concat([
+                    encodeValue(characteristic.minValue, format),
+                    encodeValue(characteristic.maxValue, format),
+                ]),
+            );
+        }
+        if (typeof characteristic.minStep === 'number') {
+            body.set(
+                GattConstants.Types['HAP-Param-HAP-Step-Value-Descriptor'],
+                encodeValue(characteristic.minStep, format),
+            );
+        }
+        if (characteristic['valid-values']) {
+            body.set(
+                GattConstants.Types['HAP-Param-HAP-Valid-Values-Descriptor'],
+                Buffer.from(characteristic['valid-values']),
+            );
+        }
+        if (characteristic['valid-values-range']) {
+            body.set(
+                GattConstants.Types['HAP-Param-HAP-Valid-Values-Range-Descriptor'],
+                Buffer.from(characteristic['valid-values-range']),
+            );
+        }
+
+        return { status: Status.Success, body };
+    }
+
+    /**
+     * Handle a service signature read request.
+     *
+     * @param {ServiceObject} service - Addressed service
+     * @returns {HapResponse} Response
+     */
+    private _handleServiceSignatureRead(service: ServiceObject): HapResponse {
+        const body = new Map();
+        const properties = Buffer.alloc(2);
+        properties.writeUInt16LE((service.primary ? 1 : 0) | (service.hidden ? 2 : 0));
+        body.set(GattConstants.Types['HAP-Param-HAP-Service-Properties'], properties);
+
+        const linked = Buffer.alloc(2 * (service.linked?.length || 0));
+        (service.linked || []).forEach((iid, idx) => linked.writeUInt16LE(iid, idx * 2));
+        body.set(GattConstants.Types['HAP-Param-HAP-Linked-Services'], linked);
+
+        return { status: Status.Success, body };
+    }
+
+    /**
+     * Handle a characteristic read request.
+     *
+     * @param {CharacteristicObject} characteristic - Addressed characteristic
+     * @returns {HapResponse} Response
+     */
+    private _handleCharacteristicRead(characteristic: CharacteristicObject): HapResponse {
+        if (!characteristic.perms?.includes('pr')) {
+            return { status: Status.InvalidRequest };
+        }
+
+        const value = characteristic.value;
+        return BLEAccessorySimulator._value(
+            // eslint-disable-next-line no-undefined
+            value === undefined || value === null ? Buffer.alloc(0) : encodeValue(value, characteristic.format!),
+        );
+    }
+
+    /**
+     * Handle a write to one of the pairing characteristics.
+     *
+     * @param {SimulatorLink} link - Connection state
+     * @param {GattTarget} target - Addressed characteristic
+     * @param {string} type - Characteristic type
+     * @param {TLV} body - Request body
+     * @returns {Promise} Promise which resolves to the response.
+     */
+    private async _handlePairingWrite(
+        link: SimulatorLink,
+        target: GattTarget,
+        type: string,
+        body: TLV,
+    ): Promise<HapResponse> {
+        const request = body.get(GattConstants.Types['HAP-Param-Value']);
+        if (!request) {
+            return { status: Status.InvalidRequest };
+        }
+
+        let response: Buffer;
+        const tlv = decodeBuffer(request);
+        if (type === PairSetupUuid) {
+            response = await this.pairing.handlePairSetup(link, tlv);
+        } else if (type === PairVerifyUuid) {
+            response = this.pairing.handlePairVerify(link, tlv);
+        } else {
+            response = this.pairing.handlePairings(link, tlv);
+        }
+
+        if (body.has(GattConstants.Types['HAP-Param-Return-Response'])) {
+            return BLEAccessorySimulator._value(response);
+        }
+
+        link.pairingResponses.set(target, response);
+        return { status: Status.Success };
+    }
+
+    /**
+     * Write a value from a write or execute write request.
+     *
+     * @param {GattTarget} target - Addressed characteristic
+     * @param {TLV} body - Request body
+     * @returns {HapResponse} Response
+     */
+    private _writeValue(target: GattTarget, body: TLV): HapResponse {
+        const characteristic = target.characteristic!;
+        const data = body.get(GattConstants.Types['HAP-Param-Value']);
+        if (!data) {
+            return { status: Status.InvalidRequest };
+        }
+
+        let value: unknown;
+        try {
+            value = decodeValue(data, characteristic.format!);
+        } catch (err) {
+            return { status: Status.InvalidRequest };
+        }
+
+        const status = this.onWrite?.(1, target.iid, value);
+        if (status) {
+            return { status };
+        }
+
+        characteristic.value = value;
+        /**
+         * A controller wrote a characteristic value.
+         *
+         * @event BLEAccessorySimulator#write
+         * @type {Object} { aid, iid, value }
+         */
+        this.emit('write', { aid: 1, iid: target.iid, value });
+        if (ensureCharacteristicUuid(characteristic.type!) === IdentifyUuid) {
+            /**
+             * Identify routine was triggered.
+             *
+             * @event BLEAccessorySimulator#identify
+             */
+            this.emit('identify');
+        }
+        this._valueChanged(target, true);
+
+        if (body.has(GattConstants.Types['HAP-Param-Return-Response'])) {
+            return BLEAccessorySimulator._value(encodeValue(value, characteristic.format!));
+        }
+        return { status: Status.Success };
+    }
+
+    /**
+     * Handle a characteristic configuration request, to enable or disable broadcast notifications.
+     *
+     * @param {GattTarget} target - Addressed characteristic
+     * @param {TLV} body - Request body
+     * @returns {HapResponse} Response
+     */
+    private _handleCharacteristicConfiguration(target: GattTarget, body: TLV): HapResponse {
+        if (!(BLEAccessorySimulator._properties(target.characteristic!) & 0x0200)) {
+            return { status: Status.InvalidRequest };
+        }
+
+        const properties = body.get(GattConstants.Types['HAP-Characteristic-Configuration-Param-Properties']);
+        const interval = body.get(GattConstants.Types['HAP-Characteristic-Configuration-Param-Broadcast-Interval']);
+        const enable = properties?.length === 2 && properties.readUInt16LE(0);
+        if (enable && enable & GattConstants.CharacteristicConfigurationProperties.EnableBroadcastNotification) {
+            this.broadcastIids.add(target.iid);
+        } else {
+            this.broadcastIids.delete(target.iid);
+        }
+
+        const response = new Map();
+        response.set(
+            GattConstants.Types['HAP-Characteristic-Configuration-Param-Properties'],
+            properties || Buffer.alloc(2),
+        );
+        response.set(
+            GattConstants.Types['HAP-Characteristic-Configuration-Param-Broadcast-Interval'],
+            interval || Buffer.from([GattConstants.BroadcastIntervals['20ms']]),
+        );
+        return { status: Status.Success, body: response };
+    }
+
+    /**
+     * Handle a protocol configuration request, to generate the broadcast encryption key and to
+     * read the protocol parameters.
+     *
+     * @param {SimulatorLink} link - Connection state
+     * @param {TLV} body - Request body
+     * @returns {HapResponse} Response
+     */
+    private _handleProtocolConfiguration(link: SimulatorLink, body: TLV): HapResponse {
+        if (body.has(GattConstants.Types['HAP-Param-Generate-Broadcast-Encryption-Key'])) {
+            const controller = this.pairing.getPairing(link.controllerId!);
+            if (!controller) {
+                return { status: Status.InsufficientAuthentication };
+            }
+            this.broadcastKey = hkdf(controller.publicKey, link.sharedSecret!, 'Broadcast-Encryption-Key');
+        }
+
+        const response = new Map();
+        if (body.has(GattConstants.Types['HAP-Param-Get-All-Params'])) {
+            const gsn = Buffer.alloc(2);
+            gsn.writeUInt16LE(this.currentGsn);
+            response.set(GattConstants.Types['HAP-Param-Current-State-Number'], gsn);
+            response.set(GattConstants.Types['HAP-Param-Current-Config-Number'], Buffer.from([this.configNumber]));
+            response.set(GattConstants.Types['HAP-Param-Accessory-Advertising-Identifier'], this.advertisingIdentifier);
+            if (this.broadcastKey) {
+                response.set(GattConstants.Types['HAP-Param-Broadcast-Encryption-Key'], this.broadcastKey);
+            }
+        }
+        return { status: Status.Success, body: response };
+    }
+
+    /**
+     * Notify the controller about a changed value.
+     *
+     * While connected, the GSN is only incremented once per connection and changes done by the
+     * accessory are indicated. While disconnected, every change increments the GSN and is sent as
+     * broadcast notification if enabled, followed by a regular advertisement.
+     *
+     * @param {GattTarget} target - Changed characteristic
+     * @param {boolean} byController - Whether the connected controller changed the value
+     */
+    private _valueChanged(target: GattTarget, byController: boolean): void {
+        const link = this.link;
+        if (link?.sessionKeys) {
+            if (!link.gsnIncremented) {
+                link.gsnIncremented = true;
+                this.currentGsn = nextGsn(this.currentGsn);
+                this._advertise();
+            }
+
+            if (!byController) {
+                target.gatt?.indicate();
+            }
+            return;
+        }
+
+        this.currentGsn = nextGsn(this.currentGsn);
+        const characteristic = target.characteristic!;
+        if (this.broadcastKey && this.broadcastIids.has(target.iid)) {
+            const key = this.broadcastKey;
+            const gsn = this.currentGsn;
+            const value = encodeValue(characteristic.value, characteristic.format!);
+            this._queueAdvertisement(() =>
+                encryptBroadcastNotification(key, this.advertisingIdentifier, gsn, target.iid, value),
+            );
+        }
+        this._advertise();
+    }
+
+    /**
+     * Send the regular advertisement with the current state.
+     */
+    private _advertise(): void {
+        this._queueAdvertisement(async () => {
+            const data = Buffer.alloc(17);
+            data.writeUInt16LE(0x4c, 0);
+            data.writeUInt8(0x06, 2);
+            data.writeUInt8(0x20 | 17, 3);
+            data.writeUInt8(this.pairing.isPaired() ? 0 : DiscoveryPairingStatusFlags.AccessoryNotPaired, 4);
+            this.advertisingIdentifier.copy(data, 5);
+            data.writeUInt16LE(this.category, 11);
+            data.writeUInt16LE(this.currentGsn, 13);
+            data.writeUInt8(this.configNumber, 15);
+            data.writeUInt8(0x02, 16);
+            return data;
+        });
+    }
+
+    /**
+     * Queue an advertisement, so they are sent in order.
+     *
+     * @param {function} build - Builds the manufacturer data
+     */
+    private _queueAdvertisement(build: () => Promise<Buffer>): void {
+        this.advertising = this.advertising.then(async () => {
+            const manufacturerData = await build();
+            this.peripheral.advertisement.manufacturerData = manufacturerData;
+            if (this.started) {
+                this.backend?.advertise(this.peripheral);
+            }
+        });
+    }
+}
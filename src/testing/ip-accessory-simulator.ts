@@ -0,0 +1,837 @@
+/**
+ * In-process HAP-over-IP accessory, used to test the controller side without hardware.
+ */
+
+import { EventEmitter } from 'events';
+import net from 'net';
+import sodium from 'libsodium-wrappers';
+import Debug from 'debug';
+import { decodeBuffer } from '../model/tlv';
+import { Accessories } from '../model/accessory';
+import { CharacteristicObject } from '../model/characteristic';
+import AccessoryPairing, {
+    PairingSession,
+    randomDeviceId,
+    SimulatorMfiAuthentication,
+    SimulatorPairing,
+    SimulatorPairingProcedure,
+    SimulatorSessionKeys,
+} from './accessory-pairing';
+import { OpQueue } from '../utils/queue';
+
+const debug = Debug('hap-controller:ip-accessory-simulator');
+
+const HttpStatusMessages: Record<number, string> = {
+    200: 'OK',
+    204: 'No Content',
+    207: 'Multi-Status',
+    400: 'Bad Request',
+    404: 'Not Found',
+    405: 'Method Not Allowed',
+    422: 'Unprocessable Entity',
+    470: 'Connection Authorization Required',
+    500: 'Internal Server Error',
+};
+
+export interface IPAccessorySimulatorOptions {
+    /**
+     * Accessory attribute database served by the simulator. Characteristic values
+     * are taken as initial values and updated on writes.
+     */
+    accessories: Accessories;
+
+    /**
+     * Setup code, formatted as XXX-XX-XXX.
+     * Default: 031-45-154
+     */
+    pin?: string;
+
+    /**
+     * Device ID of the accessory, formatted as XX:XX:XX:XX:XX:XX.
+     * Default: a random ID
+     */
+    deviceId?: string;
+
+    /**
+     * Address to listen on.
+     * Default: 127.0.0.1
+     */
+    address?: string;
+
+    /**
+     * Port to listen on, 0 to use a random free port.
+     * Default: 0
+     */
+    port?: number;
+
+    /**
+     * Set to false to reject Pair Resume requests, so a full Pair-Verify is needed for each connection.
+     * Default: true
+     */
+    supportsPairResume?: boolean;
+
+    /**
+     * MFi certificate and private key to answer Pair Setup with Auth with, so the accessory
+     * looks like an MFi certified one.
+     */
+    mfi?: SimulatorMfiAuthentication;
+
+    /**
+     * Image returned for snapshot requests to /resource.
+     */
+    snapshot?: Buffer;
+
+    /**
+     * Called before a value is written. Return a HAP status code other than 0 to reject the write,
+     * e.g. -70410 for an invalid value.
+     */
+    onWrite?: (aid: number, iid: number, value: unknown) => number | void;
+}
+
+export { SimulatorPairing };
+
+interface HttpRequest {
+    method: string;
+    path: string;
+    query: Record<string, string>;
+    headers: Record<string, string>;
+    body: Buffer;
+}
+
+interface HttpReply {
+    statusCode: number;
+    contentType?: string;
+    body?: Buffer;
+}
+
+/**
+ * State of one controller connection.
+ */
+class SimulatorConnection implements PairingSession {
+    socket: net.Socket;
+
+    queue = new OpQueue();
+
+    pending = Buffer.alloc(0);
+
+    plain = Buffer.alloc(0);
+
+    sessionKeys: SimulatorSessionKeys | null = null;
+
+    nextSessionKeys: SimulatorSessionKeys | null = null;
+
+    a2cCounter = 0;
+
+    c2aCounter = 0;
+
+    controllerId: string | null = null;
+
+    sharedSecret: Buffer | null = null;
+
+    busy = false;
+
+    queuedEvents: Buffer[] = [];
+
+    subscriptions = new Set<string>();
+
+    preparedWrite: { pid: number; expires: number } | null = null;
+
+    srpServer: PairingSession['srpServer'] = null;
+
+    pairSetupMethod: number | null = null;
+
+    pairVerify: PairingSession['pairVerify'] = null;
+
+    constructor(socket: net.Socket) {
+        this.socket = socket;
+    }
+}
+
+/**
+ * Software HAP accessory speaking HAP over IP on a local TCP port.
+ *
+ * @fires IPAccessorySimulator#identify
+ * @fires IPAccessorySimulator#write
+ * @fires IPAccessorySimulator#paired
+ * @fires IPAccessorySimulator#unpaired
+ */
+export default class IPAccessorySimulator extends EventEmitter {
+    deviceId: string;
+
+    private address: string;
+
+    private port: number;
+
+    private snapshot: Buffer | null;
+
+    private database: Accessories;
+
+    private server: net.Server | null = null;
+
+    private connections = new Set<SimulatorConnection>();
+
+    private pairing: AccessoryPairing;
+
+    private onWrite: IPAccessorySimulatorOptions['onWrite'];
+
+    private responseDelay = 0;
+
+    /**
+     * Initialize the IPAccessorySimulator object.
+     *
+     * @param {IPAccessorySimulatorOptions} options - Simulator options
+     */
+    constructor(options: IPAccessorySimulatorOptions) {
+        super();
+        this.database = JSON.parse(JSON.stringify(options.accessories));
+        this.deviceId = options.deviceId || randomDeviceId();
+        this.address = options.address || '127.0.0.1';
+        this.port = options.port || 0;
+        this.snapshot = options.snapshot || null;
+        this.onWrite = options.onWrite;
+
+        this.pairing = new AccessoryPairing(
+            this.deviceId,
+            options.pin || '031-45-154',
+            options.supportsPairResume !== false,
+            options.mfi,
+        );
+        this.pairing.on('paired', (pairing: SimulatorPairing) => {
+            /**
+             * A controller was paired.
+             *
+             * @event IPAccessorySimulator#paired
+             * @type SimulatorPairing
+             */
+            this.emit('paired', pairing);
+        });
+        this.pairing.on('unpaired', (pairing: SimulatorPairing) => {
+            // the connection which removed the pairing is closed after the response
+            for (const connection of this.connections) {
+                if (!connection.busy && connection.controllerId === pairing.identifier) {
+                    connection.socket.destroy();
+                }
+            }
+
+            /**
+             * A controller was unpaired.
+             *
+             * @event IPAccessorySimulator#unpaired
+             * @type SimulatorPairing
+             */
+            this.emit('unpaired', pairing);
+        });
+    }
+
+    /**
+     * Start listening for controller connections.
+     *
+     * @returns {Promise} Promise which resolves to the address and port the simulator listens on.
+     */
+    async start(): Promise<{ address: string; port: number }> {
+        await this.pairing.init();
+
+        const server = (this.server = net.createServer((socket) => this._handleConnection(socket)));
+        await new Promise<void>((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(this.port, this.address, () => {
+                server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.port = (<net.AddressInfo>server.address()).port;
+        debug(`Listening on ${this.address}:${this.port}`);
+        return { address: this.address, port: this.port };
+    }
+
+    /**
+     * Close all connections and stop listening.
+     *
+     * @returns {Promise} Promise which resolves when the server is closed.
+     */
+    async stop(): Promise<void> {
+        this.disconnectAll();
+        if (!this.server) {
+            return;
+        }
+
+        const server = this.server;
+        this.server = null;
+        await new Promise<void>((resolve) => server.close(() => resolve()));
+    }
+
+    /**
+     * Drop all controller connections, e.g. to simulate a network outage.
+     */
+    disconnectAll(): void {
+        for (const connection of this.connections) {
+            connection.socket.destroy();
+        }
+        this.connections.clear();
+    }
+
+    /**
+     * Get the address and port the simulator listens on.
+     *
+     * @returns {Object} { address, port }
+     */
+    getAddress(): { address: string; port: number } {
+        return { address: this.address, port: this.port };
+    }
+
+    /**
+     * Answer the next M1 of a pairing procedure with an error, e.g. kTLVError_Busy or
+     * kTLVError_Backoff with a retry delay. Calls are queued.
+     *
+     * @param {SimulatorPairingProcedure} procedure - 'pair-setup' or 'pair-verify'
+     * @param {number} errorCode - kTLVError code
+     * @param {number?} retryDelay - Retry delay in seconds to send with the error
+     */
+    rejectPairing(procedure: SimulatorPairingProcedure, errorCode: number, retryDelay?: number): void {
+        this.pairing.rejectNext(procedure, errorCode, retryDelay);
+    }
+
+    /**
+     * Delay the handling of all following requests, e.g. to simulate an accessory which does
+     * not respond. Requests of connections closed in the meantime are dropped.
+     *
+     * @param {number} delay - Delay in ms, 0 to respond right away again
+     */
+    delayResponses(delay: number): void {
+        this.responseDelay = delay;
+    }
+
+    /**
+     * Get the list of paired controllers.
+     *
+     * @returns {SimulatorPairing[]} Paired controllers
+     */
+    getPairings(): SimulatorPairing[] {
+        return this.pairing.getPairings();
+    }
+
+    /**
+     * Get the current value of a characteristic.
+     *
+     * @param {number} aid - Accessory ID
+     * @param {number} iid - Characteristic instance ID
+     * @returns {*} Current value
+     */
+    getValue(aid: number, iid: number): unknown {
+        return this._findCharacteristic(aid, iid)?.value;
+    }
+
+    /**
+     * Change the value of a characteristic from the accessory side and notify
+     * all subscribed controllers.
+     *
+     * @param {number} aid - Accessory ID
+     * @param {number} iid - Characteristic instance ID
+     * @param {*} value - New value
+     */
+    setValue(aid: number, iid: number, value: unknown): void {
+        const characteristic = this._findCharacteristic(aid, iid);
+        if (!characteristic) {
+            throw new Error(`Unknown characteristic ${aid}.${iid}`);
+        }
+
+        characteristic.value = value;
+        this._notify(aid, iid, value, null);
+    }
+
+    /**
+     * Find a characteristic in the database.
+     *
+     * @param {number} aid - Accessory ID
+     * @param {number} iid - Characteristic instance ID
+     * @returns {CharacteristicObject|undefined} Characteristic
+     */
+    private _findCharacteristic(aid: number, iid: number): CharacteristicObject | undefined {
+        const accessory = this.database.accessories.find((a) => a.aid === aid);
+        return accessory?.services.map((s) => s.characteristics.find((c) => c.iid === iid)).find((c) => !!c);
+    }
+
+    /**
+     * Send EVENT messages to all controllers subscribed to a characteristic.
+     *
+     * @param {number} aid - Accessory ID
+     * @param {number} iid - Characteristic instance ID
+     * @param {*} value - New value
+     * @param {SimulatorConnection|null} origin - Connection which caused the change, it is not notified
+     */
+    private _notify(aid: number, iid: number, value: unknown, origin: SimulatorConnection | null): void {
+        const body = Buffer.from(JSON.stringify({ characteristics: [{ aid, iid, value }] }));
+        const message = Buffer.concat([
+            Buffer.from('EVENT/1.0 200 OK\r\n'),
+            Buffer.from('Content-Type: application/hap+json\r\n'),
+            Buffer.from(`Content-Length: ${body.length}\r\n`),
+            Buffer.from('\r\n'),
+            body,
+        ]);
+
+        for (const connection of this.connections) {
+            if (connection === origin || !connection.subscriptions.has(`${aid}.${iid}`)) {
+                continue;
+            }
+
+            if (connection.busy) {
+                connection.queuedEvents.push(message);
+            } else {
+                this._send(connection, message);
+            }
+        }
+    }
+
+    /**
+     * Set up a new controller connection.
+     *
+     * @param {net.Socket} socket - Accepted socket
+     */
+    private _handleConnection(socket: net.Socket): void {
+        const connection = new SimulatorConnection(socket);
+        this.connections.add(connection);
+
+        socket.on('data', (data) => {
+            try {
+                this._handleData(connection, data);
+            } catch (err) {
+                debug(`Dropping connection: ${err}`);
+                socket.destroy();
+            }
+        });
+        socket.on('close', () => this.connections.delete(connection));
+        socket.on('error', (err) => debug(`Socket error: ${err}`));
+    }
+
+    /**
+     * Decrypt incoming data if needed and dispatch complete requests.
+     *
+     * @param {SimulatorConnection} connection - Connection the data was received on
+     * @param {Buffer} data - Received data
+     */
+    private _handleData(connection: SimulatorConnection, data: Buffer): void {
+        if (connection.sessionKeys) {
+            connection.pending = Buffer.concat([connection.pending, data]);
+            while (connection.pending.length >= 18) {
+                const frameLength = connection.pending.readUInt16LE(0);
+                if (connection.pending.length < frameLength + 18) {
+                    break;
+                }
+
+                const aad = connection.pending.slice(0, 2);
+                const frame = connection.pending.slice(2, 18 + frameLength);
+                const nonce = Buffer.alloc(12);
+                nonce.writeUInt32LE(connection.c2aCounter++, 4);
+
+                const decrypted = Buffer.from(
+                    sodium.crypto_aead_chacha20poly1305_ietf_decrypt(
+                        null,
+                        frame,
+                        aad,
+                        nonce,
+                        connection.sessionKeys.controllerToAccessory,
+                    ),
+                );
+                connection.pending = connection.pending.slice(18 + frameLength);
+                connection.plain = Buffer.concat([connection.plain, decrypted]);
+            }
+        } else {
+            connection.plain = Buffer.concat([connection.plain, data]);
+        }
+
+        let request;
+        while ((request = this._parseRequest(connection))) {
+            const req = request;
+            connection.queue.queue(async () => {
+                if (this.responseDelay) {
+                    await new Promise((resolve) => setTimeout(resolve, this.responseDelay));
+                    if (connection.socket.destroyed) {
+                        debug(`Connection closed, dropping ${req.method} ${req.path}`);
+                        return;
+                    }
+                }
+
+                connection.busy = true;
+                let reply: HttpReply;
+                try {
+                    reply = await this._handleRequest(connection, req);
+                } catch (err) {
+                    debug(`Error while handling ${req.method} ${req.path}: ${err}`);
+                    reply = { statusCode: 500 };
+                }
+
+                this._sendReply(connection, reply);
+                connection.busy = false;
+                this._afterReply(connection);
+
+                for (const event of connection.queuedEvents.splice(0)) {
+                    this._send(connection, event);
+                }
+            });
+        }
+    }
+
+    /**
+     * Take one complete request from the plaintext buffer of a connection.
+     *
+     * @param {SimulatorConnection} connection - Connection to read from
+     * @returns {HttpRequest|null} Parsed request or null if not yet complete
+     */
+    private _parseRequest(connection: SimulatorConnection): HttpRequest | null {
+        const end = connection.plain.indexOf('\r\n\r\n');
+        if (end < 0) {
+            return null;
+        }
+
+        const lines = connection.plain.slice(0, end).toString().split('\r\n');
+        const headers: Record<string, string> = {};
+        for (const line of lines.slice(1)) {
+            const idx = line.indexOf(':');
+            if (idx > 0) {
+                headers[line.substring(0, idx).trim().toLowerCase()] = line.substring(idx + 1).trim();
+            }
+        }
+
+        const contentLength = parseInt(headers['content-length'] || '0', 10);
+        if (connection.plain.length < end + 4 + contentLength) {
+            return null;
+        }
+
+        const body = connection.plain.slice(end + 4, end + 4 + contentLength);
+        connection.plain = connection.plain.slice(end + 4 + contentLength);
+
+        const [method, url] = lines[0].split(' ');
+        const [path, queryString] = url.split('?');
+        const query: Record<string, string> = {};
+        for (const part of (queryString || '').split('&')) {
+            if (part) {
+                const [key, value] = part.split('=');
+                query[decodeURIComponent(key)] = decodeURIComponent(value || '');
+            }
+        }
+
+        debug(`${method} ${url} (${body.length} bytes)`);
+        return { method, path, query, headers, body };
+    }
+
+    /**
+     * Write data to the connection, encrypted if a session is established.
+     *
+     * @param {SimulatorConnection} connection - Connection to write to
+     * @param {Buffer} data - Data to send
+     */
+    private _send(connection: SimulatorConnection, data: Buffer): void {
+        if (!connection.sessionKeys) {
+            connection.socket.write(data);
+            return;
+        }
+
+        const frames = [];
+        let position = 0;
+        while (position < data.length) {
+            const nonce = Buffer.alloc(12);
+            nonce.writeUInt32LE(connection.a2cCounter++, 4);
+
+            const frameLength = Math.min(data.length - position, 1024);
+            const aad = Buffer.alloc(2);
+            aad.writeUInt16LE(frameLength, 0);
+
+            frames.push(aad);
+            frames.push(
+                Buffer.from(
+                    sodium.crypto_aead_chacha20poly1305_ietf_encrypt(
+                        data.slice(position, position + frameLength),
+                        aad,
+                        null,
+                        nonce,
+                        connection.sessionKeys.accessoryToController,
+                    ),
+                ),
+            );
+            position += frameLength;
+        }
+
+        connection.socket.write(Buffer.concat(frames));
+    }
+
+    /**
+     * Send an HTTP response.
+     *
+     * @param {SimulatorConnection} connection - Connection to write to
+     * @param {HttpReply} reply - Response to send
+     */
+    private _sendReply(connection: SimulatorConnection, reply: HttpReply): void {
+        const body = reply.body || Buffer.alloc(0);
+        const head = [`HTTP/1.1 ${reply.statusCode} ${HttpStatusMessages[reply.statusCode] || 'Unknown'}`];
+        if (body.length) {
+            head.push(`Content-Type: ${reply.contentType || 'application/hap+json'}`);
+        }
+        head.push(`Content-Length: ${body.length}`);
+
+        this._send(connection, Buffer.concat([Buffer.from(`${head.join('\r\n')}\r\n\r\n`), body]));
+    }
+
+    /**
+     * Build a JSON response.
+     *
+     * @param {number} statusCode - HTTP status code
+     * @param {Object} body - Object to send as JSON
+     * @returns {HttpReply} Response
+     */
+    private static _json(statusCode: number, body: unknown): HttpReply {
+        return { statusCode, body: Buffer.from(JSON.stringify(body)) };
+    }
+
+    /**
+     * Build a TLV response.
+     *
+     * @param {Buffer} body - Encoded TLV
+     * @returns {HttpReply} Response
+     */
+    private static _tlv(body: Buffer): HttpReply {
+        return { statusCode: 200, contentType: 'application/pairing+tlv8', body };
+    }
+
+    /**
+     * Dispatch a request to its handler.
+     *
+     * @param {SimulatorConnection} connection - Connection the request was received on
+     * @param {HttpRequest} req - The request
+     * @returns {Promise} Promise which resolves to the response.
+     */
+    private async _handleRequest(connection: SimulatorConnection, req: HttpRequest): Promise<HttpReply> {
+        const route = `${req.method} ${req.path}`;
+        switch (route) {
+            case 'POST /identify':
+                return this._handleIdentify();
+            case 'POST /pair-setup':
+                return IPAccessorySimulator._tlv(
+                    await this.pairing.handlePairSetup(connection, decodeBuffer(req.body)),
+                );
+            case 'POST /pair-verify':
+                return IPAccessorySimulator._tlv(this.pairing.handlePairVerify(connection, decodeBuffer(req.body)));
+        }
+
+        if (!connection.sessionKeys) {
+            return IPAccessorySimulator._json(470, { status: -70401 });
+        }
+
+        switch (route) {
+            case 'POST /pairings':
+                return IPAccessorySimulator._tlv(this.pairing.handlePairings(connection, decodeBuffer(req.body)));
+            case 'GET /accessories':
+                return IPAccessorySimulator._json(200, this.database);
+            case 'GET /characteristics':
+                return this._handleGetCharacteristics(req.query);
+            case 'PUT /prepare':
+                return this._handlePrepare(connection, JSON.parse(req.body.toString()));
+            case 'PUT /characteristics':
+                return this._handlePutCharacteristics(connection, JSON.parse(req.body.toString()));
+            case 'POST /resource':
+                if (!this.snapshot) {
+                    return IPAccessorySimulator._json(404, { status: -70409 });
+                }
+                return { statusCode: 200, contentType: 'image/jpeg', body: this.snapshot };
+        }
+
+        return IPAccessorySimulator._json(404, { status: -70409 });
+    }
+
+    /**
+     * Actions to run once the response was sent, like enabling encryption.
+     *
+     * @param {SimulatorConnection} connection - Connection the request was received on
+     */
+    private _afterReply(connection: SimulatorConnection): void {
+        if (connection.nextSessionKeys) {
+            connection.sessionKeys = connection.nextSessionKeys;
+            connection.nextSessionKeys = null;
+            connection.a2cCounter = 0;
+            connection.c2aCounter = 0;
+        }
+
+        if (connection.controllerId && !this.pairing.getPairing(connection.controllerId)) {
+            // our own pairing was removed, so the session is not valid anymore
+            connection.socket.end();
+        }
+    }
+
+    /**
+     * Handle an unpaired identify request.
+     *
+     * @returns {HttpReply} Response
+     */
+    private _handleIdentify(): HttpReply {
+        if (this.pairing.isPaired()) {
+            return IPAccessorySimulator._json(400, { status: -70401 });
+        }
+
+        /**
+         * Identify routine was triggered.
+         *
+         * @event IPAccessorySimulator#identify
+         */
+        this.emit('identify');
+        return { statusCode: 204 };
+    }
+
+    /**
+     * Handle a characteristic read request.
+     *
+     * @param {Object} query - Query parameters of the request
+     * @returns {HttpReply} Response
+     */
+    private _handleGetCharacteristics(query: Record<string, string>): HttpReply {
+        if (!query.id) {
+            return IPAccessorySimulator._json(400, { status: -70410 });
+        }
+
+        let failed = false;
+        const characteristics = query.id.split(',').map((id) => {
+            const [aid, iid] = id.split('.').map((v) => parseInt(v, 10));
+            const characteristic = this._findCharacteristic(aid, iid);
+            if (!characteristic) {
+                failed = true;
+                return { aid, iid, status: -70409 };
+            }
+
+            if (!characteristic.perms?.includes('pr')) {
+                failed = true;
+                return { aid, iid, status: -70405 };
+            }
+
+            const entry: Record<string, unknown> = { aid, iid, value: characteristic.value };
+            if (query.meta === '1') {
+                for (const key of ['format', 'unit', 'minValue', 'maxValue', 'minStep', 'maxLen'] as const) {
+                    // eslint-disable-next-line no-undefined
+                    if (characteristic[key] !== undefined) {
+                        entry[key] = characteristic[key];
+                    }
+                }
+            }
+            if (query.perms === '1') {
+                entry.perms = characteristic.perms;
+            }
+            if (query.type === '1') {
+                entry.type = characteristic.type;
+            }
+            if (query.ev === '1') {
+                entry.ev = !!characteristic.ev;
+            }
+            return entry;
+        });
+
+        if (failed) {
+            characteristics.forEach((c: Record<string, unknown>) => {
+                c.status = c.status || 0;
+            });
+            return IPAccessorySimulator._json(207, { characteristics });
+        }
+        return IPAccessorySimulator._json(200, { characteristics });
+    }
+
+    /**
+     * Handle the prepare request of a timed write.
+     *
+     * @param {SimulatorConnection} connection - Connection the request was received on
+     * @param {Object} body - Parsed request body
+     * @returns {HttpReply} Response
+     */
+    private _handlePrepare(connection: SimulatorConnection, body: { ttl?: number; pid?: number }): HttpReply {
+        if (typeof body.ttl !== 'number' || typeof body.pid !== 'number') {
+            return IPAccessorySimulator._json(400, { status: -70410 });
+        }
+
+        connection.preparedWrite = { pid: body.pid, expires: Date.now() + body.ttl };
+        return IPAccessorySimulator._json(200, { status: 0 });
+    }
+
+    /**
+     * Handle a characteristic write or subscription request.
+     *
+     * @param {SimulatorConnection} connection - Connection the request was received on
+     * @param {Object} body - Parsed request body
+     * @returns {HttpReply} Response
+     */
+    private _handlePutCharacteristics(
+        connection: SimulatorConnection,
+        body: { characteristics: Record<string, unknown>[]; pid?: number },
+    ): HttpReply {
+        let timedWrite = false;
+        // eslint-disable-next-line no-undefined
+        if (body.pid !== undefined) {
+            const prepared = connection.preparedWrite;
+            connection.preparedWrite = null;
+            if (!prepared || prepared.pid !== body.pid || prepared.expires < Date.now()) {
+                return IPAccessorySimulator._json(400, { status: -70410 });
+            }
+            timedWrite = true;
+        }
+
+        let multiStatus = false;
+        const results = body.characteristics.map((request) => {
+            const aid = <number>request.aid;
+            const iid = <number>request.iid;
+            const characteristic = this._findCharacteristic(aid, iid);
+            if (!characteristic) {
+                multiStatus = true;
+                return { aid, iid, status: -70409 };
+            }
+
+            if (typeof request.ev === 'boolean') {
+                if (!characteristic.perms?.includes('ev')) {
+                    multiStatus = true;
+                    return { aid, iid, status: -70406 };
+                }
+
+                if (request.ev) {
+                    connection.subscriptions.add(`${aid}.${iid}`);
+                } else {
+                    connection.subscriptions.delete(`${aid}.${iid}`);
+                }
+            }
+
+            // eslint-disable-next-line no-undefined
+            if (request.value !== undefined) {
+                if (!characteristic.perms?.includes('pw')) {
+                    multiStatus = true;
+                    return { aid, iid, status: -70404 };
+                }
+
+                if (characteristic.perms.includes('tw') && !timedWrite) {
+                    multiStatus = true;
+                    return { aid, iid, status: -70410 };
+                }
+
+                const status = this.onWrite?.(aid, iid, request.value);
+                if (status) {
+                    multiStatus = true;
+                    return { aid, iid, status };
+                }
+
+                characteristic.value = request.value;
+                /**
+                 * A controller wrote a characteristic value.
+                 *
+                 * @event IPAccessorySimulator#write
+                 * @type {Object} { aid, iid, value }
+                 */
+                this.emit('write', { aid, iid, value: request.value });
+                this._notify(aid, iid, request.value, connection);
+
+                if (request.r) {
+                    multiStatus = true;
+                    return { aid, iid, status: 0, value: characteristic.value };
+                }
+            }
+
+            return { aid, iid, status: 0 };
+        });
+
+        if (multiStatus) {
+            return IPAccessorySimulator._json(207, { characteristics: results });
+        }
+        return { statusCode: 204 };
+    }
+}
@@ -0,0 +1,502 @@
+/**
+ * Simulated stand-ins for the noble central and peripherals, to run the BLE transport without a
+ * Bluetooth adapter. Only the parts used by BLEDiscovery, GattClient and GattConnection are
+ * implemented.
+ */
+
+import { EventEmitter } from 'events';
+import type { Advertisement, Peripheral } from '@stoprocent/noble';
+import { BleBackend } from '../transport/ble/ble-discovery';
+
+/**
+ * Callbacks of a simulated characteristic, called for GATT reads and writes.
+ */
+export interface SimulatedCharacteristicHandlers {
+    read?: () => Buffer | Promise<Buffer>;
+    write?: (data: Buffer) => void | Promise<void>;
+}
+
+/**
+ * Descriptor with a constant value.
+ */
+export class SimulatedDescriptor extends EventEmitter {
+    uuid: string;
+
+    name: string | null = null;
+
+    type: string | null = null;
+
+    private value: Buffer;
+
+    private peripheral: SimulatedPeripheral;
+
+    /**
+     * Initialize the SimulatedDescriptor object.
+     *
+     * @param {SimulatedPeripheral} peripheral - Peripheral the descriptor belongs to
+     * @param {string} uuid - Descriptor UUID in noble's format
+     * @param {Buffer} value - Value of the descriptor
+     */
+    constructor(peripheral: SimulatedPeripheral, uuid: string, value: Buffer) {
+        super();
+        this.peripheral = peripheral;
+        this.uuid = uuid;
+        this.value = value;
+    }
+
+    /**
+     * Read the descriptor value.
+     *
+     * @returns {Promise} Promise which resolves to the value.
+     */
+    async readValueAsync(): Promise<Buffer> {
+        this.peripheral.checkConnected();
+        return this.value;
+    }
+}
+
+/**
+ * Characteristic which passes reads and writes on to its handlers.
+ */
+export class SimulatedCharacteristic extends EventEmitter {
+    uuid: string;
+
+    // same property as in noble, GattClient uses it to match characteristics to services
+    _serviceUuid: string;
+
+    name: string | null = null;
+
+    type: string | null = null;
+
+    properties: string[];
+
+    descriptors: SimulatedDescriptor[];
+
+    subscribed = false;
+
+    private peripheral: SimulatedPeripheral;
+
+    private handlers: SimulatedCharacteristicHandlers;
+
+    /**
+     * Initialize the SimulatedCharacteristic object.
+     *
+     * @param {SimulatedPeripheral} peripheral - Peripheral the characteristic belongs to
+     * @param {string} serviceUuid - Service UUID in noble's format
+     * @param {string} uuid - Characteristic UUID in noble's format
+     * @param {string[]} properties - GATT properties, e.g. read, write and indicate
+     * @param {SimulatedCharacteristicHandlers} handlers - Read and write callbacks
+     */
+    constructor(
+        peripheral: SimulatedPeripheral,
+        serviceUuid: string,
+        uuid: string,
+        properties: string[],
+        handlers: SimulatedCharacteristicHandlers,
+    ) {
+        super();
+        this.peripheral = peripheral;
+        this._serviceUuid = serviceUuid;
+        this.uuid = uuid;
+        this.properties = properties;
+        this.handlers = handlers;
+        this.descriptors = [];
+    }
+
+    /**
+     * Add a descriptor with a constant value.
+     *
+     * @param {string} uuid - Descriptor UUID in noble's format
+     * @param {Buffer} value - Value of the descriptor
+     * @returns {SimulatedDescriptor} The descriptor
+     */
+    addDescriptor(uuid: string, value: Buffer): SimulatedDescriptor {
+        const descriptor = new SimulatedDescriptor(this.peripheral, uuid, value);
+        this.descriptors.push(descriptor);
+        return descriptor;
+    }
+
+    /**
+     * Read the characteristic value.
+     *
+     * @returns {Promise} Promise which resolves to the value.
+     */
+    async readAsync(): Promise<Buffer> {
+        this.peripheral.checkConnected();
+        return this.handlers.read ? await this.handlers.read() : Buffer.alloc(0);
+    }
+
+    /**
+     * Write the characteristic value.
+     *
+     * @param {Buffer} data - Value to write
+     * @param {boolean} _withoutResponse - Ignored, all writes are confirmed
+     * @returns {Promise} Promise which resolves when the write was handled.
+     */
+    async writeAsync(data: Buffer, _withoutResponse: boolean): Promise<void> {
+        this.peripheral.checkConnected();
+        if (!this.properties.includes('write')) {
+            throw new Error(`Characteristic ${this.uuid} is not writable`);
+        }
+        await this.handlers.write?.(data);
+    }
+
+    /**
+     * Discover the descriptors of the characteristic.
+     *
+     * @returns {Promise} Promise which resolves to the descriptors.
+     */
+    async discoverDescriptorsAsync(): Promise<SimulatedDescriptor[]> {
+        this.peripheral.checkConnected();
+        return this.descriptors;
+    }
+
+    /**
+     * Enable indications.
+     *
+     * @returns {Promise} Promise which resolves when subscribed.
+     */
+    async subscribeAsync(): Promise<void> {
+        this.peripheral.checkConnected();
+        if (!this.properties.includes('indicate') && !this.properties.includes('notify')) {
+            throw new Error(`Characteristic ${this.uuid} does not support indications`);
+        }
+        this.subscribed = true;
+    }
+
+    /**
+     * Disable indications.
+     *
+     * @returns {Promise} Promise which resolves when unsubscribed.
+     */
+    async unsubscribeAsync(): Promise<void> {
+        this.peripheral.checkConnected();
+        this.subscribed = false;
+    }
+
+    /**
+     * Send an indication to the central, if it subscribed.
+     *
+     * @param {Buffer} data - Indicated value, HAP accessories send an empty value
+     */
+    indicate(data = Buffer.alloc(0)): void {
+        if (this.subscribed && this.peripheral.state === 'connected') {
+            this.emit('data', data, true);
+        }
+    }
+}
+
+/**
+ * GATT service.
+ */
+export class SimulatedService extends EventEmitter {
+    uuid: string;
+
+    name: string | null = null;
+
+    type: string | null = null;
+
+    includedServiceUuids: string[] = [];
+
+    characteristics: SimulatedCharacteristic[] = [];
+
+    /**
+     * Initialize the SimulatedService object.
+     *
+     * @param {string} uuid - Service UUID in noble's format
+     */
+    constructor(uuid: string) {
+        super();
+        this.uuid = uuid;
+    }
+}
+
+/**
+ * Peripheral with a fixed GATT database. All objects stay the same for the lifetime of the
+ * peripheral, like with a cached GATT database.
+ *
+ * @fires SimulatedPeripheral#connect
+ * @fires SimulatedPeripheral#disconnect
+ */
+export class SimulatedPeripheral extends EventEmitter {
+    id: string;
+
+    uuid: string;
+
+    address: string;
+
+    addressType = 'public';
+
+    connectable = true;
+
+    advertisement: Advertisement;
+
+    rssi = -50;
+
+    mtu: number | null = null;
+
+    services: SimulatedService[] = [];
+
+    state: Peripheral['state'] = 'disconnected';
+
+    private gattServices: SimulatedService[] = [];
+
+    /**
+     * Initialize the SimulatedPeripheral object.
+     *
+     * @param {string} address - Bluetooth address, formatted as xx:xx:xx:xx:xx:xx
+     * @param {string} localName - Advertised name
+     */
+    constructor(address: string, localName: string) {
+        super();
+        this.address = address.toLowerCase();
+        this.id = this.address.replace(/:/g, '');
+        this.uuid = this.id;
+        this.advertisement = {
+            localName,
+            serviceData: [],
+            txPowerLevel: 0,
+            manufacturerData: Buffer.alloc(0),
+            serviceUuids: [],
+        };
+    }
+
+    /**
+     * Add a service to the GATT database.
+     *
+     * @param {string} uuid - Service UUID in noble's format
+     * @returns {SimulatedService} The service
+     */
+    addService(uuid: string): SimulatedService {
+        const service = new SimulatedService(uuid);
+        this.gattServices.push(service);
+        return service;
+    }
+
+    /**
+     * Add a characteristic to a service.
+     *
+     * @param {SimulatedService} service - Service to add the characteristic to
+     * @param {string} uuid - Characteristic UUID in noble's format
+     * @param {string[]} properties - GATT properties, e.g. read, write and indicate
+     * @param {SimulatedCharacteristicHandlers} handlers - Read and write callbacks
+     * @returns {SimulatedCharacteristic} The characteristic
+     */
+    addCharacteristic(
+        service: SimulatedService,
+        uuid: string,
+        properties: string[],
+        handlers: SimulatedCharacteristicHandlers,
+    ): SimulatedCharacteristic {
+        const characteristic = new SimulatedCharacteristic(this, service.uuid, uuid, properties, handlers);
+        service.characteristics.push(characteristic);
+        return characteristic;
+    }
+
+    /**
+     * Throw if the peripheral is not connected.
+     */
+    checkConnected(): void {
+        if (this.state !== 'connected') {
+            throw new Error(`Peripheral ${this.id} not connected`);
+        }
+    }
+
+    /**
+     * Connect to the peripheral.
+     *
+     * @returns {Promise} Promise which resolves when connected.
+     */
+    async connectAsync(): Promise<void> {
+        if (this.state === 'connected') {
+            return;
+        }
+
+        this.state = 'connecting';
+        await new Promise((resolve) => setImmediate(resolve));
+        this.state = 'connected';
+        this.mtu = 512;
+        /**
+         * The central connected.
+         *
+         * @event SimulatedPeripheral#connect
+         */
+        this.emit('connect');
+    }
+
+    /**
+     * Disconnect from the peripheral.
+     *
+     * @returns {Promise} Promise which resolves when disconnected.
+     */
+    async disconnectAsync(): Promise<void> {
+        this.disconnect();
+    }
+
+    /**
+     * Drop the connection, also used to simulate a connection loss from the accessory side.
+     */
+    disconnect(): void {
+        if (this.state === 'disconnected') {
+            return;
+        }
+
+        this.state = 'disconnected';
+        this.mtu = null;
+        for (const service of this.gattServices) {
+            for (const characteristic of service.characteristics) {
+                characteristic.subscribed = false;
+            }
+        }
+        /**
+         * The connection was closed.
+         *
+         * @event SimulatedPeripheral#disconnect
+         */
+        this.emit('disconnect');
+    }
+
+    /**
+     * Discover services.
+     *
+     * @param {string[]} serviceUuids - UUIDs to discover, all if empty
+     * @returns {Promise} Promise which resolves to the services.
+     */
+    async discoverServicesAsync(serviceUuids: string[] = []): Promise<SimulatedService[]> {
+        this.checkConnected();
+        this.services = this.gattServices.filter((s) => !serviceUuids.length || serviceUuids.includes(s.uuid));
+        return this.services;
+    }
+
+    /**
+     * Discover services and their characteristics.
+     *
+     * @param {string[]} serviceUuids - Service UUIDs to discover, all if empty
+     * @param {string[]} characteristicUuids - Characteristic UUIDs to discover, all if empty
+     * @returns {Promise} Promise which resolves to the services and characteristics.
+     */
+    async discoverSomeServicesAndCharacteristicsAsync(
+        serviceUuids: string[],
+        characteristicUuids: string[],
+    ): Promise<{ services: SimulatedService[]; characteristics: SimulatedCharacteristic[] }> {
+        const services = await this.discoverServicesAsync(serviceUuids);
+        const characteristics = services
+            .map((s) => s.characteristics)
+            .reduce((all, list) => all.concat(list), [])
+            .filter((c) => !characteristicUuids.length || characteristicUuids.includes(c.uuid));
+        return { services, characteristics };
+    }
+
+    /**
+     * Discover all services and characteristics.
+     *
+     * @returns {Promise} Promise which resolves to the services and characteristics.
+     */
+    discoverAllServicesAndCharacteristicsAsync(): Promise<{
+        services: SimulatedService[];
+        characteristics: SimulatedCharacteristic[];
+    }> {
+        return this.discoverSomeServicesAndCharacteristicsAsync([], []);
+    }
+
+    /**
+     * Get the peripheral typed as noble peripheral, to pass it to GattClient.
+     *
+     * @returns {Peripheral} The peripheral
+     */
+    asNoblePeripheral(): Peripheral {
+        return <Peripheral>(<unknown>this);
+    }
+}
+
+/**
+ * Central which "receives" the advertisements of simulated peripherals. Pass it to the
+ * BLEDiscovery constructor instead of noble.
+ */
+export class SimulatedBleBackend extends EventEmitter implements BleBackend {
+    _state = 'poweredOn';
+
+    private scanning = false;
+
+    private peripherals = new Set<SimulatedPeripheral>();
+
+    /**
+     * Change the adapter state, e.g. to "poweredOff".
+     *
+     * @param {string} state - New state
+     */
+    setState(state: string): void {
+        this._state = state;
+        this.emit('stateChange', state);
+    }
+
+    /**
+     * Start scanning, all known peripherals are reported right away.
+     *
+     * @param {string[]} _serviceUUIDs - Ignored
+     * @param {boolean} _allowDuplicates - Ignored, every advertisement is reported
+     */
+    startScanning(_serviceUUIDs: string[] = [], _allowDuplicates = true): void {
+        if (this._state !== 'poweredOn') {
+            return;
+        }
+
+        if (!this.scanning) {
+            this.scanning = true;
+            this.emit('scanStart');
+        }
+
+        for (const peripheral of this.peripherals) {
+            this.advertise(peripheral);
+        }
+    }
+
+    /**
+     * Stop scanning.
+     */
+    stopScanning(): void {
+        if (this.scanning) {
+            this.scanning = false;
+            this.emit('scanStop');
+        }
+    }
+
+    /**
+     * Check if scanning is active.
+     *
+     * @returns {boolean} true while scanning
+     */
+    isScanning(): boolean {
+        return this.scanning;
+    }
+
+    /**
+     * Make a peripheral visible to the central.
+     *
+     * @param {SimulatedPeripheral} peripheral - Peripheral to add
+     */
+    addPeripheral(peripheral: SimulatedPeripheral): void {
+        this.peripherals.add(peripheral);
+        this.advertise(peripheral);
+    }
+
+    /**
+     * Remove a peripheral, it is not reported anymore.
+     *
+     * @param {SimulatedPeripheral} peripheral - Peripheral to remove
+     */
+    removePeripheral(peripheral: SimulatedPeripheral): void {
+        this.peripherals.delete(peripheral);
+    }
+
+    /**
+     * Report the current advertisement of a peripheral while scanning.
+     *
+     * @param {SimulatedPeripheral} peripheral - Advertising peripheral
+     */
+    advertise(peripheral: SimulatedPeripheral): void {
+        if (this.scanning && this.peripherals.has(peripheral)) {
+            this.emit('discover', peripheral.asNoblePeripheral());
+        }
+    }
+}
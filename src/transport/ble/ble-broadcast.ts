@@ -0,0 +1,214 @@
+/**
+ * Encrypted broadcast notifications of HAP BLE accessories.
+ *
+ * See Chapter 7.4.7.3
+ */
+
+import sodium from 'libsodium-wrappers';
+import crypto from 'crypto';
+import { Peripheral } from '@stoprocent/noble';
+
+/**
+ * Advertisement type of encrypted notifications.
+ */
+export const EncryptedNotificationType = 0x11;
+
+/**
+ * How many GSN increments are tried when decrypting a notification.
+ */
+const DefaultGsnWindow = 32;
+
+export interface BroadcastNotification {
+    /**
+     * Device ID of the accessory, formatted like in HapServiceBle
+     */
+    id: string;
+    /**
+     * Advertising identifier (raw device ID), used as AAD
+     */
+    advertisingIdentifier: Buffer;
+    /**
+     * Encrypted payload: GSN, IID and value
+     */
+    payload: Buffer;
+    /**
+     * First 4 bytes of the authentication tag
+     */
+    tag: Buffer;
+    /**
+     * Peripheral object the notification was received from
+     */
+    peripheral?: Peripheral;
+}
+
+export interface DecryptedBroadcast {
+    /**
+     * Global state number of the change
+     */
+    gsn: number;
+    /**
+     * Instance ID of the changed characteristic
+     */
+    iid: number;
+    /**
+     * Raw value, 8 bytes little endian and zero padded
+     */
+    value: Buffer;
+}
+
+/**
+ * Get the GSN following the given one. It wraps from 65535 to 1.
+ *
+ * @param {number} gsn - Global state number
+ * @returns {number} Next global state number
+ */
+export function nextGsn(gsn: number): number {
+    return gsn >= 0xffff ? 1 : gsn + 1;
+}
+
+/**
+ * Build the nonce for a GSN.
+ *
+ * @param {number} gsn - Global state number
+ * @returns {Buffer} Nonce
+ */
+function buildNonce(gsn: number): Buffer {
+    const nonce = Buffer.alloc(12);
+    nonce.writeUInt16LE(gsn, 4);
+    return nonce;
+}
+
+/**
+ * Format an advertising identifier like a device ID.
+ *
+ * @param {Buffer} advertisingIdentifier - Raw identifier
+ * @returns {string} Device ID, e.g. "aa:bb:cc:dd:ee:ff"
+ */
+function formatDeviceId(advertisingIdentifier: Buffer): string {
+    return Array.from(advertisingIdentifier)
+        .map((b) => b.toString(16).padStart(2, '0'))
+        .join(':');
+}
+
+/**
+ * Parse the manufacturer data of an encrypted notification advertisement.
+ *
+ * @param {Buffer} manufacturerData - Manufacturer data of the advertisement
+ * @returns {BroadcastNotification|null} The notification or null if it is none
+ */
+export function parseBroadcastNotification(manufacturerData: Buffer): BroadcastNotification | null {
+    if (
+        !manufacturerData ||
+        manufacturerData.length < 26 ||
+        manufacturerData.readUInt16LE(0) !== 0x4c ||
+        manufacturerData.readUInt8(2) !== EncryptedNotificationType
+    ) {
+        return null;
+    }
+
+    const advertisingIdentifier = manufacturerData.slice(4, 10);
+    return {
+        id: formatDeviceId(advertisingIdentifier),
+        advertisingIdentifier,
+        payload: manufacturerData.slice(10, 22),
+        tag: manufacturerData.slice(22, 26),
+    };
+}
+
+/**
+ * Build the manufacturer data of an encrypted notification, as sent by an accessory.
+ *
+ * @param {Buffer} key - Broadcast encryption key
+ * @param {Buffer} advertisingIdentifier - Advertising identifier of the accessory
+ * @param {number} gsn - Global state number of the change
+ * @param {number} iid - Instance ID of the changed characteristic
+ * @param {Buffer} value - Raw value, at most 8 bytes
+ * @returns {Promise} Promise which resolves to the manufacturer data.
+ */
+export async function encryptBroadcastNotification(
+    key: Buffer,
+    advertisingIdentifier: Buffer,
+    gsn: number,
+    iid: number,
+    value: Buffer,
+): Promise<Buffer> {
+    await sodium.ready;
+
+    const plain = Buffer.alloc(12);
+    plain.writeUInt16LE(gsn, 0);
+    plain.writeUInt16LE(iid, 2);
+    value.copy(plain, 4, 0, 8);
+
+    const encrypted = Buffer.from(
+        sodium.crypto_aead_chacha20poly1305_ietf_encrypt(plain, advertisingIdentifier, null, buildNonce(gsn), key),
+    );
+
+    const header = Buffer.alloc(4);
+    header.writeUInt16LE(0x4c, 0);
+    header.writeUInt8(EncryptedNotificationType, 2);
+    header.writeUInt8(0x20 | 22, 3);
+    return Buffer.concat([header, advertisingIdentifier, encrypted.slice(0, 12), encrypted.slice(12, 16)]);
+}
+
+/**
+ * Decrypt a notification.
+ *
+ * The GSN is part of the encrypted payload but also used as nonce, so the GSNs following
+ * the last known one are tried. A notification for the last known GSN is a repeated
+ * advertisement and ignored.
+ *
+ * @param {BroadcastNotification} notification - Parsed notification
+ * @param {Buffer} key - Broadcast encryption key
+ * @param {number} lastGsn - Last known global state number
+ * @param {number} window - Number of GSNs to try
+ * @returns {Promise} Promise which resolves to the decrypted notification, or null if it is
+ *                    a repeated or not authentic notification.
+ */
+export async function decryptBroadcastNotification(
+    notification: BroadcastNotification,
+    key: Buffer,
+    lastGsn: number,
+    window = DefaultGsnWindow,
+): Promise<DecryptedBroadcast | null> {
+    await sodium.ready;
+
+    let gsn = lastGsn;
+    for (let i = 0; i <= window; i++, gsn = nextGsn(gsn)) {
+        const nonce = buildNonce(gsn);
+
+        // ChaCha20 is a stream cipher, so the key stream is the encryption of zeros
+        const keyStream = sodium.crypto_aead_chacha20poly1305_ietf_encrypt(Buffer.alloc(12), null, null, nonce, key);
+        const plain = Buffer.alloc(12);
+        for (let j = 0; j < 12; j++) {
+            plain[j] = notification.payload[j] ^ keyStream[j];
+        }
+
+        if (plain.readUInt16LE(0) !== gsn) {
+            continue;
+        }
+
+        // The tag is truncated to 4 bytes, so compute the full tag and compare the prefix
+        const encrypted = sodium.crypto_aead_chacha20poly1305_ietf_encrypt(
+            plain,
+            notification.advertisingIdentifier,
+            null,
+            nonce,
+            key,
+        );
+        if (!crypto.timingSafeEqual(Buffer.from(encrypted.slice(12, 16)), notification.tag)) {
+            continue;
+        }
+
+        if (i === 0) {
+            return null;
+        }
+
+        return {
+            gsn,
+            iid: plain.readUInt16LE(2),
+            value: plain.slice(4, 12),
+        };
+    }
+
+    return null;
+}
@@ -5,6 +5,7 @@
 import { EventEmitter } from 'events';
 import { Peripheral } from '@stoprocent/noble';
 import GattClient from './gatt-client';
+import { parseBroadcastNotification } from './ble-broadcast';
 import Debug from 'debug';
 
 let noble: typeof import('@stoprocent/noble') | null = null;
@@ -29,6 +30,27 @@ const DiscoveryPairingStatusFlags = {
 
 export { DiscoveryPairingStatusFlags };
 
+/**
+ * The parts of noble used for discovery. Noble is used by default, another implementation like the
+ * SimulatedBleBackend for tests can be passed to the BLEDiscovery constructor.
+ */
+export interface BleBackend {
+    /**
+     * Current adapter state, scanning is possible when "poweredOn"
+     */
+    _state: string;
+
+    on(event: 'stateChange', listener: (state: string) => void): unknown;
+    on(event: 'scanStart' | 'scanStop', listener: () => void): unknown;
+    on(event: 'discover', listener: (peripheral: Peripheral) => void): unknown;
+
+    removeListener(event: string, listener: (...args: any[]) => void): unknown;
+
+    startScanning(serviceUUIDs: string[], allowDuplicates: boolean): void;
+
+    stopScanning(): void;
+}
+
 export interface HapServiceBle {
     name: string;
     /**
@@ -101,11 +123,10 @@ export interface HapServiceBle {
      */
     CV: number;
     /**
-     * Added in v2 of the HAP specifications but no details known
      * SH: 4byte little endian Setup Hash to support enhanced setup payload information
-     * (see”????”(page??))
+     * (see”????”(page??)), base64 encoded like sh for IP. Only set if advertised.
      */
-    // SH: string;
+    SH?: string;
     /**
      * Peripheral object used for all communication to this device
      */
@@ -133,8 +154,11 @@ export interface HapServiceBle {
  *
  * @fires BLEDiscovery#serviceUp
  * @fires BLEDiscovery#serviceChanged
+ * @fires BLEDiscovery#broadcast
  */
 export default class BLEDiscovery extends EventEmitter {
+    private backend: BleBackend | null;
+
     private scanEnabled: boolean;
 
     private allowDuplicates: boolean;
@@ -149,9 +173,15 @@ export default class BLEDiscovery extends EventEmitter {
 
     private handleScanStop: () => void;
 
-    constructor() {
+    /**
+     * Initialize the BLEDiscovery object.
+     *
+     * @param {BleBackend?} backend - BLE implementation to use, default is noble
+     */
+    constructor(backend?: BleBackend) {
         super();
 
+        this.backend = backend || noble;
         this.scanEnabled = false;
         this.allowDuplicates = false;
 
@@ -172,21 +202,21 @@ export default class BLEDiscovery extends EventEmitter {
      *                  updated in the advertisement.
      */
     start(allowDuplicates = false): void {
-        if (!noble) {
+        if (!this.backend) {
             throw new Error('BLE could not be enabled or no device found');
         }
         this.scanEnabled = true;
         this.allowDuplicates = allowDuplicates;
 
-        noble.on('stateChange', this.handleStateChange);
-        noble.on('scanStart', this.handleScanStart);
-        noble.on('scanStop', this.handleScanStop);
-        noble.on('discover', this.handleDiscover);
+        this.backend.on('stateChange', this.handleStateChange);
+        this.backend.on('scanStart', this.handleScanStart);
+        this.backend.on('scanStop', this.handleScanStop);
+        this.backend.on('discover', this.handleDiscover);
 
         // Only manually start if powered on already. Otherwise, wait for state
         // change and handle it there.
-        if (noble._state === 'poweredOn') {
-            noble.startScanning([], true);
+        if (this.backend._state === 'poweredOn') {
+            this.backend.startScanning([], true);
         }
     }
 
@@ -214,49 +244,64 @@ export default class BLEDiscovery extends EventEmitter {
      * Stop an ongoing discovery process.
      */
     stop(): void {
-        if (!noble) {
+        if (!this.backend) {
             throw new Error('BLE could not be enabled or no device found');
         }
         this.scanEnabled = false;
-        noble.stopScanning();
-        noble.removeListener('stateChange', this.handleStateChange);
-        noble.removeListener('scanStart', this.handleScanStart);
-        noble.removeListener('scanStop', this.handleScanStop);
-        noble.removeListener('discover', this.handleDiscover);
+        this.backend.stopScanning();
+        this.backend.removeListener('stateChange', this.handleStateChange);
+        this.backend.removeListener('scanStart', this.handleScanStart);
+        this.backend.removeListener('scanStop', this.handleScanStop);
+        this.backend.removeListener('discover', this.handleDiscover);
     }
 
     private _handleStateChange(state: string): void {
-        if (!noble) {
+        if (!this.backend) {
             return;
         }
         if (state === 'poweredOn' && this.scanEnabled) {
-            noble.startScanning([], true);
+            this.backend.startScanning([], true);
         } else {
-            noble.stopScanning();
+            this.backend.stopScanning();
         }
     }
 
     private _handleScanStart(): void {
-        if (!noble) {
+        if (!this.backend) {
             return;
         }
         if (!this.scanEnabled) {
-            noble.stopScanning();
+            this.backend.stopScanning();
         }
     }
 
     private _handleScanStop(): void {
-        if (!noble) {
+        if (!this.backend) {
             return;
         }
-        if (this.scanEnabled && noble._state === 'poweredOn') {
-            noble.startScanning([], true);
+        if (this.scanEnabled && this.backend._state === 'poweredOn') {
+            this.backend.startScanning([], true);
         }
     }
 
     private _handleDiscover(peripheral: Peripheral): void {
         const advertisement = peripheral.advertisement;
-        const manufacturerData = advertisement.manufacturerData;
+        const manufacturerData = advertisement?.manufacturerData;
+
+        const notification = parseBroadcastNotification(manufacturerData);
+        if (notification) {
+            debug(`Encrypted Broadcast detected for ${notification.id}`);
+            notification.peripheral = peripheral;
+            /**
+             * Encrypted broadcast notification received, pass it to GattClient.handleBroadcast()
+             * to decrypt it.
+             *
+             * @event BLEDiscovery#broadcast
+             * @type BroadcastNotification
+             */
+            this.emit('broadcast', notification);
+            return;
+        }
 
         if (!advertisement || !advertisement.localName || !manufacturerData || manufacturerData.length < 17) {
             return;
@@ -273,11 +318,9 @@ export default class BLEDiscovery extends EventEmitter {
         const GSN = manufacturerData.readUInt16LE(13);
         const CN = manufacturerData.readUInt8(15);
         const CV = manufacturerData.readUInt8(16);
-        // const SH = manufacturerData.length > 17 ? manufacturerData.slice(17, 21) : Buffer.alloc(0);
+        // eslint-disable-next-line no-undefined
+        const SH = manufacturerData.length >= 21 ? manufacturerData.slice(17, 21).toString('base64') : undefined;
 
-        if (TY === 0x11) {
-            debug(`Encrypted Broadcast detected ... ignoring for now: ${manufacturerData}`);
-        }
         if (CoID !== 0x4c || TY !== 0x06 || CV !== 0x02) {
             return;
         }
@@ -300,7 +343,7 @@ export default class BLEDiscovery extends EventEmitter {
             CN,
             CV,
             peripheral,
-            // SH,
+            SH,
             'c#': CN,
             id: formattedId,
             ci: ACID,
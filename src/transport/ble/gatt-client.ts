@@ -8,18 +8,41 @@ import GattConnection from './gatt-connection';
 import * as GattConstants from './gatt-constants';
 import GattProtocol from './gatt-protocol';
 import * as GattUtils from './gatt-utils';
-import PairingProtocol, { PairingData, PairMethods } from '../../protocol/pairing-protocol';
+import PairingProtocol, { AccessoryPairingData, PairingData, PairMethods } from '../../protocol/pairing-protocol';
 import * as Service from '../../model/service';
 import { decodeBuffer, TLV } from '../../model/tlv';
+import { Pairing, parsePairings } from '../../protocol/pairing-management';
+import { PairingBackoffError, PairingBusyError } from '../../model/error';
+import { MfiVerificationOptions, runMfiVerification } from '../../protocol/mfi-verification';
+import { DefaultPairingRetryOptions, PairingRetryOptions, retryPairing } from '../../protocol/pairing-retry';
 import { Characteristic as NobleCharacteristic, Peripheral as NoblePeripheral } from '@stoprocent/noble';
 import { DiscoveryPairingFeatureFlags } from '../ip/ip-discovery';
 import Debug from 'debug';
 import { Accessories } from '../../model/accessory';
+import { CharacteristicObject } from '../../model/characteristic';
+import { ValidationOptions, characteristicMetadataMap, validateCharacteristicValue } from '../../model/validation';
 import { OpQueue } from '../../utils/queue';
+import { OperationOptions, runOperation } from '../../utils/operation';
+import { decodeNumber } from '../../model/format-codec';
+import { PairingStore } from '../../storage/pairing-store';
+import { BroadcastNotification, decryptBroadcastNotification } from './ble-broadcast';
+import { HapServiceBle } from './ble-discovery';
+import ControllerIdentity from '../../protocol/controller-identity';
+import AccessoryCache from '../../storage/accessory-cache';
 
 const debug = Debug('hap-controller:gatt-client');
 
-export interface GetCharacteristicsOptions {
+/**
+ * Formats with valid range and step descriptors.
+ */
+const NumericFormats = ['uint8', 'uint16', 'uint32', 'uint64', 'int', 'float'];
+
+/**
+ * Time to live of timed writes in ms, sent in units of 100ms.
+ */
+const DefaultTimedWriteTTL = 5000;
+
+export interface GetCharacteristicsOptions extends OperationOptions {
     meta?: boolean;
     perms?: boolean;
     type?: boolean;
@@ -27,6 +50,84 @@ export interface GetCharacteristicsOptions {
     extra?: boolean;
 }
 
+export interface GattClientOptions {
+    /**
+     * Set to true to keep one verified connection open and use it for all requests and
+     * subscriptions, instead of connecting and running Pair-Verify for each call.
+     * Default: false
+     */
+    usePersistentConnections?: boolean;
+
+    /**
+     * Time in ms after which an unused persistent connection is closed. It stays open while
+     * characteristics are subscribed.
+     * Default: 10000
+     */
+    persistentConnectionIdleTimeout?: number;
+
+    /**
+     * Set to false to always run a full Pair-Verify instead of trying to resume the
+     * previous session with Pair Resume first.
+     * Default: true
+     */
+    usePairResume?: boolean;
+
+    /**
+     * Set to true (or provide options) to wait out kTLVError_Backoff and kTLVError_Busy
+     * errors during Pair-Verify and try again. Other errors, like a failed authentication,
+     * are never retried.
+     */
+    pairVerifyRetry?: boolean | PairingRetryOptions;
+
+    /**
+     * Trust anchors, verification hook and policy for the MFi certificate the accessory
+     * sends during Pair Setup with Auth. The result is reported with the "pair-setup" event.
+     */
+    mfiVerification?: MfiVerificationOptions;
+
+    /**
+     * Set to true (or provide options) to validate values in setCharacteristics() against the
+     * characteristic metadata before they are written. The metadata is taken from the
+     * last getAccessories() call or from setAccessoryMetadata().
+     * Characteristics without known metadata are written unchecked.
+     */
+    validateWrites?: boolean | ValidationOptions;
+
+    /**
+     * Store to save the pairing data in. The data is saved automatically after a successful
+     * pairSetup() and deleted after removing the pairing of our own controller.
+     */
+    pairingStore?: PairingStore;
+
+    /**
+     * Controller identity to use for pair setup instead of generating a new one for each accessory.
+     * With an identity the pairing data only needs to contain AccessoryPairingID and AccessoryLTPK.
+     */
+    identity?: ControllerIdentity;
+
+    /**
+     * Cache to take the accessory database from in getAccessories() and to store it in after
+     * reading it from the device. Its configuration number is updated by handleAdvertisement(),
+     * so the database is read again after the accessory configuration changed.
+     */
+    accessoryCache?: AccessoryCache;
+}
+
+export interface WatchOptions extends OperationOptions {
+    /**
+     * Use encrypted broadcast notifications: true for all characteristics, false for none.
+     * By default they are used for characteristics with the "ev-broadcast" permission in the
+     * accessory metadata.
+     */
+    broadcast?: boolean;
+
+    /**
+     * Interval in which the accessory repeats a broadcast notification.
+     * Default: 20ms
+     */
+    broadcastInterval?: keyof typeof GattConstants.BroadcastIntervals;
+}
+
 interface GattSubscriptionCharacteristicData {
     characteristicUuid: string;
     serviceUuid: string;
@@ -53,6 +154,16 @@ export default class GattClient extends EventEmitter {
 
     private subscriptionConnection?: GattConnection;
 
+    private subscriptionDisconnectHandler?: () => void;
+
+    private persistentConnection?: GattConnection;
+
+    private usePersistentConnections = false;
+
+    private persistentConnectionIdleTimeout = 10000;
+
+    private idleTimer?: NodeJS.Timeout;
+
     private subscribedCharacteristics: {
         characteristicUuid: string;
         serviceUuid: string;
@@ -60,42 +171,121 @@ export default class GattClient extends EventEmitter {
         format: string;
     }[] = [];
 
+    private usePairResume = true;
+
+    private pairVerifyRetryOptions: Required<PairingRetryOptions> | null = null;
+
+    private mfiVerificationOptions: MfiVerificationOptions;
+
+    private validationOptions: ValidationOptions | null = null;
+
+    private pairingStore: PairingStore | null = null;
+
+    private accessoryCache: AccessoryCache | null = null;
+
+    private watchedCharacteristics: GattSubscriptionCharacteristicData[] = [];
+
+    private broadcastCharacteristics = new Set<number>();
+
+    private gsn: number | null = null;
+
+    private characteristicMetadata = new Map<string, CharacteristicObject>();
+
     /**
      * Initialize the GattClient object.
      *
      * @param {string} deviceId - ID of the device
      * @param {NoblePeripheral} peripheral - Peripheral object from noble
      * @param {PairingData?} pairingData - existing pairing data
+     * @param {GattClientOptions?} options - additional options
      */
-    constructor(deviceId: string, peripheral: NoblePeripheral, pairingData?: PairingData) {
+    constructor(
+        deviceId: string,
+        peripheral: NoblePeripheral,
+        pairingData?: PairingData | AccessoryPairingData,
+        options?: GattClientOptions,
+    ) {
         super();
         this.deviceId = deviceId;
         this.peripheral = peripheral;
-        this.pairingProtocol = new PairingProtocol(pairingData);
+        this.pairingProtocol = new PairingProtocol(pairingData, options?.identity);
         this.gattProtocol = new GattProtocol();
         this.tid = Math.floor(Math.random() * 254);
         this.queue = new OpQueue();
         this.pairingQueue = new OpQueue();
+        this.usePairResume = options?.usePairResume !== false;
+        this.usePersistentConnections = options?.usePersistentConnections || false;
+        this.persistentConnectionIdleTimeout = options?.persistentConnectionIdleTimeout ?? 10000;
+        this.pairingStore = options?.pairingStore || null;
+        this.accessoryCache = options?.accessoryCache || null;
+        this.mfiVerificationOptions = options?.mfiVerification || {};
+        if (options?.pairVerifyRetry) {
+            this.pairVerifyRetryOptions = Object.assign(
+                {},
+                DefaultPairingRetryOptions,
+                typeof options.pairVerifyRetry === 'object' ? options.pairVerifyRetry : {},
+            );
+        }
+        if (options?.validateWrites) {
+            this.validationOptions = typeof options.validateWrites === 'object' ? options.validateWrites : {};
+        }
     }
 
     /**
      * Queue an operation for the client.
      *
+     * An operation which times out or is aborted while it waits is removed from the queue,
+     * a running one is interrupted by dropping the BLE link.
+     *
      * @param {function} op - Function to add to the queue
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves when the function is called.
      */
-    private _queueOperation<T>(op: () => Promise<T>): Promise<T> {
-        return this.queue.queue(op);
+    private _queueOperation<T>(op: (signal?: AbortSignal) => Promise<T>, options?: OperationOptions): Promise<T> {
+        return runOperation(options, (signal) => this.queue.queue(() => this._watchOperation(op, signal), signal));
+    }
+
+    /**
+     * Run an operation and drop the BLE link if its signal is aborted while it runs.
+     *
+     * @param {function} op - Function to run, gets the signal
+     * @param {AbortSignal?} signal - Signal of the operation
+     * @returns {Promise} Promise which resolves to the result of the function.
+     */
+    private async _watchOperation<T>(op: (signal?: AbortSignal) => Promise<T>, signal?: AbortSignal): Promise<T> {
+        const abort = (): void => this._dropConnection();
+        signal?.addEventListener('abort', abort, { once: true });
+        try {
+            return await op(signal);
+        } finally {
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Drop the BLE link after an interrupted request. The pending GATT operations fail with it,
+     * and as the nonce counters of the session can not be brought back in sync, the next request
+     * connects and verifies again.
+     */
+    private _dropConnection(): void {
+        debug(`${this.deviceId} Operation aborted, disconnecting`);
+        this._stopIdleTimer();
+        delete this.persistentConnection;
+        if (this.peripheral.state !== 'disconnected') {
+            // eslint-disable-next-line @typescript-eslint/no-empty-function
+            this.peripheral.disconnectAsync().catch(() => {});
+        }
     }
 
     /**
      * Queue an operation for the pairing.
      *
      * @param {function} op - Function to add to the queue
+     * @param {AbortSignal?} signal - Signal to remove the operation from the queue
      * @returns {Promise} Promise which resolves when the function is called.
      */
-    private _queuePairingOperation<T>(op: () => Promise<T>): Promise<T> {
-        return this.pairingQueue.queue(op);
+    private _queuePairingOperation<T>(op: () => Promise<T>, signal?: AbortSignal): Promise<T> {
+        return this.pairingQueue.queue(op, signal);
     }
 
     /**
@@ -113,6 +303,123 @@ export default class GattClient extends EventEmitter {
         return this.tid;
     }
 
+    /**
+     * Get a connected and verified connection. With persistent connections the open connection is
+     * reused as long as the accessory keeps the link, and with it the security session, up.
+     * Otherwise a new connection is verified.
+     *
+     * @param {AbortSignal?} signal - Signal to abort the Pair-Verify procedure
+     * @returns {Promise} Promise which resolves to the connection.
+     */
+    private async _getVerifiedConnection(signal?: AbortSignal): Promise<GattConnection> {
+        this._stopIdleTimer();
+        if (this.persistentConnection) {
+            if (this.persistentConnection.isConnected()) {
+                debug(`${this.deviceId} Reuse persistent connection`);
+                return this.persistentConnection;
+            }
+            debug(`${this.deviceId} Persistent connection was closed, verify a new one`);
+            delete this.persistentConnection;
+        }
+
+        const connection = new GattConnection(this.peripheral);
+        try {
+            await connection.connect();
+            await this._pairVerify(connection, signal);
+        } catch (err) {
+            // eslint-disable-next-line @typescript-eslint/no-empty-function
+            await connection.disconnect().catch(() => {});
+            throw err;
+        }
+
+        if (this.usePersistentConnections) {
+            this.persistentConnection = connection;
+            connection.once('disconnected', () => {
+                debug(`${this.deviceId} Persistent connection got disconnected`);
+                if (this.persistentConnection === connection) {
+                    delete this.persistentConnection;
+                    this._stopIdleTimer();
+                }
+            });
+            debug(`${this.deviceId} New persistent connection initialized`);
+        }
+        return connection;
+    }
+
+    /**
+     * Release a connection from _getVerifiedConnection(). A persistent connection stays open until
+     * it is idle, other connections are closed. After a failed request the persistent connection is
+     * closed as well (unless it carries subscriptions), so the next request verifies a new session.
+     *
+     * @param {GattConnection} connection - Connection to release
+     * @param {boolean} failed - Whether or not the request failed
+     * @returns {Promise} Promise which resolves when the connection is released.
+     */
+    private async _releaseConnection(connection: GattConnection, failed = false): Promise<void> {
+        if (connection === this.persistentConnection) {
+            if (!failed || connection === this.subscriptionConnection) {
+                this._startIdleTimer();
+                return;
+            }
+            delete this.persistentConnection;
+        }
+
+        // eslint-disable-next-line @typescript-eslint/no-empty-function
+        await connection.disconnect().catch(() => {});
+    }
+
+    /**
+     * Start the timer to close the persistent connection, unless it carries subscriptions.
+     */
+    private _startIdleTimer(): void {
+        this._stopIdleTimer();
+        if (!this.persistentConnection || this.persistentConnection === this.subscriptionConnection) {
+            return;
+        }
+        this.idleTimer = setTimeout(() => {
+            delete this.idleTimer;
+            debug(`${this.deviceId} Close idle persistent connection`);
+            this.closePersistentConnection();
+        }, this.persistentConnectionIdleTimeout);
+    }
+
+    /**
+     * Stop the idle timer of the persistent connection.
+     */
+    private _stopIdleTimer(): void {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            delete this.idleTimer;
+        }
+    }
+
+    /**
+     * Use a connection for subscriptions and emit "event-disconnect" when it gets disconnected.
+     *
+     * @fires GattClient#event-disconnect
+     * @param {GattConnection} connection - Connection to use
+     */
+    private _setSubscriptionConnection(connection: GattConnection): void {
+        this.subscriptionConnection = connection;
+        this.subscriptionDisconnectHandler = () => {
+            delete this.subscriptionConnection;
+            delete this.subscriptionDisconnectHandler;
+            if (this.subscribedCharacteristics.length) {
+                /**
+                 * Event emitted when subscription connection got disconnected, but
+                 * still some characteristics are subscribed.
+                 * You need to manually resubscribe!
+                 *
+                 * @event GattClient#event-disconnect
+                 * @type {Object[]} List of the subscribed characteristics for resubscribe handling
+                 */
+                this.emit('event-disconnect', this.subscribedCharacteristics);
+                this.subscribedCharacteristics = [];
+            }
+        };
+        connection.once('disconnected', this.subscriptionDisconnectHandler);
+    }
+
     /**
      * Get the data (keys) that needs to be stored long-term.
      *
@@ -122,6 +429,17 @@ export default class GattClient extends EventEmitter {
         return this.pairingProtocol.getLongTermData();
     }
 
+    /**
+     * Check if a pairing identifier is the one of our own controller.
+     *
+     * @param {Buffer} identifier - Pairing identifier
+     * @returns {boolean} true if the identifier belongs to this controller
+     */
+    private _isOwnPairingIdentifier(identifier: Buffer): boolean {
+        const data = this.getLongTermData();
+        return !!data && PairingProtocol.bufferFromHex(data.iOSDevicePairingID).equals(identifier);
+    }
+
     /**
      * Verify the provided PIN
      *
@@ -134,9 +452,10 @@ export default class GattClient extends EventEmitter {
     /**
      * Run the identify routine on a device.
      *
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves if identify succeeded.
      */
-    identify(): Promise<void> {
+    identify(options?: OperationOptions): Promise<void> {
         const serviceUuid = GattUtils.uuidToNobleUuid(
             Service.uuidFromService('public.hap.service.accessory-information'),
         );
@@ -187,7 +506,7 @@ export default class GattClient extends EventEmitter {
                 await connection.disconnect().catch(() => {});
                 throw err;
             }
-        });
+        }, options);
     }
 
     /**
@@ -222,7 +541,26 @@ export default class GattClient extends EventEmitter {
         return data.readUInt16LE(0);
     }
 
-    async getPairingMethod(): Promise<number> {
+    /**
+     * Join the fragments of a response and decode its body.
+     *
+     * @param {Buffer[]} pdus - Response fragments, as returned by GattConnection
+     * @returns {TLV} Decoded body
+     */
+    private _decodeResponseBody(pdus: Buffer[]): TLV {
+        const buffers = [pdus[0].slice(5, pdus[0].length)];
+        pdus.slice(1).map((p) => buffers.push(p.slice(2, p.length)));
+
+        return decodeBuffer(Buffer.concat(buffers));
+    }
+
+    /**
+     * Read the pairing method the accessory supports from its pairing features.
+     *
+     * @param {OperationOptions?} options - Timeout and abort signal
+     * @returns {Promise} Promise which resolves to the pairing method.
+     */
+    async getPairingMethod(options?: OperationOptions): Promise<number> {
         const serviceUuid = GattUtils.uuidToNobleUuid(Service.uuidFromService('public.hap.service.pairing'));
         const featureCharacteristicUuid = GattUtils.uuidToNobleUuid(
             Characteristic.uuidFromCharacteristic('public.hap.characteristic.pairing.features'),
@@ -259,8 +597,8 @@ export default class GattClient extends EventEmitter {
                 await connection.disconnect().catch(() => {});
 
                 if (pdus.length !== 0) {
-                    const response = pdus[0];
-                    const pairFeatures = response.readUInt8();
+                    const value = this._decodeResponseBody(pdus).get(GattConstants.Types['HAP-Param-Value']);
+                    const pairFeatures = value && value.length ? value.readUInt8(0) : 0;
                     const pairMethod =
                         pairFeatures & DiscoveryPairingFeatureFlags.SupportsAppleAuthenticationCoprocessor
                             ? PairMethods.PairSetupWithAuth
@@ -274,7 +612,7 @@ export default class GattClient extends EventEmitter {
                 await connection.disconnect().catch(() => {});
                 throw err;
             }
-        });
+        }, options);
     }
 
     /**
@@ -292,12 +630,14 @@ export default class GattClient extends EventEmitter {
      *                                           and needs to be provided in finishPairing by user of this library
      *                                         * If only the flag kPairingFlag_Transient is provided the session
      *                                           security is enabled but no final pairing is done
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves to opaque
      * pairing data when complete.
      */
     async startPairing(
         pairMethod = PairMethods.PairSetupWithAuth,
         pairFlags = 0,
+        options?: OperationOptions,
     ): Promise<{ tlv: TLV; iid: number; characteristic: NobleCharacteristic }> {
         const serviceUuid = GattUtils.uuidToNobleUuid(Service.uuidFromService('public.hap.service.pairing'));
         const characteristicUuid = GattUtils.uuidToNobleUuid(
@@ -356,7 +696,7 @@ export default class GattClient extends EventEmitter {
                 }
             }
 
-            const body = decodeBuffer(response.slice(5, response.length));
+            const body = this._decodeResponseBody(pdus);
 
             if (!body.has(GattConstants.Types['HAP-Param-Value'])) {
                 throw new Error('M2: HAP-Param-Value missing');
@@ -365,19 +705,25 @@ export default class GattClient extends EventEmitter {
             const tlv = await this.pairingProtocol.parsePairSetupM2(body.get(GattConstants.Types['HAP-Param-Value'])!);
 
             return { tlv, iid, characteristic };
-        });
+        }, options);
     }
 
     /**
      * Finishes a pairing process that began with startPairing()
      *
+     * With Pair Setup with Auth the MFi certificate of the accessory is verified after M4,
+     * the pairing is aborted before M5 if mfiVerification.requireValid is set and it is not valid.
+     *
+     * @fires GattClient#pair-setup
      * @param {PairingData} pairingData - The pairing data returned from startPairing()
      * @param {string} pin - The pairing PIN, needs to be formatted as XXX-XX-XXX
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves when pairing is complete.
      */
     async finishPairing(
         pairingData: { tlv: TLV; iid: number; characteristic: NobleCharacteristic },
         pin: string,
+        options?: OperationOptions,
     ): Promise<void> {
         const { tlv, iid, characteristic } = pairingData;
 
@@ -428,16 +774,16 @@ export default class GattClient extends EventEmitter {
                     }
                 }
 
-                const buffers = [pdus[0].slice(5, pdus[0].length)];
-                pdus.slice(1).map((p) => buffers.push(p.slice(2, p.length)));
-
-                const m4Body = decodeBuffer(Buffer.concat(buffers));
+                const m4Body = this._decodeResponseBody(pdus);
 
                 if (!m4Body.has(GattConstants.Types['HAP-Param-Value'])) {
                     throw new Error('M4: HAP-Param-Value missing');
                 }
 
                 await this.pairingProtocol.parsePairSetupM4(m4Body.get(GattConstants.Types['HAP-Param-Value'])!);
+                const mfi = protocol.isPairSetupWithAuth()
+                    ? await runMfiVerification(protocol.getMfiAuthentication(), this.mfiVerificationOptions)
+                    : null;
 
                 if (!this.pairingProtocol.isTransientOnlyPairSetup()) {
                     // According to specs for a transient pairSetup process no M5/6 is done, which should end in a
@@ -479,23 +825,34 @@ export default class GattClient extends EventEmitter {
                         }
                     }
 
-                    const m6Body = decodeBuffer(response.slice(5, response.length));
+                    const m6Body = this._decodeResponseBody(pdus);
 
                     if (!m6Body.has(GattConstants.Types['HAP-Param-Value'])) {
                         throw new Error('M6: HAP-Param-Value missing');
                     }
 
                     await this.pairingProtocol.parsePairSetupM6(m6Body.get(GattConstants.Types['HAP-Param-Value'])!);
+
+                    if (this.pairingStore) {
+                        await this.pairingStore.set(this.deviceId, this.getLongTermData()!);
+                    }
                 }
 
                 // eslint-disable-next-line @typescript-eslint/no-empty-function
                 await connection.disconnect().catch(() => {});
+                /**
+                 * Event emitted after a successful pair setup with the result of the MFi verification
+                 *
+                 * @event GattClient#pair-setup
+                 * @type {Object} { mfi: MfiVerificationResult | null }
+                 */
+                this.emit('pair-setup', { mfi });
             } catch (err) {
                 // eslint-disable-next-line @typescript-eslint/no-empty-function
                 await connection.disconnect().catch(() => {});
                 throw err;
             }
-        });
+        }, options);
     }
 
     /**
@@ -504,22 +861,94 @@ export default class GattClient extends EventEmitter {
      * @param {string} pin - The pairing PIN, needs to be formatted as XXX-XX-XXX
      * @param {PairMethods} [pairMethod] - Method to use for pairing, default is PairSetupWithAuth
      * @param {PairingTypeFlags} [pairFlags] - Flags to use for Pairing for PairSetup
+     * @param {OperationOptions?} options - Timeout and abort signal for the whole procedure
      * @returns {Promise} Promise which resolves when pairing is complete.
      */
-    async pairSetup(pin: string, pairMethod = PairMethods.PairSetupWithAuth, pairFlags = 0): Promise<void> {
-        return await this.finishPairing(await this.startPairing(pairMethod, pairFlags), pin);
+    async pairSetup(
+        pin: string,
+        pairMethod = PairMethods.PairSetupWithAuth,
+        pairFlags = 0,
+        options?: OperationOptions,
+    ): Promise<void> {
+        return runOperation(options, async (signal) => {
+            await this.finishPairing(await this.startPairing(pairMethod, pairFlags, { signal }), pin, { signal });
+        });
+    }
+
+    /**
+     * Write a pairing request to a pairing characteristic and read the response.
+     *
+     * @param {GattConnection} connection - Existing GattConnection object
+     * @param {NobleCharacteristic} characteristic - Pairing characteristic to write to
+     * @param {number} iid - Instance ID of the characteristic
+     * @param {Buffer} request - TLV encoded pairing request
+     * @param {string} requestStep - Name of the request step, used in error messages
+     * @param {string} responseStep - Name of the response step, used in error messages
+     * @returns {Promise} Promise which resolves to the TLV encoded pairing response.
+     */
+    private async _pairingRequest(
+        connection: GattConnection,
+        characteristic: NobleCharacteristic,
+        iid: number,
+        request: Buffer,
+        requestStep: string,
+        responseStep: string,
+    ): Promise<Buffer> {
+        const data = new Map();
+        data.set(GattConstants.Types['HAP-Param-Value'], request);
+        data.set(GattConstants.Types['HAP-Param-Return-Response'], Buffer.from([1]));
+        let pdu = this.gattProtocol.buildCharacteristicWriteRequest(this.getNextTransactionId(), iid, data);
+
+        let pdus = await connection.writeCharacteristic(characteristic, [pdu]);
+        if (pdus.length === 0) {
+            throw new Error(`${requestStep}: No response`);
+        }
+
+        let status = pdus[0].readUInt8(2);
+        if (status !== 0) {
+            throw new Error(`${requestStep}: Got error status: ${status}`);
+        }
+
+        if (pdus[0].length < 5) {
+            pdu = this.gattProtocol.buildCharacteristicReadRequest(this.getNextTransactionId(), iid);
+            pdus = await connection.writeCharacteristic(characteristic, [pdu]);
+            if (pdus.length === 0) {
+                throw new Error(`${responseStep}: No response`);
+            }
+
+            status = pdus[0].readUInt8(2);
+            if (status !== 0) {
+                throw new Error(`${responseStep}: Got error status: ${status}`);
+            }
+        }
+
+        const body = this._decodeResponseBody(pdus);
+
+        if (!body.has(GattConstants.Types['HAP-Param-Value'])) {
+            throw new Error(`${responseStep}: HAP-Param-Value missing`);
+        }
+
+        return body.get(GattConstants.Types['HAP-Param-Value'])!;
     }
 
     /**
      * Method used internally to generate session keys for a connection.
      *
+     * If a previous session exists, Pair Resume is tried first and the full
+     * Pair-Verify is only done when the accessory does not accept it.
+     *
+     * With the pairVerifyRetry option a procedure rejected with kTLVError_Backoff
+     * or kTLVError_Busy is started again after the requested delay.
+     *
      * @private
+     * @fires GattClient#pair-verify
+     * @fires GattClient#pair-verify-retry
      * @param {GattConnection} connection - Existing GattConnection object
+     * @param {AbortSignal?} signal - Signal to abort the procedure
      * @returns {Promise} Promise which resolves when the pairing has been verified.
      */
-    private async _pairVerify(connection: GattConnection): Promise<void> {
+    private async _pairVerify(connection: GattConnection, signal?: AbortSignal): Promise<void> {
         return this._queuePairingOperation(async () => {
-            debug('Start Pair-Verify process ...');
             const serviceUuid = GattUtils.uuidToNobleUuid(Service.uuidFromService('public.hap.service.pairing'));
             const characteristicUuid = GattUtils.uuidToNobleUuid(
                 Characteristic.uuidFromCharacteristic('public.hap.characteristic.pairing.pair-verify'),
@@ -539,265 +968,137 @@ export default class GattClient extends EventEmitter {
             }
             const iid = await this._readInstanceId(characteristic);
 
-            if (this.pairingProtocol.canResume()) {
-                const m1 = await this.pairingProtocol.buildPairResumeM1();
-                const m1Data = new Map();
-                m1Data.set(GattConstants.Types['HAP-Param-Value'], m1);
-                m1Data.set(GattConstants.Types['HAP-Param-Return-Response'], Buffer.from([1]));
-                let pdu = this.gattProtocol.buildCharacteristicWriteRequest(this.getNextTransactionId(), iid, m1Data);
+            const finishPairVerify = async (m2: Buffer): Promise<void> => {
+                await this.pairingProtocol.parsePairVerifyM2(m2);
 
-                let pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                if (pdus.length === 0) {
-                    throw new Error('M1: No response');
-                }
+                const m3 = await this.pairingProtocol.buildPairVerifyM3();
+                const m4 = await this._pairingRequest(connection, characteristic, iid, m3, 'M3', 'M4');
 
-                let response = pdus[0];
-                let status = response.readUInt8(2);
-                if (status !== 0) {
-                    throw new Error(`M1: Got error status: ${status}`);
-                }
+                await this.pairingProtocol.parsePairVerifyM4(m4);
+            };
 
-                if (response.length < 5) {
-                    const pdu = this.gattProtocol.buildCharacteristicReadRequest(this.getNextTransactionId(), iid);
-                    pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                    if (pdus.length === 0) {
-                        throw new Error('M2: No response');
+            const verify = async (): Promise<boolean> => {
+                if (this.usePairResume && this.pairingProtocol.canResume()) {
+                    debug('Start Pair-Resume process ...');
+                    let m2: Buffer | null = null;
+                    try {
+                        const m1 = await this.pairingProtocol.buildPairResumeM1();
+                        m2 = await this._pairingRequest(connection, characteristic, iid, m1, 'M1', 'M2');
+                        await this.pairingProtocol.parsePairResumeM2(m2);
+                        return true;
+                    } catch (err) {
+                        if (err instanceof PairingBackoffError || err instanceof PairingBusyError) {
+                            throw err;
+                        }
+                        debug(`Pair-Resume not accepted: ${err}`);
                     }
 
-                    const response = pdus[0];
-                    const status = response.readUInt8(2);
-                    if (status !== 0) {
-                        throw new Error(`M2: Got error status: ${status}`);
+                    if (m2) {
+                        try {
+                            // The accessory continues with a Pair-Verify M2 if it can not resume the session
+                            await finishPairVerify(m2);
+                            return false;
+                        } catch (err) {
+                            debug(`Fallback to Pair-Verify failed, retry from scratch: ${err}`);
+                        }
                     }
                 }
 
-                const m2Body = decodeBuffer(response.slice(5, response.length));
-
-                if (!m2Body.has(GattConstants.Types['HAP-Param-Value'])) {
-                    throw new Error('M2: HAP-Param-Value missing');
-                }
-
-                try {
-                    await this.pairingProtocol.parsePairResumeM2(m2Body.get(GattConstants.Types['HAP-Param-Value'])!);
-                } catch (_) {
-                    await this.pairingProtocol.parsePairVerifyM2(m2Body.get(GattConstants.Types['HAP-Param-Value'])!);
-
-                    const m3 = await this.pairingProtocol.buildPairVerifyM3();
-                    const m3Data = new Map();
-                    m3Data.set(GattConstants.Types['HAP-Param-Value'], m3);
-                    m3Data.set(GattConstants.Types['HAP-Param-Return-Response'], Buffer.from([1]));
-                    pdu = this.gattProtocol.buildCharacteristicWriteRequest(this.getNextTransactionId(), iid, m3Data);
-
-                    pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                    if (pdus.length === 0) {
-                        throw new Error('M3: No response');
-                    }
+                debug('Start Pair-Verify process ...');
+                const m1 = await this.pairingProtocol.buildPairVerifyM1();
+                const m2 = await this._pairingRequest(connection, characteristic, iid, m1, 'M1', 'M2');
 
-                    response = pdus[0];
-                    status = response.readUInt8(2);
-                    if (status !== 0) {
-                        throw new Error(`M3: Got error status: ${status}`);
-                    }
+                await finishPairVerify(m2);
+                return false;
+            };
 
-                    if (response.length < 5) {
-                        pdu = this.gattProtocol.buildCharacteristicReadRequest(this.getNextTransactionId(), iid);
-                        pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                        if (pdus.length === 0) {
-                            throw new Error('M4: No response');
-                        }
+            let resumed: boolean;
+            if (this.pairVerifyRetryOptions) {
+                resumed = await retryPairing(
+                    verify,
+                    this.pairVerifyRetryOptions,
+                    (info) => {
+                        debug(`${this.deviceId} ${info.error.message}, retry in ${info.delay}ms`);
+                        /**
+                         * Event emitted when the accessory rejected Pair-Verify with kTLVError_Backoff or
+                         * kTLVError_Busy and the client waits before the next attempt
+                         *
+                         * @event GattClient#pair-verify-retry
+                         * @type {Object} { attempt: number, delay: number, error: PairingError }
+                         */
+                        this.emit('pair-verify-retry', info);
+                    },
+                    signal,
+                );
+            } else {
+                resumed = await verify();
+            }
 
-                        response = pdus[0];
-                        status = response.readUInt8(2);
-                        if (status !== 0) {
-                            throw new Error(`M4: Got error status: ${status}`);
-                        }
-                    }
+            const keys = await this.pairingProtocol.getSessionKeys();
+            connection.setSessionKeys(keys);
+            debug(`Finished ${resumed ? 'Pair-Resume' : 'Pair-Verify'} process ...`);
+            /**
+             * Event emitted after a session was established, to show which procedure was used
+             *
+             * @event GattClient#pair-verify
+             * @type {Object} { resumed: boolean }
+             */
+            this.emit('pair-verify', { resumed });
+        }, signal);
+    }
 
-                    const m4Body = decodeBuffer(response.slice(5, response.length));
+    /**
+     * Unpair the controller from a device.
+     *
+     * @param {string|Buffer} identifier - Identifier of the controller to remove
+     * @param {OperationOptions?} options - Timeout and abort signal
+     * @returns {Promise} Promise which resolves when the process completes.
+     */
+    removePairing(identifier: string | Buffer, options?: OperationOptions): Promise<void> {
+        const serviceUuid = GattUtils.uuidToNobleUuid(Service.uuidFromService('public.hap.service.pairing'));
+        const characteristicUuid = GattUtils.uuidToNobleUuid(
+            Characteristic.uuidFromCharacteristic('public.hap.characteristic.pairing.pairings'),
+        );
 
-                    if (!m4Body.has(GattConstants.Types['HAP-Param-Value'])) {
-                        throw new Error('M4: HAP-Param-Value missing');
-                    }
+        return this._queueOperation(async (signal) => {
+            const connection = await this._getVerifiedConnection(signal);
 
-                    await this.pairingProtocol.parsePairVerifyM4(m4Body.get(GattConstants.Types['HAP-Param-Value'])!);
+            try {
+                if (typeof identifier === 'string') {
+                    identifier = PairingProtocol.bufferFromHex(identifier);
                 }
-            } else {
-                const m1 = await this.pairingProtocol.buildPairVerifyM1();
-                const m1Data = new Map();
-                m1Data.set(GattConstants.Types['HAP-Param-Value'], m1);
-                m1Data.set(GattConstants.Types['HAP-Param-Return-Response'], Buffer.from([1]));
-                let pdu = this.gattProtocol.buildCharacteristicWriteRequest(this.getNextTransactionId(), iid, m1Data);
 
-                let pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                if (pdus.length === 0) {
-                    throw new Error('M1: No response');
-                }
+                const { characteristics } = await new GattUtils.Watcher(
+                    this.peripheral,
+                    this.peripheral.discoverSomeServicesAndCharacteristicsAsync([serviceUuid], [characteristicUuid]),
+                ).getPromise();
 
-                let response = pdus[0];
-                let status = response.readUInt8(2);
-                if (status !== 0) {
-                    throw new Error(`M1: Got error status: ${status}`);
-                }
+                const characteristic = characteristics.find((c) => {
+                    return c.uuid === characteristicUuid;
+                });
 
-                if (response.length < 5) {
-                    pdu = this.gattProtocol.buildCharacteristicReadRequest(this.getNextTransactionId(), iid);
+                if (!characteristic) {
+                    throw new Error('pairings characteristic not found');
+                }
 
-                    pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                    if (pdus.length === 0) {
-                        throw new Error('M2: No response');
-                    }
+                const iid = await this._readInstanceId(characteristic);
 
-                    response = pdus[0];
-                    status = response.readUInt8(2);
-                    if (status !== 0) {
-                        throw new Error(`M2: Got error status: ${status}`);
-                    }
-                }
+                const m1 = await this.pairingProtocol.buildRemovePairingM1(identifier);
+                const m2 = await this._pairingRequest(connection, characteristic, iid, m1, 'M1', 'M2');
 
-                const m2Body = decodeBuffer(response.slice(5, response.length));
+                await this.pairingProtocol.parseRemovePairingM2(m2);
 
-                if (!m2Body.has(GattConstants.Types['HAP-Param-Value'])) {
-                    throw new Error('M2: HAP-Param-Value missing');
+                if (this.pairingStore && this._isOwnPairingIdentifier(identifier)) {
+                    await this.pairingStore.delete(this.deviceId);
                 }
 
-                await this.pairingProtocol.parsePairVerifyM2(m2Body.get(GattConstants.Types['HAP-Param-Value'])!);
-
-                const m3 = await this.pairingProtocol.buildPairVerifyM3();
-                const m3Data = new Map();
-                m3Data.set(GattConstants.Types['HAP-Param-Value'], m3);
-                m3Data.set(GattConstants.Types['HAP-Param-Return-Response'], Buffer.from([1]));
-                pdu = this.gattProtocol.buildCharacteristicWriteRequest(this.getNextTransactionId(), iid, m3Data);
-
-                pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                if (pdus.length === 0) {
-                    throw new Error('M3: No response');
-                }
-
-                response = pdus[0];
-                status = response.readUInt8(2);
-                if (status !== 0) {
-                    throw new Error(`M3: Got error status: ${status}`);
-                }
-
-                if (response.length < 5) {
-                    pdu = this.gattProtocol.buildCharacteristicReadRequest(this.getNextTransactionId(), iid);
-
-                    pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                    if (pdus.length === 0) {
-                        throw new Error('M4: No response');
-                    }
-
-                    response = pdus[0];
-                    status = response.readUInt8(2);
-                    if (status !== 0) {
-                        throw new Error(`M4: Got error status: ${status}`);
-                    }
-                }
-
-                const m4Body = decodeBuffer(response.slice(5, response.length));
-
-                if (!m4Body.has(GattConstants.Types['HAP-Param-Value'])) {
-                    throw new Error('M4: HAP-Param-Value missing');
-                }
-
-                await this.pairingProtocol.parsePairVerifyM4(m4Body.get(GattConstants.Types['HAP-Param-Value'])!);
-            }
-
-            const keys = await this.pairingProtocol.getSessionKeys();
-            connection.setSessionKeys(keys);
-            debug('Finished Pair-Verify process ...');
-        });
-    }
-
-    /**
-     * Unpair the controller from a device.
-     *
-     * @param {string|Buffer} identifier - Identifier of the controller to remove
-     * @returns {Promise} Promise which resolves when the process completes.
-     */
-    removePairing(identifier: string | Buffer): Promise<void> {
-        const serviceUuid = GattUtils.uuidToNobleUuid(Service.uuidFromService('public.hap.service.pairing'));
-        const characteristicUuid = GattUtils.uuidToNobleUuid(
-            Characteristic.uuidFromCharacteristic('public.hap.characteristic.pairing.pairings'),
-        );
-
-        return this._queueOperation(async () => {
-            const connection = new GattConnection(this.peripheral);
-
-            try {
-                if (typeof identifier === 'string') {
-                    identifier = PairingProtocol.bufferFromHex(identifier);
-                }
-
-                await connection.connect();
-                await this._pairVerify(connection);
-
-                const { characteristics } = await new GattUtils.Watcher(
-                    this.peripheral,
-                    this.peripheral.discoverSomeServicesAndCharacteristicsAsync([serviceUuid], [characteristicUuid]),
-                ).getPromise();
-
-                const characteristic = characteristics.find((c) => {
-                    return c.uuid === characteristicUuid;
-                });
-
-                if (!characteristic) {
-                    throw new Error('pairings characteristic not found');
-                }
-
-                const iid = await this._readInstanceId(characteristic);
-
-                await this._pairVerify(connection);
-
-                const packet = await this.pairingProtocol.buildRemovePairingM1(identifier);
-                const data = new Map();
-                data.set(GattConstants.Types['HAP-Param-Value'], packet);
-                data.set(GattConstants.Types['HAP-Param-Return-Response'], Buffer.from([1]));
-                const pdu = this.gattProtocol.buildCharacteristicWriteRequest(this.getNextTransactionId(), iid, data);
-
-                let pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                if (pdus.length === 0) {
-                    throw new Error('M1: No response');
-                }
-
-                let response = pdus[0];
-                let status = response.readUInt8(2);
-                if (status !== 0) {
-                    throw new Error(`M1: Got error status: ${status}`);
-                }
-
-                if (response.length < 5) {
-                    const pdu = this.gattProtocol.buildCharacteristicReadRequest(this.getNextTransactionId(), iid);
-                    pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-
-                    if (pdus.length === 0) {
-                        throw new Error('M2: No response');
-                    }
-
-                    response = pdus[0];
-                    status = response.readUInt8(2);
-                    if (status !== 0) {
-                        throw new Error(`M2: Got error status: ${status}`);
-                    }
-                }
-
-                const body = decodeBuffer(response.slice(5, response.length));
-
-                if (!body.has(GattConstants.Types['HAP-Param-Value'])) {
-                    throw new Error('M2: HAP-Param-Value missing');
-                }
-
-                await this.pairingProtocol.parseRemovePairingM2(body.get(GattConstants.Types['HAP-Param-Value'])!);
-
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect().catch(() => {});
-            } catch (err) {
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect().catch(() => {});
-                throw err;
-            }
-        });
-    }
+                await this._releaseConnection(connection);
+            } catch (err) {
+                await this._releaseConnection(connection, true);
+                throw err;
+            }
+        }, options);
+    }
 
     /**
      * Add a pairing to a device.
@@ -805,20 +1106,19 @@ export default class GattClient extends EventEmitter {
      * @param {string} identifier - Identifier of new controller
      * @param {Buffer} ltpk - Long-term public key of the new controller
      * @param {boolean} isAdmin - Whether or not the new controller is an admin
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves when the process is complete.
      */
-    addPairing(identifier: string, ltpk: Buffer, isAdmin: boolean): Promise<void> {
+    addPairing(identifier: string, ltpk: Buffer, isAdmin: boolean, options?: OperationOptions): Promise<void> {
         const serviceUuid = GattUtils.uuidToNobleUuid(Service.uuidFromService('public.hap.service.pairing'));
         const characteristicUuid = GattUtils.uuidToNobleUuid(
             Characteristic.uuidFromCharacteristic('public.hap.characteristic.pairing.pairings'),
         );
 
-        return this._queueOperation(async () => {
-            const connection = new GattConnection(this.peripheral);
+        return this._queueOperation(async (signal) => {
+            const connection = await this._getVerifiedConnection(signal);
 
             try {
-                await connection.connect();
-
                 const { characteristics } = await new GattUtils.Watcher(
                     this.peripheral,
                     this.peripheral.discoverSomeServicesAndCharacteristicsAsync([serviceUuid], [characteristicUuid]),
@@ -834,75 +1134,36 @@ export default class GattClient extends EventEmitter {
 
                 const iid = await this._readInstanceId(characteristic);
 
-                await this._pairVerify(connection);
+                const m1 = await this.pairingProtocol.buildAddPairingM1(identifier, ltpk, isAdmin);
+                const m2 = await this._pairingRequest(connection, characteristic, iid, m1, 'M1', 'M2');
 
-                const packet = await this.pairingProtocol.buildAddPairingM1(identifier, ltpk, isAdmin);
-                const data = new Map();
-                data.set(GattConstants.Types['HAP-Param-Value'], packet);
-                data.set(GattConstants.Types['HAP-Param-Return-Response'], Buffer.from([1]));
-                let pdu = this.gattProtocol.buildCharacteristicWriteRequest(this.getNextTransactionId(), iid, data);
-
-                let pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                if (pdus.length === 0) {
-                    throw new Error('M1: No response');
-                }
-
-                let response = pdus[0];
-                let status = response.readUInt8(2);
-                if (status !== 0) {
-                    throw new Error(`M1: Got error status: ${status}`);
-                }
-
-                if (response.length < 5) {
-                    pdu = this.gattProtocol.buildCharacteristicReadRequest(this.getNextTransactionId(), iid);
-                    pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                    if (pdus.length === 0) {
-                        throw new Error('M2: No response');
-                    }
-
-                    response = pdus[0];
-                    status = response.readUInt8(2);
-                    if (status !== 0) {
-                        throw new Error(`M2: Got error status: ${status}`);
-                    }
-                }
-
-                const body = decodeBuffer(response.slice(5, response.length));
-
-                if (!body.has(GattConstants.Types['HAP-Param-Value'])) {
-                    throw new Error('M2: HAP-Param-Value missing');
-                }
+                await this.pairingProtocol.parseAddPairingM2(m2);
 
-                await this.pairingProtocol.parseAddPairingM2(body.get(GattConstants.Types['HAP-Param-Value'])!);
-
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect().catch(() => {});
+                await this._releaseConnection(connection);
             } catch (err) {
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect();
+                await this._releaseConnection(connection, true);
                 throw err;
             }
-        });
+        }, options);
     }
 
     /**
      * List the pairings on a device.
      *
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves to the final TLV when the process
      *                    is complete.
      */
-    listPairings(): Promise<TLV> {
+    listPairings(options?: OperationOptions): Promise<TLV> {
         const serviceUuid = GattUtils.uuidToNobleUuid(Service.uuidFromService('public.hap.service.pairing'));
         const characteristicUuid = GattUtils.uuidToNobleUuid(
             Characteristic.uuidFromCharacteristic('public.hap.characteristic.pairing.pairings'),
         );
 
-        return this._queueOperation(async () => {
-            const connection = new GattConnection(this.peripheral);
+        return this._queueOperation(async (signal) => {
+            const connection = await this._getVerifiedConnection(signal);
 
             try {
-                await connection.connect();
-
                 const { characteristics } = await new GattUtils.Watcher(
                     this.peripheral,
                     this.peripheral.discoverSomeServicesAndCharacteristicsAsync([serviceUuid], [characteristicUuid]),
@@ -918,67 +1179,45 @@ export default class GattClient extends EventEmitter {
 
                 const iid = await this._readInstanceId(characteristic);
 
-                await this._pairVerify(connection);
-
-                const packet = await this.pairingProtocol.buildListPairingsM1();
-                const data = new Map();
-                data.set(GattConstants.Types['HAP-Param-Value'], packet);
-                data.set(GattConstants.Types['HAP-Param-Return-Response'], Buffer.from([1]));
-                let pdu = this.gattProtocol.buildCharacteristicWriteRequest(this.getNextTransactionId(), iid, data);
-
-                let pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                if (pdus.length === 0) {
-                    throw new Error('M1: No response');
-                }
-
-                let response = pdus[0];
-                let status = response.readUInt8(2);
-                if (status !== 0) {
-                    throw new Error(`M1: Got error status: ${status}`);
-                }
-
-                if (response.length < 5) {
-                    pdu = this.gattProtocol.buildCharacteristicReadRequest(this.getNextTransactionId(), iid);
-                    pdus = await connection.writeCharacteristic(characteristic, [pdu]);
-                    if (pdus.length === 0) {
-                        throw new Error('M2: No response');
-                    }
-
-                    response = pdus[0];
-                    status = response.readUInt8(2);
-                    if (status !== 0) {
-                        throw new Error(`M2: Got error status: ${status}`);
-                    }
-                }
+                const m1 = await this.pairingProtocol.buildListPairingsM1();
+                const m2 = await this._pairingRequest(connection, characteristic, iid, m1, 'M1', 'M2');
 
-                const body = decodeBuffer(response.slice(5, response.length));
+                const tlv = await this.pairingProtocol.parseListPairingsM2(m2);
 
-                if (!body.has(GattConstants.Types['HAP-Param-Value'])) {
-                    throw new Error('M2: HAP-Param-Value missing');
-                }
-
-                const tlv = await this.pairingProtocol.parseListPairingsM2(
-                    body.get(GattConstants.Types['HAP-Param-Value'])!,
-                );
-
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect().catch(() => {});
+                await this._releaseConnection(connection);
 
                 return tlv;
             } catch (err) {
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect().catch(() => {});
+                await this._releaseConnection(connection, true);
                 throw err;
             }
-        });
+        }, options);
+    }
+
+    /**
+     * List the pairings on a device, parsed into a list of pairings.
+     *
+     * @param {OperationOptions?} options - Timeout and abort signal
+     * @returns {Promise} Promise which resolves to the list of pairings.
+     */
+    async getPairings(options?: OperationOptions): Promise<Pairing[]> {
+        return parsePairings(await this.listPairings(options));
     }
 
     /**
      * Get the accessory attribute database from a device.
      *
+     * @param {boolean} refresh - Read the database from the device even if the accessory cache has it
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves to the JSON document.
      */
-    getAccessories(): Promise<Accessories> {
+    getAccessories(refresh = false, options?: OperationOptions): Promise<Accessories> {
+        const cached = refresh ? null : this.accessoryCache?.get(this.deviceId, 'ble');
+        if (cached) {
+            this.setAccessoryMetadata(cached);
+            return Promise.resolve(cached);
+        }
+
         const pairingUuid = GattUtils.uuidToNobleUuid(Service.uuidFromService('public.hap.service.pairing'));
         const protocolInformationUuid = GattUtils.uuidToNobleUuid(
             Service.uuidFromService('public.hap.service.protocol.information.service'),
@@ -986,7 +1225,8 @@ export default class GattClient extends EventEmitter {
         const serviceInstanceIdUuid = GattUtils.uuidToNobleUuid(GattConstants.ServiceInstanceIdUuid);
         const serviceSignatureUuid = GattUtils.uuidToNobleUuid(GattConstants.ServiceSignatureUuid);
 
-        return this._queueOperation(async () => {
+        return this._queueOperation(async (signal) => {
+            const configNumber = this.accessoryCache?.getConfigNumber(this.deviceId, 'ble') ?? null;
             const database: Accessories = {
                 accessories: [
                     {
@@ -996,7 +1236,9 @@ export default class GattClient extends EventEmitter {
                 ],
             };
 
-            const connection = new GattConnection(this.peripheral);
+            const connection = this.usePersistentConnections
+                ? await this._getVerifiedConnection(signal)
+                : new GattConnection(this.peripheral);
             try {
                 await connection.connect();
 
@@ -1109,8 +1351,7 @@ export default class GattClient extends EventEmitter {
                                 return;
                             }
 
-                            const response = pdus[0];
-                            const body = decodeBuffer(response.slice(5, response.length));
+                            const body = this._decodeResponseBody(pdus);
 
                             const props = body.get(GattConstants.Types['HAP-Param-HAP-Service-Properties']);
                             if (props && props.length) {
@@ -1136,7 +1377,9 @@ export default class GattClient extends EventEmitter {
 
                 await lastOp;
 
-                await this._pairVerify(connection);
+                if (connection !== this.persistentConnection) {
+                    await this._pairVerify(connection, signal);
+                }
 
                 const toFetch = [];
                 for (const c of characteristics) {
@@ -1196,16 +1439,26 @@ export default class GattClient extends EventEmitter {
                     Object.assign(characteristic, entry);
                 }
 
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect().catch(() => {});
+                await this._releaseConnection(connection);
 
+                this.setAccessoryMetadata(database);
+                this.accessoryCache?.set(this.deviceId, 'ble', database, configNumber);
                 return database;
             } catch (err) {
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect().catch(() => {});
+                await this._releaseConnection(connection, true);
                 throw err;
             }
-        });
+        }, options);
+    }
+
+    /**
+     * Set the accessory database used to validate writes, e.g. a cached copy of
+     * an earlier getAccessories() result.
+     *
+     * @param {Accessories} accessories - Accessory database
+     */
+    setAccessoryMetadata(accessories: Accessories): void {
+        this.characteristicMetadata = characteristicMetadataMap(accessories);
     }
 
     /**
@@ -1213,9 +1466,9 @@ export default class GattClient extends EventEmitter {
      *
      * @param {Object[]} characteristics - Characteristics to get, as a list of
      *                   objects: {characteristicUuid, serviceUuid, iid, format}
-     * @param {Object?} options - Options dictating what metadata to fetch
+     * @param {Object?} options - Options dictating what metadata to fetch, timeout and abort signal
      * @param {Object?} connection - Existing GattConnection object, must already
-     *                  be paired and verified
+     *                  be paired and verified, the operation is not queued then
      * @returns {Promise} Promise which resolves to the JSON document.
      */
     getCharacteristics(
@@ -1230,7 +1483,9 @@ export default class GattClient extends EventEmitter {
     ): Promise<{ characteristics: Characteristic.CharacteristicObject[] }> {
         const skipQueue = connection !== null;
 
-        const fn = async (): Promise<{ characteristics: Characteristic.CharacteristicObject[] }> => {
+        const fn = async (
+            signal?: AbortSignal,
+        ): Promise<{ characteristics: Characteristic.CharacteristicObject[] }> => {
             options = Object.assign(
                 {
                     meta: false,
@@ -1248,10 +1503,7 @@ export default class GattClient extends EventEmitter {
             try {
                 if (!connection) {
                     needToClose = true;
-                    connection = new GattConnection(this.peripheral);
-
-                    await connection.connect();
-                    await this._pairVerify(connection);
+                    connection = await this._getVerifiedConnection(signal);
                 }
 
                 for (const c of characteristics) {
@@ -1318,7 +1570,7 @@ export default class GattClient extends EventEmitter {
                                 throw new Error(`Got error status while reading signature: ${status}`);
                             }
 
-                            const body = decodeBuffer(response.slice(5, response.length));
+                            const body = this._decodeResponseBody(pdus);
 
                             const properties = body.get(
                                 GattConstants.Types['HAP-Param-HAP-Characteristic-Properties-Descriptor'],
@@ -1374,7 +1626,7 @@ export default class GattClient extends EventEmitter {
                                     entry.format = hapFormat;
                                 }
 
-                                const sigUnit = format.readUInt16LE(3);
+                                const sigUnit = format.readUInt16LE(2);
                                 const hapUnit = GattConstants.BTSigToHapUnit.get(sigUnit);
                                 if (hapUnit) {
                                     entry.unit = hapUnit;
@@ -1383,34 +1635,10 @@ export default class GattClient extends EventEmitter {
 
                             const validRange = body.get(GattConstants.Types['HAP-Param-GATT-Valid-Range']);
 
-                            if (validRange && options.meta && entry.format) {
-                                switch (entry.format) {
-                                    case 'uint8':
-                                        entry.minValue = validRange.readUInt8(0);
-                                        entry.maxValue = validRange.readUInt8(1);
-                                        break;
-                                    case 'uint16':
-                                        entry.minValue = validRange.readUInt16LE(0);
-                                        entry.maxValue = validRange.readUInt16LE(2);
-                                        break;
-                                    case 'uint32':
-                                        entry.minValue = validRange.readUInt32LE(0);
-                                        entry.maxValue = validRange.readUInt32LE(4);
-                                        break;
-                                    case 'uint64':
-                                        entry.minValue = validRange.readUInt32LE(0) || validRange.readUInt32LE(4) << 32;
-                                        entry.maxValue =
-                                            validRange.readUInt32LE(8) || validRange.readUInt32LE(16) << 32;
-                                        break;
-                                    case 'int':
-                                        entry.minValue = validRange.readInt32LE(0);
-                                        entry.maxValue = validRange.readInt32LE(4);
-                                        break;
-                                    case 'float':
-                                        entry.minValue = validRange.readFloatLE(0);
-                                        entry.maxValue = validRange.readFloatLE(4);
-                                        break;
-                                }
+                            if (validRange && options.meta && entry.format && NumericFormats.includes(entry.format)) {
+                                const half = validRange.length / 2;
+                                entry.minValue = decodeNumber(validRange.subarray(0, half), entry.format);
+                                entry.maxValue = decodeNumber(validRange.subarray(half), entry.format);
 
                                 if (!Number.isFinite(entry.minValue)) {
                                     delete entry.minValue;
@@ -1422,27 +1650,8 @@ export default class GattClient extends EventEmitter {
                             }
 
                             const stepValue = body.get(GattConstants.Types['HAP-Param-HAP-Step-Value-Descriptor']);
-                            if (stepValue && options.meta && entry.format) {
-                                switch (entry.format) {
-                                    case 'uint8':
-                                        entry.minStep = stepValue.readUInt8(0);
-                                        break;
-                                    case 'uint16':
-                                        entry.minStep = stepValue.readUInt16LE(0);
-                                        break;
-                                    case 'uint32':
-                                        entry.minStep = stepValue.readUInt32LE(0);
-                                        break;
-                                    case 'uint64':
-                                        entry.minStep = stepValue.readUInt32LE(0) || stepValue.readUInt32LE(4) << 32;
-                                        break;
-                                    case 'int':
-                                        entry.minStep = stepValue.readInt32LE(0);
-                                        break;
-                                    case 'float':
-                                        entry.minStep = stepValue.readFloatLE(0);
-                                        break;
-                                }
+                            if (stepValue && options.meta && entry.format && NumericFormats.includes(entry.format)) {
+                                entry.minStep = decodeNumber(stepValue, entry.format);
                             }
 
                             const validValues = body.get(GattConstants.Types['HAP-Param-HAP-Valid-Values-Descriptor']);
@@ -1509,8 +1718,7 @@ export default class GattClient extends EventEmitter {
                                 return;
                             }
 
-                            const response = pdus[0];
-                            const body = decodeBuffer(response.slice(5, response.length));
+                            const body = this._decodeResponseBody(pdus);
                             const value = body.get(GattConstants.Types['HAP-Param-Value']);
                             if (!value) {
                                 return;
@@ -1534,15 +1742,13 @@ export default class GattClient extends EventEmitter {
                 await lastOp;
 
                 if (needToClose) {
-                    // eslint-disable-next-line @typescript-eslint/no-empty-function
-                    await connection!.disconnect().catch(() => {});
+                    await this._releaseConnection(connection!);
                 }
 
                 return { characteristics: updatedEntries };
             } catch (err) {
-                if (needToClose) {
-                    // eslint-disable-next-line @typescript-eslint/no-empty-function
-                    await connection!.disconnect().catch(() => {});
+                if (needToClose && connection) {
+                    await this._releaseConnection(connection, true);
                 }
 
                 throw err;
@@ -1553,27 +1759,51 @@ export default class GattClient extends EventEmitter {
             return fn();
         }
 
-        return this._queueOperation(fn);
+        return this._queueOperation(fn, options);
     }
 
     /**
      * Modify a set of characteristics.
      *
      * @param {Object[]} values - Characteristics to set, as a list of objects:
-     *                   {characteristicUuid, serviceUuid, iid, value}
-     * @returns {Promise} Promise which resolves when the characteristics have been set.
+     *                   {characteristicUuid, serviceUuid, iid, value}. Values which are not
+     *                   a Buffer are encoded using the known characteristic format.
+     * @param {OperationOptions?} options - Timeout and abort signal
+     * @returns {Promise} Promise which resolves to the written values, after the validateWrites
+     *                    coercion, when the characteristics have been set.
+     * @throws {HomekitControllerError} If validateWrites is enabled and a value is invalid
      */
-    setCharacteristics(
+    async setCharacteristics(
         values: { characteristicUuid: string; serviceUuid: string; iid: number; value: unknown }[],
-    ): Promise<void> {
-        return this._queueOperation(async () => {
-            const connection = new GattConnection(this.peripheral);
+        options?: OperationOptions,
+    ): Promise<unknown[]> {
+        const written = values.map((v) => v.value);
+        for (const [index, v] of values.entries()) {
+            const metadata = this.characteristicMetadata.get(`1.${v.iid}`);
+            if (!metadata) {
+                continue;
+            }
 
-            try {
-                await connection.connect();
+            if (Buffer.isBuffer(v.value) || !metadata.format) {
+                if (this.validationOptions) {
+                    // already encoded or format unknown, so only the permissions can be checked
+                    // eslint-disable-next-line no-undefined
+                    validateCharacteristicValue({ ...metadata, format: undefined }, v.value);
+                }
+                continue;
+            }
+
+            const value = this.validationOptions
+                ? validateCharacteristicValue(metadata, v.value, this.validationOptions)
+                : v.value;
+            written[index] = value;
+            v.value = GattUtils.valueToBuffer(value, metadata.format);
+        }
 
-                await this._pairVerify(connection);
+        return this._queueOperation(async (signal) => {
+            const connection = await this._getVerifiedConnection(signal);
 
+            try {
                 for (const v of values) {
                     v.characteristicUuid = GattUtils.uuidToNobleUuid(v.characteristicUuid);
                     v.serviceUuid = GattUtils.uuidToNobleUuid(v.serviceUuid);
@@ -1588,11 +1818,15 @@ export default class GattClient extends EventEmitter {
                 ).getPromise();
 
                 const queue = new OpQueue();
-                let lastOp = Promise.resolve();
+                // all results are awaited, so a failed write is not an unhandled rejection
+                const writes: Promise<void>[] = [];
 
                 for (const v of values) {
                     const characteristic = characteristics.find((c) => {
-                        return (<{ _serviceUuid: string }>(<unknown>c))._serviceUuid === v.serviceUuid;
+                        return (
+                            (<{ _serviceUuid: string }>(<unknown>c))._serviceUuid === v.serviceUuid &&
+                            c.uuid === v.characteristicUuid
+                        );
                     });
 
                     if (!characteristic) {
@@ -1601,27 +1835,89 @@ export default class GattClient extends EventEmitter {
 
                     const data = new Map();
                     data.set(GattConstants.Types['HAP-Param-Value'], v.value);
-                    const pdu = this.gattProtocol.buildCharacteristicWriteRequest(
-                        this.getNextTransactionId(),
-                        v.iid,
-                        data,
-                    );
 
-                    lastOp = queue.queue(async () => {
-                        await connection.writeCharacteristic(characteristic, [pdu]);
-                    });
+                    writes.push(
+                        queue.queue(async () => {
+                            if (this.characteristicMetadata.get(`1.${v.iid}`)?.perms?.includes('tw')) {
+                                await this._timedWrite(connection, characteristic, v.iid, data);
+                                return;
+                            }
+
+                            const pdu = this.gattProtocol.buildCharacteristicWriteRequest(
+                                this.getNextTransactionId(),
+                                v.iid,
+                                data,
+                            );
+                            const pdus = await connection.writeCharacteristic(characteristic, [pdu]);
+                            if (pdus.length === 0) {
+                                throw new Error(`No response to write of ${v.iid}`);
+                            }
+
+                            const status = pdus[0].readUInt8(2);
+                            if (status !== 0) {
+                                throw new Error(`Write of ${v.iid} returned error status: ${status}`);
+                            }
+                        }),
+                    );
                 }
 
-                await lastOp;
+                await Promise.all(writes);
 
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect().catch(() => {});
+                await this._releaseConnection(connection);
+                return written;
             } catch (err) {
-                // eslint-disable-next-line @typescript-eslint/no-empty-function
-                await connection.disconnect().catch(() => {});
+                await this._releaseConnection(connection, true);
                 throw err;
             }
-        });
+        }, options);
+    }
+
+    /**
+     * Write a value with the timed write procedure, as required for characteristics with the
+     * "tw" permission: a timed write request with the value and a TTL, followed by an execute
+     * write request.
+     *
+     * See Chapter 7.3.5.4
+     *
+     * @param {GattConnection} connection - Verified connection
+     * @param {Object} characteristic - Characteristic object to write to
+     * @param {number} iid - Instance ID of the characteristic
+     * @param {TLV} data - Request body with the value
+     * @returns {Promise} Promise which resolves when the value is written.
+     */
+    private async _timedWrite(
+        connection: GattConnection,
+        characteristic: NobleCharacteristic,
+        iid: number,
+        data: TLV,
+    ): Promise<void> {
+        data.set(GattConstants.Types['HAP-Param-TTL'], Buffer.from([DefaultTimedWriteTTL / 100]));
+        const timedWritePdu = this.gattProtocol.buildCharacteristicTimedWriteRequest(
+            this.getNextTransactionId(),
+            iid,
+            data,
+        );
+
+        let pdus = await connection.writeCharacteristic(characteristic, [timedWritePdu]);
+        if (pdus.length === 0) {
+            throw new Error(`No response to timed write of ${iid}`);
+        }
+
+        let response = this.gattProtocol.parseCharacteristicTimedWriteResponse(pdus[0]);
+        if (response.status !== 0) {
+            throw new Error(`Timed write of ${iid} returned error status: ${response.status}`);
+        }
+
+        const executePdu = this.gattProtocol.buildCharacteristicExecuteWriteRequest(this.getNextTransactionId(), iid);
+        pdus = await connection.writeCharacteristic(characteristic, [executePdu]);
+        if (pdus.length === 0) {
+            throw new Error(`No response to execute write of ${iid}`);
+        }
+
+        response = this.gattProtocol.parseCharacteristicExecuteWriteResponse(pdus[0]);
+        if (response.status !== 0) {
+            throw new Error(`Execute write of ${iid} returned error status: ${response.status}`);
+        }
     }
 
     /**
@@ -1632,10 +1928,14 @@ export default class GattClient extends EventEmitter {
      * @param {Object[]} characteristics - Characteristics to subscribe to, as a
      *                   list of objects:
      *                   {characteristicUuid, serviceUuid, iid, format}
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves to the GattConnection object.
      */
-    subscribeCharacteristics(characteristics: GattSubscriptionCharacteristicData[]): Promise<void> {
-        return this._queueOperation(async () => {
+    subscribeCharacteristics(
+        characteristics: GattSubscriptionCharacteristicData[],
+        options?: OperationOptions,
+    ): Promise<void> {
+        return this._queueOperation(async (signal) => {
             const newSubscriptions: GattSubscriptionCharacteristicData[] = [];
             for (const c of characteristics) {
                 if (this.subscribedCharacteristics.find((char) => char.iid === c.iid)) {
@@ -1647,90 +1947,95 @@ export default class GattClient extends EventEmitter {
                 newSubscriptions.push(c);
             }
 
-            if (newSubscriptions.length) {
-                let connection: GattConnection;
-                if (this.subscriptionConnection) {
-                    connection = this.subscriptionConnection;
-                } else {
-                    connection = this.subscriptionConnection = new GattConnection(this.peripheral);
-                    await connection.connect();
-                    connection.once('disconnected', () => {
-                        delete this.subscriptionConnection;
-                        if (this.subscribedCharacteristics.length) {
-                            /**
-                             * Event emitted when subscription connection got disconnected, but
-                             * still some characteristics are subscribed.
-                             * You need to manually resubscribe!
-                             *
-                             * @event GattClient#event-disconnect
-                             * @type {Object[]} List of the subscribed characteristics for resubscribe handling
-                             */
-                            this.emit('event-disconnect', this.subscribedCharacteristics);
-                            this.subscribedCharacteristics = [];
+            try {
+                if (newSubscriptions.length) {
+                    let connection: GattConnection;
+                    if (this.usePersistentConnections) {
+                        connection = await this._getVerifiedConnection(signal);
+                    } else {
+                        if (this.subscriptionConnection) {
+                            connection = this.subscriptionConnection;
+                        } else {
+                            connection = new GattConnection(this.peripheral);
+                            this._setSubscriptionConnection(connection);
+                            await connection.connect();
                         }
-                    });
-                }
+                        await this._pairVerify(connection, signal);
+                    }
 
-                await this._pairVerify(connection);
+                    const { characteristics: discoveredCharacteristics } = await new GattUtils.Watcher(
+                        this.peripheral,
+                        this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
+                            Array.from(new Set(newSubscriptions.map((c) => c.serviceUuid))),
+                            Array.from(new Set(newSubscriptions.map((c) => c.characteristicUuid))),
+                        ),
+                    ).getPromise();
 
-                const { characteristics: discoveredCharacteristics } = await new GattUtils.Watcher(
-                    this.peripheral,
-                    this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
-                        Array.from(new Set(newSubscriptions.map((c) => c.serviceUuid))),
-                        Array.from(new Set(newSubscriptions.map((c) => c.characteristicUuid))),
-                    ),
-                ).getPromise();
-
-                const queue = new OpQueue();
-                let lastOp = Promise.resolve();
+                    const queue = new OpQueue();
+                    let lastOp = Promise.resolve();
 
-                for (const c of newSubscriptions) {
-                    const characteristic = discoveredCharacteristics.find((d) => {
-                        return (
-                            (<{ _serviceUuid: string }>(<unknown>d))._serviceUuid === c.serviceUuid &&
-                            d.uuid === c.characteristicUuid
-                        );
-                    });
+                    for (const c of newSubscriptions) {
+                        const characteristic = discoveredCharacteristics.find((d) => {
+                            return (
+                                (<{ _serviceUuid: string }>(<unknown>d))._serviceUuid === c.serviceUuid &&
+                                d.uuid === c.characteristicUuid
+                            );
+                        });
 
-                    if (!characteristic) {
-                        throw new Error(`Characteristic not found: ${JSON.stringify(c)}`);
-                    }
+                        if (!characteristic) {
+                            throw new Error(`Characteristic not found: ${JSON.stringify(c)}`);
+                        }
 
-                    if (!characteristic.properties.includes('indicate')) {
-                        throw new Error(`Characteristic not available to subscribe: ${JSON.stringify(c)}`);
-                    }
+                        if (!characteristic.properties.includes('indicate')) {
+                            throw new Error(`Characteristic not available to subscribe: ${JSON.stringify(c)}`);
+                        }
 
-                    lastOp = queue.queue(async () => {
-                        await new GattUtils.Watcher(this.peripheral, characteristic.subscribeAsync()).getPromise();
-                    });
+                        lastOp = queue.queue(async () => {
+                            await new GattUtils.Watcher(this.peripheral, characteristic.subscribeAsync()).getPromise();
+                        });
 
-                    characteristic.on('data', async (data: Buffer) => {
-                        // Indications come up as empty buffers. A characteristic read
-                        // should be triggered when this happens.
-                        if (Buffer.isBuffer(data) && data.length === 0) {
-                            if (!this.subscriptionConnection) {
-                                return;
-                            }
-                            try {
-                                const res = await this.getCharacteristics([c], {}, this.subscriptionConnection);
-                                /**
-                                 * Event emitted with characteristic value changes
-                                 *
-                                 * @event GattClient#event
-                                 */
-                                this.emit('event', res);
-                            } catch (err) {
-                                // ignore
+                        characteristic.on('data', async (data: Buffer) => {
+                            // Indications come up as empty buffers. A characteristic read
+                            // should be triggered when this happens.
+                            if (Buffer.isBuffer(data) && data.length === 0) {
+                                const subscriptionConnection = this.subscriptionConnection;
+                                if (!subscriptionConnection) {
+                                    return;
+                                }
+                                const read = (): Promise<{ characteristics: Characteristic.CharacteristicObject[] }> =>
+                                    this.getCharacteristics([c], {}, subscriptionConnection);
+                                try {
+                                    // the persistent connection is shared with the queued operations, so the
+                                    // read must not interleave with their requests on the same session
+                                    const res =
+                                        subscriptionConnection === this.persistentConnection
+                                            ? await this._queueOperation(read)
+                                            : await read();
+                                    /**
+                                     * Event emitted with characteristic value changes
+                                     *
+                                     * @event GattClient#event
+                                     */
+                                    this.emit('event', res);
+                                } catch (err) {
+                                    // ignore
+                                }
                             }
-                        }
-                    });
-                }
+                        });
+                    }
 
-                await lastOp;
+                    await lastOp;
 
-                this.subscribedCharacteristics = this.subscribedCharacteristics.concat(newSubscriptions);
+                    this.subscribedCharacteristics = this.subscribedCharacteristics.concat(newSubscriptions);
+                    if (this.subscriptionConnection !== connection) {
+                        this._setSubscriptionConnection(connection);
+                    }
+                }
+            } finally {
+                // the persistent connection stays open while it carries subscriptions
+                this._startIdleTimer();
             }
-        });
+        }, options);
     }
 
     /**
@@ -1753,24 +2058,165 @@ export default class GattClient extends EventEmitter {
      * @param {Object[]} characteristics - Characteristics to unsubscribe from, as
      *                   a list of objects: {characteristicUuid, serviceUuid},
      *                   if ommited all currently subscribed characteristics will be unsubscribed
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves when the procedure is done.
      */
     async unsubscribeCharacteristics(
         characteristics?: { characteristicUuid: string; serviceUuid: string }[],
+        options?: OperationOptions,
     ): Promise<void> {
-        if (!this.subscriptionConnection || !this.subscribedCharacteristics.length) {
-            return;
+        return runOperation(options, (signal) =>
+            this._watchOperation(async () => {
+                if (!this.subscriptionConnection || !this.subscribedCharacteristics.length) {
+                    return;
+                }
+
+                if (!characteristics) {
+                    characteristics = this.subscribedCharacteristics;
+                }
+
+                for (const c of characteristics) {
+                    c.characteristicUuid = GattUtils.uuidToNobleUuid(c.characteristicUuid);
+                    c.serviceUuid = GattUtils.uuidToNobleUuid(c.serviceUuid);
+                }
+
+                const { characteristics: discoveredCharacteristics } = await new GattUtils.Watcher(
+                    this.peripheral,
+                    this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
+                        Array.from(new Set(characteristics.map((c) => c.serviceUuid))),
+                        Array.from(new Set(characteristics.map((c) => c.characteristicUuid))),
+                    ),
+                ).getPromise();
+
+                const queue = new OpQueue();
+                let lastOp = Promise.resolve();
+
+                for (const c of characteristics) {
+                    const characteristic = discoveredCharacteristics.find((d) => {
+                        return (
+                            (<{ _serviceUuid: string }>(<unknown>d))._serviceUuid === c.serviceUuid &&
+                            d.uuid === c.characteristicUuid
+                        );
+                    });
+
+                    if (!characteristic) {
+                        throw new Error(`Characteristic not found: ${JSON.stringify(c)}`);
+                    }
+
+                    lastOp = queue.queue(async () => {
+                        await new GattUtils.Watcher(this.peripheral, characteristic.unsubscribeAsync()).getPromise();
+                    });
+                }
+
+                await lastOp;
+
+                this.subscribedCharacteristics = this.subscribedCharacteristics.filter(
+                    (s) =>
+                        !characteristics!.find(
+                            (c) => c.serviceUuid === s.serviceUuid && c.characteristicUuid === s.characteristicUuid,
+                        ),
+                );
+
+                if (!this.subscribedCharacteristics.length) {
+                    const connection = this.subscriptionConnection;
+                    connection.removeListener('disconnected', this.subscriptionDisconnectHandler!);
+                    delete this.subscriptionConnection;
+                    delete this.subscriptionDisconnectHandler;
+                    if (connection === this.persistentConnection) {
+                        this._startIdleTimer();
+                    } else {
+                        connection.disconnect().catch(() => {
+                            // ignore
+                        });
+                    }
+                }
+            }, signal),
+        );
+    }
+
+    /**
+     * Generate a new broadcast encryption key on the accessory. The peripheral must already be
+     * connected and verified.
+     *
+     * See Chapter 7.4.7.3
+     *
+     * @param {GattConnection} connection - Verified connection
+     * @returns {Promise} Promise which resolves to the key.
+     */
+    private async _generateBroadcastKey(connection: GattConnection): Promise<Buffer> {
+        const serviceUuid = GattUtils.uuidToNobleUuid(
+            Service.uuidFromService('public.hap.service.protocol.information.service'),
+        );
+        const serviceInstanceIdUuid = GattUtils.uuidToNobleUuid(GattConstants.ServiceInstanceIdUuid);
+        const serviceSignatureUuid = GattUtils.uuidToNobleUuid(GattConstants.ServiceSignatureUuid);
+
+        const { characteristics } = await new GattUtils.Watcher(
+            this.peripheral,
+            this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
+                [serviceUuid],
+                [serviceInstanceIdUuid, serviceSignatureUuid],
+            ),
+        ).getPromise();
+
+        const instanceIdCharacteristic = characteristics.find((c) => c.uuid === serviceInstanceIdUuid);
+        const signatureCharacteristic = characteristics.find((c) => c.uuid === serviceSignatureUuid);
+        if (!instanceIdCharacteristic || !signatureCharacteristic) {
+            throw new Error('Protocol information service not found');
         }
 
-        if (!characteristics) {
-            characteristics = this.subscribedCharacteristics;
+        const svcId = (
+            await new GattUtils.Watcher(this.peripheral, instanceIdCharacteristic.readAsync()).getPromise()
+        ).readUInt16LE(0);
+
+        const data = new Map();
+        data.set(GattConstants.Types['HAP-Param-Generate-Broadcast-Encryption-Key'], Buffer.alloc(0));
+        data.set(GattConstants.Types['HAP-Param-Get-All-Params'], Buffer.alloc(0));
+        const pdu = this.gattProtocol.buildProtocolConfigurationRequest(this.getNextTransactionId(), svcId, data);
+
+        const pdus = await connection.writeCharacteristic(signatureCharacteristic, [pdu]);
+        if (pdus.length === 0) {
+            throw new Error('No response to protocol configuration request');
         }
 
-        for (const c of characteristics) {
-            c.characteristicUuid = GattUtils.uuidToNobleUuid(c.characteristicUuid);
-            c.serviceUuid = GattUtils.uuidToNobleUuid(c.serviceUuid);
+        const response = this.gattProtocol.parseProtocolConfigurationResponse(pdus[0]);
+        if (response.status !== 0) {
+            throw new Error(`Protocol configuration returned error status: ${response.status}`);
+        }
+        response.tlv = this._decodeResponseBody(pdus);
+
+        const gsn = response.tlv?.get(GattConstants.Types['HAP-Param-Current-State-Number']);
+        if (gsn && gsn.length >= 2) {
+            this.gsn = gsn.readUInt16LE(0);
+        }
+
+        let key = response.tlv?.get(GattConstants.Types['HAP-Param-Broadcast-Encryption-Key']);
+        if (!key || key.length !== 32) {
+            key = this.pairingProtocol.deriveBroadcastEncryptionKey();
+        }
+
+        this.pairingProtocol.setBroadcastEncryptionKey(key);
+        if (this.pairingStore) {
+            await this.pairingStore.set(this.deviceId, this.getLongTermData()!);
         }
 
+        debug(`${this.deviceId} Broadcast encryption key generated at GSN ${this.gsn}`);
+        return key;
+    }
+
+    /**
+     * Enable broadcast notifications for a set of characteristics. The peripheral must already be
+     * connected and verified.
+     *
+     * @param {GattConnection} connection - Verified connection
+     * @param {Object[]} characteristics - Characteristics to configure
+     * @param {number} interval - Broadcast interval
+     * @returns {Promise} Promise which resolves when all characteristics are configured.
+     */
+    private async _enableBroadcast(
+        connection: GattConnection,
+        characteristics: GattSubscriptionCharacteristicData[],
+        interval: number,
+    ): Promise<void> {
         const { characteristics: discoveredCharacteristics } = await new GattUtils.Watcher(
             this.peripheral,
             this.peripheral.discoverSomeServicesAndCharacteristicsAsync(
@@ -1779,9 +2225,6 @@ export default class GattClient extends EventEmitter {
             ),
         ).getPromise();
 
-        const queue = new OpQueue();
-        let lastOp = Promise.resolve();
-
         for (const c of characteristics) {
             const characteristic = discoveredCharacteristics.find((d) => {
                 return (
@@ -1794,18 +2237,197 @@ export default class GattClient extends EventEmitter {
                 throw new Error(`Characteristic not found: ${JSON.stringify(c)}`);
             }
 
-            lastOp = queue.queue(async () => {
-                await new GattUtils.Watcher(this.peripheral, characteristic.unsubscribeAsync()).getPromise();
+            const properties = Buffer.alloc(2);
+            properties.writeUInt16LE(GattConstants.CharacteristicConfigurationProperties.EnableBroadcastNotification);
+            const data = new Map();
+            data.set(GattConstants.Types['HAP-Characteristic-Configuration-Param-Properties'], properties);
+            data.set(
+                GattConstants.Types['HAP-Characteristic-Configuration-Param-Broadcast-Interval'],
+                Buffer.from([interval]),
+            );
+            const pdu = this.gattProtocol.buildCharacteristicConfigurationRequest(
+                this.getNextTransactionId(),
+                c.iid,
+                data,
+            );
+
+            const pdus = await connection.writeCharacteristic(characteristic, [pdu]);
+            if (pdus.length === 0) {
+                throw new Error(`No response to characteristic configuration of ${c.iid}`);
+            }
+
+            const response = this.gattProtocol.parseCharacteristicConfigurationResponse(pdus[0]);
+            if (response.status !== 0) {
+                throw new Error(`Characteristic configuration of ${c.iid} returned error status: ${response.status}`);
+            }
+
+            this.broadcastCharacteristics.add(c.iid);
+        }
+    }
+
+    /**
+     * Watch characteristics for changes while no subscription connection is open.
+     *
+     * Characteristics supporting it are reported by encrypted broadcast notifications, for this a
+     * broadcast encryption key is generated (and stored with the pairing data) if none is known.
+     * All other characteristics are read when the GSN of the accessory changes.
+     * Changes are emitted as "event" like for subscriptions. Advertisements need to be passed in
+     * with handleAdvertisement() and handleBroadcast().
+     *
+     * @param {Object[]} characteristics - Characteristics to watch, as a list of objects:
+     *                   {characteristicUuid, serviceUuid, iid, format}
+     * @param {WatchOptions?} options - Watch options
+     * @returns {Promise} Promise which resolves when the characteristics are watched.
+     */
+    watchCharacteristics(characteristics: GattSubscriptionCharacteristicData[], options?: WatchOptions): Promise<void> {
+        return this._queueOperation(async (signal) => {
+            const newCharacteristics = characteristics
+                .filter((c) => !this.watchedCharacteristics.find((w) => w.iid === c.iid))
+                .map((c) => ({
+                    ...c,
+                    characteristicUuid: GattUtils.uuidToNobleUuid(c.characteristicUuid),
+                    serviceUuid: GattUtils.uuidToNobleUuid(c.serviceUuid),
+                }));
+
+            const broadcast = newCharacteristics.filter((c) => {
+                if (typeof options?.broadcast === 'boolean') {
+                    return options.broadcast;
+                }
+                return !!this.characteristicMetadata.get(`1.${c.iid}`)?.perms?.includes('ev-broadcast');
             });
+
+            if (broadcast.length) {
+                const connection = await this._getVerifiedConnection(signal);
+                try {
+                    if (!this.pairingProtocol.getBroadcastEncryptionKey()) {
+                        await this._generateBroadcastKey(connection);
+                    }
+
+                    await this._enableBroadcast(
+                        connection,
+                        broadcast,
+                        GattConstants.BroadcastIntervals[options?.broadcastInterval || '20ms'],
+                    );
+
+                    await this._releaseConnection(connection);
+                } catch (err) {
+                    await this._releaseConnection(connection, true);
+                    throw err;
+                }
+            }
+
+            this.watchedCharacteristics = this.watchedCharacteristics.concat(newCharacteristics);
+        }, options);
+    }
+
+    /**
+     * Stop watching characteristics. Broadcast notifications stay configured on the accessory.
+     *
+     * @param {Object[]?} characteristics - Characteristics to stop watching, as a list of objects:
+     *                    {iid}, if omitted all characteristics are removed
+     */
+    unwatchCharacteristics(characteristics?: { iid: number }[]): void {
+        if (!characteristics) {
+            this.watchedCharacteristics = [];
+            return;
         }
 
-        await lastOp;
+        this.watchedCharacteristics = this.watchedCharacteristics.filter(
+            (w) => !characteristics.find((c) => c.iid === w.iid),
+        );
+    }
 
-        if (!this.subscribedCharacteristics.length) {
-            this.subscriptionConnection.disconnect().catch(() => {
-                // ignore
-            });
-            delete this.subscriptionConnection;
+    /**
+     * Get the list of watched characteristics.
+     *
+     * @returns {Object[]} Array with watched entries
+     */
+    getWatchedCharacteristics(): GattSubscriptionCharacteristicData[] {
+        return this.watchedCharacteristics;
+    }
+
+    /**
+     * Handle a regular advertisement of the accessory, as emitted by BLEDiscovery in "serviceUp" or
+     * "serviceChanged". When the GSN changed and no subscription connection is open, the
+     * watched characteristics without broadcast notifications are read and emitted as "event".
+     *
+     * @fires GattClient#event
+     * @param {HapServiceBle} service - Discovered service
+     * @returns {Promise} Promise which resolves when the advertisement is handled.
+     */
+    async handleAdvertisement(service: HapServiceBle): Promise<void> {
+        if (service.id.toLowerCase() !== this.deviceId.toLowerCase()) {
+            return;
+        }
+
+        this.accessoryCache?.updateConfigNumber(this.deviceId, 'ble', service.CN);
+
+        const lastGsn = this.gsn;
+        this.gsn = service.GSN;
+        if (lastGsn === null || lastGsn === service.GSN || this.subscriptionConnection) {
+            return;
+        }
+
+        const characteristics = this.watchedCharacteristics.filter((c) => !this.broadcastCharacteristics.has(c.iid));
+        if (!characteristics.length) {
+            return;
+        }
+
+        debug(`${this.deviceId} GSN changed from ${lastGsn} to ${service.GSN}, reading watched characteristics`);
+        try {
+            const res = await this.getCharacteristics(characteristics.map((c) => ({ ...c })));
+            this.emit('event', res);
+        } catch (err) {
+            debug(`${this.deviceId} Reading characteristics after GSN change failed: ${err}`);
+        }
+    }
+
+    /**
+     * Handle an encrypted broadcast notification, as emitted by BLEDiscovery in "broadcast".
+     * The changed value is emitted as "event".
+     *
+     * @fires GattClient#event
+     * @param {BroadcastNotification} notification - Broadcast notification
+     * @returns {Promise} Promise which resolves when the notification is handled.
+     */
+    async handleBroadcast(notification: BroadcastNotification): Promise<void> {
+        const key = this.pairingProtocol.getBroadcastEncryptionKey();
+        if (!key || notification.id.toLowerCase() !== this.deviceId.toLowerCase()) {
+            return;
+        }
+
+        if (this.gsn === null) {
+            debug(`${this.deviceId} GSN not known yet, can not decrypt broadcast notification`);
+            return;
+        }
+
+        const decrypted = await decryptBroadcastNotification(notification, key, this.gsn);
+        if (!decrypted) {
+            return;
+        }
+        this.gsn = decrypted.gsn;
+
+        const format =
+            this.watchedCharacteristics.find((c) => c.iid === decrypted.iid)?.format ||
+            this.characteristicMetadata.get(`1.${decrypted.iid}`)?.format;
+        const value = format ? GattUtils.bufferToValue(decrypted.value, format) : decrypted.value.toString('base64');
+
+        this.emit('event', { characteristics: [{ aid: 1, iid: decrypted.iid, value }] });
+    }
+
+    /**
+     * Closes the current persistent connection, if connected. Subscriptions using it end as well.
+     *
+     * @returns {Promise<void>} Promise when done
+     */
+    async closePersistentConnection(): Promise<void> {
+        this._stopIdleTimer();
+        const connection = this.persistentConnection;
+        delete this.persistentConnection;
+        try {
+            await connection?.disconnect();
+        } catch {
+            // ignore
         }
     }
 
@@ -1815,6 +2437,7 @@ export default class GattClient extends EventEmitter {
      * @returns {Promise<void>} Promise when done
      */
     async close(): Promise<void> {
+        await this.closePersistentConnection();
         try {
             await this._pairingConnection?.disconnect();
         } catch {
@@ -9,6 +9,7 @@ import { Characteristic, Peripheral } from '@stoprocent/noble';
 import { SessionKeys } from '../../protocol/pairing-protocol';
 import Debug from 'debug';
 import { OpQueue } from '../../utils/queue';
+import HomekitControllerError from '../../model/error';
 
 const debug = Debug('hap-controller:gatt-connection');
 
@@ -81,12 +82,18 @@ export default class GattConnection extends EventEmitter {
      *
      * @returns {Promise} Promise which resolves when the connection is
      *                    established.
+     * @throws {HomekitControllerError} If the connection was verified and the peripheral disconnected since
      */
     async connect(): Promise<void> {
         if (this.peripheral.state === 'connected') {
             return;
         }
 
+        if (this.sessionKeys) {
+            // the session and its nonce counters end with the link they were verified on
+            throw new HomekitControllerError('Peripheral disconnected, verify a new connection');
+        }
+
         if (this.peripheral.state !== 'disconnected') {
             debug('disconnect peripheral to reconnect');
             await new Watcher(this.peripheral, this.peripheral.disconnectAsync()).getPromise();
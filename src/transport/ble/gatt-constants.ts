@@ -42,6 +42,26 @@ export const Types = {
     'HAP-Param-Current-Config-Number': 2,
     'HAP-Param-Accessory-Advertising-Identifier': 3,
     'HAP-Param-Broadcast-Encryption-Key': 4,
+
+    'HAP-Param-Generate-Broadcast-Encryption-Key': 1,
+    'HAP-Param-Get-All-Params': 2,
+    'HAP-Param-Set-Accessory-Advertising-Identifier': 3,
+};
+
+/**
+ * See Chapter 7.4.5.2, values of HAP-Characteristic-Configuration-Param-Properties
+ */
+export const CharacteristicConfigurationProperties = {
+    EnableBroadcastNotification: 0x0001,
+};
+
+/**
+ * See Chapter 7.4.5.2, values of HAP-Characteristic-Configuration-Param-Broadcast-Interval
+ */
+export const BroadcastIntervals = {
+    '20ms': 0x01,
+    '1280ms': 0x02,
+    '2560ms': 0x03,
 };
 
 /**
@@ -104,6 +124,7 @@ export const CharacteristicDescriptions = {
     64: 'Characteristic Hidden from User',
     128: 'Characteristic Notifies Events in Connected State',
     256: 'Characteristic Notifies Events in Disconnected State',
+    512: 'Characteristic Supports Broadcast Notify',
 };
 
 /**
@@ -1,4 +1,5 @@
 import type { Peripheral } from '@stoprocent/noble';
+import { decodeValue, encodeValue } from '../../model/format-codec';
 
 /**
  * Convert a proper UUID to noble's format.
@@ -42,28 +43,7 @@ export function nobleUuidToUuid(uuid: string): string {
  * @returns {*} Unpacked value.
  */
 export function bufferToValue(buffer: Buffer, format: string): unknown {
-    switch (format) {
-        case 'bool':
-            return buffer.readUInt8(0) !== 0;
-        case 'uint8':
-            return buffer.readUInt8(0);
-        case 'uint16':
-            return buffer.readUInt16LE(0);
-        case 'uint32':
-            return buffer.readUInt32LE(0);
-        case 'uint64':
-            return buffer.readUInt32LE(0) || buffer.readUInt32LE(4) << 32;
-        case 'int':
-            return buffer.readInt32LE(0);
-        case 'float':
-            return buffer.readFloatLE(0);
-        case 'string':
-            return buffer.toString();
-        case 'data':
-            return buffer.toString('base64');
-        default:
-            throw new Error(`Unknown format type: ${format}`);
-    }
+    return decodeValue(buffer, format);
 }
 
 /**
@@ -74,48 +54,7 @@ export function bufferToValue(buffer: Buffer, format: string): unknown {
  * @returns {Buffer} Packed buffer
  */
 export function valueToBuffer(value: unknown, format: string): Buffer {
-    switch (format) {
-        case 'bool':
-            return Buffer.from([<boolean>value ? 1 : 0]);
-        case 'uint8':
-            return Buffer.from([(<number>value) & 0xff]);
-        case 'uint16': {
-            const b = Buffer.alloc(2);
-            b.writeUInt16LE(<number>value, 0);
-            return b;
-        }
-        case 'uint32': {
-            const b = Buffer.alloc(4);
-            b.writeUInt32LE(<number>value, 0);
-            return b;
-        }
-        case 'uint64': {
-            const b = Buffer.alloc(8);
-            b.writeUInt32LE((<number>value) & 0xffffffff, 0);
-            b.writeUInt32LE((<number>value) >> 32, 4);
-            return b;
-        }
-        case 'int': {
-            const b = Buffer.alloc(4);
-            b.writeInt32LE(<number>value);
-            return b;
-        }
-        case 'float': {
-            const b = Buffer.alloc(4);
-            b.writeFloatLE(<number>value);
-            return b;
-        }
-        case 'string':
-            return Buffer.from(<string>value);
-        case 'data':
-            if (typeof value === 'string') {
-                return Buffer.from(value, 'base64');
-            }
-
-            return <Buffer>value;
-        default:
-            throw new Error(`Unknown format type: ${format}`);
-    }
+    return encodeValue(value, format);
 }
 
 /**
@@ -0,0 +1,685 @@
+/**
+ * Client for the Camera RTP Stream Management service of IP cameras.
+ *
+ * See Chapter 11
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import Debug from 'debug';
+import HttpClient from './http-client';
+import AccessoryDatabase from '../../model/accessory-database';
+import { CameraStreamBusyError, CameraStreamConfigurationError, CameraStreamError } from '../../model/error';
+import { CharacteristicSchemas, decodeTlv, encodeTlv } from '../../model/tlv-schema';
+
+const debug = Debug('hap-controller:camera-stream-client');
+
+const ServiceName = 'public.hap.service.camera-rtp-stream-management';
+
+const CharacteristicNames = {
+    supportedVideo: 'public.hap.characteristic.supported-video-stream-configuration',
+    supportedAudio: 'public.hap.characteristic.supported-audio-configuration',
+    supportedRtp: 'public.hap.characteristic.supported-rtp-configuration',
+    setupEndpoints: 'public.hap.characteristic.setup-endpoints',
+    selectedConfiguration: 'public.hap.characteristic.selected-rtp-stream-configuration',
+    streamingStatus: 'public.hap.characteristic.streaming-status',
+};
+
+type CharacteristicKey = keyof typeof CharacteristicNames;
+
+/**
+ * Commands of the session control.
+ */
+export const SessionCommands = {
+    End: 0,
+    Start: 1,
+    Suspend: 2,
+    Resume: 3,
+    Reconfigure: 4,
+};
+
+/**
+ * Status of the SetupEndpoints response.
+ */
+export const SetupEndpointsStatus = {
+    Success: 0,
+    Busy: 1,
+    Error: 2,
+};
+
+/**
+ * Status of the StreamingStatus characteristic.
+ */
+export const StreamingStatus = {
+    Available: 0,
+    InUse: 1,
+    Unavailable: 2,
+};
+
+export const SrtpCryptoSuites = {
+    AES_CM_128_HMAC_SHA1_80: 0,
+    AES_256_CM_HMAC_SHA1_80: 1,
+    Disabled: 2,
+};
+
+export const VideoCodecTypes = {
+    H264: 0,
+};
+
+export const AudioCodecTypes = {
+    PCMU: 0,
+    PCMA: 1,
+    AAC_ELD: 2,
+    OPUS: 3,
+    MSBC: 4,
+    AMR: 5,
+    AMR_WB: 6,
+};
+
+export const AudioSampleRates = {
+    '8kHz': 0,
+    '16kHz': 1,
+    '24kHz': 2,
+};
+
+export interface SupportedCameraConfiguration {
+    /**
+     * Decoded supported-video-stream-configuration
+     */
+    video: {
+        codecConfigurations: {
+            codecType: number;
+            codecParameters: { profiles?: number[]; levels?: number[]; packetizationModes?: number[] };
+            attributes: { width: number; height: number; frameRate: number }[];
+        }[];
+    };
+    /**
+     * Decoded supported-audio-configuration
+     */
+    audio: {
+        codecConfigurations: {
+            codecType: number;
+            codecParameters: { channels: number; bitRate: number; sampleRates: number[]; rtpTime?: number };
+        }[];
+        comfortNoiseSupport?: number;
+    };
+    /**
+     * Decoded supported-rtp-configuration
+     */
+    rtp: {
+        srtpCryptoSuites: number[];
+    };
+}
+
+export interface SrtpParameters {
+    cryptoSuite: number;
+    masterKey: Buffer;
+    masterSalt: Buffer;
+}
+
+export interface VideoStreamOptions {
+    /**
+     * Default: first resolution of the first supported codec configuration
+     */
+    width?: number;
+    height?: number;
+    frameRate?: number;
+    /**
+     * H.264 profile, default: first supported profile
+     */
+    profile?: number;
+    /**
+     * H.264 level, default: first supported level
+     */
+    level?: number;
+    /**
+     * Maximum bitrate in kbit/s, default: 299
+     */
+    maxBitrate?: number;
+    /**
+     * RTP payload type, default: 99
+     */
+    payloadType?: number;
+    /**
+     * Maximum MTU, default: 1378 for IPv4 and 1228 for IPv6
+     */
+    mtu?: number;
+}
+
+export interface AudioStreamOptions {
+    /**
+     * Default: first supported codec configuration
+     */
+    codecType?: number;
+    sampleRate?: number;
+    /**
+     * Packet time in ms, default: 20
+     */
+    rtpTime?: number;
+    /**
+     * Maximum bitrate in kbit/s, default: 24
+     */
+    maxBitrate?: number;
+    /**
+     * RTP payload type, default: 110
+     */
+    payloadType?: number;
+}
+
+export interface CameraStreamOptions {
+    /**
+     * Address of the controller which receives the RTP streams
+     */
+    address: string;
+    videoPort: number;
+    audioPort: number;
+    video?: VideoStreamOptions;
+    /**
+     * Audio options, or false to request no audio stream
+     */
+    audio?: AudioStreamOptions | false;
+    /**
+     * SRTP crypto suite, default: first suite supported by the camera
+     */
+    cryptoSuite?: number;
+}
+
+export interface NegotiatedStream {
+    payloadType: number;
+    maxBitrate: number;
+    /**
+     * SSRC of the controller
+     */
+    ssrc: number;
+    /**
+     * SSRC of the camera's stream
+     */
+    accessorySsrc: number;
+    /**
+     * Keys the camera uses to encrypt the stream to the controller
+     */
+    srtp: SrtpParameters;
+    /**
+     * Keys the controller uses to encrypt a stream to the camera, e.g. two-way audio
+     */
+    accessorySrtp: SrtpParameters | null;
+}
+
+export interface VideoStream extends NegotiatedStream {
+    codecType: number;
+    profile: number;
+    level: number;
+    width: number;
+    height: number;
+    frameRate: number;
+    mtu: number;
+}
+
+export interface AudioStream extends NegotiatedStream {
+    codecType: number;
+    channels: number;
+    bitRate: number;
+    sampleRate: number;
+    rtpTime: number;
+}
+
+export interface CameraStreamSession {
+    sessionId: Buffer;
+    /**
+     * Address and ports of the camera
+     */
+    accessoryAddress: { ipVersion: number; ipAddress: string; videoRtpPort: number; audioRtpPort: number };
+    video: VideoStream;
+    audio: AudioStream | null;
+}
+
+export interface CameraStreamClientOptions {
+    /**
+     * Accessory ID of the camera. Default: 1
+     */
+    aid?: number;
+
+    /**
+     * Instance ID of the stream management service, for cameras with several of them.
+     * Default: the first one
+     */
+    serviceIid?: number;
+
+    /**
+     * Accessory database, to avoid reading it from the camera.
+     */
+    database?: AccessoryDatabase;
+}
+
+export default class CameraStreamClient {
+    private client: HttpClient;
+
+    private aid: number;
+
+    private serviceIid?: number;
+
+    private database: AccessoryDatabase | null;
+
+    private characteristicIds: Record<CharacteristicKey, string> | null = null;
+
+    private supported: SupportedCameraConfiguration | null = null;
+
+    private session: CameraStreamSession | null = null;
+
+    /**
+     * Initialize the CameraStreamClient object.
+     *
+     * @param {HttpClient} client - Client of the camera
+     * @param {CameraStreamClientOptions?} options - Options
+     */
+    constructor(client: HttpClient, options: CameraStreamClientOptions = {}) {
+        this.client = client;
+        this.aid = options.aid ?? 1;
+        this.serviceIid = options.serviceIid;
+        this.database = options.database ?? null;
+    }
+
+    /**
+     * Look up the characteristics of the stream management service.
+     *
+     * @returns {Promise} Promise which resolves to the characteristic IDs.
+     */
+    private async _getCharacteristicIds(): Promise<Record<CharacteristicKey, string>> {
+        if (this.characteristicIds) {
+            return this.characteristicIds;
+        }
+
+        if (!this.database) {
+            this.database = new AccessoryDatabase(await this.client.getAccessories());
+        }
+
+        const services = this.database.getAccessory(this.aid)?.getServices(ServiceName) ?? [];
+        const service = this.serviceIid ? services.find((s) => s.iid === this.serviceIid) : services[0];
+        if (!service) {
+            throw new CameraStreamError(`No camera RTP stream management service found for accessory ${this.aid}`);
+        }
+
+        const ids: Partial<Record<CharacteristicKey, string>> = {};
+        for (const [key, name] of Object.entries(CharacteristicNames)) {
+            const characteristic = service.getCharacteristic(name);
+            if (!characteristic) {
+                throw new CameraStreamError(`Characteristic ${name} missing in service ${service.iid}`);
+            }
+            ids[<CharacteristicKey>key] = characteristic.id;
+        }
+
+        this.characteristicIds = <Record<CharacteristicKey, string>>ids;
+        return this.characteristicIds;
+    }
+
+    /**
+     * Read and decode a TLV8 characteristic of the service.
+     *
+     * @param {string} key - Characteristic
+     * @returns {Promise} Promise which resolves to the decoded value.
+     */
+    private async _read(key: CharacteristicKey): Promise<Record<string, unknown>> {
+        const ids = await this._getCharacteristicIds();
+        const res = await this.client.getCharacteristics([ids[key]]);
+        const value = res.characteristics[0]?.value;
+        if (typeof value !== 'string') {
+            throw new CameraStreamError(`No value for ${CharacteristicNames[key]}`);
+        }
+        return decodeTlv(value, CharacteristicSchemas[CharacteristicNames[key]]);
+    }
+
+    /**
+     * Encode and write a TLV8 characteristic of the service.
+     *
+     * @param {string} key - Characteristic
+     * @param {Object} value - Value to encode
+     * @returns {Promise} Promise which resolves when the camera accepted the value.
+     */
+    private async _write(key: CharacteristicKey, value: Record<string, unknown>): Promise<void> {
+        const ids = await this._getCharacteristicIds();
+        const encoded = encodeTlv(value, CharacteristicSchemas[CharacteristicNames[key]]);
+        const [result] = await this.client.writeCharacteristics({ [ids[key]]: encoded });
+        if (!result.success) {
+            throw new CameraStreamConfigurationError(
+                `Camera rejected ${CharacteristicNames[key]}: ${result.message}`,
+                result.status,
+                { characteristic: CharacteristicNames[key] },
+            );
+        }
+    }
+
+    /**
+     * Read the supported video, audio and RTP configurations of the camera.
+     *
+     * @param {boolean} refresh - Read the values again instead of using the cached ones
+     * @returns {Promise} Promise which resolves to the SupportedCameraConfiguration.
+     */
+    async getSupportedConfiguration(refresh = false): Promise<SupportedCameraConfiguration> {
+        if (!this.supported || refresh) {
+            this.supported = {
+                video: <SupportedCameraConfiguration['video']>await this._read('supportedVideo'),
+                audio: <SupportedCameraConfiguration['audio']>await this._read('supportedAudio'),
+                rtp: <SupportedCameraConfiguration['rtp']>await this._read('supportedRtp'),
+            };
+        }
+        return this.supported;
+    }
+
+    /**
+     * Read the streaming status of the camera.
+     *
+     * @returns {Promise} Promise which resolves to the status, see StreamingStatus.
+     */
+    async getStreamingStatus(): Promise<number> {
+        return <number>(await this._read('streamingStatus')).status;
+    }
+
+    /**
+     * Get the currently active session.
+     *
+     * @returns {CameraStreamSession|null} The session or null if no stream was started
+     */
+    getActiveSession(): CameraStreamSession | null {
+        return this.session;
+    }
+
+    /**
+     * Generate SRTP keys for a crypto suite.
+     *
+     * @param {number} cryptoSuite - SRTP crypto suite
+     * @returns {SrtpParameters} New parameters
+     */
+    private static _generateSrtpParameters(cryptoSuite: number): SrtpParameters {
+        const keyLength = { 0: 16, 1: 32 }[cryptoSuite];
+        return {
+            cryptoSuite,
+            masterKey: keyLength ? crypto.randomBytes(keyLength) : Buffer.alloc(0),
+            masterSalt: keyLength ? crypto.randomBytes(14) : Buffer.alloc(0),
+        };
+    }
+
+    /**
+     * Choose the video parameters from the options and the supported configuration.
+     *
+     * @param {SupportedCameraConfiguration} supported - Supported configuration
+     * @param {VideoStreamOptions} options - Requested parameters
+     * @param {boolean} ipv6 - Whether the stream uses IPv6
+     * @returns {Object} Chosen parameters
+     */
+    private static _chooseVideo(
+        supported: SupportedCameraConfiguration,
+        options: VideoStreamOptions,
+        ipv6: boolean,
+    ): Omit<VideoStream, keyof NegotiatedStream> & { payloadType: number; maxBitrate: number } {
+        const codec = supported.video.codecConfigurations[0];
+        if (!codec) {
+            throw new CameraStreamConfigurationError('Camera does not support any video codec');
+        }
+
+        let attributes = codec.attributes[0];
+        // eslint-disable-next-line no-undefined
+        if (options.width !== undefined) {
+            attributes = codec.attributes.find(
+                (a) =>
+                    a.width === options.width &&
+                    a.height === options.height &&
+                    // eslint-disable-next-line no-undefined
+                    (options.frameRate === undefined || a.frameRate >= options.frameRate),
+            )!;
+        }
+        if (!attributes) {
+            throw new CameraStreamConfigurationError(
+                `Video resolution ${options.width}x${options.height} is not supported by the camera`,
+            );
+        }
+
+        const profiles = codec.codecParameters.profiles ?? [0];
+        const levels = codec.codecParameters.levels ?? [0];
+        // eslint-disable-next-line no-undefined
+        if (options.profile !== undefined && !profiles.includes(options.profile)) {
+            throw new CameraStreamConfigurationError(`H.264 profile ${options.profile} is not supported`);
+        }
+        // eslint-disable-next-line no-undefined
+        if (options.level !== undefined && !levels.includes(options.level)) {
+            throw new CameraStreamConfigurationError(`H.264 level ${options.level} is not supported`);
+        }
+
+        return {
+            codecType: codec.codecType,
+            profile: options.profile ?? profiles[0],
+            level: options.level ?? levels[0],
+            width: attributes.width,
+            height: attributes.height,
+            frameRate: options.frameRate ?? attributes.frameRate,
+            payloadType: options.payloadType ?? 99,
+            maxBitrate: options.maxBitrate ?? 299,
+            mtu: options.mtu ?? (ipv6 ? 1228 : 1378),
+        };
+    }
+
+    /**
+     * Choose the audio parameters from the options and the supported configuration.
+     *
+     * @param {SupportedCameraConfiguration} supported - Supported configuration
+     * @param {AudioStreamOptions} options - Requested parameters
+     * @returns {Object} Chosen parameters
+     */
+    private static _chooseAudio(
+        supported: SupportedCameraConfiguration,
+        options: AudioStreamOptions,
+    ): Omit<AudioStream, keyof NegotiatedStream> & { payloadType: number; maxBitrate: number } {
+        let codec = supported.audio.codecConfigurations[0];
+        // eslint-disable-next-line no-undefined
+        if (options.codecType !== undefined) {
+            codec = supported.audio.codecConfigurations.find((c) => c.codecType === options.codecType)!;
+        }
+        if (!codec) {
+            throw new CameraStreamConfigurationError(`Audio codec ${options.codecType ?? ''} is not supported`);
+        }
+
+        const sampleRate = options.sampleRate ?? codec.codecParameters.sampleRates[0];
+        if (!codec.codecParameters.sampleRates.includes(sampleRate)) {
+            throw new CameraStreamConfigurationError(`Audio sample rate ${sampleRate} is not supported`);
+        }
+
+        return {
+            codecType: codec.codecType,
+            channels: codec.codecParameters.channels,
+            bitRate: codec.codecParameters.bitRate,
+            sampleRate,
+            rtpTime: options.rtpTime ?? codec.codecParameters.rtpTime ?? 20,
+            payloadType: options.payloadType ?? 110,
+            maxBitrate: options.maxBitrate ?? 24,
+        };
+    }
+
+    /**
+     * Build the selected video parameters of a session.
+     *
+     * @param {VideoStream} video - Video stream
+     * @returns {Object} Value for the selected-rtp-stream-configuration schema
+     */
+    private static _selectedVideo(video: VideoStream): Record<string, unknown> {
+        return {
+            codecType: video.codecType,
+            codecParameters: { profiles: [video.profile], levels: [video.level], packetizationModes: [0] },
+            attributes: { width: video.width, height: video.height, frameRate: video.frameRate },
+            rtpParameters: {
+                payloadType: video.payloadType,
+                ssrc: video.ssrc,
+                maxBitrate: video.maxBitrate,
+                minRtcpInterval: 0.5,
+                maxMtu: video.mtu,
+            },
+        };
+    }
+
+    /**
+     * Build the selected audio parameters of a session.
+     *
+     * @param {AudioStream} audio - Audio stream
+     * @returns {Object} Value for the selected-rtp-stream-configuration schema
+     */
+    private static _selectedAudio(audio: AudioStream): Record<string, unknown> {
+        return {
+            codecType: audio.codecType,
+            codecParameters: {
+                channels: audio.channels,
+                bitRate: audio.bitRate,
+                sampleRates: [audio.sampleRate],
+                rtpTime: audio.rtpTime,
+            },
+            rtpParameters: {
+                payloadType: audio.payloadType,
+                ssrc: audio.ssrc,
+                maxBitrate: audio.maxBitrate,
+                minRtcpInterval: 5,
+                comfortNoisePayloadType: 13,
+            },
+            comfortNoise: 0,
+        };
+    }
+
+    /**
+     * Negotiate the endpoints and start a stream.
+     *
+     * @param {CameraStreamOptions} options - Stream options
+     * @returns {Promise} Promise which resolves to the CameraStreamSession with the negotiated parameters.
+     * @throws {CameraStreamBusyError} If the camera can not start another stream
+     * @throws {CameraStreamConfigurationError} If the configuration is not supported or was rejected
+     */
+    async startStream(options: CameraStreamOptions): Promise<CameraStreamSession> {
+        if (this.session) {
+            throw new CameraStreamError('A stream is already active, stop it first');
+        }
+
+        const supported = await this.getSupportedConfiguration();
+        const ipv6 = net.isIPv6(options.address);
+
+        const cryptoSuite = options.cryptoSuite ?? supported.rtp.srtpCryptoSuites[0];
+        if (!supported.rtp.srtpCryptoSuites.includes(cryptoSuite)) {
+            throw new CameraStreamConfigurationError(`SRTP crypto suite ${cryptoSuite} is not supported`);
+        }
+
+        const video = CameraStreamClient._chooseVideo(supported, options.video ?? {}, ipv6);
+        const audio = options.audio === false ? null : CameraStreamClient._chooseAudio(supported, options.audio ?? {});
+
+        const sessionId = crypto.randomBytes(16);
+        const videoSrtp = CameraStreamClient._generateSrtpParameters(cryptoSuite);
+        const audioSrtp = CameraStreamClient._generateSrtpParameters(cryptoSuite);
+
+        debug(`Setting up endpoints for session ${sessionId.toString('hex')}`);
+        await this._write('setupEndpoints', {
+            sessionId,
+            address: {
+                ipVersion: ipv6 ? 1 : 0,
+                ipAddress: options.address,
+                videoRtpPort: options.videoPort,
+                audioRtpPort: options.audioPort,
+            },
+            videoSrtpParameters: videoSrtp,
+            audioSrtpParameters: audioSrtp,
+        });
+
+        const endpoints = await this._read('setupEndpoints');
+        if (!(<Buffer>endpoints.sessionId).equals(sessionId)) {
+            throw new CameraStreamError('SetupEndpoints response belongs to a different session');
+        }
+        if (endpoints.status === SetupEndpointsStatus.Busy) {
+            throw new CameraStreamBusyError('Camera is busy and can not start another stream');
+        }
+        if (endpoints.status !== SetupEndpointsStatus.Success || !endpoints.address) {
+            throw new CameraStreamError(
+                `Camera could not set up the endpoints (status ${endpoints.status})`,
+                <number>endpoints.status,
+            );
+        }
+
+        const session: CameraStreamSession = {
+            sessionId,
+            accessoryAddress: <CameraStreamSession['accessoryAddress']>endpoints.address,
+            video: {
+                ...video,
+                ssrc: crypto.randomBytes(4).readUInt32LE(0),
+                accessorySsrc: <number>endpoints.videoSsrc,
+                srtp: videoSrtp,
+                accessorySrtp: <SrtpParameters>endpoints.videoSrtpParameters ?? null,
+            },
+            audio: audio && {
+                ...audio,
+                ssrc: crypto.randomBytes(4).readUInt32LE(0),
+                accessorySsrc: <number>endpoints.audioSsrc,
+                srtp: audioSrtp,
+                accessorySrtp: <SrtpParameters>endpoints.audioSrtpParameters ?? null,
+            },
+        };
+
+        debug(`Starting stream for session ${sessionId.toString('hex')}`);
+        await this._write('selectedConfiguration', {
+            sessionControl: { sessionId, command: SessionCommands.Start },
+            video: CameraStreamClient._selectedVideo(session.video),
+            audio: session.audio ? CameraStreamClient._selectedAudio(session.audio) : null,
+        });
+
+        this.session = session;
+        return session;
+    }
+
+    /**
+     * Change the video parameters of the active stream.
+     *
+     * @param {VideoStreamOptions} options - New video parameters
+     * @returns {Promise} Promise which resolves to the updated CameraStreamSession.
+     * @throws {CameraStreamConfigurationError} If the configuration is not supported or was rejected
+     */
+    async reconfigureStream(options: VideoStreamOptions): Promise<CameraStreamSession> {
+        if (!this.session) {
+            throw new CameraStreamError('No active stream to reconfigure');
+        }
+
+        const supported = await this.getSupportedConfiguration();
+        const current = this.session.video;
+        const video = CameraStreamClient._chooseVideo(
+            supported,
+            {
+                width: current.width,
+                height: current.height,
+                frameRate: current.frameRate,
+                profile: current.profile,
+                level: current.level,
+                payloadType: current.payloadType,
+                maxBitrate: current.maxBitrate,
+                mtu: current.mtu,
+                ...options,
+            },
+            this.session.accessoryAddress.ipVersion === 1,
+        );
+
+        const updated = { ...this.session, video: { ...current, ...video } };
+        await this._write('selectedConfiguration', {
+            sessionControl: { sessionId: updated.sessionId, command: SessionCommands.Reconfigure },
+            video: CameraStreamClient._selectedVideo(updated.video),
+        });
+
+        this.session = updated;
+        return updated;
+    }
+
+    /**
+     * Stop the active stream.
+     *
+     * @returns {Promise} Promise which resolves when the camera ended the session.
+     */
+    async stopStream(): Promise<void> {
+        if (!this.session) {
+            return;
+        }
+
+        const sessionId = this.session.sessionId;
+        this.session = null;
+        debug(`Stopping stream for session ${sessionId.toString('hex')}`);
+        await this._write('selectedConfiguration', {
+            sessionControl: { sessionId, command: SessionCommands.End },
+        });
+    }
+}
@@ -3,21 +3,37 @@
  */
 
 import { EventEmitter } from 'events';
-import HttpConnection from './http-connection';
-import PairingProtocol, { PairingData, PairMethods, SessionKeys } from '../../protocol/pairing-protocol';
+import crypto from 'crypto';
+import HttpConnection, { HttpConnectionOptions, HttpResponse } from './http-connection';
+import { HapStatusCodes } from './http-constants';
+import PairingProtocol, {
+    AccessoryPairingData,
+    PairingData,
+    PairMethods,
+    SessionKeys,
+} from '../../protocol/pairing-protocol';
 import { TLV } from '../../model/tlv';
+import { Pairing, parsePairings } from '../../protocol/pairing-management';
+import { MfiVerificationOptions, runMfiVerification } from '../../protocol/mfi-verification';
+import { DefaultPairingRetryOptions, PairingRetryOptions, retryPairing } from '../../protocol/pairing-retry';
 import Debug from 'debug';
 import * as Characteristic from '../../model/characteristic';
 import * as Service from '../../model/service';
 import { Accessories } from '../../model/accessory';
-import HomekitControllerError from '../../model/error';
+import HomekitControllerError, { PairingBackoffError, PairingBusyError } from '../../model/error';
 import { OpQueue } from '../../utils/queue';
+import { OperationOptions, runOperation } from '../../utils/operation';
+import { PairingStore } from '../../storage/pairing-store';
+import AccessoryCache from '../../storage/accessory-cache';
+import ControllerIdentity from '../../protocol/controller-identity';
+import { ValidationOptions, characteristicMetadataMap, validateCharacteristicValue } from '../../model/validation';
+import { toJsonValue } from '../../model/format-codec';
 import JSONBig from 'json-bigint';
 import BigNumber from 'bignumber.js';
 
 const debug = Debug('hap-controller:http-client');
 
-export interface GetCharacteristicsOptions {
+export interface GetCharacteristicsOptions extends OperationOptions {
     /**
      * Boolean value that determines whether or not the response should include metadata.
      * If true the response must include the following properties if they exist for the
@@ -82,6 +98,61 @@ export interface SetCharacteristicsObject {
     r?: boolean;
 }
 
+export interface WriteOptions extends OperationOptions {
+    /**
+     * Set to true to send a prepare request (/prepare) first and write the values as a
+     * timed write, as required by e.g. locks and garage door openers with the "tw" permission.
+     * Default: false
+     */
+    timedWrite?: boolean;
+
+    /**
+     * Time to live of the timed write in ms.
+     * Default: 5000
+     */
+    ttl?: number;
+
+    /**
+     * Set to true to request the resulting values in the response (write-response, r: true).
+     * Only used by writeCharacteristics().
+     * Default: false
+     */
+    writeResponse?: boolean;
+}
+
+export interface CharacteristicWriteResult {
+    /**
+     * Characteristic ID in form "aid.iid".
+     */
+    id: string;
+
+    aid: number | BigNumber;
+
+    iid: number | BigNumber;
+
+    /**
+     * HAP status code, 0 on success.
+     */
+    status: number;
+
+    success: boolean;
+
+    /**
+     * Value returned by the accessory (only for write-response requests).
+     */
+    value?: unknown;
+
+    /**
+     * Value sent to the accessory, after the validateWrites coercion.
+     */
+    writtenValue: unknown;
+
+    /**
+     * Description of the HAP status for failed writes.
+     */
+    message?: string;
+}
+
 interface WriteCharacteristicsObject extends SetCharacteristicsObject {
     /**
      * The instance ID of the accessory that contains the characteristic to be written.
@@ -111,7 +182,41 @@ interface EventCharacteristicsObject {
     ev: boolean;
 }
 
-interface HttpClientOptions {
+export interface ResubscribeOptions {
+    /**
+     * Maximum number of reconnect attempts before giving up. Use 0 to retry forever.
+     * Default: 10
+     */
+    maxAttempts?: number;
+
+    /**
+     * Delay in ms before the first reconnect attempt.
+     * Default: 1000
+     */
+    initialDelay?: number;
+
+    /**
+     * Upper limit in ms for the delay between two reconnect attempts.
+     * Default: 60000
+     */
+    maxDelay?: number;
+
+    /**
+     * Multiplier applied to the delay after each failed attempt.
+     * Default: 2
+     */
+    factor?: number;
+
+    /**
+     * Set to true to read the current values of all resubscribed characteristics after
+     * a successful reconnect and emit them as a normal "event", so changes that happened
+     * while the connection was down are not missed.
+     * Default: false
+     */
+    catchUp?: boolean;
+}
+
+export interface HttpClientOptions extends HttpConnectionOptions {
     /**
      * Set to true to use persistent connections for normal device interactions
      * Without persistent connections a new pairing verification is required
@@ -125,8 +230,73 @@ interface HttpClientOptions {
      * one connection to the device ist used
      */
     subscriptionsUseSameConnection?: boolean;
+
+    /**
+     * Set to true (or provide options) to automatically reconnect and resubscribe all
+     * subscribed characteristics when the subscription connection gets disconnected.
+     * "event-disconnect" is then only emitted when the client gave up.
+     */
+    autoResubscribe?: boolean | ResubscribeOptions;
+
+    /**
+     * Set to true to try to resume the previous session with Pair Resume before a full
+     * Pair-Verify. Pair Resume is specified for HAP-BLE, IP accessories which do not know it
+     * answer with a Pair-Verify M2 and the full Pair-Verify is finished then.
+     * Default: false
+     */
+    usePairResume?: boolean;
+
+    /**
+     * Set to true (or provide options) to wait out kTLVError_Backoff and kTLVError_Busy
+     * errors during Pair-Verify and try again. Other errors, like a failed authentication,
+     * are never retried.
+     */
+    pairVerifyRetry?: boolean | PairingRetryOptions;
+
+    /**
+     * Trust anchors, verification hook and policy for the MFi certificate the accessory
+     * sends during Pair Setup with Auth. The result is reported with the "pair-setup" event.
+     */
+    mfiVerification?: MfiVerificationOptions;
+
+    /**
+     * Set to true (or provide options) to validate and coerce values in setCharacteristics()
+     * against the characteristic metadata before they are sent. The metadata is taken from
+     * the last getAccessories() call or from setAccessoryMetadata().
+     * Characteristics without known metadata are sent unchecked.
+     */
+    validateWrites?: boolean | ValidationOptions;
+
+    /**
+     * Store to save the pairing data in. The data is saved automatically after a successful
+     * pairSetup() and deleted after removing the pairing of our own controller.
+     */
+    pairingStore?: PairingStore;
+
+    /**
+     * Controller identity to use for pair setup instead of generating a new one for each accessory.
+     * With an identity the pairing data only needs to contain AccessoryPairingID and AccessoryLTPK.
+     */
+    identity?: ControllerIdentity;
+
+    /**
+     * Cache to take the accessory database from in getAccessories() and to store it in after
+     * reading it from the device. Feed it the "c#" values from discovery (e.g. with
+     * accessoryCache.watch()) so it is read again after the accessory configuration changed.
+     */
+    accessoryCache?: AccessoryCache;
 }
 
+const DefaultTimedWriteTTL = 5000;
+
+const DefaultResubscribeOptions: Required<ResubscribeOptions> = {
+    maxAttempts: 10,
+    initialDelay: 1000,
+    maxDelay: 60000,
+    factor: 2,
+    catchUp: false,
+};
+
 export default class HttpClient extends EventEmitter {
     deviceId: string;
 
@@ -144,12 +314,34 @@ export default class HttpClient extends EventEmitter {
 
     private subscriptionsUseSameConnection = false;
 
+    private usePairResume = false;
+
+    private pairVerifyRetryOptions: Required<PairingRetryOptions> | null = null;
+
+    private mfiVerificationOptions: MfiVerificationOptions;
+
     private subscriptionConnection?: HttpConnection;
 
     private subscribedCharacteristics: string[] = [];
 
     private pairingQueue: OpQueue;
 
+    private resubscribeOptions: Required<ResubscribeOptions> | null = null;
+
+    private resubscribeTimer?: NodeJS.Timeout;
+
+    private pendingResubscribe: string[] = [];
+
+    private validationOptions: ValidationOptions | null = null;
+
+    private pairingStore: PairingStore | null = null;
+
+    private accessoryCache: AccessoryCache | null = null;
+
+    private connectionOptions: HttpConnectionOptions;
+
+    private characteristicMetadata = new Map<string, Characteristic.CharacteristicObject>();
+
     /**
      * Initialize the HttpClient object.
      *
@@ -163,33 +355,68 @@ export default class HttpClient extends EventEmitter {
         deviceId: string,
         address: string,
         port: number,
-        pairingData?: PairingData,
+        pairingData?: PairingData | AccessoryPairingData,
         options?: HttpClientOptions,
     ) {
         super();
         this.deviceId = deviceId;
         this.address = address;
         this.port = port;
-        this.pairingProtocol = new PairingProtocol(pairingData);
+        this.pairingProtocol = new PairingProtocol(pairingData, options?.identity);
         this.pairingQueue = new OpQueue();
         this.usePersistentConnections = options?.usePersistentConnections || false;
         this.subscriptionsUseSameConnection = options?.subscriptionsUseSameConnection || false;
+        this.usePairResume = options?.usePairResume === true;
+        this.pairingStore = options?.pairingStore || null;
+        this.accessoryCache = options?.accessoryCache || null;
+        this.mfiVerificationOptions = options?.mfiVerification || {};
+        this.connectionOptions = {
+            connectionFactory: options?.connectionFactory,
+            socketOptions: options?.socketOptions,
+            connectTimeout: options?.connectTimeout,
+            idleTimeout: options?.idleTimeout,
+        };
+        if (options?.validateWrites) {
+            this.validationOptions = typeof options.validateWrites === 'object' ? options.validateWrites : {};
+        }
+        if (options?.pairVerifyRetry) {
+            this.pairVerifyRetryOptions = Object.assign(
+                {},
+                DefaultPairingRetryOptions,
+                typeof options.pairVerifyRetry === 'object' ? options.pairVerifyRetry : {},
+            );
+        }
+        if (options?.autoResubscribe) {
+            this.resubscribeOptions = Object.assign(
+                {},
+                DefaultResubscribeOptions,
+                typeof options.autoResubscribe === 'object' ? options.autoResubscribe : {},
+            );
+        }
     }
 
     /**
      * Initialize or return an existing connection
      *
      * @private
+     * @param {AbortSignal?} signal - Signal to abort the Pair-Verify of a new connection
      * @returns {Promise<HttpConnection>} The connection to use
      */
-    private async getDefaultVerifiedConnection(): Promise<HttpConnection> {
-        if (this._defaultConnection) {
+    private async getDefaultVerifiedConnection(signal?: AbortSignal): Promise<HttpConnection> {
+        if (this._defaultConnection?.isConnected()) {
             debug(`${this.address}:${this.port} Reuse persistent connection client`);
             return this._defaultConnection;
         }
-        const connection = new HttpConnection(this.address, this.port);
-        const keys = await this._pairVerify(connection);
-        connection.setSessionKeys(keys);
+        // the session ends with the connection, e.g. after an aborted request
+        delete this._defaultConnection;
+        const connection = new HttpConnection(this.address, this.port, this.connectionOptions);
+        try {
+            const keys = await this._pairVerify(connection, signal);
+            connection.setSessionKeys(keys);
+        } catch (err) {
+            connection.close();
+            throw err;
+        }
 
         if (this.usePersistentConnections) {
             this._defaultConnection = connection;
@@ -221,10 +448,11 @@ export default class HttpClient extends EventEmitter {
      * Queue an operation for the pairing.
      *
      * @param {function} op - Function to add to the queue
+     * @param {AbortSignal?} signal - Signal to remove the operation from the queue
      * @returns {Promise} Promise which resolves when the function is called.
      */
-    private _queuePairingOperation<T>(op: () => Promise<T>): Promise<T> {
-        return this.pairingQueue.queue(op);
+    private _queuePairingOperation<T>(op: () => Promise<T>, signal?: AbortSignal): Promise<T> {
+        return this.pairingQueue.queue(op, signal);
     }
 
     /**
@@ -236,26 +464,40 @@ export default class HttpClient extends EventEmitter {
         return this.pairingProtocol.getLongTermData();
     }
 
+    /**
+     * Check if a pairing identifier is the one of our own controller.
+     *
+     * @param {Buffer} identifier - Pairing identifier
+     * @returns {boolean} true if the identifier belongs to this controller
+     */
+    private _isOwnPairingIdentifier(identifier: Buffer): boolean {
+        const data = this.getLongTermData();
+        return !!data && PairingProtocol.bufferFromHex(data.iOSDevicePairingID).equals(identifier);
+    }
+
     /**
      * Run the identify routine on a device.
      *
      * This can only be done before pairing.
      * If the device is already paired the method returns an error (Identify failed with status 400)
      *
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves if identify succeeded.
      */
-    async identify(): Promise<void> {
-        const connection = new HttpConnection(this.address, this.port);
-        const response = await connection.post('/identify', Buffer.alloc(0));
-        connection.close();
+    async identify(options?: OperationOptions): Promise<void> {
+        return runOperation(options, async (signal) => {
+            const connection = new HttpConnection(this.address, this.port, this.connectionOptions);
+            const response = await connection.post('/identify', Buffer.alloc(0), 'application/hap+json', signal);
+            connection.close();
 
-        if (response.statusCode !== 204) {
-            throw new HomekitControllerError(
-                `Identify failed with status ${response.statusCode}`,
-                response.statusCode,
-                response.body,
-            );
-        }
+            if (response.statusCode !== 204) {
+                throw new HomekitControllerError(
+                    `Identify failed with status ${response.statusCode}`,
+                    response.statusCode,
+                    response.body,
+                );
+            }
+        });
     }
 
     /**
@@ -282,66 +524,99 @@ export default class HttpClient extends EventEmitter {
      *                                           and needs to be provided in finishPairing by user of this library
      *                                         * If only the flag kPairingFlag_Transient is provided the session
      *                                           security is enabled but no final pairing is done
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves to opaque pairing data when complete.
      */
-    async startPairing(pairMethod = PairMethods.PairSetupWithAuth, pairFlags = 0): Promise<TLV> {
-        const connection = (this._pairingConnection = new HttpConnection(this.address, this.port));
+    async startPairing(
+        pairMethod = PairMethods.PairSetupWithAuth,
+        pairFlags = 0,
+        options?: OperationOptions,
+    ): Promise<TLV> {
+        return runOperation(options, async (signal) => {
+            const connection = (this._pairingConnection = new HttpConnection(
+                this.address,
+                this.port,
+                this.connectionOptions,
+            ));
 
-        // M1
-        const m1 = await this.pairingProtocol.buildPairSetupM1(pairMethod, pairFlags);
-        const m2 = await connection.post('/pair-setup', m1, 'application/pairing+tlv8');
+            // M1
+            const m1 = await this.pairingProtocol.buildPairSetupM1(pairMethod, pairFlags);
+            const m2 = await connection.post('/pair-setup', m1, 'application/pairing+tlv8', signal);
 
-        // M2
-        try {
-            return this.pairingProtocol.parsePairSetupM2(m2.body);
-        } catch (e) {
-            // Close connection if we have an error
-            connection.close();
-            delete this._pairingConnection;
-            throw e;
-        }
+            // M2
+            try {
+                return this.pairingProtocol.parsePairSetupM2(m2.body);
+            } catch (e) {
+                // Close connection if we have an error
+                connection.close();
+                delete this._pairingConnection;
+                throw e;
+            }
+        });
     }
 
     /**
      * Finishes a pairing process that began with startPairing()
      *
+     * With Pair Setup with Auth the MFi certificate of the accessory is verified after M4,
+     * the pairing is aborted before M5 if mfiVerification.requireValid is set and it is not valid.
+     *
+     * @fires HttpClient#pair-setup
      * @param {TLV} pairingData - The pairing data returned from startPairing()
      * @param {string} pin - The pairing PIN, needs to be formatted as XXX-XX-XXX
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolve when pairing is complete.
      */
-    async finishPairing(pairingData: TLV, pin: string): Promise<void> {
-        if (!pairingData || !this._pairingConnection) {
-            throw new Error('Must call startPairing() first');
-        }
-
-        this.verifyPin(pin);
-
-        const connection = this._pairingConnection;
-        delete this._pairingConnection;
-
-        try {
-            // M3
-            const m3 = await this.pairingProtocol.buildPairSetupM3(pairingData, pin);
-            const m4 = await connection.post('/pair-setup', m3, 'application/pairing+tlv8');
+    async finishPairing(pairingData: TLV, pin: string, options?: OperationOptions): Promise<void> {
+        return runOperation(options, async (signal) => {
+            if (!pairingData || !this._pairingConnection) {
+                throw new Error('Must call startPairing() first');
+            }
 
-            // M4
-            await this.pairingProtocol.parsePairSetupM4(m4.body);
+            this.verifyPin(pin);
 
-            if (!this.pairingProtocol.isTransientOnlyPairSetup()) {
-                // According to specs for a transient pairSetup process no M5/6 is done, which should end in a
-                // "non pairing" result, and we miss AccessoryId and AccessoryLTPK, but the current session is
-                // authenticated
+            const connection = this._pairingConnection;
+            delete this._pairingConnection;
 
-                // M5
-                const m5 = await this.pairingProtocol.buildPairSetupM5();
-                const m6 = await connection.post('/pair-setup', m5, 'application/pairing+tlv8');
+            try {
+                // M3
+                const m3 = await this.pairingProtocol.buildPairSetupM3(pairingData, pin);
+                const m4 = await connection.post('/pair-setup', m3, 'application/pairing+tlv8', signal);
+
+                // M4
+                await this.pairingProtocol.parsePairSetupM4(m4.body);
+                const mfi = this.pairingProtocol.isPairSetupWithAuth()
+                    ? await runMfiVerification(this.pairingProtocol.getMfiAuthentication(), this.mfiVerificationOptions)
+                    : null;
+
+                if (!this.pairingProtocol.isTransientOnlyPairSetup()) {
+                    // According to specs for a transient pairSetup process no M5/6 is done, which should end in a
+                    // "non pairing" result, and we miss AccessoryId and AccessoryLTPK, but the current session is
+                    // authenticated
+
+                    // M5
+                    const m5 = await this.pairingProtocol.buildPairSetupM5();
+                    const m6 = await connection.post('/pair-setup', m5, 'application/pairing+tlv8', signal);
+
+                    // M6
+                    await this.pairingProtocol.parsePairSetupM6(m6.body);
+
+                    if (this.pairingStore) {
+                        await this.pairingStore.set(this.deviceId, this.getLongTermData()!);
+                    }
+                }
 
-                // M6
-                await this.pairingProtocol.parsePairSetupM6(m6.body);
+                /**
+                 * Event emitted after a successful pair setup with the result of the MFi verification
+                 *
+                 * @event HttpClient#pair-setup
+                 * @type {Object} { mfi: MfiVerificationResult | null }
+                 */
+                this.emit('pair-setup', { mfi });
+            } finally {
+                connection.close();
             }
-        } finally {
-            connection.close();
-        }
+        });
     }
 
     /**
@@ -350,64 +625,181 @@ export default class HttpClient extends EventEmitter {
      * @param {string} pin - The pairing PIN, needs to be formatted as XXX-XX-XXX
      * @param {PairMethods} [pairMethod] - Method to use for pairing, default is PairSetupWithAuth
      * @param {PairingTypeFlags} [pairFlags] - Flags to use for Pairing for PairSetup
+     * @param {OperationOptions?} options - Timeout and abort signal for the whole procedure
      * @returns {Promise} Promise which resolves when pairing is complete.
      */
-    async pairSetup(pin: string, pairMethod = PairMethods.PairSetupWithAuth, pairFlags = 0): Promise<void> {
-        await this.finishPairing(await this.startPairing(pairMethod, pairFlags), pin);
+    async pairSetup(
+        pin: string,
+        pairMethod = PairMethods.PairSetupWithAuth,
+        pairFlags = 0,
+        options?: OperationOptions,
+    ): Promise<void> {
+        return runOperation(options, async (signal) => {
+            await this.finishPairing(await this.startPairing(pairMethod, pairFlags, { signal }), pin, { signal });
+        });
     }
 
     /**
      * Method used internally to generate session keys for a connection.
      *
+     * If a previous session exists, Pair Resume is tried first and the full
+     * Pair-Verify is only done when the accessory does not accept it.
+     *
+     * With the pairVerifyRetry option a procedure rejected with kTLVError_Backoff
+     * or kTLVError_Busy is started again after the requested delay.
+     *
      * @private
+     * @fires HttpClient#pair-verify
+     * @fires HttpClient#pair-verify-retry
      * @param {Object} connection - Existing HttpConnection object
+     * @param {AbortSignal?} signal - Signal to abort the procedure
      * @returns {Promise} Promise which resolves to the generated session keys.
      */
-    private async _pairVerify(connection: HttpConnection): Promise<SessionKeys> {
+    private async _pairVerify(connection: HttpConnection, signal?: AbortSignal): Promise<SessionKeys> {
         return this._queuePairingOperation(async () => {
-            debug(`${this.address}:${this.port} Start Pair-Verify process ...`);
-            // M1
-            const m1 = await this.pairingProtocol.buildPairVerifyM1();
-            const m2 = await connection.post('/pair-verify', m1, 'application/pairing+tlv8');
+            const verify = async (): Promise<boolean> => {
+                if (this.usePairResume && this.pairingProtocol.canResume()) {
+                    debug(`${this.address}:${this.port} Start Pair-Resume process ...`);
+                    // falls back to a full Pair-Verify if the session can not be resumed
+                    return await this._pairResume(connection, signal);
+                }
 
-            // M2
-            await this.pairingProtocol.parsePairVerifyM2(m2.body);
+                debug(`${this.address}:${this.port} Start Pair-Verify process ...`);
+                // M1
+                const m1 = await this.pairingProtocol.buildPairVerifyM1();
+                const m2 = await connection.post('/pair-verify', m1, 'application/pairing+tlv8', signal);
 
-            // M3
-            const m3 = await this.pairingProtocol.buildPairVerifyM3();
-            const m4 = await connection.post('/pair-verify', m3, 'application/pairing+tlv8');
+                // M2 - M4
+                await this._finishPairVerify(connection, m2.body, signal);
+                return false;
+            };
 
-            // M4
-            await this.pairingProtocol.parsePairVerifyM4(m4.body);
+            let resumed: boolean;
+            if (this.pairVerifyRetryOptions) {
+                resumed = await retryPairing(
+                    verify,
+                    this.pairVerifyRetryOptions,
+                    (info) => {
+                        debug(`${this.address}:${this.port} ${info.error.message}, retry in ${info.delay}ms`);
+                        /**
+                         * Event emitted when the accessory rejected Pair-Verify with kTLVError_Backoff or
+                         * kTLVError_Busy and the client waits before the next attempt
+                         *
+                         * @event HttpClient#pair-verify-retry
+                         * @type {Object} { attempt: number, delay: number, error: PairingError }
+                         */
+                        this.emit('pair-verify-retry', info);
+                    },
+                    signal,
+                );
+            } else {
+                resumed = await verify();
+            }
 
-            debug(`${this.address}:${this.port} Finished Pair-Verify process ...`);
+            debug(`${this.address}:${this.port} Finished ${resumed ? 'Pair-Resume' : 'Pair-Verify'} process ...`);
+            /**
+             * Event emitted after a session was established, to show which procedure was used
+             *
+             * @event HttpClient#pair-verify
+             * @type {Object} { resumed: boolean }
+             */
+            this.emit('pair-verify', { resumed });
             return this.pairingProtocol.getSessionKeys();
-        });
+        }, signal);
+    }
+
+    /**
+     * Try to resume the previous session on a connection.
+     *
+     * An accessory which can not resume the session answers with a Pair-Verify
+     * M2, in that case the Pair-Verify is finished on the same connection.
+     *
+     * @private
+     * @param {Object} connection - Existing HttpConnection object
+     * @param {AbortSignal?} signal - Signal to abort the procedure
+     * @returns {Promise} Promise which resolves to true if the session was resumed.
+     */
+    private async _pairResume(connection: HttpConnection, signal?: AbortSignal): Promise<boolean> {
+        // M1
+        const m1 = await this.pairingProtocol.buildPairResumeM1();
+        const m2 = await connection.post('/pair-verify', m1, 'application/pairing+tlv8', signal);
+
+        // M2
+        try {
+            await this.pairingProtocol.parsePairResumeM2(m2.body);
+            return true;
+        } catch (err) {
+            if (err instanceof PairingBackoffError || err instanceof PairingBusyError) {
+                throw err;
+            }
+            debug(`${this.address}:${this.port} Pair-Resume not accepted: ${err}`);
+        }
+
+        try {
+            await this._finishPairVerify(connection, m2.body, signal);
+            return false;
+        } catch (err) {
+            signal?.throwIfAborted();
+            debug(`${this.address}:${this.port} Fallback to Pair-Verify failed, retry from scratch: ${err}`);
+        }
+
+        const pvM1 = await this.pairingProtocol.buildPairVerifyM1();
+        const pvM2 = await connection.post('/pair-verify', pvM1, 'application/pairing+tlv8', signal);
+        await this._finishPairVerify(connection, pvM2.body, signal);
+        return false;
+    }
+
+    /**
+     * Finish a Pair-Verify process with the M2 response of the accessory.
+     *
+     * @private
+     * @param {Object} connection - Existing HttpConnection object
+     * @param {Buffer} m2Buffer - Buffer containing M2 response
+     * @param {AbortSignal?} signal - Signal to abort the procedure
+     * @returns {Promise} Promise which resolves when the pairing was verified.
+     */
+    private async _finishPairVerify(connection: HttpConnection, m2Buffer: Buffer, signal?: AbortSignal): Promise<void> {
+        // M2
+        await this.pairingProtocol.parsePairVerifyM2(m2Buffer);
+
+        // M3
+        const m3 = await this.pairingProtocol.buildPairVerifyM3();
+        const m4 = await connection.post('/pair-verify', m3, 'application/pairing+tlv8', signal);
+
+        // M4
+        await this.pairingProtocol.parsePairVerifyM4(m4.body);
     }
 
     /**
      * Unpair the controller from a device.
      *
      * @param {string | Buffer} identifier - Identifier of the controller to remove
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves when the process completes.
      */
-    async removePairing(identifier: string | Buffer): Promise<void> {
-        const connection = await this.getDefaultVerifiedConnection();
+    async removePairing(identifier: string | Buffer, options?: OperationOptions): Promise<void> {
+        return runOperation(options, async (signal) => {
+            const connection = await this.getDefaultVerifiedConnection(signal);
 
-        if (typeof identifier === 'string') {
-            identifier = PairingProtocol.bufferFromHex(identifier);
-        }
+            if (typeof identifier === 'string') {
+                identifier = PairingProtocol.bufferFromHex(identifier);
+            }
 
-        try {
-            // M1
-            const m1 = await this.pairingProtocol.buildRemovePairingM1(identifier);
-            const m2 = await connection.post('/pairings', m1, 'application/pairing+tlv8');
+            try {
+                // M1
+                const m1 = await this.pairingProtocol.buildRemovePairingM1(identifier);
+                const m2 = await connection.post('/pairings', m1, 'application/pairing+tlv8', signal);
 
-            // M2
-            await this.pairingProtocol.parseRemovePairingM2(m2.body);
-        } finally {
-            this.closeMaybePersistentConnection(connection, true);
-        }
+                // M2
+                await this.pairingProtocol.parseRemovePairingM2(m2.body);
+
+                if (this.pairingStore && this._isOwnPairingIdentifier(identifier)) {
+                    await this.pairingStore.delete(this.deviceId);
+                }
+            } finally {
+                this.closeMaybePersistentConnection(connection, true);
+            }
+        });
     }
 
     /**
@@ -416,145 +808,187 @@ export default class HttpClient extends EventEmitter {
      * @param {string} identifier - Identifier of new controller
      * @param {Buffer} ltpk - Long-term public key of the new controller
      * @param {boolean} isAdmin - Whether or not the new controller is an admin
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves when the process is complete.
      */
-    async addPairing(identifier: string, ltpk: Buffer, isAdmin: boolean): Promise<void> {
-        const connection = await this.getDefaultVerifiedConnection();
+    async addPairing(identifier: string, ltpk: Buffer, isAdmin: boolean, options?: OperationOptions): Promise<void> {
+        return runOperation(options, async (signal) => {
+            const connection = await this.getDefaultVerifiedConnection(signal);
 
-        try {
-            // M1
-            const m1 = await this.pairingProtocol.buildAddPairingM1(identifier, ltpk, isAdmin);
-            const m2 = await connection.post('/pairings', m1, 'application/pairing+tlv8');
-
-            // M2
-            await this.pairingProtocol.parseAddPairingM2(m2.body);
-        } finally {
-            this.closeMaybePersistentConnection(connection);
-        }
+            try {
+                // M1
+                const m1 = await this.pairingProtocol.buildAddPairingM1(identifier, ltpk, isAdmin);
+                const m2 = await connection.post('/pairings', m1, 'application/pairing+tlv8', signal);
+
+                // M2
+                await this.pairingProtocol.parseAddPairingM2(m2.body);
+            } finally {
+                this.closeMaybePersistentConnection(connection);
+            }
+        });
     }
 
     /**
      * List the pairings on a device.
      *
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves to the final TLV when the process
      *                    is complete.
      */
-    async listPairings(): Promise<TLV> {
-        const connection = await this.getDefaultVerifiedConnection();
+    async listPairings(options?: OperationOptions): Promise<TLV> {
+        return runOperation(options, async (signal) => {
+            const connection = await this.getDefaultVerifiedConnection(signal);
 
-        try {
-            // M1
-            const m1 = await this.pairingProtocol.buildListPairingsM1();
-            const m2 = await connection.post('/pairings', m1, 'application/pairing+tlv8');
+            try {
+                // M1
+                const m1 = await this.pairingProtocol.buildListPairingsM1();
+                const m2 = await connection.post('/pairings', m1, 'application/pairing+tlv8', signal);
+
+                // M2
+                return this.pairingProtocol.parseListPairingsM2(m2.body);
+            } finally {
+                this.closeMaybePersistentConnection(connection);
+            }
+        });
+    }
 
-            // M2
-            return this.pairingProtocol.parseListPairingsM2(m2.body);
-        } finally {
-            this.closeMaybePersistentConnection(connection);
-        }
+    /**
+     * List the pairings on a device, parsed into a list of pairings.
+     *
+     * @param {OperationOptions?} options - Timeout and abort signal
+     * @returns {Promise} Promise which resolves to the list of pairings.
+     */
+    async getPairings(options?: OperationOptions): Promise<Pairing[]> {
+        return parsePairings(await this.listPairings(options));
     }
 
     /**
      * Get the accessory attribute database from a device.
      *
+     * @param {boolean} refresh - Read the database from the device even if the accessory cache has it
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves to the JSON document.
      */
-    async getAccessories(): Promise<Accessories> {
-        const connection = await this.getDefaultVerifiedConnection();
+    async getAccessories(refresh = false, options?: OperationOptions): Promise<Accessories> {
+        return runOperation(options, async (signal) => {
+            const cached = refresh ? null : this.accessoryCache?.get(this.deviceId, 'ip');
+            if (cached) {
+                this.setAccessoryMetadata(cached);
+                return cached;
+            }
 
-        try {
-            const response = await connection.get('/accessories');
+            const configNumber = this.accessoryCache?.getConfigNumber(this.deviceId, 'ip') ?? null;
+            const connection = await this.getDefaultVerifiedConnection(signal);
 
-            if (response.statusCode !== 200) {
-                throw new HomekitControllerError(
-                    `Get failed with status ${response.statusCode}`,
-                    response.statusCode,
-                    response.body,
-                );
-            }
+            try {
+                const response = await connection.get('/accessories', signal);
+
+                if (response.statusCode !== 200) {
+                    throw new HomekitControllerError(
+                        `Get failed with status ${response.statusCode}`,
+                        response.statusCode,
+                        response.body,
+                    );
+                }
 
-            const res: Accessories = JSONBig.parse(response.body.toString());
-            res.accessories.forEach((accessory) => {
-                accessory.services.forEach((service) => {
-                    service.type = Service.ensureServiceUuid(service.type);
-                    service.characteristics.forEach((characteristic) => {
-                        characteristic.type = Characteristic.ensureCharacteristicUuid(characteristic.type!);
+                const res: Accessories = JSONBig.parse(response.body.toString());
+                res.accessories.forEach((accessory) => {
+                    accessory.services.forEach((service) => {
+                        service.type = Service.ensureServiceUuid(service.type);
+                        service.characteristics.forEach((characteristic) => {
+                            characteristic.type = Characteristic.ensureCharacteristicUuid(characteristic.type!);
+                        });
                     });
                 });
-            });
 
-            return res;
-        } finally {
-            this.closeMaybePersistentConnection(connection);
-        }
+                this.setAccessoryMetadata(res);
+                this.accessoryCache?.set(this.deviceId, 'ip', res, configNumber);
+                return res;
+            } finally {
+                this.closeMaybePersistentConnection(connection);
+            }
+        });
+    }
+
+    /**
+     * Set the accessory database used to validate writes, e.g. a cached copy of
+     * an earlier getAccessories() result.
+     *
+     * @param {Accessories} accessories - Accessory database
+     */
+    setAccessoryMetadata(accessories: Accessories): void {
+        this.characteristicMetadata = characteristicMetadataMap(accessories);
     }
 
     /**
      * Read a set of characteristics.
      *
      * @param {string[]} characteristics - List of characteristics ID to get in form ["aid.iid", ...]
-     * @param {GetCharacteristicsOptions?} options - Options dictating what metadata to fetch
+     * @param {GetCharacteristicsOptions?} options - Options dictating what metadata to fetch, timeout and abort signal
      * @returns {Promise} Promise which resolves to the JSON document.
      */
     async getCharacteristics(
         characteristics: string[],
         options: GetCharacteristicsOptions = {},
     ): Promise<{ characteristics: Characteristic.CharacteristicObject[] }> {
-        options = Object.assign(
-            {
-                meta: false,
-                perms: false,
-                type: false,
-                ev: false,
-            },
-            options,
-        );
+        return runOperation(options, async (signal) => {
+            options = Object.assign(
+                {
+                    meta: false,
+                    perms: false,
+                    type: false,
+                    ev: false,
+                },
+                options,
+            );
 
-        const connection = await this.getDefaultVerifiedConnection();
+            const connection = await this.getDefaultVerifiedConnection(signal);
 
-        let path = `/characteristics?id=${characteristics.join(',')}`;
-        if (options.meta) {
-            path += '&meta=1';
-        }
-        if (options.perms) {
-            path += '&perms=1';
-        }
-        if (options.type) {
-            path += '&type=1';
-        }
-        if (options.ev) {
-            path += '&ev=1';
-        }
+            let path = `/characteristics?id=${characteristics.join(',')}`;
+            if (options.meta) {
+                path += '&meta=1';
+            }
+            if (options.perms) {
+                path += '&perms=1';
+            }
+            if (options.type) {
+                path += '&type=1';
+            }
+            if (options.ev) {
+                path += '&ev=1';
+            }
 
-        try {
-            const response = await connection.get(path);
+            try {
+                const response = await connection.get(path, signal);
+
+                if (response.statusCode !== 200 && response.statusCode !== 207) {
+                    throw new HomekitControllerError(
+                        `Get failed with status ${response.statusCode}`,
+                        response.statusCode,
+                        response.body,
+                    );
+                }
 
-            if (response.statusCode !== 200 && response.statusCode !== 207) {
-                throw new HomekitControllerError(
-                    `Get failed with status ${response.statusCode}`,
-                    response.statusCode,
-                    response.body,
-                );
+                return JSONBig.parse(response.body.toString());
+            } finally {
+                this.closeMaybePersistentConnection(connection);
             }
-
-            return JSONBig.parse(response.body.toString());
-        } finally {
-            this.closeMaybePersistentConnection(connection);
-        }
+        });
     }
 
     /**
-     * Modify a set of characteristics.
+     * Build the body of a characteristic write request.
      *
      * @param {Object} characteristics - Characteristic IDs to set in form
      *                                   * id -> val or
      *                                   * id -> SetCharacteristicsObject
-     * @returns {Promise} Promise which resolves to the JSON document.
+     * @param {boolean} writeResponse - Whether to request the value in the response (r: true)
+     * @returns {Object} Request body
      */
-    async setCharacteristics(
+    private _buildWriteRequest(
         characteristics: Record<string, unknown>,
-    ): Promise<Record<string, unknown | SetCharacteristicsObject>> {
-        const connection = await this.getDefaultVerifiedConnection();
+        writeResponse = false,
+    ): { characteristics: WriteCharacteristicsObject[]; pid?: number } {
         const data = {
             characteristics: <WriteCharacteristicsObject[]>[],
         };
@@ -578,26 +1012,180 @@ export default class HttpClient extends EventEmitter {
                 dataObject.value = characteristics[cid];
             }
 
+            if (writeResponse) {
+                dataObject.r = true;
+            }
+
+            const metadata =
+                this.validationOptions && this.characteristicMetadata.get(`${parts[0].trim()}.${parts[1].trim()}`);
+            if (metadata) {
+                dataObject.value = validateCharacteristicValue(metadata, dataObject.value, this.validationOptions!);
+            }
+            dataObject.value = toJsonValue(dataObject.value);
+
             data.characteristics.push(dataObject);
         }
 
-        try {
-            const response = await connection.put('/characteristics', Buffer.from(JSONBig.stringify(data)));
+        return data;
+    }
 
-            if (response.statusCode === 204) {
-                return data;
-            } else if (response.statusCode === 207) {
-                return JSONBig.parse(response.body.toString());
-            } else {
+    /**
+     * Send a write request, preceded by a prepare request for timed writes.
+     *
+     * @param {Object} data - Request body as built by _buildWriteRequest()
+     * @param {WriteOptions?} options - Write options, timeout and abort signal
+     * @returns {Promise} Promise which resolves to the response.
+     */
+    private async _writeCharacteristics(
+        data: { characteristics: WriteCharacteristicsObject[]; pid?: number },
+        options?: WriteOptions,
+    ): Promise<HttpResponse> {
+        return runOperation(options, async (signal) => {
+            const connection = await this.getDefaultVerifiedConnection(signal);
+            try {
+                if (options?.timedWrite) {
+                    data.pid = await this._prepareWrite(connection, options.ttl ?? DefaultTimedWriteTTL, signal);
+                }
+
+                const response = await connection.put(
+                    '/characteristics',
+                    Buffer.from(JSONBig.stringify(data)),
+                    'application/hap+json',
+                    false,
+                    signal,
+                );
+
+                if (response.statusCode !== 204 && response.statusCode !== 207 && response.statusCode !== 200) {
+                    throw new HomekitControllerError(
+                        `Set failed with status ${response.statusCode}`,
+                        response.statusCode,
+                        response.body,
+                    );
+                }
+
+                return response;
+            } finally {
+                this.closeMaybePersistentConnection(connection);
+            }
+        });
+    }
+
+    /**
+     * Send the prepare request of a timed write.
+     *
+     * See Chapter 6.7.2.4
+     *
+     * @param {HttpConnection} connection - Verified connection to use, the write must follow on the same connection
+     * @param {number} ttl - Time in ms in which the write needs to be received by the accessory
+     * @param {AbortSignal?} signal - Signal to abort the request
+     * @returns {Promise} Promise which resolves to the PID to use for the write request.
+     */
+    private async _prepareWrite(connection: HttpConnection, ttl: number, signal?: AbortSignal): Promise<number> {
+        // The PID is an uint64, but stays in the 32 bit range so that accessories parsing
+        // JSON numbers as double do not lose precision
+        const pid = crypto.randomBytes(4).readUInt32BE(0) || 1;
+
+        const response = await connection.put(
+            '/prepare',
+            Buffer.from(JSONBig.stringify({ ttl, pid })),
+            'application/hap+json',
+            false,
+            signal,
+        );
+        if (response.statusCode !== 200 && response.statusCode !== 204) {
+            throw new HomekitControllerError(
+                `Prepare write failed with status ${response.statusCode}`,
+                response.statusCode,
+                response.body,
+            );
+        }
+
+        if (response.statusCode === 200 && response.body.length) {
+            const body = JSONBig.parse(response.body.toString());
+            if (body.status) {
                 throw new HomekitControllerError(
-                    `Set failed with status ${response.statusCode}`,
-                    response.statusCode,
-                    response.body,
+                    `Prepare write failed with HAP status ${body.status}`,
+                    parseInt(body.status, 10),
+                    body,
                 );
             }
-        } finally {
-            this.closeMaybePersistentConnection(connection);
         }
+
+        debug(`${this.address}:${this.port} Prepared timed write with pid ${pid}, ttl ${ttl}ms`);
+        return pid;
+    }
+
+    /**
+     * Modify a set of characteristics.
+     *
+     * @param {Object} characteristics - Characteristic IDs to set in form
+     *                                   * id -> val or
+     *                                   * id -> SetCharacteristicsObject
+     * @param {WriteOptions?} options - Options for timed writes, timeout and abort signal
+     * @returns {Promise} Promise which resolves to the JSON document.
+     * @throws {HomekitControllerError} If validateWrites is enabled and a value is invalid
+     */
+    async setCharacteristics(
+        characteristics: Record<string, unknown>,
+        options?: WriteOptions,
+    ): Promise<Record<string, unknown | SetCharacteristicsObject>> {
+        const data = this._buildWriteRequest(characteristics);
+        const response = await this._writeCharacteristics(data, options);
+
+        if (response.statusCode === 204) {
+            return data;
+        }
+        return JSONBig.parse(response.body.toString());
+    }
+
+    /**
+     * Modify a set of characteristics and return a structured result per characteristic.
+     *
+     * Other than setCharacteristics() this does not fail on a Multi-Status response, the
+     * status of each characteristic is part of the result instead. With writeResponse the
+     * values returned by the accessory are included.
+     *
+     * @param {Object} characteristics - Characteristic IDs to set in form
+     *                                   * id -> val or
+     *                                   * id -> SetCharacteristicsObject
+     * @param {WriteOptions?} options - Options for timed writes and write-response, timeout and abort signal
+     * @returns {Promise} Promise which resolves to the list of results in request order.
+     */
+    async writeCharacteristics(
+        characteristics: Record<string, unknown>,
+        options?: WriteOptions,
+    ): Promise<CharacteristicWriteResult[]> {
+        const data = this._buildWriteRequest(characteristics, options?.writeResponse);
+        const response = await this._writeCharacteristics(data, options);
+
+        let entries: { aid: number | BigNumber; iid: number | BigNumber; status?: number; value?: unknown }[] = [];
+        if (response.statusCode !== 204 && response.body.length) {
+            entries = JSONBig.parse(response.body.toString()).characteristics || [];
+        }
+
+        return data.characteristics.map((request) => {
+            const id = `${request.aid}.${request.iid}`;
+            const entry = entries.find((e) => `${e.aid}.${e.iid}` === id);
+            const status = entry?.status ? parseInt(`${entry.status}`, 10) : 0;
+
+            const result: CharacteristicWriteResult = {
+                id,
+                aid: request.aid!,
+                iid: request.iid!,
+                status,
+                success: status === 0,
+                writtenValue: request.value,
+            };
+            // eslint-disable-next-line no-undefined
+            if (entry && entry.value !== undefined) {
+                result.value = entry.value;
+            }
+            if (status !== 0) {
+                result.message =
+                    HapStatusCodes[<keyof typeof HapStatusCodes>`${status}`] || `Unknown HAP status ${status}`;
+            }
+            return result;
+        });
     }
 
     /**
@@ -607,107 +1195,203 @@ export default class HttpClient extends EventEmitter {
      * @fires HttpClient#event-disconnect
      * @param {String[]} characteristics - List of characteristic IDs to subscribe to,
      *                                       in form ["aid.iid", ...]
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise
      */
-    async subscribeCharacteristics(characteristics: string[]): Promise<Record<string, unknown> | null> {
-        let connection: HttpConnection;
-        if (this.subscriptionsUseSameConnection) {
-            connection = await this.getDefaultVerifiedConnection();
-        } else {
-            connection = this.subscriptionConnection || new HttpConnection(this.address, this.port);
-        }
-
-        const data = {
-            characteristics: <EventCharacteristicsObject[]>[],
-        };
+    async subscribeCharacteristics(
+        characteristics: string[],
+        options?: OperationOptions,
+    ): Promise<Record<string, unknown> | null> {
+        return runOperation(options, async (signal) => {
+            let connection: HttpConnection;
+            if (this.subscriptionsUseSameConnection) {
+                connection = await this.getDefaultVerifiedConnection(signal);
+            } else {
+                connection =
+                    this.subscriptionConnection || new HttpConnection(this.address, this.port, this.connectionOptions);
+            }
 
-        if (!this.subscriptionConnection && !this.subscriptionsUseSameConnection) {
-            const keys = await this._pairVerify(connection);
-            connection.setSessionKeys(keys);
-        }
+            const data = {
+                characteristics: <EventCharacteristicsObject[]>[],
+            };
 
-        const newSubscriptions: string[] = [];
-        for (const cid of characteristics) {
-            if (this.subscribedCharacteristics.includes(cid)) {
-                // cid already subscribed, so we do not need to subscribe again
-                continue;
+            if (!this.subscriptionConnection && !this.subscriptionsUseSameConnection) {
+                try {
+                    const keys = await this._pairVerify(connection, signal);
+                    connection.setSessionKeys(keys);
+                } catch (err) {
+                    connection.close();
+                    throw err;
+                }
             }
-            newSubscriptions.push(cid);
-            const parts = cid.split('.');
-            data.characteristics.push({
-                aid: BigNumber(parts[0].trim()),
-                iid: BigNumber(parts[1].trim()),
-                ev: true,
-            });
-        }
 
-        if (data.characteristics.length) {
-            if (!this.subscriptionConnection) {
-                connection.on('event', (ev) => {
-                    /**
-                     * Event emitted with characteristic value changes
-                     *
-                     * @event HttpClient#event
-                     * @type {Object} Event TODO
-                     */
-                    this.emit('event', JSONBig.parse(ev));
+            const newSubscriptions: string[] = [];
+            for (const cid of characteristics) {
+                if (this.subscribedCharacteristics.includes(cid)) {
+                    // cid already subscribed, so we do not need to subscribe again
+                    continue;
+                }
+                newSubscriptions.push(cid);
+                const parts = cid.split('.');
+                data.characteristics.push({
+                    aid: BigNumber(parts[0].trim()),
+                    iid: BigNumber(parts[1].trim()),
+                    ev: true,
                 });
+            }
 
-                connection.once('disconnect', () => {
-                    connection.removeAllListeners('event');
-                    delete this.subscriptionConnection;
-                    if (this.subscribedCharacteristics.length) {
+            if (data.characteristics.length) {
+                if (!this.subscriptionConnection) {
+                    connection.on('event', (ev) => {
                         /**
-                         * Event emitted when subscription connection got disconnected, but
-                         * still some characteristics are subscribed.
-                         * You need to manually resubscribe!
+                         * Event emitted with characteristic value changes
                          *
-                         * @event HttpClient#event-disconnect
-                         * @type {string[]} List of the subscribed characteristics for resubscribe handling
+                         * @event HttpClient#event
+                         * @type {Object} Event TODO
                          */
-                        this.emit('event-disconnect', this.subscribedCharacteristics);
-                        this.subscribedCharacteristics = [];
-                    }
-                });
-                this.subscriptionConnection = connection;
-            }
+                        this.emit('event', JSONBig.parse(ev));
+                    });
 
-            const response = await connection.put(
-                '/characteristics',
-                Buffer.from(JSONBig.stringify(data)),
-                'application/hap+json',
-                true,
-            );
+                    connection.once('disconnect', () => {
+                        connection.removeAllListeners('event');
+                        delete this.subscriptionConnection;
+                        if (this.subscriptionsUseSameConnection && this._defaultConnection === connection) {
+                            delete this._defaultConnection;
+                        }
+                        if (this.subscribedCharacteristics.length && this.resubscribeOptions) {
+                            const characteristics = this.subscribedCharacteristics;
+                            this.subscribedCharacteristics = [];
+                            this._scheduleResubscribe(characteristics, 1);
+                        } else if (this.subscribedCharacteristics.length) {
+                            /**
+                             * Event emitted when subscription connection got disconnected, but
+                             * still some characteristics are subscribed.
+                             * You need to manually resubscribe!
+                             *
+                             * @event HttpClient#event-disconnect
+                             * @type {string[]} List of the subscribed characteristics for resubscribe handling
+                             */
+                            this.emit('event-disconnect', this.subscribedCharacteristics);
+                            this.subscribedCharacteristics = [];
+                        }
+                    });
+                    this.subscriptionConnection = connection;
+                }
 
-            if (response.statusCode !== 204 && response.statusCode !== 207) {
-                if (!this.subscribedCharacteristics.length) {
-                    if (!this.subscriptionsUseSameConnection) {
-                        connection.close();
+                const response = await connection.put(
+                    '/characteristics',
+                    Buffer.from(JSONBig.stringify(data)),
+                    'application/hap+json',
+                    true,
+                    signal,
+                );
+
+                if (response.statusCode !== 204 && response.statusCode !== 207) {
+                    if (!this.subscribedCharacteristics.length) {
+                        if (!this.subscriptionsUseSameConnection) {
+                            connection.close();
+                        }
+                        connection.removeAllListeners('event');
+                        delete this.subscriptionConnection;
                     }
-                    connection.removeAllListeners('event');
-                    delete this.subscriptionConnection;
+                    throw new HomekitControllerError(
+                        `Subscribe failed with status ${response.statusCode}`,
+                        response.statusCode,
+                        response.body,
+                    );
                 }
-                throw new HomekitControllerError(
-                    `Subscribe failed with status ${response.statusCode}`,
-                    response.statusCode,
-                    response.body,
-                );
-            }
-            this.subscribedCharacteristics = this.subscribedCharacteristics.concat(newSubscriptions);
+                this.subscribedCharacteristics = this.subscribedCharacteristics.concat(newSubscriptions);
 
-            let body = {};
-            try {
-                if (response.body) {
-                    body = JSONBig.parse(response.body.toString());
+                let body = {};
+                try {
+                    if (response.body) {
+                        body = JSONBig.parse(response.body.toString());
+                    }
+                } catch (err) {
+                    // ignore
                 }
-            } catch (err) {
-                // ignore
+
+                return body;
             }
 
-            return body;
+            return null;
+        });
+    }
+
+    /**
+     * Schedule the next attempt to reconnect and resubscribe after the subscription
+     * connection was lost.
+     *
+     * @fires HttpClient#reconnecting
+     * @fires HttpClient#resubscribed
+     * @fires HttpClient#gave-up
+     * @param {string[]} characteristics - List of characteristic IDs to resubscribe
+     * @param {number} attempt - Number of the upcoming attempt, starting with 1
+     */
+    private _scheduleResubscribe(characteristics: string[], attempt: number): void {
+        const options = this.resubscribeOptions!;
+        this.pendingResubscribe = characteristics;
+
+        if (options.maxAttempts && attempt > options.maxAttempts) {
+            debug(`${this.address}:${this.port} Giving up resubscribing after ${attempt - 1} attempts`);
+            this.pendingResubscribe = [];
+            /**
+             * Event emitted when the automatic resubscription failed for all configured attempts.
+             *
+             * @event HttpClient#gave-up
+             * @type {Object} { characteristics: string[], attempts: number }
+             */
+            this.emit('gave-up', { characteristics, attempts: attempt - 1 });
+            this.emit('event-disconnect', characteristics);
+            return;
         }
 
-        return null;
+        const delay = Math.min(options.initialDelay * Math.pow(options.factor, attempt - 1), options.maxDelay);
+        debug(`${this.address}:${this.port} Resubscribe attempt ${attempt} in ${delay}ms`);
+        /**
+         * Event emitted when the subscription connection was lost and a reconnect is scheduled.
+         *
+         * @event HttpClient#reconnecting
+         * @type {Object} { characteristics: string[], attempt: number, delay: number }
+         */
+        this.emit('reconnecting', { characteristics, attempt, delay });
+
+        this.resubscribeTimer = setTimeout(async () => {
+            delete this.resubscribeTimer;
+            // close() or unsubscribeCharacteristics() might have removed the characteristics meanwhile
+            characteristics = this.pendingResubscribe;
+            if (!characteristics.length) {
+                return;
+            }
+
+            try {
+                await this.subscribeCharacteristics(characteristics);
+            } catch (err) {
+                debug(`${this.address}:${this.port} Resubscribe attempt ${attempt} failed: ${err}`);
+                if (this.pendingResubscribe.length) {
+                    this._scheduleResubscribe(this.pendingResubscribe, attempt + 1);
+                }
+                return;
+            }
+            this.pendingResubscribe = [];
+
+            /**
+             * Event emitted when all characteristics were successfully resubscribed after a reconnect.
+             *
+             * @event HttpClient#resubscribed
+             * @type {Object} { characteristics: string[], attempts: number }
+             */
+            this.emit('resubscribed', { characteristics, attempts: attempt });
+
+            if (options.catchUp) {
+                try {
+                    const res = await this.getCharacteristics(characteristics);
+                    this.emit('event', res);
+                } catch (err) {
+                    debug(`${this.address}:${this.port} Catch-up read after resubscribe failed: ${err}`);
+                }
+            }
+        }, delay);
     }
 
     /**
@@ -716,77 +1400,92 @@ export default class HttpClient extends EventEmitter {
      * @param {String[]} characteristics - List of characteristic IDs to
      *                   unsubscribe from in form ["aid.iid", ...],
      *                   if ommited all currently subscribed characteristics will be unsubscribed
+     * @param {OperationOptions?} options - Timeout and abort signal
      * @returns {Promise} Promise which resolves when the procedure is done.
      */
-    async unsubscribeCharacteristics(characteristics?: string[]): Promise<Record<any, unknown> | null> {
-        if (!this.subscriptionConnection || !this.subscribedCharacteristics.length) {
-            return null;
-        }
-
-        if (!characteristics) {
-            characteristics = this.subscribedCharacteristics;
-        }
+    async unsubscribeCharacteristics(
+        characteristics?: string[],
+        options?: OperationOptions,
+    ): Promise<Record<any, unknown> | null> {
+        return runOperation(options, async (signal) => {
+            if (this.pendingResubscribe.length) {
+                this.pendingResubscribe = characteristics
+                    ? this.pendingResubscribe.filter((cid) => !characteristics!.includes(cid))
+                    : [];
+            }
 
-        const data = {
-            characteristics: <{ aid: number | BigNumber; iid: number | BigNumber; ev: boolean }[]>[],
-        };
+            if (!this.subscriptionConnection || !this.subscribedCharacteristics.length) {
+                return null;
+            }
 
-        const unsubscribedCharacteristics: string[] = [];
-        for (const cid of characteristics) {
-            if (this.subscribedCharacteristics.includes(cid)) {
-                continue;
+            if (!characteristics) {
+                characteristics = this.subscribedCharacteristics;
             }
 
-            unsubscribedCharacteristics.push(cid);
-            const parts = cid.split('.');
-            data.characteristics.push({
-                aid: BigNumber(parts[0].trim()),
-                iid: BigNumber(parts[1].trim()),
-                ev: false,
-            });
-        }
+            const data = {
+                characteristics: <{ aid: number | BigNumber; iid: number | BigNumber; ev: boolean }[]>[],
+            };
 
-        if (data.characteristics.length) {
-            const response = await this.subscriptionConnection.put(
-                '/characteristics',
-                Buffer.from(JSONBig.stringify(data)),
-            );
+            const unsubscribedCharacteristics: string[] = [];
+            for (const cid of characteristics) {
+                if (!this.subscribedCharacteristics.includes(cid)) {
+                    continue;
+                }
 
-            if (response.statusCode !== 204 && response.statusCode !== 207) {
-                throw new HomekitControllerError(
-                    `Unsubscribe failed with status ${response.statusCode}`,
-                    response.statusCode,
-                    response.body,
-                );
+                unsubscribedCharacteristics.push(cid);
+                const parts = cid.split('.');
+                data.characteristics.push({
+                    aid: BigNumber(parts[0].trim()),
+                    iid: BigNumber(parts[1].trim()),
+                    ev: false,
+                });
             }
 
-            unsubscribedCharacteristics.forEach((characteristic) => {
-                const index = this.subscribedCharacteristics.indexOf(characteristic);
-                if (index > -1) {
-                    this.subscribedCharacteristics.splice(index, 1);
+            if (data.characteristics.length) {
+                const response = await this.subscriptionConnection.put(
+                    '/characteristics',
+                    Buffer.from(JSONBig.stringify(data)),
+                    'application/hap+json',
+                    false,
+                    signal,
+                );
+
+                if (response.statusCode !== 204 && response.statusCode !== 207) {
+                    throw new HomekitControllerError(
+                        `Unsubscribe failed with status ${response.statusCode}`,
+                        response.statusCode,
+                        response.body,
+                    );
                 }
-            });
 
-            if (!this.subscribedCharacteristics.length) {
-                if (!this.subscriptionsUseSameConnection) {
-                    this.subscriptionConnection.close();
+                unsubscribedCharacteristics.forEach((characteristic) => {
+                    const index = this.subscribedCharacteristics.indexOf(characteristic);
+                    if (index > -1) {
+                        this.subscribedCharacteristics.splice(index, 1);
+                    }
+                });
+
+                if (!this.subscribedCharacteristics.length) {
+                    if (!this.subscriptionsUseSameConnection) {
+                        this.subscriptionConnection.close();
+                    }
+                    this.subscriptionConnection?.removeAllListeners('event');
+                    delete this.subscriptionConnection;
                 }
-                this.subscriptionConnection?.removeAllListeners('event');
-                delete this.subscriptionConnection;
-            }
 
-            let body = {};
-            try {
-                if (response.body) {
-                    body = JSONBig.parse(response.body.toString());
+                let body = {};
+                try {
+                    if (response.body) {
+                        body = JSONBig.parse(response.body.toString());
+                    }
+                } catch (err) {
+                    // ignore
                 }
-            } catch (err) {
-                // ignore
-            }
 
-            return body;
-        }
-        return null;
+                return body;
+            }
+            return null;
+        });
     }
 
     /**
@@ -804,33 +1503,46 @@ export default class HttpClient extends EventEmitter {
      * @param {number} width width of the returned image
      * @param {number} height height of the returned image
      * @param {number | BigNumber} [aid] accessory ID (optional)
+     * @param {OperationOptions} [options] timeout and abort signal (optional)
      *
      * @returns {Promise<Buffer>} Promise which resolves to a Buffer with the JPEG image content
      */
-    async getImage(width: number, height: number, aid?: number | BigNumber): Promise<Buffer> {
-        const connection = await this.getDefaultVerifiedConnection();
-        const data = {
-            aid,
-            'resource-type': 'image',
-            'image-width': width,
-            'image-height': height,
-        };
-
-        try {
-            const response = await connection.post('/resource', Buffer.from(JSONBig.stringify(data)));
+    async getImage(
+        width: number,
+        height: number,
+        aid?: number | BigNumber,
+        options?: OperationOptions,
+    ): Promise<Buffer> {
+        return runOperation(options, async (signal) => {
+            const connection = await this.getDefaultVerifiedConnection(signal);
+            const data = {
+                aid,
+                'resource-type': 'image',
+                'image-width': width,
+                'image-height': height,
+            };
 
-            if (response.statusCode !== 200) {
-                throw new HomekitControllerError(
-                    `Image request errored with status ${response.statusCode}`,
-                    response.statusCode,
-                    response.body,
+            try {
+                const response = await connection.post(
+                    '/resource',
+                    Buffer.from(JSONBig.stringify(data)),
+                    'application/hap+json',
+                    signal,
                 );
-            }
 
-            return response.body;
-        } finally {
-            this.closeMaybePersistentConnection(connection);
-        }
+                if (response.statusCode !== 200) {
+                    throw new HomekitControllerError(
+                        `Image request errored with status ${response.statusCode}`,
+                        response.statusCode,
+                        response.body,
+                    );
+                }
+
+                return response.body;
+            } finally {
+                this.closeMaybePersistentConnection(connection);
+            }
+        });
     }
 
     /**
@@ -850,6 +1562,11 @@ export default class HttpClient extends EventEmitter {
      * @returns {Promise<void>} Promise when done
      */
     async close(): Promise<void> {
+        if (this.resubscribeTimer) {
+            clearTimeout(this.resubscribeTimer);
+            delete this.resubscribeTimer;
+        }
+        this.pendingResubscribe = [];
         try {
             this._defaultConnection?.close();
         } catch {
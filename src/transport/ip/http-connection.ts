@@ -5,11 +5,13 @@
 import { EventEmitter } from 'events';
 import HttpEventParser from './http-event-parser';
 import net from 'net';
+import { Duplex } from 'stream';
 import sodium from 'libsodium-wrappers';
 import { HTTPParser } from 'http-parser-js';
 import { SessionKeys } from '../../protocol/pairing-protocol';
 import Debug from 'debug';
 import { OpQueue } from '../../utils/queue';
+import HomekitControllerError, { ConnectionTimeoutError } from '../../model/error';
 
 const debug = Debug('hap-controller:http-connection');
 
@@ -23,6 +25,38 @@ enum State {
     CLOSING,
 }
 
+/**
+ * Function to create the stream to a device, e.g. through a proxy or SSH tunnel.
+ */
+export type ConnectionFactory = (address: string, port: number) => Duplex | Promise<Duplex>;
+
+export interface HttpConnectionOptions {
+    /**
+     * Function to create the stream to the device instead of a plain TCP connection. The stream
+     * has to be connected when it is returned, a net.Socket which is still connecting is waited for.
+     */
+    connectionFactory?: ConnectionFactory;
+
+    /**
+     * Additional options for the default TCP connection, e.g. localAddress or family for
+     * link-local IPv6 accessories. Not used together with a connectionFactory.
+     */
+    socketOptions?: Omit<net.TcpNetConnectOpts, 'host' | 'port'>;
+
+    /**
+     * Time in ms to wait for the connection to be established.
+     * Default: no timeout
+     */
+    connectTimeout?: number;
+
+    /**
+     * Time in ms without any data from the device while waiting for a response, after which
+     * the connection is closed and the request fails. Idle subscription connections are not affected.
+     * Default: no timeout
+     */
+    idleTimeout?: number;
+}
+
 export interface HttpResponse {
     statusCode: number;
     headers: Record<string, string>;
@@ -36,7 +70,9 @@ export default class HttpConnection extends EventEmitter {
 
     private state: State;
 
-    private socket: net.Socket | null;
+    private socket: Duplex | null;
+
+    private options: HttpConnectionOptions;
 
     private sessionKeys: SessionKeys | null;
 
@@ -51,11 +87,13 @@ export default class HttpConnection extends EventEmitter {
      *
      * @param {string} address - IP address of the device
      * @param {number} port - HTTP port
+     * @param {HttpConnectionOptions?} options - Connection options
      */
-    constructor(address: string, port: number) {
+    constructor(address: string, port: number, options?: HttpConnectionOptions) {
         super();
         this.address = address;
         this.port = port;
+        this.options = options || {};
         this.state = State.CLOSED;
         this.socket = null;
         this.sessionKeys = null;
@@ -86,19 +124,36 @@ export default class HttpConnection extends EventEmitter {
      * Queue an operation for the connection.
      *
      * @param {function} op - Function to add to the queue
+     * @param {AbortSignal?} signal - Signal to remove the operation from the queue
      * @returns {Promise} Promise which resolves when the function is called.
      */
-    private _queueOperation<T>(op: () => Promise<T>): Promise<T> {
-        return this.queue.queue(op);
+    private _queueOperation<T>(op: () => Promise<T>, signal?: AbortSignal): Promise<T> {
+        return this.queue.queue(op, signal);
+    }
+
+    /**
+     * Create the stream to the device.
+     *
+     * @returns {Promise} Promise which resolves to the stream.
+     */
+    private async _createSocket(): Promise<Duplex> {
+        if (this.options.connectionFactory) {
+            return this.options.connectionFactory(this.address, this.port);
+        }
+
+        const socket = net.createConnection({ ...this.options.socketOptions, host: this.address, port: this.port });
+        socket.setKeepAlive(true);
+        return socket;
     }
 
     /**
      * Open a socket if necessary.
      *
+     * @param {AbortSignal?} signal - Signal to abort connecting
      * @returns {Promise} Promise which resolves when the socket is open and
      *                    ready.
      */
-    private async _open(): Promise<void> {
+    private async _open(signal?: AbortSignal): Promise<void> {
         if (this.state === State.READY) {
             return;
         } else if (this.state !== State.CLOSED && this.socket) {
@@ -106,45 +161,167 @@ export default class HttpConnection extends EventEmitter {
         }
 
         return new Promise<void>((resolve, reject) => {
-            this.state = State.CLOSED;
-            try {
-                this.socket = net.createConnection(this.port, this.address);
-                this.socket!.setKeepAlive(true);
-
-                this.socket!.on('close', () => {
-                    this.socket = null;
+            this.state = State.OPENING;
+
+            let settled = false;
+            let timer: NodeJS.Timeout | null = null;
+            let opened: Duplex | null = null;
+            const finish = (err?: Error): void => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                signal?.removeEventListener('abort', abort);
+                if (err) {
                     this.state = State.CLOSED;
-                    this.emit('disconnect', {});
-                });
-                this.socket!.on('end', () => {
-                    this.state = State.CLOSING;
-                    this.socket?.end();
-                });
-                this.socket!.on('timeout', () => {
-                    this.state = State.CLOSING;
-                    this.socket?.end();
-                });
-                this.socket!.on('error', (err) => {
                     reject(err);
-                });
-                this.socket!.on('connect', () => {
+                } else {
                     this.state = State.READY;
                     resolve();
-                });
-            } catch (err) {
-                reject(err);
+                }
+            };
+
+            const abort = (): void => {
+                finish(signal!.reason);
+                opened?.destroy();
+            };
+            signal?.addEventListener('abort', abort, { once: true });
+
+            const timeout = this.options.connectTimeout;
+            if (timeout) {
+                timer = setTimeout(() => {
+                    finish(
+                        new ConnectionTimeoutError(
+                            `Connection to ${this.address}:${this.port} timed out after ${timeout}ms`,
+                        ),
+                    );
+                    opened?.destroy();
+                }, timeout);
             }
+
+            this._createSocket().then(
+                (socket) => {
+                    if (settled) {
+                        socket.destroy();
+                        return;
+                    }
+                    this.socket = opened = socket;
+
+                    socket.on('close', () => {
+                        if (this.socket === socket) {
+                            this.socket = null;
+                            this.state = State.CLOSED;
+                        }
+                        finish(new HomekitControllerError(`Connection to ${this.address}:${this.port} closed`));
+                        this.emit('disconnect', {});
+                    });
+                    socket.on('end', () => {
+                        this.state = State.CLOSING;
+                        socket.end();
+                    });
+                    socket.on('timeout', () => {
+                        this.state = State.CLOSING;
+                        socket.end();
+                    });
+                    socket.on('error', (err) => {
+                        debug(`${this.address}:${this.port} Socket error: ${err.message}`);
+                        finish(err);
+                    });
+
+                    if ((<net.Socket>socket).connecting) {
+                        socket.once('connect', () => finish());
+                    } else {
+                        finish();
+                    }
+                },
+                (err) => finish(err),
+            );
         });
     }
 
+    /**
+     * Close the socket right away. The response to a request which was already sent would be
+     * taken for the response of the next one, and the nonce counters of the session can not be
+     * brought back in sync, so the connection can not be used anymore.
+     */
+    private _destroy(): void {
+        const socket = this.socket;
+        this.socket = null;
+        this.state = State.CLOSED;
+        socket?.destroy();
+    }
+
+    /**
+     * Fail a request when the connection closes, the device does not respond within the idle
+     * timeout or the request is aborted.
+     *
+     * @param {function} reject - Function to reject the request with
+     * @param {AbortSignal?} signal - Signal to abort the request
+     * @returns {function} Function to call when the response was received
+     */
+    private _watchRequest(reject: (err: Error) => void, signal?: AbortSignal): () => void {
+        const socket = this.socket!;
+        let timer: NodeJS.Timeout | null = null;
+
+        const resetTimer = (): void => {
+            if (!this.options.idleTimeout) {
+                return;
+            }
+            if (timer) {
+                clearTimeout(timer);
+            }
+            timer = setTimeout(() => {
+                stop();
+                reject(
+                    new ConnectionTimeoutError(
+                        `No response from ${this.address}:${this.port} within ${this.options.idleTimeout}ms`,
+                    ),
+                );
+                socket.destroy();
+            }, this.options.idleTimeout);
+        };
+        const handleClose = (): void => {
+            stop();
+            reject(
+                new HomekitControllerError(
+                    `Connection to ${this.address}:${this.port} closed before a response was received`,
+                ),
+            );
+        };
+        const handleAbort = (): void => {
+            stop();
+            debug(`${this.address}:${this.port} Request aborted, closing the connection`);
+            reject(signal!.reason);
+            this._destroy();
+        };
+        const stop = (): void => {
+            if (timer) {
+                clearTimeout(timer);
+            }
+            socket.removeListener('data', resetTimer);
+            socket.removeListener('close', handleClose);
+            signal?.removeEventListener('abort', handleAbort);
+        };
+
+        socket.on('data', resetTimer);
+        socket.once('close', handleClose);
+        signal?.addEventListener('abort', handleAbort, { once: true });
+        resetTimer();
+        return stop;
+    }
+
     /**
      * Send a GET request.
      *
      * @param {string} path - Path to request
+     * @param {AbortSignal?} signal - Signal to abort the request
      * @returns {Promise} Promise which resolves to a buffer containing the
      *                    response body.
      */
-    get(path: string): Promise<HttpResponse> {
+    get(path: string, signal?: AbortSignal): Promise<HttpResponse> {
         debug(`${this.address}:${this.port} GET ${path}`);
 
         const data = Buffer.concat([
@@ -152,7 +329,7 @@ export default class HttpConnection extends EventEmitter {
             Buffer.from(`Host: ${this.address}:${this.port}\r\n`),
             Buffer.from(`\r\n`),
         ]);
-        return this.request(data);
+        return this.request(data, false, signal);
     }
 
     /**
@@ -161,10 +338,16 @@ export default class HttpConnection extends EventEmitter {
      * @param {string} path - Path to request
      * @param {Buffer|string} body - Request body
      * @param {string?} contentType - Request content type
+     * @param {AbortSignal?} signal - Signal to abort the request
      * @returns {Promise} Promise which resolves to a buffer containing the
      *                    response body.
      */
-    post(path: string, body: Buffer | string, contentType = 'application/hap+json'): Promise<HttpResponse> {
+    post(
+        path: string,
+        body: Buffer | string,
+        contentType = 'application/hap+json',
+        signal?: AbortSignal,
+    ): Promise<HttpResponse> {
         if (typeof body === 'string') {
             body = Buffer.from(body);
         }
@@ -182,7 +365,7 @@ export default class HttpConnection extends EventEmitter {
             Buffer.from(`\r\n`),
             body,
         ]);
-        return this.request(data);
+        return this.request(data, false, signal);
     }
 
     /**
@@ -193,6 +376,7 @@ export default class HttpConnection extends EventEmitter {
      * @param {string?} contentType - Request content type
      * @param {boolean?} readEvents - Whether or not to read EVENT messages after
      *                   initial request
+     * @param {AbortSignal?} signal - Signal to abort the request
      * @returns {Promise} Promise which resolves to a buffer containing the
      *                    response body.
      */
@@ -201,6 +385,7 @@ export default class HttpConnection extends EventEmitter {
         body: Buffer | string,
         contentType = 'application/hap+json',
         readEvents = false,
+        signal?: AbortSignal,
     ): Promise<HttpResponse> {
         if (typeof body === 'string') {
             body = Buffer.from(body);
@@ -215,26 +400,30 @@ export default class HttpConnection extends EventEmitter {
             Buffer.from(`\r\n`),
             body,
         ]);
-        return this.request(data, readEvents);
+        return this.request(data, readEvents, signal);
     }
 
     /**
      * Send a request.
      *
+     * A request aborted by the signal is removed from the queue of the connection. If it was
+     * already sent the connection is closed, further requests on an encrypted connection fail.
+     *
      * @param {Buffer} body - Request body
      * @param {boolean?} readEvents - Whether or not to read EVENT messages after
      *                   initial request
+     * @param {AbortSignal?} signal - Signal to abort the request
      * @returns {Promise} Promise which resolves to a buffer containing the
      *                    response body.
      */
-    request(body: Buffer, readEvents = false): Promise<HttpResponse> {
+    request(body: Buffer, readEvents = false, signal?: AbortSignal): Promise<HttpResponse> {
         return this._queueOperation(async () => {
             if (this.sessionKeys) {
-                return this._requestEncrypted(body, readEvents);
+                return this._requestEncrypted(body, readEvents, signal);
             }
 
-            return this._requestClear(body, readEvents);
-        });
+            return this._requestClear(body, readEvents, signal);
+        }, signal);
     }
 
     /**
@@ -311,20 +500,27 @@ export default class HttpConnection extends EventEmitter {
      * @param {Buffer} data - Request body
      * @param {boolean?} readEvents - Whether or not to read EVENT messages after
      *                   initial request
+     * @param {AbortSignal?} signal - Signal to abort the request
      * @returns {Promise} Promise which resolves to a buffer containing the
      *                    response body.
      */
-    private async _requestEncrypted(data: Buffer, readEvents = false): Promise<HttpResponse> {
+    private async _requestEncrypted(data: Buffer, readEvents = false, signal?: AbortSignal): Promise<HttpResponse> {
         await sodium.ready;
-        await this._open();
+        if (this.state !== State.READY) {
+            // the session is bound to the socket it was verified on
+            throw new HomekitControllerError(`Connection to ${this.address}:${this.port} closed, verify a new one`);
+        }
+        signal?.throwIfAborted();
 
         return new Promise((resolve, reject) => {
             const oldListeners = <((...args: any[]) => void)[]>this.socket!.listeners('data');
             this.socket!.removeAllListeners('data');
+            const stopWatching = this._watchRequest(reject, signal);
 
             try {
                 this.socket!.write(this._encryptData(data));
             } catch (err) {
+                stopWatching();
                 return reject(err);
             }
             let message = Buffer.alloc(0);
@@ -366,6 +562,7 @@ export default class HttpConnection extends EventEmitter {
             };
 
             parser = this._buildHttpResponseParser((response) => {
+                stopWatching();
                 this.socket!.removeListener('data', bodyParser);
 
                 for (const l of oldListeners) {
@@ -395,19 +592,23 @@ export default class HttpConnection extends EventEmitter {
      * @param {Buffer} data - Request body
      * @param {boolean?} readEvents - Whether or not to read EVENT messages after
      *                   initial request
+     * @param {AbortSignal?} signal - Signal to abort the request
      * @returns {Promise} Promise which resolves to a buffer containing the
      *                    response body.
      */
-    private async _requestClear(data: Buffer, readEvents = false): Promise<HttpResponse> {
-        await this._open();
+    private async _requestClear(data: Buffer, readEvents = false, signal?: AbortSignal): Promise<HttpResponse> {
+        await this._open(signal);
+        signal?.throwIfAborted();
 
         return new Promise((resolve, reject) => {
             const oldListeners = <((...args: any[]) => void)[]>this.socket!.listeners('data');
             this.socket!.removeAllListeners('data');
+            const stopWatching = this._watchRequest(reject, signal);
 
             try {
                 this.socket!.write(data);
             } catch (err) {
+                stopWatching();
                 return reject(err);
             }
 
@@ -419,6 +620,7 @@ export default class HttpConnection extends EventEmitter {
             };
 
             parser = this._buildHttpResponseParser((response) => {
+                stopWatching();
                 this.socket!.removeListener('data', bodyParser);
 
                 for (const l of oldListeners) {
@@ -95,13 +95,13 @@ export interface HapServiceIp {
      */
     ci: number;
     /**
-     * Added in v2 of the HAP specifications but no details known
-     * sh: Setup Hash.
+     * sh: Setup Hash, base64 encoded. Only set if the accessory supports enhanced setup payload
+     * information, see SetupPayload.matchesSetupPayload().
      *
      * From Specs:
      * See (”?? ??” (page ??)) Required if the accessory supports enhanced setup payload information.
      */
-    // sh: string;
+    sh?: string;
     /**
      * availableToPair: is the device available for pairing?
      */
@@ -179,7 +179,7 @@ export default class IPDiscovery extends EventEmitter {
             's#': parseInt(service.txt['s#'], 10),
             sf,
             ci: parseInt(service.txt.ci, 10),
-            // sh: service.txt.sh,
+            sh: service.txt.sh,
             availableToPair: !!(sf & DiscoveryPairingStatusFlags.AccessoryNotPaired),
         };
     }
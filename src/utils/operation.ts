@@ -0,0 +1,72 @@
+/**
+ * Timeout and abort handling for client operations.
+ */
+
+import { OperationAbortedError, OperationTimeoutError } from '../model/error';
+
+export interface OperationOptions {
+    /**
+     * Time in ms after which the operation is aborted with an OperationTimeoutError.
+     * Default: no timeout
+     */
+    timeout?: number;
+
+    /**
+     * Signal to abort the operation, it is rejected with an OperationAbortedError then.
+     */
+    signal?: AbortSignal;
+}
+
+/**
+ * Run an operation with the timeout and abort signal of its options.
+ *
+ * The operation gets a signal which is aborted when the timeout expires or the signal of the
+ * options is aborted. The returned promise rejects right away then, the operation has to use
+ * the signal to leave its queue and to close the connection of a request already sent.
+ *
+ * @param {OperationOptions?} options - Timeout and abort signal
+ * @param {function} op - Operation to run
+ * @returns {Promise} Promise which resolves to the result of the operation.
+ * @throws {OperationTimeoutError} If the timeout expired
+ * @throws {OperationAbortedError} If the signal was aborted
+ */
+export async function runOperation<T>(
+    options: OperationOptions | undefined,
+    op: (signal?: AbortSignal) => Promise<T>,
+): Promise<T> {
+    const { timeout, signal } = options || {};
+    if (!timeout && !signal) {
+        return op();
+    }
+
+    // nested operations keep the error of the outer one
+    const abortError = (): Error =>
+        signal!.reason instanceof OperationAbortedError || signal!.reason instanceof OperationTimeoutError
+            ? signal!.reason
+            : new OperationAbortedError('Operation aborted', signal!.reason);
+    if (signal?.aborted) {
+        throw abortError();
+    }
+
+    const controller = new AbortController();
+    const aborted = new Promise<never>((_resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    const onAbort = (): void => controller.abort(abortError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timer: NodeJS.Timeout | null = null;
+    if (timeout) {
+        const error = new OperationTimeoutError(`Operation timed out after ${timeout}ms`, timeout);
+        timer = setTimeout(() => controller.abort(error), timeout);
+    }
+
+    try {
+        return await Promise.race([op(controller.signal), aborted]);
+    } finally {
+        if (timer) {
+            clearTimeout(timer);
+        }
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
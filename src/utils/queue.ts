@@ -14,17 +14,33 @@ export class OpQueue {
     /**
      * Queue a new operation.
      *
+     * An operation whose signal is aborted while it waits is removed from the queue: it is not
+     * executed and the returned promise rejects with the abort reason. A running operation has
+     * to react to the signal itself, the queue waits until it is finished.
+     *
      * @param {function} op - Function to queue
+     * @param {AbortSignal?} signal - Signal to remove the operation from the queue
      * @returns {Promise} Promise which resolves when the function has executed.
      */
-    queue<T>(op: () => Promise<T>): Promise<T> {
-        const ret = new Promise<T>((resolve, reject) => {
-            this._current.then(() => {
-                op().then(resolve, reject);
+    queue<T>(op: () => Promise<T>, signal?: AbortSignal): Promise<T> {
+        const previous = this._current;
+        let done!: () => void;
+        this._current = new Promise<void>((resolve) => (done = resolve));
+
+        return new Promise<T>((resolve, reject) => {
+            const onAbort = (): void => reject(signal!.reason);
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            previous.then(() => {
+                signal?.removeEventListener('abort', onAbort);
+                if (signal?.aborted) {
+                    reject(signal.reason);
+                    done();
+                    return;
+                }
+
+                op().then(resolve, reject).finally(done);
             });
         });
-        // eslint-disable-next-line @typescript-eslint/no-empty-function
-        this._current = ret.catch(() => {});
-        return ret;
     }
 }